@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
 
 /**
  * Authentication middleware
- * Verifies JWT token and adds user info to request
+ * Verifies JWT token and adds user info to request. A workspace chosen
+ * with the X-Workspace-Id header (or ?workspace=) must have the user as
+ * a member; it is added as req.workspace with the user's req.workspaceRole.
  */
 const auth = async (req, res, next) => {
   try {
@@ -59,6 +63,22 @@ const auth = async (req, res, next) => {
     // Add user info to request
     req.user = decoded;
     req.userDoc = user;
+
+    const workspaceId = req.header('X-Workspace-Id') || req.query.workspace;
+    if (workspaceId) {
+      const workspace = mongoose.isValidObjectId(workspaceId) && await Workspace.findById(workspaceId);
+      const role = workspace && workspace.getRole(user._id);
+
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this workspace'
+        });
+      }
+
+      req.workspace = workspace;
+      req.workspaceRole = role;
+    }
     
     next();
   } catch (error) {
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Record of a redeemed email action link. Links are signed tokens and
+ * need no storage until used; the record makes each one single-use and
+ * expires together with the token.
+ */
+const actionTokenSchema = new mongoose.Schema({
+  // Token id (jti claim)
+  _id: {
+    type: String,
+    required: true
+  },
+  reminder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mark a token as used. Resolves to false when it was used before.
+ * @param {Object} payload - Verified token payload
+ */
+actionTokenSchema.statics.redeem = async function(payload) {
+  try {
+    await this.create({
+      _id: payload.jti,
+      reminder: payload.reminderId,
+      action: payload.action,
+      expiresAt: new Date(payload.exp * 1000)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
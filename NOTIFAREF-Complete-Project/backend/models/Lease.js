@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Named, expiring leases used to elect one process for a task (e.g. a
+ * cron job) when several server instances share the database.
+ */
+const leaseSchema = new mongoose.Schema({
+  // Lease name, e.g. 'scheduler:cleanup'
+  _id: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Take or renew a lease. Resolves to true when `owner` now holds it.
+ * @param {string} name - Lease name
+ * @param {string} owner - Id of the process asking for the lease
+ * @param {number} ttlMs - How long the lease is held without renewal
+ */
+leaseSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lease = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [
+          { owner },
+          { expiresAt: { $lte: now } }
+        ]
+      },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { new: true, upsert: true }
+    );
+
+    return !!lease && lease.owner === owner;
+  } catch (error) {
+    // Another owner holds an unexpired lease, so the upsert hit the _id index
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Give up a lease held by `owner`
+ * @param {string} name - Lease name
+ * @param {string} owner - Id of the process holding the lease
+ */
+leaseSchema.statics.release = async function(name, owner) {
+  await this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('Lease', leaseSchema);
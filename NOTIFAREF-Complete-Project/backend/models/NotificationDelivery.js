@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const RETRY_BASE_DELAY = 60 * 1000; // 1 minute
+const RETRY_MAX_DELAY = 60 * 60 * 1000; // 1 hour
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  success: { type: Boolean, required: true },
+  error: String,
+  transient: Boolean,
+  latencyMs: Number,
+  // Provider response summary (status code, message id, error message)
+  response: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const notificationDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reminder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    required: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  // Scheduled time (or snooze time) of the notification this delivery is for
+  occurrence: {
+    type: Date,
+    required: true
+  },
+  // Lead time of the alert in minutes; 0 for the alert at the due time
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Escalation level; unset for regular alerts
+  escalation: Number,
+  // Snapshot for the history view, in case the reminder changes later
+  title: {
+    type: String,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'retrying', 'failed', 'dead', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  attemptCount: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: Date,
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+notificationDeliverySchema.index({ reminder: 1, occurrence: 1, offset: 1 });
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Delay before the next retry: 1, 2, 4, 8... minutes, capped at an hour
+ * @param {number} attemptCount - Attempts made so far
+ */
+notificationDeliverySchema.statics.getRetryDelay = function(attemptCount) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, Math.max(attemptCount - 1, 0)), RETRY_MAX_DELAY);
+};
+
+// Method to record a channel result and move to the next state (not saved)
+notificationDeliverySchema.methods.recordAttempt = function(result, latencyMs) {
+  const now = new Date();
+
+  this.attempts.push({
+    attemptedAt: now,
+    success: !!result.success,
+    error: result.success ? undefined : result.error,
+    transient: result.success ? undefined : !!result.transient,
+    latencyMs,
+    response: result.response
+  });
+  this.attemptCount = this.attempts.length;
+
+  if (result.success) {
+    this.status = 'sent';
+    this.sentAt = now;
+    this.lastError = undefined;
+    this.nextAttemptAt = undefined;
+  } else if (!result.transient) {
+    this.status = 'failed';
+    this.lastError = result.error;
+    this.nextAttemptAt = undefined;
+  } else if (this.attemptCount >= this.maxAttempts) {
+    // Out of retries: dead-letter
+    this.status = 'dead';
+    this.lastError = result.error;
+    this.nextAttemptAt = undefined;
+  } else {
+    this.status = 'retrying';
+    this.lastError = result.error;
+    this.nextAttemptAt = new Date(now.getTime() + this.constructor.getRetryDelay(this.attemptCount));
+  }
+
+  return this;
+};
+
+// Static method to find deliveries whose retry is due
+notificationDeliverySchema.statics.findDueRetries = function(limit = 100) {
+  return this.find({
+    status: 'retrying',
+    nextAttemptAt: { $lte: new Date() }
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit)
+    .populate('reminder')
+    .populate('user', 'username email notifications profile');
+};
+
+/**
+ * Atomically claim a due retry by pushing its next attempt out by the
+ * lease time, so only one process retries it. Resolves to true when claimed.
+ * @param {Object} delivery - Delivery found by findDueRetries()
+ * @param {number} leaseMs - How long the claim is held
+ */
+notificationDeliverySchema.statics.claimRetry = async function(delivery, leaseMs = 5 * 60 * 1000) {
+  const nextAttemptAt = new Date(Date.now() + leaseMs);
+  const result = await this.updateOne(
+    { _id: delivery._id, status: 'retrying', nextAttemptAt: delivery.nextAttemptAt },
+    { $set: { nextAttemptAt } }
+  );
+
+  if (result.modifiedCount !== 1) return false;
+
+  delivery.nextAttemptAt = nextAttemptAt;
+  return true;
+};
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -1,4 +1,94 @@
 const mongoose = require('mongoose');
+const RecurrenceRule = require('../utils/recurrence');
+const ShareLink = require('./ShareLink');
+const { isValidTimeZone, toZonedTime, fromZonedTime } = require('../utils/timezone');
+
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+// Actions offered as one-click links in notification emails
+const EMAIL_ACTIONS = ['complete', 'snooze', 'tomorrow'];
+const EMAIL_SNOOZE_MINUTES = [15, 60, 180];
+const ACTION_TOKEN_AUDIENCE = 'reminder-action';
+// Roles of the people a reminder is shared with
+const SHARE_ROLES = ['viewer', 'editor'];
+const MAX_COLLABORATORS = 50;
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_DEPENDENCIES = 20;
+const MAX_FOLLOW_UPS = 10;
+// Longest wait after completion for a follow-up, in minutes (1 year)
+const MAX_FOLLOW_UP_DELAY = 365 * 24 * 60;
+// Reminders visited at most when looking for a dependency cycle
+const MAX_DEPENDENCY_SEARCH = 1000;
+
+// Id of a reference, whether populated or not
+const getId = ref => (ref && ref._id ? ref._id : ref);
+const sameId = (a, b) => !!a && !!b && String(getId(a)) === String(getId(b));
+// Longest lead time for an alert, in minutes (30 days)
+const MAX_ALERT_OFFSET = 30 * 24 * 60;
+
+// A notification sent `offset` minutes before the reminder is due
+const alertSchema = new mongoose.Schema({
+  offset: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: MAX_ALERT_OFFSET
+  },
+  // Channels to use for this alert; empty means the priority defaults
+  channels: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+// A file that came with the reminder (e.g. an emailed attachment). Only
+// its description is kept, not the content.
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, trim: true, maxlength: 255 },
+  contentType: { type: String, trim: true, maxlength: 100 },
+  size: { type: Number, min: 0 }
+}, { _id: false });
+
+// An item of a reminder's checklist; items are kept in order
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  done: { type: Boolean, default: false },
+  doneAt: Date,
+  doneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+// A reminder to create once this one is completed, `delay` minutes after
+const followUpSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  delay: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: MAX_FOLLOW_UP_DELAY
+  },
+  // Priority of the follow-up; the parent's when not set
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  }
+}, { _id: false });
 
 const reminderSchema = new mongoose.Schema({
   user: {
@@ -7,6 +97,13 @@ const reminderSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Workspace the reminder belongs to; null for personal reminders
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
   title: {
     type: String,
     required: true,
@@ -18,11 +115,61 @@ const reminderSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  checklist: {
+    type: [checklistItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_CHECKLIST_ITEMS,
+      message: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`
+    }
+  },
+  // Complete the reminder once every checklist item is done
+  completeWithChecklist: {
+    type: Boolean,
+    default: false
+  },
+  // Reminders that must be completed before this one fires
+  dependsOn: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reminder'
+    }],
+    validate: {
+      validator: ids => ids.length <= MAX_DEPENDENCIES,
+      message: `A reminder can depend on at most ${MAX_DEPENDENCIES} others`
+    }
+  },
+  // Whether any reminder in dependsOn is not completed yet; kept up to
+  // date on save and when one of them changes status
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  followUps: {
+    type: [followUpSchema],
+    validate: {
+      validator: items => items.length <= MAX_FOLLOW_UPS,
+      message: `A reminder can have at most ${MAX_FOLLOW_UPS} follow-ups`
+    }
+  },
+  // Reminder whose completion created this one as a follow-up
+  followUpOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  },
   scheduledTime: {
     type: Date,
     required: true,
     index: true
   },
+  // IANA timezone whose wall clock the reminder is anchored to
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid timezone'
+    }
+  },
   recurrence: {
     type: {
       type: String,
@@ -40,7 +187,21 @@ const reminderSchema = new mongoose.Schema({
       max: 6
     }],
     endDate: Date,
-    maxOccurrences: Number
+    maxOccurrences: Number,
+    // RFC 5545 RRULE value; the source of truth for expansion
+    rrule: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    // Calendar for monthly/yearly rules; 'jalali' maps to RSCALE=PERSIAN
+    calendar: {
+      type: String,
+      enum: ['gregorian', 'jalali']
+    },
+    // First occurrence of the series, used to anchor COUNT and BYSETPOS
+    dtstart: Date,
+    exdates: [Date]
   },
   tags: [{
     type: String,
@@ -48,6 +209,7 @@ const reminderSchema = new mongoose.Schema({
     lowercase: true,
     maxlength: 50
   }],
+  attachments: [attachmentSchema],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -59,6 +221,15 @@ const reminderSchema = new mongoose.Schema({
     default: 'pending',
     index: true
   },
+  // Lead-time alerts; none means a single alert at the scheduled time
+  alerts: {
+    type: [alertSchema],
+    validate: {
+      validator: alerts => alerts.length <= 10 &&
+        new Set(alerts.map(alert => alert.offset)).size === alerts.length,
+      message: 'Alerts must have distinct offsets (at most 10)'
+    }
+  },
   notifications: {
     webPush: {
       sent: { type: Boolean, default: false },
@@ -69,33 +240,121 @@ const reminderSchema = new mongoose.Schema({
       sent: { type: Boolean, default: false },
       sentAt: Date,
       error: String
-    }
+    },
+    // Time of the next alert to send, null once all were sent
+    nextAlertAt: Date,
+    // Time of the latest alert already sent
+    lastAlertAt: Date,
+    // Claim held by the process currently sending an alert
+    lease: {
+      occurrence: Date,
+      alertAt: Date,
+      offset: Number,
+      owner: String,
+      expiresAt: Date
+    },
+    // Latest delivery result for each channel
+    deliveries: [{
+      _id: false,
+      channel: { type: String, required: true },
+      sent: { type: Boolean, default: false },
+      sentAt: Date,
+      attemptedAt: Date,
+      error: String
+    }]
   },
+  // Re-notifications sent while a due reminder goes unacknowledged
+  escalation: {
+    // Occurrence being escalated
+    occurrence: Date,
+    // Escalations sent so far for that occurrence
+    level: { type: Number, default: 0 },
+    // Time of the next escalation, unset when there is none
+    nextAt: Date,
+    history: [{
+      _id: false,
+      occurrence: Date,
+      level: Number,
+      channel: String,
+      sentAt: { type: Date, default: Date.now },
+      sent: Boolean,
+      error: String
+    }]
+  },
+  // Public links are ShareLink records
   sharing: {
-    isShared: { type: Boolean, default: false },
-    shareToken: String,
-    sharedBy: {
+    // People the reminder is shared with; the owner is `user`
+    collaborators: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      role: {
+        type: String,
+        enum: SHARE_ROLES,
+        default: 'viewer'
+      },
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      addedAt: { type: Date, default: Date.now }
+    }],
+    // Participant responsible for the reminder
+    assignee: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    },
-    sharedAt: Date,
-    expiresAt: Date
+    }
   },
   calendar: {
     googleEventId: String,
     synced: { type: Boolean, default: false },
-    lastSyncAt: Date
+    lastSyncAt: Date,
+    // ETag of the event as last synced, to skip our own changes
+    etag: String,
+    // Hash of the event last sent or received, to notice local changes
+    syncHash: String,
+    // Made from an all-day event, so pushed back as one
+    allDay: Boolean,
+    // Link to the event on a connected Outlook calendar
+    outlook: {
+      eventId: String,
+      etag: String,
+      syncHash: String,
+      lastSyncAt: Date
+    }
   },
   metadata: {
     completedAt: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     snoozeUntil: Date,
     snoozeCount: { type: Number, default: 0 },
     viewCount: { type: Number, default: 0 },
     lastViewed: Date,
     source: {
       type: String,
-      enum: ['manual', 'shared', 'calendar', 'import'],
+      enum: ['manual', 'recurring', 'shared', 'calendar', 'import', 'caldav', 'follow-up'],
       default: 'manual'
+    },
+    // Email the reminder was created from
+    email: {
+      messageId: String,
+      from: String,
+      receivedAt: Date
+    },
+    // iCalendar item the reminder was imported from
+    ical: {
+      uid: String,
+      lastModified: Date
+    },
+    // Resource name chosen by the CalDAV client that created the reminder
+    caldav: {
+      name: String
     }
   }
 }, {
@@ -107,8 +366,14 @@ reminderSchema.index({ user: 1, status: 1 });
 reminderSchema.index({ user: 1, scheduledTime: 1 });
 reminderSchema.index({ user: 1, tags: 1 });
 reminderSchema.index({ scheduledTime: 1, status: 1 });
-reminderSchema.index({ 'sharing.shareToken': 1 });
-reminderSchema.index({ 'sharing.expiresAt': 1 });
+reminderSchema.index({ 'sharing.collaborators.user': 1, status: 1 });
+reminderSchema.index({ 'notifications.nextAlertAt': 1, status: 1 });
+reminderSchema.index({ 'escalation.nextAt': 1, status: 1 });
+reminderSchema.index({ dependsOn: 1 });
+reminderSchema.index({ followUpOf: 1 }, { sparse: true });
+reminderSchema.index({ user: 1, 'metadata.email.messageId': 1 }, { sparse: true });
+reminderSchema.index({ user: 1, 'metadata.ical.uid': 1 }, { sparse: true });
+reminderSchema.index({ user: 1, 'metadata.caldav.name': 1 }, { sparse: true });
 
 // Virtual for overdue status
 reminderSchema.virtual('isOverdue').get(function() {
@@ -140,18 +405,108 @@ reminderSchema.virtual('timeRemaining').get(function() {
   return `${minutes}m`;
 });
 
-// Method to mark as completed
-reminderSchema.methods.markCompleted = async function() {
+// Method to mark as completed. Its follow-ups are created as well.
+reminderSchema.methods.markCompleted = async function(userId = null) {
+  const completedAt = new Date();
+  const completedBy = userId || getId(this.user);
+
+  // Claim the transition in the database first, so that when the reminder
+  // is completed twice at once only one completion is counted and creates
+  // the follow-ups
+  const claimed = this.isNew || !!(await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $ne: 'completed' } },
+    { $set: { status: 'completed', 'metadata.completedAt': completedAt, 'metadata.completedBy': completedBy } }
+  ).select('_id').lean());
+
   this.status = 'completed';
-  this.metadata.completedAt = new Date();
-  
-  // Update user analytics
-  await mongoose.model('User').updateOne(
-    { _id: this.user },
-    { $inc: { 'analytics.completedReminders': 1 } }
-  );
-  
-  return this.save();
+  if (claimed) {
+    this.metadata.completedAt = completedAt;
+    this.metadata.completedBy = completedBy;
+
+    // Update the analytics of whoever completed it
+    await mongoose.model('User').updateOne(
+      { _id: completedBy },
+      { $inc: { 'analytics.completedReminders': 1 } }
+    );
+  }
+
+  await this.save();
+  if (claimed) {
+    await this.createFollowUps();
+  }
+  return this;
+};
+
+/**
+ * Create the follow-ups of a completed reminder, each due its delay after
+ * the completion time. markCompleted calls it only for the completion
+ * that claimed the transition. Does nothing when they were created
+ * before, e.g. for a reminder that was reopened and completed again.
+ * Resolves to the new reminders.
+ */
+reminderSchema.methods.createFollowUps = async function() {
+  if (this.followUps.length === 0 || await this.constructor.exists({ followUpOf: this._id })) {
+    return [];
+  }
+
+  const completedAt = this.metadata.completedAt || new Date();
+  const created = [];
+  for (const followUp of this.followUps) {
+    const reminder = new this.constructor({
+      user: getId(this.user),
+      workspace: this.workspace,
+      title: followUp.title,
+      description: followUp.description,
+      scheduledTime: new Date(completedAt.getTime() + followUp.delay * 60 * 1000),
+      timezone: this.timezone,
+      tags: this.tags,
+      priority: followUp.priority || this.priority,
+      alerts: this.alerts,
+      followUpOf: this._id,
+      metadata: {
+        source: 'follow-up'
+      }
+    });
+    created.push(await reminder.save());
+  }
+
+  return created;
+};
+
+// Method to count the done and total items of the checklist
+reminderSchema.methods.getChecklistProgress = function() {
+  return {
+    done: this.checklist.filter(item => item.done).length,
+    total: this.checklist.length
+  };
+};
+
+// Method to check whether the checklist has items and all are done
+reminderSchema.methods.isChecklistDone = function() {
+  const { done, total } = this.getChecklistProgress();
+  return total > 0 && done === total;
+};
+
+// Method to get the first item that is not done yet
+reminderSchema.methods.getNextChecklistItem = function() {
+  return this.checklist.find(item => !item.done) || null;
+};
+
+// Method to check or uncheck a checklist item. Returns the item, or null
+// when there is none with that id.
+reminderSchema.methods.setChecklistItem = function(itemId, done, userId = null) {
+  const item = this.checklist.find(entry => String(entry._id) === String(itemId));
+  if (!item) return null;
+
+  item.done = done;
+  item.doneAt = done ? new Date() : undefined;
+  item.doneBy = done ? userId || getId(this.user) : undefined;
+  return item;
+};
+
+// Method to copy the checklist, unchecked, for a new reminder
+reminderSchema.methods.copyChecklist = function() {
+  return this.checklist.map(item => ({ text: item.text }));
 };
 
 // Method to snooze reminder
@@ -162,54 +517,269 @@ reminderSchema.methods.snooze = function(minutes = 15) {
   return this.save();
 };
 
+// Method to get the time the current notification is for
+reminderSchema.methods.getNotificationOccurrence = function() {
+  if (this.status === 'snoozed' && this.metadata.snoozeUntil) {
+    return this.metadata.snoozeUntil;
+  }
+  return this.scheduledTime;
+};
+
+// Method to list the alerts of the current occurrence, earliest first.
+// A snooze replaces them with a single alert at the snooze time.
+reminderSchema.methods.getAlertTimes = function() {
+  const occurrence = this.getNotificationOccurrence();
+  const alerts = this.status !== 'snoozed' && this.alerts && this.alerts.length > 0
+    ? this.alerts
+    : [{ offset: 0, channels: [] }];
+
+  return alerts
+    .map(alert => ({
+      at: new Date(occurrence.getTime() - alert.offset * 60 * 1000),
+      offset: alert.offset,
+      channels: alert.channels ? [...alert.channels] : []
+    }))
+    .sort((a, b) => a.at - b.at);
+};
+
+// Method to get the next alert still to send. Alerts missed while the
+// scheduler was down collapse into the latest one, so a late run sends
+// one notification rather than a burst of stale lead-time alerts.
+reminderSchema.methods.getNextAlert = function(now = new Date()) {
+  if (!['pending', 'snoozed'].includes(this.status)) return null;
+
+  const last = this.notifications.lastAlertAt;
+  const unsent = this.getAlertTimes().filter(alert => !last || alert.at > last);
+  const missed = unsent.filter(alert => alert.at <= now);
+
+  return missed.length > 0 ? missed[missed.length - 1] : unsent[0] || null;
+};
+
+// Method to get the settings of the alert with the given offset
+reminderSchema.methods.getAlert = function(offset = 0) {
+  const alert = (this.alerts || []).find(entry => entry.offset === offset);
+  return { offset, channels: alert && alert.channels ? [...alert.channels] : [] };
+};
+
+// Method to record the result of delivering through a channel (not saved)
+reminderSchema.methods.recordDelivery = function(channel, result) {
+  const now = new Date();
+  let delivery = this.notifications.deliveries.find(d => d.channel === channel);
+
+  if (!delivery) {
+    this.notifications.deliveries.push({ channel });
+    delivery = this.notifications.deliveries[this.notifications.deliveries.length - 1];
+  }
+
+  delivery.attemptedAt = now;
+  delivery.sent = !!result.success;
+  delivery.error = result.success ? undefined : result.error;
+  if (result.success) delivery.sentAt = now;
+
+  return delivery;
+};
+
+// Method to get the recurrence rule of this reminder
+reminderSchema.methods.getRecurrenceRule = function() {
+  if (!this.recurrence || this.recurrence.type === 'none') return null;
+
+  return this.recurrence.rrule
+    ? RecurrenceRule.parse(this.recurrence.rrule)
+    : RecurrenceRule.fromLegacy(this.recurrence);
+};
+
+// Method to expand the series on the wall clock of the reminder's timezone
+reminderSchema.methods.expandRecurrence = function(expand) {
+  const rule = this.getRecurrenceRule();
+  if (!rule) return null;
+
+  const timezone = this.timezone || 'UTC';
+  const toZoned = date => toZonedTime(date, timezone);
+
+  // UNTIL is an instant, so compare it on the same wall clock as occurrences
+  if (rule.until) {
+    rule.until = toZoned(rule.until);
+  }
+
+  const dates = expand(rule, {
+    dtstart: toZoned(this.recurrence.dtstart || this.scheduledTime),
+    exdates: (this.recurrence.exdates || []).map(toZoned),
+    toZoned
+  });
+
+  return [].concat(dates)
+    .filter(Boolean)
+    .map(date => fromZonedTime(date, timezone));
+};
+
 // Method to generate next occurrence for recurring reminders
 reminderSchema.methods.generateNextOccurrence = function() {
-  if (this.recurrence.type === 'none') return null;
-  
-  const next = new Date(this.scheduledTime);
-  
-  switch (this.recurrence.type) {
-    case 'daily':
-      next.setDate(next.getDate() + this.recurrence.interval);
-      break;
-    case 'weekly':
-      next.setDate(next.getDate() + (7 * this.recurrence.interval));
-      break;
-    case 'monthly':
-      next.setMonth(next.getMonth() + this.recurrence.interval);
-      break;
-    case 'yearly':
-      next.setFullYear(next.getFullYear() + this.recurrence.interval);
-      break;
+  // Returns null once UNTIL or COUNT is exhausted
+  const occurrences = this.expandRecurrence((rule, { dtstart, exdates, toZoned }) =>
+    rule.next(dtstart, toZoned(this.scheduledTime), exdates)
+  );
+
+  return occurrences && occurrences.length > 0 ? occurrences[0] : null;
+};
+
+// Method to list occurrences of the series within a date range
+reminderSchema.methods.getOccurrences = function(from, to, limit = 100) {
+  const occurrences = this.expandRecurrence((rule, { dtstart, exdates, toZoned }) =>
+    rule.between(dtstart, toZoned(from), toZoned(to), exdates, limit)
+  );
+
+  if (!occurrences) {
+    return this.scheduledTime >= from && this.scheduledTime <= to ? [this.scheduledTime] : [];
   }
-  
-  // Check if we've exceeded the end date or max occurrences
-  if (this.recurrence.endDate && next > this.recurrence.endDate) {
-    return null;
+
+  return occurrences;
+};
+
+// Method to get a participant's role: 'owner', 'editor', 'viewer' or null.
+// In a workspace, given the user's role there, admins act as owners of
+// every reminder and members as editors.
+reminderSchema.methods.getRole = function(userId, workspaceRole = null) {
+  if (sameId(this.user, userId)) {
+    return 'owner';
   }
-  
-  return next;
+
+  if (this.workspace && workspaceRole) {
+    return ['owner', 'admin'].includes(workspaceRole) ? 'owner' : 'editor';
+  }
+
+  const collaborator = this.sharing.collaborators.find(entry => sameId(entry.user, userId));
+  return collaborator ? collaborator.role : null;
+};
+
+// Method to check whether a participant may change the reminder
+reminderSchema.methods.canEdit = function(userId, workspaceRole = null) {
+  return ['owner', 'editor'].includes(this.getRole(userId, workspaceRole));
+};
+
+// Method to check whether a participant may complete or snooze the
+// reminder; besides editors, the assignee may
+reminderSchema.methods.canComplete = function(userId, workspaceRole = null) {
+  return this.canEdit(userId, workspaceRole) || sameId(this.sharing.assignee, userId);
+};
+
+// Method to list the ids of the owner and everyone the reminder is shared with
+reminderSchema.methods.getParticipantIds = function() {
+  return [this.user, ...this.sharing.collaborators.map(entry => entry.user)].map(getId);
+};
+
+// Method to share the reminder with a user, or change their role
+reminderSchema.methods.addCollaborator = function(userId, role = 'viewer', addedBy = null) {
+  const existing = this.sharing.collaborators.find(entry => sameId(entry.user, userId));
+  if (existing) {
+    existing.role = role;
+    return existing;
+  }
+
+  if (this.sharing.collaborators.length >= MAX_COLLABORATORS) {
+    throw new Error(`A reminder can be shared with at most ${MAX_COLLABORATORS} people`);
+  }
+
+  this.sharing.collaborators.push({ user: userId, role, addedBy });
+  return this.sharing.collaborators[this.sharing.collaborators.length - 1];
+};
+
+// Method to stop sharing the reminder with a user; they lose the
+// assignment too
+reminderSchema.methods.removeCollaborator = function(userId) {
+  const count = this.sharing.collaborators.length;
+  this.sharing.collaborators = this.sharing.collaborators.filter(entry => !sameId(entry.user, userId));
+
+  if (sameId(this.sharing.assignee, userId)) {
+    this.sharing.assignee = undefined;
+  }
+
+  return this.sharing.collaborators.length < count;
 };
 
-// Method to create share token
-reminderSchema.methods.createShareToken = function(expirationHours = 24) {
+/**
+ * Create a signed link token for a one-click email action on the current
+ * occurrence. The token is bound to the occurrence, so it stops working
+ * once the reminder is completed, snoozed or rescheduled; ActionToken
+ * makes it single-use on top of that.
+ * @param {string} action - One of EMAIL_ACTIONS
+ * @param {Object} options - { minutes } for snooze, { expirationHours }
+ */
+reminderSchema.methods.createActionToken = function(action, options = {}) {
   const jwt = require('jsonwebtoken');
-  const shareToken = jwt.sign(
-    { 
+  const crypto = require('crypto');
+  const { minutes, expirationHours = parseInt(process.env.ACTION_LINK_HOURS, 10) || 72 } = options;
+
+  return jwt.sign(
+    {
       reminderId: this._id,
-      sharedBy: this.user,
-      type: 'reminder_share'
+      action,
+      ...(action === 'snooze' && { minutes }),
+      occurrence: this.getNotificationOccurrence().getTime(),
+      type: 'reminder_action'
     },
     process.env.JWT_SECRET,
-    { expiresIn: `${expirationHours}h` }
+    {
+      expiresIn: `${expirationHours}h`,
+      audience: ACTION_TOKEN_AUDIENCE,
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
   );
-  
-  this.sharing.isShared = true;
-  this.sharing.shareToken = shareToken;
-  this.sharing.sharedAt = new Date();
-  this.sharing.expiresAt = new Date(Date.now() + expirationHours * 60 * 60 * 1000);
-  
-  return shareToken;
+};
+
+/**
+ * Verify an action link token. Resolves to its payload, or null when the
+ * signature is invalid, the token expired or the action is unknown.
+ * @param {string} token - Token from createActionToken()
+ */
+reminderSchema.statics.verifyActionToken = function(token) {
+  const jwt = require('jsonwebtoken');
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: ACTION_TOKEN_AUDIENCE });
+    if (payload.type !== 'reminder_action' || !EMAIL_ACTIONS.includes(payload.action)) return null;
+    if (payload.action === 'snooze' && !EMAIL_SNOOZE_MINUTES.includes(payload.minutes)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verify a share token from before share links were stored as ShareLink
+ * records. Such tokens were JWTs saved on the reminder; they open the
+ * reminder read-only until they expire. Resolves to the payload, or null.
+ * @param {string} token - Token from a legacy share link
+ */
+reminderSchema.statics.verifyLegacyShareToken = function(token) {
+  const jwt = require('jsonwebtoken');
+
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET);
+    return payload.type === 'reminder_share' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Method to check whether an action token still refers to this
+// reminder's current occurrence
+reminderSchema.methods.acceptsActionToken = function(payload) {
+  return ['pending', 'snoozed'].includes(this.status) &&
+    this.getNotificationOccurrence().getTime() === payload.occurrence;
+};
+
+// Method to move the reminder to the same time of day tomorrow, on the
+// wall clock of its timezone
+reminderSchema.methods.rescheduleToTomorrow = function(now = new Date()) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const timezone = this.timezone || 'UTC';
+  const today = Math.floor(toZonedTime(now, timezone).getTime() / dayMs) * dayMs;
+  const timeOfDay = toZonedTime(this.scheduledTime, timezone).getTime() % dayMs;
+
+  this.scheduledTime = fromZonedTime(new Date(today + dayMs + timeOfDay), timezone);
+  this.status = 'pending';
+  this.metadata.snoozeUntil = undefined;
+  return this.save();
 };
 
 // Method to increment view count
@@ -219,30 +789,383 @@ reminderSchema.methods.incrementView = function() {
   return this.save();
 };
 
-// Static method to find due reminders
-reminderSchema.statics.findDueReminders = function() {
-  const now = new Date();
+// Static method to find reminders with an alert due by `before`. Blocked
+// reminders are left out until their dependencies are completed.
+// Use claimOccurrence() before notifying one.
+reminderSchema.statics.findDueReminders = function({ before = new Date(), limit = 500 } = {}) {
   return this.find({
-    $or: [
+    status: { $in: ['pending', 'snoozed'] },
+    blocked: { $ne: true },
+    'notifications.nextAlertAt': { $lte: before }
+  })
+    .sort({ 'notifications.nextAlertAt': 1 })
+    .limit(limit);
+};
+
+/**
+ * Atomically claim the next alert of a due reminder for `owner`.
+ * Resolves to the claimed reminder with its user populated, or null when
+ * the reminder changed, the alert was already sent, or it is leased elsewhere.
+ * @param {Object} reminder - Due reminder
+ * @param {string} owner - Id of the claiming process
+ * @param {number} leaseMs - How long the claim is held
+ */
+reminderSchema.statics.claimOccurrence = function(reminder, owner, leaseMs = DEFAULT_LEASE_MS) {
+  const now = new Date();
+  const alert = reminder.getNextAlert(now);
+  if (!alert || alert.at > now) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    {
+      _id: reminder._id,
+      status: reminder.status,
+      blocked: { $ne: true },
+      'notifications.nextAlertAt': reminder.notifications.nextAlertAt,
+      $or: [
+        { 'notifications.lease.expiresAt': null },
+        { 'notifications.lease.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'notifications.nextAlertAt': alert.at,
+        'notifications.lease': {
+          occurrence: reminder.getNotificationOccurrence(),
+          alertAt: alert.at,
+          offset: alert.offset,
+          owner,
+          expiresAt: new Date(now.getTime() + leaseMs)
+        }
+      }
+    },
+    { new: true }
+  ).populate('user', 'username email notifications profile');
+};
+
+// Method to mark the claimed alert sent, move on to the next one and drop
+// the claim. A notified snooze puts the reminder back to pending.
+// Resolves to false when the reminder was rescheduled in the meantime.
+reminderSchema.methods.releaseOccurrence = async function(owner) {
+  const lease = this.notifications.lease;
+  if (!lease || !lease.alertAt) return false;
+
+  const { alertAt, occurrence } = lease;
+  const update = {
+    $set: { 'notifications.lastAlertAt': alertAt },
+    $unset: { 'notifications.lease': 1 }
+  };
+
+  this.notifications.lastAlertAt = alertAt;
+  if (this.status === 'snoozed' && this.metadata.snoozeUntil &&
+      this.metadata.snoozeUntil.getTime() === occurrence.getTime()) {
+    this.status = 'pending';
+    this.metadata.snoozeUntil = undefined;
+    update.$set.status = 'pending';
+    update.$unset['metadata.snoozeUntil'] = 1;
+  }
+
+  const next = this.getNextAlert();
+  update.$set['notifications.nextAlertAt'] = next ? next.at : null;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'notifications.lease.owner': owner, 'notifications.nextAlertAt': alertAt },
+    update
+  );
+
+  if (result.modifiedCount === 0) {
+    // Rescheduled while being notified; keep the schedule it was saved with
+    await this.constructor.updateOne(
+      { _id: this._id, 'notifications.lease.owner': owner },
       {
-        status: 'pending',
-        scheduledTime: { $lte: now }
-      },
+        $max: { 'notifications.lastAlertAt': alertAt },
+        $unset: { 'notifications.lease': 1 }
+      }
+    );
+    return false;
+  }
+
+  this.notifications.nextAlertAt = next ? next.at : null;
+  this.notifications.lease = undefined;
+  return true;
+};
+
+/**
+ * Start escalating an occurrence that was just notified. Only applies
+ * while the reminder is still pending on that occurrence.
+ * @param {Object} reminder - Reminder document
+ * @param {Date} occurrence - Occurrence that was notified
+ * @param {Date} nextAt - Time of the first escalation
+ */
+reminderSchema.statics.startEscalation = function(reminder, occurrence, nextAt) {
+  return this.updateOne(
+    { _id: reminder._id, status: 'pending' },
+    {
+      $set: {
+        'escalation.occurrence': occurrence,
+        'escalation.level': 0,
+        'escalation.nextAt': nextAt
+      }
+    }
+  );
+};
+
+// Static method to find pending reminders with an escalation due
+reminderSchema.statics.findDueEscalations = function(limit = 100) {
+  return this.find({
+    status: 'pending',
+    'escalation.nextAt': { $lte: new Date() }
+  })
+    .sort({ 'escalation.nextAt': 1 })
+    .limit(limit)
+    .populate('user', 'username email notifications profile');
+};
+
+/**
+ * Atomically claim a due escalation by pushing it out by the lease time,
+ * so only one process sends it. Resolves to true when claimed.
+ * @param {Object} reminder - Reminder found by findDueEscalations()
+ * @param {number} leaseMs - How long the claim is held
+ */
+reminderSchema.statics.claimEscalation = async function(reminder, leaseMs = DEFAULT_LEASE_MS) {
+  const nextAt = new Date(Date.now() + leaseMs);
+  const result = await this.updateOne(
+    {
+      _id: reminder._id,
+      status: 'pending',
+      'escalation.level': reminder.escalation.level,
+      'escalation.nextAt': reminder.escalation.nextAt
+    },
+    { $set: { 'escalation.nextAt': nextAt } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Method to put the next escalation off until `until`
+reminderSchema.methods.postponeEscalation = function(until) {
+  return this.constructor.updateOne(
+    { _id: this._id, status: 'pending', 'escalation.level': this.escalation.level },
+    { $set: { 'escalation.nextAt': until } }
+  );
+};
+
+// Method to stop escalating the current occurrence
+reminderSchema.methods.stopEscalation = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $unset: { 'escalation.nextAt': 1 } }
+  );
+};
+
+/**
+ * Record a sent escalation and schedule the next one, unless the reminder
+ * was acknowledged in the meantime
+ * @param {Object} entry - History entry { level, channel, sent, error }
+ * @param {Date|null} nextAt - Time of the next escalation, null to stop
+ */
+reminderSchema.methods.recordEscalation = async function(entry, nextAt) {
+  const update = {
+    $set: { 'escalation.level': entry.level },
+    $push: {
+      'escalation.history': {
+        $each: [{ ...entry, occurrence: this.escalation.occurrence, sentAt: new Date() }],
+        $slice: -50
+      }
+    }
+  };
+
+  if (nextAt) {
+    update.$set['escalation.nextAt'] = nextAt;
+  } else {
+    update.$unset = { 'escalation.nextAt': 1 };
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id, status: 'pending', 'escalation.level': entry.level - 1, 'escalation.nextAt': { $ne: null } },
+    update
+  );
+};
+
+// Method to put the claimed alert off until `until` and drop the claim.
+// Resolves to false when the reminder was rescheduled in the meantime.
+reminderSchema.methods.deferOccurrence = async function(owner, until) {
+  const lease = this.notifications.lease;
+  if (!lease || !lease.alertAt) return false;
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'notifications.lease.owner': owner, 'notifications.nextAlertAt': lease.alertAt },
+    {
+      $set: { 'notifications.nextAlertAt': until },
+      $unset: { 'notifications.lease': 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    await this.constructor.updateOne(
+      { _id: this._id, 'notifications.lease.owner': owner },
+      { $unset: { 'notifications.lease': 1 } }
+    );
+    return false;
+  }
+
+  this.notifications.nextAlertAt = until;
+  this.notifications.lease = undefined;
+  return true;
+};
+
+// Static method to check whether any of the given reminders is not
+// completed yet, i.e. whether a reminder depending on them is blocked
+reminderSchema.statics.hasOpenDependencies = async function(ids) {
+  if (!ids || ids.length === 0) return false;
+  return !!(await this.exists({ _id: { $in: ids }, status: { $ne: 'completed' } }));
+};
+
+/**
+ * Update whether the reminders depending on a reminder are blocked, after
+ * its status changed. When it was deleted, pass `removed` to drop it from
+ * their dependencies as well. Resolves to the number of dependents.
+ * @param {string} reminderId - Id of the reminder they depend on
+ * @param {Object} options - { removed }
+ */
+reminderSchema.statics.refreshDependents = async function(reminderId, { removed = false } = {}) {
+  const dependents = await this.find({ dependsOn: reminderId }).select('dependsOn blocked');
+  if (removed && dependents.length > 0) {
+    await this.updateMany({ dependsOn: reminderId }, { $pull: { dependsOn: reminderId } });
+  }
+
+  for (const dependent of dependents) {
+    const ids = removed
+      ? dependent.dependsOn.filter(id => String(id) !== String(reminderId))
+      : dependent.dependsOn;
+    const blocked = await this.hasOpenDependencies(ids);
+
+    if (blocked !== dependent.blocked) {
+      await this.updateOne({ _id: dependent._id }, { $set: { blocked } });
+    }
+  }
+
+  return dependents.length;
+};
+
+/**
+ * Delete the reminder with what refers to it: its share links and its
+ * place in the dependencies of other reminders. Every delete goes
+ * through here so the document delete hooks run as well.
+ */
+reminderSchema.methods.deleteWithCleanup = async function() {
+  await this.deleteOne();
+  await ShareLink.deleteMany({ reminder: this._id });
+  // Reminders waiting on it no longer do
+  await this.constructor.refreshDependents(this._id, { removed: true });
+  return this;
+};
+
+// Static method to delete every reminder matching a filter, one by one
+// with deleteWithCleanup. Resolves to the deleted reminders.
+reminderSchema.statics.deleteManyWithCleanup = async function(filter) {
+  const reminders = await this.find(filter);
+  for (const reminder of reminders) {
+    await reminder.deleteWithCleanup();
+  }
+  return reminders;
+};
+
+/**
+ * Look for the dependency cycle that making a reminder depend on others
+ * would close. Resolves to the ids along the cycle, starting with the
+ * reminder and in dependency order, or null when there is none.
+ * @param {string} reminderId - Reminder being changed
+ * @param {Array} dependsOn - Ids it is to depend on
+ */
+reminderSchema.statics.findDependencyCycle = async function(reminderId, dependsOn) {
+  const target = String(reminderId);
+  // Each reminder reached, with the one it was reached from
+  const reachedFrom = new Map(dependsOn.map(id => [String(id), target]));
+  let frontier = [...reachedFrom.keys()];
+
+  while (frontier.length > 0 && !reachedFrom.has(target) && reachedFrom.size < MAX_DEPENDENCY_SEARCH) {
+    const reminders = await this.find({ _id: { $in: frontier } }).select('dependsOn').lean();
+    frontier = [];
+
+    for (const reminder of reminders) {
+      for (const dependency of reminder.dependsOn || []) {
+        const id = String(dependency);
+        if (!reachedFrom.has(id)) {
+          reachedFrom.set(id, String(reminder._id));
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  if (!reachedFrom.has(target)) return null;
+
+  const cycle = [];
+  for (let id = reachedFrom.get(target); id !== target; id = reachedFrom.get(id)) {
+    cycle.unshift(id);
+  }
+  return [target, ...cycle];
+};
+
+/**
+ * Fill in the alert schedule of reminders saved before alerts existed
+ */
+reminderSchema.statics.backfillAlerts = async function() {
+  let updated = 0;
+  const cursor = this.find({
+    status: { $in: ['pending', 'snoozed'] },
+    'notifications.nextAlertAt': { $exists: false }
+  }).lean().cursor();
+
+  for await (const raw of cursor) {
+    const reminder = this.hydrate(raw);
+    reminder.notifications.lastAlertAt = raw.notifications && raw.notifications.notifiedOccurrence;
+    const alert = reminder.getNextAlert();
+
+    await this.updateOne(
+      { _id: raw._id, 'notifications.nextAlertAt': { $exists: false } },
       {
-        status: 'snoozed',
-        'metadata.snoozeUntil': { $lte: now }
+        $set: {
+          'notifications.nextAlertAt': alert ? alert.at : null,
+          'notifications.lastAlertAt': reminder.notifications.lastAlertAt
+        },
+        $unset: { 'notifications.notifiedOccurrence': 1 }
       }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+// Static method to build a query matching reminders a user owns or that
+// are shared with them
+reminderSchema.statics.accessibleBy = function(userId) {
+  return {
+    $or: [
+      { user: userId },
+      { 'sharing.collaborators.user': userId }
     ]
-  }).populate('user', 'username email notifications profile');
+  };
+};
+
+// Static method to build a query matching the reminders of a workspace,
+// or without one, the user's personal reminders
+reminderSchema.statics.scopedTo = function(userId, workspaceId = null) {
+  if (workspaceId) {
+    return { workspace: workspaceId };
+  }
+
+  return { ...this.accessibleBy(userId), workspace: null };
 };
 
 // Static method to find upcoming reminders
-reminderSchema.statics.findUpcomingReminders = function(userId, hours = 24) {
+reminderSchema.statics.findUpcomingReminders = function(userId, hours = 24, workspaceId = null) {
   const now = new Date();
   const future = new Date(now.getTime() + hours * 60 * 60 * 1000);
   
   return this.find({
-    user: userId,
+    ...this.scopedTo(userId, workspaceId),
     status: 'pending',
     scheduledTime: { $gte: now, $lte: future }
   }).sort({ scheduledTime: 1 });
@@ -256,7 +1179,7 @@ reminderSchema.statics.getUserStats = async function(userId, days = 30) {
   const stats = await this.aggregate([
     {
       $match: {
-        user: mongoose.Types.ObjectId(userId),
+        user: new mongoose.Types.ObjectId(userId),
         createdAt: { $gte: startDate }
       }
     },
@@ -304,6 +1227,79 @@ reminderSchema.statics.getUserStats = async function(userId, days = 30) {
   };
 };
 
+// Pre-validate middleware to normalize recurrence into an RRULE
+reminderSchema.pre('validate', function(next) {
+  if (!this.recurrence || (!this.recurrence.rrule && this.recurrence.type === 'none')) {
+    return next();
+  }
+
+  try {
+    const rule = this.recurrence.rrule
+      ? RecurrenceRule.parse(this.recurrence.rrule)
+      : RecurrenceRule.fromLegacy(this.recurrence);
+
+    // An explicit calendar choice overrides the rule's RSCALE
+    if (this.recurrence.calendar) {
+      rule.rscale = this.recurrence.calendar === 'jalali' ? 'PERSIAN' : 'GREGORIAN';
+    }
+
+    // Keep the legacy fields in step so existing queries keep working
+    this.recurrence.rrule = rule.toString();
+    this.recurrence.type = rule.freq.toLowerCase();
+    this.recurrence.interval = rule.interval;
+    this.recurrence.calendar = rule.rscale === 'PERSIAN' ? 'jalali' : 'gregorian';
+    this.recurrence.daysOfWeek = rule.byDay
+      .filter(entry => entry.n === null)
+      .map(entry => entry.weekday);
+    this.recurrence.endDate = rule.until || undefined;
+    this.recurrence.maxOccurrences = rule.count || undefined;
+
+    if (!this.recurrence.dtstart) {
+      this.recurrence.dtstart = this.scheduledTime;
+    }
+  } catch (error) {
+    this.invalidate('recurrence.rrule', error.message, this.recurrence.rrule);
+  }
+
+  next();
+});
+
+// Pre-save middleware to work out the next alert when the schedule changes.
+// Completing, snoozing or rescheduling also acknowledges an escalation.
+reminderSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('scheduledTime') || this.isModified('status') ||
+      this.isModified('alerts') || this.isModified('metadata.snoozeUntil')) {
+    const alert = this.getNextAlert();
+    this.notifications.nextAlertAt = alert ? alert.at : null;
+
+    if (!this.isNew) {
+      this.escalation.nextAt = undefined;
+    }
+  }
+
+  next();
+});
+
+// Pre-save middleware to work out whether the reminder is blocked when its
+// dependencies change, and to note status changes for its dependents
+reminderSchema.pre('save', async function(next) {
+  if (this.isModified('dependsOn')) {
+    this.blocked = await this.constructor.hasOpenDependencies(this.dependsOn);
+  }
+
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  next();
+});
+
+// Post-save middleware to unblock or block the reminders depending on this
+// one once it is completed or reopened
+reminderSchema.post('save', async function(doc) {
+  if (!doc.$locals.statusChanged) return;
+
+  await doc.constructor.refreshDependents(doc._id)
+    .catch(error => console.error(`Failed to update the dependents of reminder ${doc._id}:`, error));
+});
+
 // Pre-save middleware to update user analytics
 reminderSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -315,21 +1311,40 @@ reminderSchema.pre('save', async function(next) {
   next();
 });
 
-// Pre-remove middleware to update user analytics
-reminderSchema.pre('remove', async function(next) {
-  await mongoose.model('User').updateOne(
-    { _id: this.user },
-    { $inc: { 'analytics.totalReminders': -1 } }
+// Pre-delete middleware to update user analytics and remove the calendar
+// events of a deleted reminder on the next sync
+reminderSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+  const User = mongoose.model('User');
+  const events = {
+    'integrations.googleCalendar.sync.deletedEventIds': this.get('calendar.googleEventId'),
+    'integrations.outlookCalendar.sync.deletedEventIds': this.get('calendar.outlook.eventId')
+  };
+  const deleted = Object.fromEntries(Object.entries(events).filter(([, eventId]) => eventId));
+
+  await User.updateOne(
+    { _id: getId(this.user) },
+    {
+      $inc: { 'analytics.totalReminders': -1 },
+      ...(Object.keys(deleted).length > 0 && { $addToSet: deleted })
+    }
   );
-  
+
+  // Completions count for whoever completed it
   if (this.status === 'completed') {
-    await mongoose.model('User').updateOne(
-      { _id: this.user },
+    await User.updateOne(
+      { _id: this.metadata.completedBy || getId(this.user) },
       { $inc: { 'analytics.completedReminders': -1 } }
     );
   }
-  
+
   next();
 });
 
-module.exports = mongoose.model('Reminder', reminderSchema);
\ No newline at end of file
+module.exports = mongoose.model('Reminder', reminderSchema);
+module.exports.MAX_ALERT_OFFSET = MAX_ALERT_OFFSET;
+module.exports.EMAIL_SNOOZE_MINUTES = EMAIL_SNOOZE_MINUTES;
+module.exports.SHARE_ROLES = SHARE_ROLES;
+module.exports.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+module.exports.MAX_DEPENDENCIES = MAX_DEPENDENCIES;
+module.exports.MAX_FOLLOW_UPS = MAX_FOLLOW_UPS;
+module.exports.MAX_FOLLOW_UP_DELAY = MAX_FOLLOW_UP_DELAY;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+/**
+ * Public link to a reminder. Links are kept on the server so they can be
+ * revoked, protected with a password and limited to a number of views.
+ */
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reminder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  // Views allowed before the link stops working; null for no limit
+  maxViews: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  // Whether visitors may copy the reminder into their own account
+  allowImport: {
+    type: Boolean,
+    default: true
+  },
+  importCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Query matching links that have not expired or been revoked
+const liveQuery = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Method to set or clear the link's password
+shareLinkSchema.methods.setPassword = async function(password) {
+  this.passwordHash = password ? await bcrypt.hash(password, 10) : null;
+};
+
+// Method to check a visitor's password; links without one accept any
+shareLinkSchema.methods.checkPassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(true);
+  if (!password) return Promise.resolve(false);
+  return bcrypt.compare(String(password), this.passwordHash);
+};
+
+// Method to check whether the link can still be viewed
+shareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    (this.maxViews === null || this.viewCount < this.maxViews);
+};
+
+// Method to revoke the link
+shareLinkSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static method to create a link to a reminder. Resolves to the saved link.
+shareLinkSchema.statics.createFor = async function(reminder, createdBy, options = {}) {
+  const { expirationHours = 24, password = null, maxViews = null, allowImport = true } = options;
+
+  const link = new this({
+    token: crypto.randomBytes(24).toString('hex'),
+    reminder: reminder._id,
+    createdBy,
+    maxViews,
+    allowImport,
+    expiresAt: new Date(Date.now() + expirationHours * 60 * 60 * 1000)
+  });
+  await link.setPassword(password);
+
+  return link.save();
+};
+
+// Static method to find a link that has not expired or been revoked.
+// Its view limit is not checked; see recordView().
+shareLinkSchema.statics.findLive = function(token) {
+  return this.findOne({ token: String(token), ...liveQuery() });
+};
+
+// Static method to count a view of a link, unless it has used up its views.
+// Resolves to the updated link, or null when it can no longer be viewed.
+shareLinkSchema.statics.recordView = function(link) {
+  return this.findOneAndUpdate(
+    {
+      _id: link._id,
+      ...liveQuery(),
+      $or: [
+        { maxViews: null },
+        { $expr: { $lt: ['$viewCount', '$maxViews'] } }
+      ]
+    },
+    {
+      $inc: { viewCount: 1 },
+      $set: { lastViewedAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+// Static method to list the links of a reminder that still work
+shareLinkSchema.statics.findActiveFor = async function(reminderId) {
+  const links = await this.find({ reminder: reminderId, ...liveQuery() }).sort({ createdAt: -1 });
+  return links.filter(link => link.isActive());
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -1,5 +1,81 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isValidTime } = require('../utils/quietHours');
+
+const CHANNELS = ['push', 'email', 'telegram', 'sms', 'webhook'];
+const channelName = { type: String, enum: CHANNELS };
+const MAX_PUSH_DEVICES = 10;
+
+// Account on an external calendar provider (see services/calendarProviders)
+const calendarAccount = () => ({
+  connected: { type: Boolean, default: false },
+  refreshToken: String,
+  accessToken: String,
+  // When the access token expires, for providers refreshed by hand
+  expiresAt: Date,
+  calendarId: String,
+  // Push reminders that are not on the calendar yet when syncing
+  autoSync: { type: Boolean, default: false },
+  // Side that wins when a reminder and its event both changed
+  conflictPolicy: {
+    type: String,
+    enum: ['newest', 'reminder', 'calendar'],
+    default: 'newest'
+  },
+  sync: {
+    // Provider sync token; without one the next sync lists every event
+    token: String,
+    lastRunAt: Date,
+    lastSuccessAt: Date,
+    error: String,
+    stats: {
+      created: Number,
+      updated: Number,
+      deleted: Number,
+      pushed: Number,
+      conflicts: Number,
+      errors: Number
+    },
+    // Events of deleted reminders, removed from the calendar on the next sync
+    deletedEventIds: [String]
+  }
+});
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  endpoint: { type: String, required: true },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  deviceName: { type: String, trim: true, maxlength: 100 },
+  userAgent: { type: String, maxlength: 500 },
+  enabled: { type: Boolean, default: true },
+  lastSuccessAt: Date,
+  lastFailureAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A weekly quiet window on the user's wall clock, e.g. 22:00-07:00
+const quietWindowSchema = new mongoose.Schema({
+  // Weekdays the window starts on (0 = Sunday)
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: () => [0, 1, 2, 3, 4, 5, 6]
+  },
+  start: {
+    type: String,
+    required: true,
+    validate: { validator: isValidTime, message: 'Invalid time' }
+  },
+  end: {
+    type: String,
+    required: true,
+    validate: { validator: isValidTime, message: 'Invalid time' }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,22 +104,107 @@ const userSchema = new mongoose.Schema({
     avatar: { type: String },
     language: { type: String, enum: ['en', 'fa'], default: 'fa' },
     theme: { type: String, enum: ['light', 'dark'], default: 'light' },
-    timezone: { type: String, default: 'Asia/Tehran' }
+    timezone: {
+      type: String,
+      default: 'Asia/Tehran',
+      validate: { validator: isValidTimeZone, message: 'Invalid timezone' }
+    }
   },
   notifications: {
     webPush: {
       enabled: { type: Boolean, default: true },
+      // One push subscription per device
+      subscriptions: [pushSubscriptionSchema],
+      // Legacy single subscription, moved into `subscriptions` on save
       subscription: {
         endpoint: String,
         keys: {
           p256dh: String,
           auth: String
         }
-      }
+      },
+      verifiedAt: Date
     },
     email: {
       enabled: { type: Boolean, default: true },
-      fallback: { type: Boolean, default: true }
+      fallback: { type: Boolean, default: true },
+      verifiedAt: Date
+    },
+    telegram: {
+      enabled: { type: Boolean, default: false },
+      chatId: { type: String, trim: true },
+      verifiedAt: Date
+    },
+    sms: {
+      enabled: { type: Boolean, default: false },
+      phoneNumber: { type: String, trim: true },
+      verifiedAt: Date
+    },
+    webhook: {
+      enabled: { type: Boolean, default: false },
+      url: { type: String, trim: true },
+      secret: String,
+      verifiedAt: Date
+    },
+    // Channels to notify through for each reminder priority
+    priorities: {
+      low: { type: [channelName], default: () => [...CHANNELS] },
+      medium: { type: [channelName], default: () => [...CHANNELS] },
+      high: { type: [channelName], default: () => [...CHANNELS] },
+      urgent: { type: [channelName], default: () => [...CHANNELS] }
+    },
+    // Re-notify about due reminders that are not completed or snoozed
+    escalation: {
+      enabled: { type: Boolean, default: true },
+      priorities: {
+        type: [{ type: String, enum: ['low', 'medium', 'high', 'urgent'] }],
+        default: () => ['high', 'urgent']
+      },
+      // Minutes to wait for an acknowledgement before each escalation
+      windowMinutes: { type: Number, default: 15, min: 1, max: 1440 },
+      // Channels tried in turn, one per escalation
+      channels: { type: [channelName], default: () => ['push', 'email', 'webhook'] },
+      // Minutes between further rounds once every channel was tried; 0 stops
+      repeatMinutes: { type: Number, default: 0, min: 0, max: 1440 },
+      maxEscalations: { type: Number, default: 3, min: 1, max: 20 }
+    },
+    // Times of day notifications are held back, in the profile timezone
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      windows: {
+        type: [quietWindowSchema],
+        default: () => [{ start: '22:00', end: '07:00' }]
+      },
+      // 'defer' holds notifications until the window ends, 'silent' sends
+      // them as silent push only
+      action: { type: String, enum: ['defer', 'silent'], default: 'defer' },
+      // Let urgent reminders through quiet hours and do-not-disturb
+      allowUrgent: { type: Boolean, default: true }
+    },
+    // Temporary do-not-disturb, on until this time
+    doNotDisturb: {
+      until: Date
+    },
+    // Summary emails, sent at a time of day in the profile timezone
+    digest: {
+      daily: {
+        enabled: { type: Boolean, default: false },
+        time: { type: String, default: '07:00', validate: { validator: isValidTime, message: 'Invalid time' } },
+        lastSentAt: Date
+      },
+      weekly: {
+        enabled: { type: Boolean, default: false },
+        // Weekday to send on (0 = Sunday)
+        day: { type: Number, default: 6, min: 0, max: 6 },
+        time: { type: String, default: '08:00', validate: { validator: isValidTime, message: 'Invalid time' } },
+        lastSentAt: Date
+      },
+      // Priorities whose reminders reach email only through the daily
+      // digest while it is on
+      priorities: {
+        type: [{ type: String, enum: ['low', 'medium', 'high', 'urgent'] }],
+        default: () => ['low']
+      }
     }
   },
   security: {
@@ -57,11 +218,22 @@ const userSchema = new mongoose.Schema({
     lockUntil: Date
   },
   integrations: {
-    googleCalendar: {
-      connected: { type: Boolean, default: false },
-      refreshToken: String,
-      accessToken: String,
-      calendarId: String
+    googleCalendar: calendarAccount(),
+    outlookCalendar: calendarAccount(),
+    // Secret part of the user's inbound address for emailing in reminders
+    inboundEmail: {
+      token: String,
+      createdAt: Date
+    },
+    // Secret part of the user's private iCalendar feed URL
+    icalFeed: {
+      token: String,
+      createdAt: Date
+    },
+    // App password for CalDAV clients, stored as a SHA-256 hash
+    caldav: {
+      passwordHash: String,
+      createdAt: Date
     }
   },
   analytics: {
@@ -78,6 +250,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ username: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ 'analytics.lastActive': 1 });
+userSchema.index({ 'integrations.inboundEmail.token': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'integrations.icalFeed.token': 1 }, { unique: true, sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -97,6 +271,59 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Move the legacy single push subscription into the device list
+userSchema.pre('save', function(next) {
+  this.getPushSubscriptions();
+  next();
+});
+
+// Method to get push subscriptions, adopting a legacy subscription
+userSchema.methods.getPushSubscriptions = function() {
+  const webPush = this.notifications.webPush;
+  const legacy = webPush.subscription;
+
+  if (legacy && legacy.endpoint) {
+    if (!webPush.subscriptions.some(s => s.endpoint === legacy.endpoint)) {
+      webPush.subscriptions.push({
+        endpoint: legacy.endpoint,
+        keys: { p256dh: legacy.keys.p256dh, auth: legacy.keys.auth }
+      });
+    }
+    webPush.subscription = undefined;
+  }
+
+  return webPush.subscriptions;
+};
+
+// Method to add or refresh a device's push subscription
+userSchema.methods.addPushSubscription = function(subscription, device = {}) {
+  const subscriptions = this.getPushSubscriptions();
+  let entry = subscriptions.find(s => s.endpoint === subscription.endpoint);
+
+  if (entry) {
+    entry.keys = subscription.keys;
+    entry.enabled = true;
+  } else {
+    subscriptions.push({ endpoint: subscription.endpoint, keys: subscription.keys });
+    entry = subscriptions[subscriptions.length - 1];
+  }
+
+  if (device.deviceName) entry.deviceName = device.deviceName;
+  if (device.userAgent) entry.userAgent = device.userAgent.slice(0, 500);
+
+  // Forget the least recently used devices beyond the limit
+  if (subscriptions.length > MAX_PUSH_DEVICES) {
+    const lastUsed = s => (s.lastSuccessAt || s.createdAt || new Date(0)).getTime();
+    subscriptions
+      .filter(s => s !== entry)
+      .sort((a, b) => lastUsed(a) - lastUsed(b))
+      .slice(0, subscriptions.length - MAX_PUSH_DEVICES)
+      .forEach(s => subscriptions.pull(s._id));
+  }
+
+  return entry;
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
@@ -152,4 +379,43 @@ userSchema.methods.getStats = function() {
   };
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Method to create (or replace) the inbound email token (not saved)
+userSchema.methods.createInboundEmailToken = function() {
+  this.integrations.inboundEmail = {
+    token: crypto.randomBytes(12).toString('hex'),
+    createdAt: new Date()
+  };
+  return this.integrations.inboundEmail.token;
+};
+
+// Method to create (or replace) the iCalendar feed token (not saved)
+userSchema.methods.createIcalFeedToken = function() {
+  this.integrations.icalFeed = {
+    token: crypto.randomBytes(24).toString('hex'),
+    createdAt: new Date()
+  };
+  return this.integrations.icalFeed.token;
+};
+
+// Method to create (or replace) the CalDAV app password (not saved)
+userSchema.methods.createCaldavPassword = function() {
+  const password = crypto.randomBytes(16).toString('hex');
+  this.integrations.caldav = {
+    passwordHash: crypto.createHash('sha256').update(password).digest('hex'),
+    createdAt: new Date()
+  };
+  return password;
+};
+
+// Method to check a CalDAV app password
+userSchema.methods.compareCaldavPassword = function(candidatePassword) {
+  const caldav = this.integrations.caldav;
+  if (!caldav || !caldav.passwordHash) return false;
+
+  const expected = Buffer.from(caldav.passwordHash, 'hex');
+  const actual = crypto.createHash('sha256').update(String(candidatePassword)).digest();
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.CHANNELS = CHANNELS;
\ No newline at end of file
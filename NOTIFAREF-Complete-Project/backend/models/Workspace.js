@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Member roles, from least to most access
+const WORKSPACE_ROLES = ['member', 'admin', 'owner'];
+const INVITATION_DAYS = 7;
+const MAX_MEMBERS = 200;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * A team's shared space. Reminders created in a workspace belong to it
+ * rather than to the member who made them, and every member sees them.
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      default: 'member'
+    },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  // Pending invitations by email; only a hash of each token is kept
+  invitations: [{
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      enum: ['member', 'admin'],
+      default: 'member'
+    },
+    tokenHash: { type: String, required: true },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+  }],
+  // Tags offered for the workspace's reminders
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  }],
+  // Defaults for new reminders of the workspace
+  notifications: {
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium'
+    },
+    alerts: [{
+      _id: false,
+      offset: { type: Number, min: 0, max: 30 * 24 * 60, required: true },
+      channels: [{ type: String, trim: true }]
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ 'invitations.tokenHash': 1 });
+
+// Method to get a member's role, or null for non-members
+workspaceSchema.methods.getRole = function(userId) {
+  const member = this.members.find(entry => String(entry.user._id || entry.user) === String(userId));
+  return member ? member.role : null;
+};
+
+// Method to check whether a user has at least the given role
+workspaceSchema.methods.hasRole = function(userId, role) {
+  return WORKSPACE_ROLES.indexOf(this.getRole(userId)) >= WORKSPACE_ROLES.indexOf(role);
+};
+
+// Method to list the ids of every member
+workspaceSchema.methods.getMemberIds = function() {
+  return this.members.map(entry => entry.user._id || entry.user);
+};
+
+// Method to add a member, or change the role of an existing one
+workspaceSchema.methods.addMember = function(userId, role = 'member') {
+  const existing = this.members.find(entry => String(entry.user._id || entry.user) === String(userId));
+  if (existing) {
+    existing.role = role;
+    return existing;
+  }
+
+  if (this.members.length >= MAX_MEMBERS) {
+    throw new Error(`A workspace can have at most ${MAX_MEMBERS} members`);
+  }
+
+  this.members.push({ user: userId, role });
+  return this.members[this.members.length - 1];
+};
+
+// Method to remove a member
+workspaceSchema.methods.removeMember = function(userId) {
+  const count = this.members.length;
+  this.members = this.members.filter(entry => String(entry.user._id || entry.user) !== String(userId));
+  return this.members.length < count;
+};
+
+// Method to invite someone by email, replacing any earlier invitation of
+// theirs. Returns the token for the invitation link (not saved).
+workspaceSchema.methods.createInvitation = function(email, role = 'member', invitedBy = null) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const normalized = email.toLowerCase().trim();
+
+  this.invitations = this.invitations.filter(invitation => invitation.email !== normalized);
+  this.invitations.push({
+    email: normalized,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Method to find the pending invitation of a token
+workspaceSchema.methods.findInvitation = function(token) {
+  const tokenHash = hashToken(token);
+  return this.invitations.find(invitation =>
+    invitation.tokenHash === tokenHash && invitation.expiresAt > new Date()) || null;
+};
+
+// Static method to find the workspace a pending invitation token is for
+workspaceSchema.statics.findByInvitation = function(token) {
+  return this.findOne({
+    invitations: {
+      $elemMatch: { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }
+    }
+  });
+};
+
+// Static method to list the workspaces a user belongs to
+workspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
+module.exports.WORKSPACE_ROLES = WORKSPACE_ROLES;
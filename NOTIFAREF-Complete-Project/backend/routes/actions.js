@@ -0,0 +1,204 @@
+const express = require('express');
+const Reminder = require('../models/Reminder');
+const ActionToken = require('../models/ActionToken');
+const NotificationService = require('../services/notificationService');
+const schedulerService = require('../services/schedulerService');
+const { escapeHtml } = require('../utils/html');
+
+const router = express.Router();
+
+const TEXT = {
+  en: {
+    confirm: {
+      complete: 'Mark this reminder as complete?',
+      snooze: 'Snooze this reminder for {duration}?',
+      tomorrow: 'Move this reminder to tomorrow?'
+    },
+    done: {
+      complete: 'Reminder marked as complete.',
+      snooze: 'Reminder snoozed until {time}.',
+      tomorrow: 'Reminder moved to {time}.'
+    },
+    submit: 'Confirm',
+    invalid: 'This link is invalid or has expired.',
+    used: 'This link has already been used.',
+    stale: 'This reminder has changed since the email was sent.',
+    error: 'Something went wrong. Please try again later.',
+    dashboard: 'View Dashboard'
+  },
+  fa: {
+    confirm: {
+      complete: 'این یادآوری انجام شده است؟',
+      snooze: 'این یادآوری به مدت {duration} به تعویق بیفتد؟',
+      tomorrow: 'این یادآوری به فردا منتقل شود؟'
+    },
+    done: {
+      complete: 'یادآوری انجام شد.',
+      snooze: 'یادآوری تا {time} به تعویق افتاد.',
+      tomorrow: 'یادآوری به {time} منتقل شد.'
+    },
+    submit: 'تأیید',
+    invalid: 'این لینک نامعتبر است یا منقضی شده است.',
+    used: 'این لینک قبلاً استفاده شده است.',
+    stale: 'این یادآوری پس از ارسال ایمیل تغییر کرده است.',
+    error: 'خطایی رخ داد. لطفاً بعداً دوباره تلاش کنید.',
+    dashboard: 'مشاهده داشبورد'
+  }
+};
+
+// Render a minimal standalone page; these links are opened from email
+// clients, outside the app
+const renderPage = (res, status, { language = 'en', reminder, message, form }) => {
+  const isRTL = language === 'fa';
+  const text = TEXT[language] || TEXT.en;
+
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html dir="${isRTL ? 'rtl' : 'ltr'}" lang="${language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>NOTIFAREF</title>
+    <style>
+        body {
+            font-family: ${isRTL ? 'Tahoma, Arial' : 'Arial, sans-serif'};
+            color: #333;
+            max-width: 480px;
+            margin: 40px auto;
+            padding: 20px;
+            background-color: #f4f4f4;
+            text-align: center;
+        }
+        .container {
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4F46E5;
+            margin-bottom: 20px;
+        }
+        .reminder-title {
+            font-size: 18px;
+            font-weight: bold;
+            color: #1f2937;
+        }
+        .button {
+            display: inline-block;
+            background: #4F46E5;
+            color: white;
+            border: none;
+            padding: 12px 24px;
+            text-decoration: none;
+            border-radius: 6px;
+            margin-top: 10px;
+            font-size: 16px;
+            font-weight: bold;
+            cursor: pointer;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">NOTIFAREF</div>
+        ${reminder ? `<p class="reminder-title">${escapeHtml(reminder.title)}</p>` : ''}
+        <p>${escapeHtml(message)}</p>
+        ${form ? `
+        <form method="post">
+            <button type="submit" class="button">${text.submit}</button>
+        </form>
+        ` : `<a href="${process.env.BASE_URL || ''}/dashboard" class="button">${text.dashboard}</a>`}
+    </div>
+</body>
+</html>`);
+};
+
+// Find the reminder an action link is for and check that the link still
+// applies to it. Resolves to { payload, reminder, language, problem }.
+const loadAction = async (token) => {
+  const payload = Reminder.verifyActionToken(token);
+  if (!payload) return { problem: 'invalid' };
+
+  const reminder = await Reminder.findById(payload.reminderId).populate('user', 'username profile');
+  if (!reminder || !reminder.user) return { problem: 'invalid' };
+
+  const language = reminder.user.profile.language;
+  if (!reminder.acceptsActionToken(payload)) {
+    return { payload, reminder, language, problem: 'stale' };
+  }
+
+  return { payload, reminder, language };
+};
+
+// @route   GET /actions/:token
+// @desc    Confirm a one-click email action. Does not change anything, so
+//          link scanners that prefetch emails cannot trigger the action.
+// @access  Public (signed link)
+router.get('/:token', async (req, res) => {
+  try {
+    const { payload, reminder, language, problem } = await loadAction(req.params.token);
+    const text = TEXT[language] || TEXT.en;
+
+    if (problem) {
+      return renderPage(res, problem === 'invalid' ? 404 : 409, { language, reminder, message: text[problem] });
+    }
+
+    const duration = payload.minutes ? NotificationService.formatLeadTime(payload.minutes, language) : '';
+    renderPage(res, 200, {
+      language,
+      reminder,
+      message: text.confirm[payload.action].replace('{duration}', duration),
+      form: true
+    });
+
+  } catch (error) {
+    console.error('Get action link error:', error);
+    renderPage(res, 500, { message: TEXT.en.error });
+  }
+});
+
+// @route   POST /actions/:token
+// @desc    Apply a one-click email action
+// @access  Public (signed link)
+router.post('/:token', async (req, res) => {
+  try {
+    const { payload, reminder, language, problem } = await loadAction(req.params.token);
+    const text = TEXT[language] || TEXT.en;
+
+    if (problem) {
+      return renderPage(res, problem === 'invalid' ? 404 : 409, { language, reminder, message: text[problem] });
+    }
+
+    if (!await ActionToken.redeem(payload)) {
+      return renderPage(res, 409, { language, reminder, message: text.used });
+    }
+
+    if (payload.action === 'complete') {
+      await reminder.markCompleted();
+    } else if (payload.action === 'snooze') {
+      await reminder.snooze(payload.minutes);
+    } else {
+      await reminder.rescheduleToTomorrow();
+    }
+    schedulerService.scheduleReminder(reminder);
+
+    const time = NotificationService.formatScheduledTime(
+      { scheduledTime: reminder.getNotificationOccurrence(), timezone: reminder.timezone },
+      reminder.user
+    );
+    renderPage(res, 200, {
+      language,
+      reminder,
+      message: text.done[payload.action].replace('{time}', time)
+    });
+
+  } catch (error) {
+    console.error('Apply action link error:', error);
+    renderPage(res, 500, { message: TEXT.en.error });
+  }
+});
+
+module.exports = router;
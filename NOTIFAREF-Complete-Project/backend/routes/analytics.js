@@ -3,9 +3,72 @@ const { query, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
 const Reminder = require('../models/Reminder');
+const { toJalali } = require('../utils/jalali');
 
 const router = express.Router();
 
+// Re-key a 'YYYY-MM-DD' Gregorian day as a Jalali day, week or month
+const toJalaliKey = (day, groupBy) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  const { jy, jm, jd } = toJalali(date);
+  const pad = value => String(value).padStart(2, '0');
+
+  switch (groupBy) {
+    case 'week': {
+      // Persian weeks start on Saturday; week 00 holds days before the first Saturday
+      const dayOfYear = jm <= 7 ? (jm - 1) * 31 + jd - 1 : 186 + (jm - 7) * 30 + jd - 1;
+      const firstDay = (date.getUTCDay() - dayOfYear % 7 + 7) % 7;
+      const daysToFirstSaturday = (6 - firstDay + 7) % 7;
+      const week = dayOfYear < daysToFirstSaturday
+        ? 0
+        : Math.floor((dayOfYear - daysToFirstSaturday) / 7) + 1;
+      return `${jy}-${pad(week)}`;
+    }
+    case 'month':
+      return `${jy}-${pad(jm)}`;
+    default:
+      return `${jy}-${pad(jm)}-${pad(jd)}`;
+  }
+};
+
+// Merge daily creation trend buckets into Jalali buckets
+const regroupCreationTrends = (trends, groupBy) => {
+  const buckets = new Map();
+
+  for (const item of trends) {
+    const key = toJalaliKey(item._id, groupBy);
+    const bucket = buckets.get(key) || { _id: key, total: 0, byStatus: [] };
+
+    bucket.total += item.total;
+    for (const { status, count } of item.byStatus) {
+      const existing = bucket.byStatus.find(entry => entry.status === status);
+      if (existing) {
+        existing.count += count;
+      } else {
+        bucket.byStatus.push({ status, count });
+      }
+    }
+
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()].sort((a, b) => a._id.localeCompare(b._id));
+};
+
+// Merge daily completion trend buckets into Jalali buckets
+const regroupCompletionTrends = (trends, groupBy) => {
+  const buckets = new Map();
+
+  for (const item of trends) {
+    const key = toJalaliKey(item._id.date, groupBy);
+    const bucket = buckets.get(key) || { _id: { date: key }, count: 0 };
+    bucket.count += item.count;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()].sort((a, b) => a._id.date.localeCompare(b._id.date));
+};
+
 // @route   GET /api/analytics/dashboard
 // @desc    Get dashboard analytics overview
 // @access  Private
@@ -147,6 +210,7 @@ router.get('/dashboard', auth, [
 router.get('/trends', auth, [
   query('days').optional().isInt({ min: 7, max: 365 }).withMessage('Days must be between 7 and 365'),
   query('groupBy').optional().isIn(['day', 'week', 'month']).withMessage('Invalid groupBy value'),
+  query('calendar').optional().isIn(['gregorian', 'jalali']).withMessage('Invalid calendar'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -160,13 +224,16 @@ router.get('/trends', auth, [
 
     const { days = 30, groupBy = 'day' } = req.query;
     const userId = req.user.userId;
+    const { language, timezone = 'UTC' } = req.userDoc.profile;
+    const calendar = req.query.calendar || (language === 'fa' ? 'jalali' : 'gregorian');
+    const isJalali = calendar === 'jalali';
 
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
-    // Determine date format based on groupBy
+    // Determine date format based on groupBy; Jalali buckets are built from days
     let dateFormat;
-    switch (groupBy) {
+    switch (isJalali ? 'day' : groupBy) {
       case 'week':
         dateFormat = '%Y-%U'; // Year-Week
         break;
@@ -188,7 +255,7 @@ router.get('/trends', auth, [
       {
         $group: {
           _id: {
-            date: { $dateToString: { format: dateFormat, date: '$createdAt' } },
+            date: { $dateToString: { format: dateFormat, date: '$createdAt', timezone } },
             status: '$status'
           },
           count: { $sum: 1 }
@@ -221,7 +288,7 @@ router.get('/trends', auth, [
       {
         $group: {
           _id: {
-            date: { $dateToString: { format: dateFormat, date: '$metadata.completedAt' } }
+            date: { $dateToString: { format: dateFormat, date: '$metadata.completedAt', timezone } }
           },
           count: { $sum: 1 }
         }
@@ -229,17 +296,21 @@ router.get('/trends', auth, [
       { $sort: { _id: 1 } }
     ]);
 
+    const creation = isJalali ? regroupCreationTrends(creationTrends, groupBy) : creationTrends;
+    const completion = isJalali ? regroupCompletionTrends(completionTrends, groupBy) : completionTrends;
+
     res.json({
       success: true,
       data: {
-        creation: creationTrends,
-        completion: completionTrends.map(item => ({
+        creation,
+        completion: completion.map(item => ({
           date: item._id.date,
           count: item.count
         })),
         period: {
           days: parseInt(days),
           groupBy,
+          calendar,
           startDate,
           endDate: new Date()
         }
@@ -339,38 +410,37 @@ router.get('/performance', auth, [
       }
     ]);
 
-    // Get notification success rates
-    const notificationStats = await Reminder.aggregate([
-      {
-        $match: {
-          user: req.userDoc._id,
-          createdAt: { $gte: startDate },
-          $or: [
-            { 'notifications.webPush.sent': true },
-            { 'notifications.email.sent': true }
-          ]
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          webPushSent: {
-            $sum: { $cond: ['$notifications.webPush.sent', 1, 0] }
-          },
-          emailSent: {
-            $sum: { $cond: ['$notifications.email.sent', 1, 0] }
-          },
-          webPushFailed: {
-            $sum: { $cond: ['$notifications.webPush.error', 1, 0] }
-          },
-          emailFailed: {
-            $sum: { $cond: ['$notifications.email.error', 1, 0] }
+    // Get notification success rates per channel
+    const notificationMatch = {
+      user: req.userDoc._id,
+      createdAt: { $gte: startDate },
+      'notifications.deliveries.sent': true
+    };
+
+    const [notificationTotal, channelStats] = await Promise.all([
+      Reminder.countDocuments(notificationMatch),
+      Reminder.aggregate([
+        { $match: notificationMatch },
+        { $unwind: '$notifications.deliveries' },
+        {
+          $group: {
+            _id: '$notifications.deliveries.channel',
+            sent: {
+              $sum: { $cond: ['$notifications.deliveries.sent', 1, 0] }
+            },
+            failed: {
+              $sum: { $cond: ['$notifications.deliveries.error', 1, 0] }
+            }
           }
         }
-      }
+      ])
     ]);
 
+    const channels = channelStats.reduce((result, stat) => {
+      result[stat._id] = { sent: stat.sent, failed: stat.failed };
+      return result;
+    }, {});
+
     // Get streak information
     const streakInfo = await this.calculateStreaks(req.userDoc._id, startDate);
 
@@ -379,12 +449,13 @@ router.get('/performance', auth, [
       data: {
         completionByPriority,
         completionTimes,
-        notifications: notificationStats[0] || {
-          total: 0,
-          webPushSent: 0,
-          emailSent: 0,
-          webPushFailed: 0,
-          emailFailed: 0
+        notifications: {
+          total: notificationTotal,
+          webPushSent: channels.push ? channels.push.sent : 0,
+          emailSent: channels.email ? channels.email.sent : 0,
+          webPushFailed: channels.push ? channels.push.failed : 0,
+          emailFailed: channels.email ? channels.email.failed : 0,
+          channels
         },
         streaks: streakInfo,
         period: {
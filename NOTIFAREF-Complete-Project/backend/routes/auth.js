@@ -7,6 +7,7 @@ const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -63,6 +64,8 @@ const sanitizeUser = (user) => {
   delete userObj.security.twoFactorAuth.backupCodes;
   delete userObj.integrations.googleCalendar.refreshToken;
   delete userObj.integrations.googleCalendar.accessToken;
+  delete userObj.integrations.outlookCalendar.refreshToken;
+  delete userObj.integrations.outlookCalendar.accessToken;
   return userObj;
 };
 
@@ -264,7 +267,7 @@ router.put('/profile', auth, [
   body('lastName').optional().isLength({ max: 50 }).withMessage('Last name too long'),
   body('language').optional().isIn(['en', 'fa']).withMessage('Invalid language'),
   body('theme').optional().isIn(['light', 'dark']).withMessage('Invalid theme'),
-  body('timezone').optional().isString().withMessage('Invalid timezone'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid timezone'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -0,0 +1,472 @@
+const express = require('express');
+const User = require('../models/User');
+const CaldavService = require('../services/caldavService');
+const schedulerService = require('../services/schedulerService');
+const ical = require('../utils/ical');
+const { escapeXml, parseXml, findChild, findChildren } = require('../utils/xml');
+
+const router = express.Router();
+
+const DAV = 'DAV:';
+const CALDAV = 'urn:ietf:params:xml:ns:caldav';
+const CALENDARSERVER = 'http://calendarserver.org/ns/';
+const PREFIXES = { [DAV]: 'D', [CALDAV]: 'C', [CALENDARSERVER]: 'CS' };
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, REPORT';
+// Resource names are chosen by clients, usually "<uuid>.ics"
+const NAME_PATTERN = /^[^/\\]{1,255}$/;
+
+// Property names are kept in Clark notation, e.g. "{DAV:}getetag"
+const clark = (ns, name) => `{${ns}}${name}`;
+const CALENDAR_DATA = clark(CALDAV, 'calendar-data');
+
+// Write an element, with a prefix for the namespaces declared on the
+// response root and an inline declaration for any other
+const tag = (name, content = '', attributes = '') => {
+  const [, ns, localName] = /^\{(.*)\}(.+)$/.exec(name);
+  const prefix = PREFIXES[ns];
+  const close = prefix ? `${prefix}:${localName}` : localName;
+  const open = `${close}${prefix ? '' : ` xmlns="${escapeXml(ns)}"`}${attributes}`;
+  return content ? `<${open}>${content}</${close}>` : `<${open}/>`;
+};
+
+const href = (path) => tag(clark(DAV, 'href'), escapeXml(path));
+
+const getPaths = (req) => ({
+  root: `${req.baseUrl}/`,
+  principal: `${req.baseUrl}/principal/`,
+  home: `${req.baseUrl}/calendars/`,
+  calendar: `${req.baseUrl}/calendars/reminders/`
+});
+
+// Privileges of the user on their own collection and its reminders
+const privileges = () => ['read', 'write', 'write-content', 'bind', 'unbind', 'read-current-user-privilege-set']
+  .map(name => tag(clark(DAV, 'privilege'), tag(clark(DAV, name))))
+  .join('');
+
+/**
+ * Get the properties of a resource, as functions that write a property's
+ * content or return null when the resource does not have it
+ * @param {Object} req - Request
+ * @param {string} type - 'root', 'principal', 'home', 'calendar' or 'object'
+ * @param {Object} context - { reminders } for the calendar, { reminder } for objects
+ */
+const getProperties = (req, type, context = {}) => {
+  const paths = getPaths(req);
+  const user = req.userDoc;
+  const properties = {
+    [clark(DAV, 'current-user-principal')]: () => href(paths.principal),
+    [clark(CALDAV, 'calendar-home-set')]: () => href(paths.home)
+  };
+
+  if (type === 'root' || type === 'home') {
+    properties[clark(DAV, 'resourcetype')] = () => tag(clark(DAV, 'collection'));
+  }
+
+  if (type === 'principal') {
+    const name = [user.profile.firstName, user.profile.lastName].filter(Boolean).join(' ');
+    properties[clark(DAV, 'resourcetype')] = () => tag(clark(DAV, 'collection')) + tag(clark(DAV, 'principal'));
+    properties[clark(DAV, 'displayname')] = () => escapeXml(name || user.username);
+    properties[clark(DAV, 'principal-URL')] = () => href(paths.principal);
+    properties[clark(CALDAV, 'calendar-user-address-set')] = () => href(`mailto:${user.email}`);
+  }
+
+  if (type === 'calendar') {
+    properties[clark(DAV, 'resourcetype')] = () => tag(clark(DAV, 'collection')) + tag(clark(CALDAV, 'calendar'));
+    properties[clark(DAV, 'displayname')] = () => 'NOTIFAREF';
+    properties[clark(DAV, 'owner')] = () => href(paths.principal);
+    properties[clark(DAV, 'current-user-privilege-set')] = privileges;
+    properties[clark(DAV, 'supported-report-set')] = () => ['calendar-query', 'calendar-multiget']
+      .map(report => tag(clark(DAV, 'supported-report'), tag(clark(DAV, 'report'), tag(clark(CALDAV, report)))))
+      .join('');
+    properties[clark(CALDAV, 'supported-calendar-component-set')] = () => tag(clark(CALDAV, 'comp'), '', ' name="VTODO"');
+    properties[clark(CALDAV, 'supported-calendar-data')] = () =>
+      tag(CALENDAR_DATA, '', ' content-type="text/calendar" version="2.0"');
+    properties[clark(CALENDARSERVER, 'getctag')] = () => CaldavService.getCtag(context.reminders);
+  }
+
+  if (type === 'object') {
+    const { reminder } = context;
+    properties[clark(DAV, 'resourcetype')] = () => '';
+    properties[clark(DAV, 'current-user-privilege-set')] = privileges;
+    properties[clark(DAV, 'getetag')] = () => escapeXml(CaldavService.getEtag(reminder));
+    properties[clark(DAV, 'getcontenttype')] = () => 'text/calendar; charset=utf-8; component=VTODO';
+    properties[clark(DAV, 'getlastmodified')] = () => reminder.updatedAt.toUTCString();
+    properties[CALENDAR_DATA] = () => escapeXml(CaldavService.buildCalendarData(reminder));
+  }
+
+  return properties;
+};
+
+/**
+ * Write the <response> of a resource to a PROPFIND or REPORT
+ * @param {string} path - Resource path
+ * @param {Object} properties - From getProperties()
+ * @param {Array|null} names - Properties asked for, null for all of them
+ */
+const buildResponse = (path, properties, names) => {
+  const found = [];
+  const missing = [];
+
+  // calendar-data is only sent when asked for by name
+  for (const name of names || Object.keys(properties).filter(name => name !== CALENDAR_DATA)) {
+    const value = properties[name] ? properties[name]() : null;
+    if (value === null) missing.push(tag(name));
+    else found.push(tag(name, value));
+  }
+
+  const propstat = (props, status) => tag(clark(DAV, 'propstat'),
+    tag(clark(DAV, 'prop'), props.join('')) + tag(clark(DAV, 'status'), status));
+
+  return tag(clark(DAV, 'response'), href(path) +
+    (found.length > 0 ? propstat(found, 'HTTP/1.1 200 OK') : '') +
+    (missing.length > 0 ? propstat(missing, 'HTTP/1.1 404 Not Found') : ''));
+};
+
+const sendXml = (res, status, root, content) => {
+  const declarations = Object.entries(PREFIXES).map(([ns, prefix]) => ` xmlns:${prefix}="${ns}"`).join('');
+  res.status(status)
+    .type('application/xml; charset=utf-8')
+    .send(`<?xml version="1.0" encoding="utf-8"?>\n${tag(root, content, declarations)}`);
+};
+
+const sendMultistatus = (res, responses) => sendXml(res, 207, clark(DAV, 'multistatus'), responses.join(''));
+
+// Refuse a request with the WebDAV precondition that failed
+const sendError = (res, status, condition, content = '') => sendXml(res, status, clark(DAV, 'error'), tag(condition, content));
+
+// Read a request body, or null when there is none
+const readBody = (req) => {
+  const text = typeof req.body === 'string' ? req.body.trim() : '';
+  return text ? parseXml(text) : null;
+};
+
+// Names of the properties a PROPFIND or REPORT asks for, null for all
+const readPropertyNames = (root) => {
+  const prop = findChild(root, DAV, 'prop');
+  return prop ? prop.children.map(child => clark(child.ns, child.name)) : null;
+};
+
+// Read a calendar-query <filter> for CaldavService.matchesQuery()
+const readQuery = (filter) => {
+  const query = { component: null, timeRange: null, propFilters: [] };
+  const component = findChild(findChild(filter, CALDAV, 'comp-filter'), CALDAV, 'comp-filter');
+  if (!component) return query;
+
+  const readDate = (value) => {
+    const parsed = value ? ical.parseDateValue(value) : null;
+    return parsed ? parsed.date : null;
+  };
+  const timeRange = findChild(component, CALDAV, 'time-range');
+
+  query.component = (component.attributes.name || '').toUpperCase();
+  if (timeRange) {
+    query.timeRange = { start: readDate(timeRange.attributes.start), end: readDate(timeRange.attributes.end) };
+  }
+  query.propFilters = findChildren(component, CALDAV, 'prop-filter').map(propFilter => {
+    const textMatch = findChild(propFilter, CALDAV, 'text-match');
+    return {
+      name: (propFilter.attributes.name || '').toUpperCase(),
+      isNotDefined: !!findChild(propFilter, CALDAV, 'is-not-defined'),
+      textMatch: textMatch
+        ? { text: textMatch.text, negate: textMatch.attributes['negate-condition'] === 'yes' }
+        : null
+    };
+  });
+
+  return query;
+};
+
+// The resource name in an href of the reminders collection, or null
+const readName = (req, value) => {
+  const { calendar } = getPaths(req);
+  let path;
+  try {
+    path = decodeURIComponent(new URL(value.trim(), 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const name = path.startsWith(calendar) ? path.substring(calendar.length) : '';
+  return NAME_PATTERN.test(name) ? name : null;
+};
+
+const objectPath = (req, reminder) => `${getPaths(req).calendar}${encodeURIComponent(CaldavService.getName(reminder))}`;
+
+/**
+ * HTTP Basic authentication with the user's username or email and their
+ * CalDAV app password, since CalDAV clients cannot send our JWTs
+ */
+const davAuth = async (req, res, next) => {
+  try {
+    const header = req.header('Authorization') || '';
+    const credentials = header.startsWith('Basic ')
+      ? Buffer.from(header.substring(6), 'base64').toString('utf8')
+      : '';
+    const separator = credentials.indexOf(':');
+    const login = separator > 0 ? credentials.substring(0, separator).trim() : '';
+    const password = separator > 0 ? credentials.substring(separator + 1) : '';
+
+    const user = login && password
+      ? await User.findOne({ $or: [{ email: login.toLowerCase() }, { username: login }] }).select('-password')
+      : null;
+
+    const unauthorized = () => res.status(401)
+      .set('WWW-Authenticate', 'Basic realm="NOTIFAREF", charset="UTF-8"')
+      .send('Authentication required');
+
+    if (!user || user.isLocked) return unauthorized();
+
+    // Failed app passwords count towards the same lock as failed logins
+    if (!user.compareCaldavPassword(password)) {
+      await user.incLoginAttempts();
+      return unauthorized();
+    }
+
+    // Clients authenticate every request, so only write when there is something to reset
+    if (user.security.loginAttempts || user.security.lockUntil) {
+      await user.resetLoginAttempts();
+    }
+
+    req.user = { userId: user._id.toString() };
+    req.userDoc = user;
+    next();
+  } catch (error) {
+    console.error('CalDAV auth error:', error);
+    res.status(500).send('Server error');
+  }
+};
+
+router.use((req, res, next) => {
+  res.set('DAV', '1, 3, calendar-access');
+  next();
+});
+
+// @route   OPTIONS /dav/*
+// @desc    Advertise CalDAV support to clients
+// @access  Public
+router.options('*', (req, res) => {
+  res.set('Allow', ALLOWED_METHODS).status(200).end();
+});
+
+router.use(davAuth);
+router.use(express.text({ type: () => true, limit: '1mb' }));
+
+/**
+ * PROPFIND handler for one kind of resource, listing its children as
+ * well unless the Depth header is 0
+ * @param {string} type - 'root', 'principal', 'home', 'calendar' or 'object'
+ */
+const propfind = (type) => async (req, res) => {
+  try {
+    let root;
+    try {
+      root = readBody(req);
+    } catch (error) {
+      return res.status(400).send(`Invalid XML: ${error.message}`);
+    }
+
+    const names = root ? readPropertyNames(root) : null;
+    const depth = req.header('Depth') === '0' ? 0 : 1;
+    const paths = getPaths(req);
+    const responses = [];
+
+    if (type === 'object') {
+      const reminder = await CaldavService.findByName(req.userDoc, req.params.name);
+      if (!reminder) {
+        return res.status(404).send('Not found');
+      }
+      responses.push(buildResponse(objectPath(req, reminder), getProperties(req, 'object', { reminder }), names));
+    }
+
+    if (type === 'calendar') {
+      const reminders = await CaldavService.findReminders(req.userDoc);
+      responses.push(buildResponse(paths.calendar, getProperties(req, 'calendar', { reminders }), names));
+      if (depth > 0) {
+        reminders.forEach(reminder => {
+          responses.push(buildResponse(objectPath(req, reminder), getProperties(req, 'object', { reminder }), names));
+        });
+      }
+    }
+
+    if (['root', 'principal', 'home'].includes(type)) {
+      responses.push(buildResponse(paths[type], getProperties(req, type), names));
+      if (depth > 0 && type === 'root') {
+        responses.push(buildResponse(paths.principal, getProperties(req, 'principal'), names));
+        responses.push(buildResponse(paths.home, getProperties(req, 'home'), names));
+      }
+      if (depth > 0 && type === 'home') {
+        const reminders = await CaldavService.findReminders(req.userDoc);
+        responses.push(buildResponse(paths.calendar, getProperties(req, 'calendar', { reminders }), names));
+      }
+    }
+
+    sendMultistatus(res, responses);
+
+  } catch (error) {
+    console.error('CalDAV PROPFIND error:', error);
+    res.status(500).send('Server error');
+  }
+};
+
+// @route   PROPFIND /dav/, /dav/principal/, /dav/calendars/, /dav/calendars/reminders/[:name]
+// @desc    Discover the user's principal and reminders collection, and list resources with their ETags
+// @access  Private (CalDAV app password)
+router.propfind('/', propfind('root'));
+router.propfind('/principal', propfind('principal'));
+router.propfind('/calendars', propfind('home'));
+router.propfind('/calendars/reminders', propfind('calendar'));
+router.propfind('/calendars/reminders/:name', propfind('object'));
+
+// @route   REPORT /dav/calendars/reminders/
+// @desc    Run a calendar-query or calendar-multiget on the reminders collection
+// @access  Private (CalDAV app password)
+router.report('/calendars/reminders', async (req, res) => {
+  try {
+    let root;
+    try {
+      root = readBody(req);
+    } catch (error) {
+      return res.status(400).send(`Invalid XML: ${error.message}`);
+    }
+
+    if (!root || root.ns !== CALDAV || !['calendar-query', 'calendar-multiget'].includes(root.name)) {
+      return sendError(res, 403, clark(DAV, 'supported-report'));
+    }
+
+    const names = readPropertyNames(root);
+    const responses = [];
+
+    if (root.name === 'calendar-multiget') {
+      for (const element of findChildren(root, DAV, 'href')) {
+        const name = readName(req, element.text);
+        const reminder = name ? await CaldavService.findByName(req.userDoc, name) : null;
+
+        responses.push(reminder
+          ? buildResponse(objectPath(req, reminder), getProperties(req, 'object', { reminder }), names)
+          : tag(clark(DAV, 'response'), href(element.text.trim()) + tag(clark(DAV, 'status'), 'HTTP/1.1 404 Not Found')));
+      }
+    } else {
+      const query = readQuery(findChild(root, CALDAV, 'filter'));
+      const reminders = await CaldavService.findReminders(req.userDoc);
+
+      reminders
+        .filter(reminder => CaldavService.matchesQuery(reminder, query))
+        .forEach(reminder => {
+          responses.push(buildResponse(objectPath(req, reminder), getProperties(req, 'object', { reminder }), names));
+        });
+    }
+
+    sendMultistatus(res, responses);
+
+  } catch (error) {
+    console.error('CalDAV REPORT error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET /dav/calendars/reminders/:name
+// @desc    Get a reminder as a VTODO resource
+// @access  Private (CalDAV app password)
+router.get('/calendars/reminders/:name', async (req, res) => {
+  try {
+    const reminder = await CaldavService.findByName(req.userDoc, req.params.name);
+    if (!reminder) {
+      return res.status(404).send('Not found');
+    }
+
+    res.set({
+      ETag: CaldavService.getEtag(reminder),
+      'Last-Modified': reminder.updatedAt.toUTCString()
+    });
+
+    const ifNoneMatch = req.header('If-None-Match');
+    if (ifNoneMatch && CaldavService.matchesEtag(reminder, ifNoneMatch)) {
+      return res.status(304).end();
+    }
+
+    res.type('text/calendar; charset=utf-8').send(CaldavService.buildCalendarData(reminder));
+
+  } catch (error) {
+    console.error('CalDAV GET error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT /dav/calendars/reminders/:name
+// @desc    Create or update a reminder from a VTODO resource
+// @access  Private (CalDAV app password)
+router.put('/calendars/reminders/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!NAME_PATTERN.test(name)) {
+      return res.status(400).send('Invalid resource name');
+    }
+
+    const result = await CaldavService.saveResource(
+      req.userDoc,
+      name,
+      typeof req.body === 'string' ? req.body : '',
+      { ifMatch: req.header('If-Match'), ifNoneMatch: req.header('If-None-Match') }
+    );
+
+    if (result.status === 'precondition_failed') {
+      return res.status(412).send('Precondition failed');
+    }
+
+    if (result.status === 'unsupported_component') {
+      return sendError(res, 403, clark(CALDAV, 'supported-calendar-component'));
+    }
+
+    if (result.status === 'invalid') {
+      return sendError(res, 403, clark(CALDAV, 'valid-calendar-data'), escapeXml(result.message));
+    }
+
+    if (result.status === 'uid_conflict') {
+      return sendError(res, 403, clark(CALDAV, 'no-uid-conflict'), href(objectPath(req, result.reminder)));
+    }
+
+    schedulerService.scheduleReminder(result.reminder);
+
+    // No ETag: the stored resource is rewritten from the reminder, so
+    // clients fetch it again rather than keep what they sent
+    res.status(result.status === 'created' ? 201 : 204).end();
+
+  } catch (error) {
+    console.error('CalDAV PUT error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   DELETE /dav/calendars/reminders/:name
+// @desc    Delete a reminder
+// @access  Private (CalDAV app password)
+router.delete('/calendars/reminders/:name', async (req, res) => {
+  try {
+    const result = await CaldavService.deleteResource(req.userDoc, req.params.name, {
+      ifMatch: req.header('If-Match')
+    });
+
+    if (result.status === 'not_found') {
+      return res.status(404).send('Not found');
+    }
+
+    if (result.status === 'precondition_failed') {
+      return res.status(412).send('Precondition failed');
+    }
+
+    schedulerService.unscheduleReminder(result.reminder._id);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('CalDAV DELETE error:', error);
+    res.status(500).send('Server error');
+  }
+});
+
+// Anything else, e.g. MKCALENDAR or PROPPATCH, is not supported
+router.all('*', (req, res) => {
+  res.set('Allow', ALLOWED_METHODS).status(405).send('Method not allowed');
+});
+
+module.exports = router;
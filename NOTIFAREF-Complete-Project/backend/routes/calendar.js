@@ -1,14 +1,65 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const calendarService = require('../services/calendarService');
+const calendarProviders = require('../services/calendarProviders');
+const schedulerService = require('../services/schedulerService');
+const IcalService = require('../services/icalService');
 const User = require('../models/User');
 const Reminder = require('../models/Reminder');
 
 const router = express.Router();
 
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CONFLICT_POLICIES = ['newest', 'reminder', 'calendar'];
+
+// Split a comma-separated query value into a clean list
+const parseList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+// Validate the optional provider name of a request
+const providerQuery = () => query('provider').optional().isIn(calendarProviders.names()).withMessage('Invalid calendar provider');
+const providerBody = () => body('provider').optional().isIn(calendarProviders.names()).withMessage('Invalid calendar provider');
+
+// Get the provider named in the request, Google Calendar by default
+const getRequestProvider = (req) => calendarProviders.get(req.query.provider || req.body.provider || 'google');
+
+// Links of a reminder to its events, by provider
+const serializeLinks = (reminder) => Object.fromEntries(
+  calendarProviders.list().map(provider => [provider.name, provider.getLink(reminder).eventId || null])
+);
+
+const serializeFeed = (req, user) => {
+  const feed = user.integrations.icalFeed;
+  if (!feed || !feed.token) {
+    return { enabled: false, url: null, createdAt: null };
+  }
+
+  const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    enabled: true,
+    url: `${baseUrl}/api/calendar/feed/${feed.token}.ics`,
+    createdAt: feed.createdAt
+  };
+};
+
+const serializeCaldav = (req, user) => {
+  const caldav = user.integrations.caldav;
+  const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  return {
+    enabled: !!(caldav && caldav.passwordHash),
+    url: `${baseUrl}/dav/`,
+    username: user.username,
+    createdAt: (caldav && caldav.createdAt) || null
+  };
+};
+
 // @route   GET /api/calendar/status
-// @desc    Get Google Calendar integration status
+// @desc    Get calendar integration status, for every provider
 // @access  Private
 router.get('/status', auth, async (req, res) => {
   try {
@@ -21,13 +72,37 @@ router.get('/status', auth, async (req, res) => {
     }
 
     const serviceStatus = calendarService.getStatus();
-    
+    const providers = [];
+
+    for (const provider of calendarProviders.list()) {
+      const linkedReminders = await Reminder.countDocuments({
+        user: user._id,
+        ...provider.linkQuery()
+      });
+
+      providers.push({
+        name: provider.name,
+        label: provider.label,
+        configured: provider.isConfigured(),
+        connected: provider.isConnected(user),
+        calendarId: provider.getSettings(user).calendarId || null,
+        sync: {
+          ...calendarService.getSyncStatus(provider, user),
+          linkedReminders
+        }
+      });
+    }
+
+    const google = providers.find(provider => provider.name === 'google');
+
     res.json({
       success: true,
       data: {
         ...serviceStatus,
-        userConnected: user.integrations.googleCalendar.connected,
-        calendarId: user.integrations.googleCalendar.calendarId
+        userConnected: google.connected,
+        calendarId: google.calendarId,
+        sync: google.sync,
+        providers
       }
     });
 
@@ -41,15 +116,28 @@ router.get('/status', auth, async (req, res) => {
 });
 
 // @route   GET /api/calendar/auth-url
-// @desc    Get Google OAuth authorization URL
+// @desc    Get the OAuth authorization URL of a provider (?provider=google|outlook)
 // @access  Private
-router.get('/auth-url', auth, async (req, res) => {
+router.get('/auth-url', auth, [
+  providerQuery(),
+], async (req, res) => {
   try {
-    const authUrl = calendarService.getAuthUrl(req.user.userId);
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getRequestProvider(req);
+    const authUrl = calendarService.getAuthUrl(provider, req.user.userId);
+
     res.json({
       success: true,
       data: {
+        provider: provider.name,
         authUrl
       }
     });
@@ -64,11 +152,14 @@ router.get('/auth-url', auth, async (req, res) => {
 });
 
 // @route   POST /api/calendar/callback
-// @desc    Handle Google OAuth callback
+// @desc    Handle a provider's OAuth callback
 // @access  Private
 router.post('/callback', auth, [
   body('code').notEmpty().withMessage('Authorization code is required'),
+  providerBody(),
 ], async (req, res) => {
+  const provider = getRequestProvider(req);
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -80,13 +171,14 @@ router.post('/callback', auth, [
     }
 
     const { code } = req.body;
-    
-    const tokens = await calendarService.exchangeCodeForTokens(code, req.user.userId);
-    
+
+    await calendarService.exchangeCodeForTokens(provider, code, req.user.userId);
+
     res.json({
       success: true,
-      message: 'Google Calendar connected successfully',
+      message: `${provider.label} connected successfully`,
       data: {
+        provider: provider.name,
         connected: true
       }
     });
@@ -95,16 +187,27 @@ router.post('/callback', auth, [
     console.error('Calendar callback error:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to connect Google Calendar'
+      message: error.message || `Failed to connect ${provider ? provider.label : 'calendar'}`
     });
   }
 });
 
 // @route   DELETE /api/calendar/disconnect
-// @desc    Disconnect Google Calendar
+// @desc    Disconnect a provider's calendar (?provider=google|outlook)
 // @access  Private
-router.delete('/disconnect', auth, async (req, res) => {
+router.delete('/disconnect', auth, [
+  providerQuery(),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({
@@ -113,11 +216,12 @@ router.delete('/disconnect', auth, async (req, res) => {
       });
     }
 
-    await calendarService.disconnectCalendar(user);
-    
+    const provider = getRequestProvider(req);
+    await calendarService.disconnectCalendar(provider, user);
+
     res.json({
       success: true,
-      message: 'Google Calendar disconnected successfully'
+      message: `${provider.label} disconnected successfully`
     });
 
   } catch (error) {
@@ -130,10 +234,21 @@ router.delete('/disconnect', auth, async (req, res) => {
 });
 
 // @route   GET /api/calendar/calendars
-// @desc    Get user's calendar list
+// @desc    Get user's calendar list on a provider (?provider=google|outlook)
 // @access  Private
-router.get('/calendars', auth, async (req, res) => {
+router.get('/calendars', auth, [
+  providerQuery(),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({
@@ -142,15 +257,16 @@ router.get('/calendars', auth, async (req, res) => {
       });
     }
 
-    if (!user.integrations.googleCalendar.connected) {
+    const provider = getRequestProvider(req);
+    if (!provider.isConnected(user)) {
       return res.status(400).json({
         success: false,
-        message: 'Google Calendar not connected'
+        message: `${provider.label} not connected`
       });
     }
 
-    const calendars = await calendarService.getCalendarList(user);
-    
+    const calendars = await calendarService.getCalendarList(provider, user);
+
     res.json({
       success: true,
       data: calendars
@@ -166,7 +282,7 @@ router.get('/calendars', auth, async (req, res) => {
 });
 
 // @route   POST /api/calendar/sync-reminder/:id
-// @desc    Sync a specific reminder with Google Calendar
+// @desc    Sync a specific reminder with every connected calendar
 // @access  Private
 router.post('/sync-reminder/:id', auth, async (req, res) => {
   try {
@@ -178,10 +294,11 @@ router.post('/sync-reminder/:id', auth, async (req, res) => {
       });
     }
 
-    if (!user.integrations.googleCalendar.connected) {
+    const targets = calendarService.getConnectedProviders(user);
+    if (targets.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Google Calendar not connected'
+        message: 'No calendar connected'
       });
     }
 
@@ -197,14 +314,15 @@ router.post('/sync-reminder/:id', auth, async (req, res) => {
       });
     }
 
-    await calendarService.syncReminder(reminder, user);
-    
+    await calendarService.syncReminder(reminder, user, targets);
+
     res.json({
       success: true,
-      message: 'Reminder synced with Google Calendar successfully',
+      message: 'Reminder synced with calendar successfully',
       data: {
         synced: reminder.calendar.synced,
         googleEventId: reminder.calendar.googleEventId,
+        events: serializeLinks(reminder),
         lastSyncAt: reminder.calendar.lastSyncAt
       }
     });
@@ -218,10 +336,77 @@ router.post('/sync-reminder/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/calendar/sync
+// @desc    Sync reminders with a provider now, or with every connected one
+//          without a provider; providers that support it are synced both ways
+// @access  Private
+router.post('/sync', auth, [
+  providerBody(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const targets = req.body.provider
+      ? [calendarProviders.get(req.body.provider)].filter(provider => provider.isConnected(user))
+      : calendarService.getConnectedProviders(user);
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.provider ? `${calendarProviders.get(req.body.provider).label} not connected` : 'No calendar connected'
+      });
+    }
+
+    const results = [];
+    for (const provider of targets) {
+      const { stats, changed } = await calendarService.syncUser(provider, user);
+      changed.forEach(reminder => schedulerService.scheduleReminder(reminder));
+
+      results.push({
+        provider: provider.name,
+        stats,
+        sync: calendarService.getSyncStatus(provider, user)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar synced successfully',
+      data: {
+        stats: results[0].stats,
+        sync: results[0].sync,
+        providers: results
+      }
+    });
+
+  } catch (error) {
+    console.error('Calendar sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/calendar/import
-// @desc    Import events from Google Calendar
+// @desc    Import events from a provider's calendar
 // @access  Private
 router.post('/import', auth, [
+  providerBody(),
   body('calendarId').optional().isString().withMessage('Calendar ID must be a string'),
   body('timeMin').optional().isISO8601().withMessage('Invalid timeMin format'),
   body('timeMax').optional().isISO8601().withMessage('Invalid timeMax format'),
@@ -244,29 +429,31 @@ router.post('/import', auth, [
       });
     }
 
-    if (!user.integrations.googleCalendar.connected) {
+    const provider = getRequestProvider(req);
+    if (!provider.isConnected(user)) {
       return res.status(400).json({
         success: false,
-        message: 'Google Calendar not connected'
+        message: `${provider.label} not connected`
       });
     }
 
-    const { 
-      calendarId = 'primary',
+    const {
+      calendarId = provider.getCalendarId(user),
       timeMin = new Date().toISOString(),
-      timeMax 
+      timeMax
     } = req.body;
 
     const importedReminders = await calendarService.importEvents(
+      provider,
       user,
       calendarId,
       new Date(timeMin),
       timeMax ? new Date(timeMax) : null
     );
-    
+
     res.json({
       success: true,
-      message: `Imported ${importedReminders.length} events from Google Calendar`,
+      message: `Imported ${importedReminders.length} events from ${provider.label}`,
       data: {
         imported: importedReminders.length,
         reminders: importedReminders
@@ -283,7 +470,7 @@ router.post('/import', auth, [
 });
 
 // @route   POST /api/calendar/bulk-sync
-// @desc    Sync multiple reminders with Google Calendar
+// @desc    Sync multiple reminders with every connected calendar
 // @access  Private
 router.post('/bulk-sync', auth, [
   body('reminderIds').isArray().withMessage('reminderIds must be an array'),
@@ -307,10 +494,11 @@ router.post('/bulk-sync', auth, [
       });
     }
 
-    if (!user.integrations.googleCalendar.connected) {
+    const targets = calendarService.getConnectedProviders(user);
+    if (targets.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Google Calendar not connected'
+        message: 'No calendar connected'
       });
     }
 
@@ -334,12 +522,13 @@ router.post('/bulk-sync', auth, [
 
     for (const reminder of reminders) {
       try {
-        await calendarService.syncReminder(reminder, user);
+        await calendarService.syncReminder(reminder, user, targets);
         results.push({
           reminderId: reminder._id,
           success: true,
           synced: reminder.calendar.synced,
-          googleEventId: reminder.calendar.googleEventId
+          googleEventId: reminder.calendar.googleEventId,
+          events: serializeLinks(reminder)
         });
         successful++;
       } catch (error) {
@@ -351,7 +540,7 @@ router.post('/bulk-sync', auth, [
         failed++;
       }
     }
-    
+
     res.json({
       success: true,
       message: `Synced ${successful}/${reminders.length} reminders successfully`,
@@ -375,7 +564,7 @@ router.post('/bulk-sync', auth, [
 });
 
 // @route   DELETE /api/calendar/sync-reminder/:id
-// @desc    Remove reminder from Google Calendar
+// @desc    Remove reminder from every connected calendar
 // @access  Private
 router.delete('/sync-reminder/:id', auth, async (req, res) => {
   try {
@@ -399,13 +588,15 @@ router.delete('/sync-reminder/:id', auth, async (req, res) => {
       });
     }
 
-    if (user.integrations.googleCalendar.connected && reminder.calendar.googleEventId) {
-      await calendarService.deleteEvent(reminder, user);
+    for (const provider of calendarService.getConnectedProviders(user)) {
+      if (provider.getLink(reminder).eventId) {
+        await calendarService.deleteEvent(provider, reminder, user);
+      }
     }
-    
+
     res.json({
       success: true,
-      message: 'Reminder removed from Google Calendar successfully'
+      message: 'Reminder removed from calendar successfully'
     });
 
   } catch (error) {
@@ -417,12 +608,209 @@ router.delete('/sync-reminder/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/calendar/feed
+// @desc    Get the user's private iCalendar feed URL
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: serializeFeed(req, req.userDoc)
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create the private feed URL, or replace it so the old one stops working
+// @access  Private
+router.post('/feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    user.createIcalFeedToken();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed created',
+      data: serializeFeed(req, user)
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Turn off the private feed URL
+// @access  Private
+router.delete('/feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    user.integrations.icalFeed = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Calendar feed removed',
+      data: serializeFeed(req, user)
+    });
+
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    Serve the user's pending reminders as a live iCalendar feed,
+//          optionally filtered by ?tags=a,b and ?priority=high,urgent
+// @access  Public (secret token)
+router.get('/feed/:token.ics', [
+  query('tags').optional().isString().isLength({ max: 500 }).withMessage('Tags must be a comma-separated list'),
+  query('priority')
+    .optional()
+    .custom(value => parseList(value).every(priority => PRIORITIES.includes(priority)))
+    .withMessage('Invalid priority'),
+  query('type').optional().isIn(['event', 'todo']).withMessage('Type must be event or todo'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token } = req.params;
+    const user = FEED_TOKEN_PATTERN.test(token) &&
+      await User.findOne({ 'integrations.icalFeed.token': token });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found'
+      });
+    }
+
+    const { calendar, etag } = await IcalService.buildFeed(user, {
+      tags: parseList(req.query.tags),
+      priorities: parseList(req.query.priority),
+      type: req.query.type
+    });
+
+    // Clients revalidate on every poll and get 304 when nothing changed
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    const ifNoneMatch = req.header('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some(value => value.trim().replace(/^W\//, '') === etag || value.trim() === '*')) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="notifaref.ics"');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/calendar/caldav
+// @desc    Get the CalDAV server address and whether an app password is set
+// @access  Private
+router.get('/caldav', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: serializeCaldav(req, req.userDoc)
+    });
+
+  } catch (error) {
+    console.error('Get CalDAV access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/calendar/caldav
+// @desc    Create a CalDAV app password, replacing any earlier one; it is only shown once
+// @access  Private
+router.post('/caldav', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const password = user.createCaldavPassword();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'CalDAV password created',
+      data: { ...serializeCaldav(req, user), password }
+    });
+
+  } catch (error) {
+    console.error('Create CalDAV password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/caldav
+// @desc    Remove the CalDAV app password, signing out every CalDAV client
+// @access  Private
+router.delete('/caldav', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    user.integrations.caldav = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'CalDAV password removed',
+      data: serializeCaldav(req, user)
+    });
+
+  } catch (error) {
+    console.error('Delete CalDAV password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/calendar/settings
-// @desc    Update calendar integration settings
+// @desc    Update a provider's calendar integration settings
 // @access  Private
 router.put('/settings', auth, [
+  providerBody(),
   body('calendarId').optional().isString().withMessage('Calendar ID must be a string'),
   body('autoSync').optional().isBoolean().withMessage('autoSync must be boolean'),
+  body('conflictPolicy').optional().isIn(CONFLICT_POLICIES).withMessage('Invalid conflict policy'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -442,19 +830,31 @@ router.put('/settings', auth, [
       });
     }
 
-    const { calendarId } = req.body;
+    const provider = getRequestProvider(req);
+    const { calendarId, autoSync, conflictPolicy } = req.body;
+    const settings = provider.getSettings(user);
 
-    if (calendarId !== undefined) {
-      user.integrations.googleCalendar.calendarId = calendarId;
+    if (calendarId !== undefined && calendarId !== provider.getCalendarId(user)) {
+      settings.calendarId = calendarId;
+      // Links to events of the previous calendar no longer hold
+      await calendarService.resetSync(provider, user);
+    }
+    if (autoSync !== undefined) {
+      settings.autoSync = autoSync;
+    }
+    if (conflictPolicy !== undefined) {
+      settings.conflictPolicy = conflictPolicy;
     }
 
     await user.save();
-    
+
     res.json({
       success: true,
       message: 'Calendar settings updated successfully',
       data: {
-        calendarId: user.integrations.googleCalendar.calendarId
+        provider: provider.name,
+        calendarId: settings.calendarId,
+        sync: calendarService.getSyncStatus(provider, user)
       }
     });
 
@@ -467,4 +867,4 @@ router.put('/settings', auth, [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const InboundEmailService = require('../services/inboundEmailService');
+const schedulerService = require('../services/schedulerService');
+
+const router = express.Router();
+
+// Relays post the message source as-is; webhook providers that wrap it
+// in JSON or a form put it in a `raw` (or `email`) field
+const rawMessage = express.raw({
+  type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+  limit: '10mb'
+});
+
+// Check the shared secret the relay or webhook provider sends, as
+// `Authorization: Bearer <secret>` or `X-Inbound-Secret: <secret>`
+const verifySecret = (req) => {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  const header = req.header('Authorization') || '';
+  const given = header.startsWith('Bearer ') ? header.substring(7) : req.header('X-Inbound-Secret');
+  if (!secret || !given) return false;
+
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(given).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const serializeInbound = (user) => ({
+  configured: InboundEmailService.isConfigured(),
+  address: InboundEmailService.getAddress(user),
+  createdAt: (user.integrations.inboundEmail && user.integrations.inboundEmail.createdAt) || null
+});
+
+// @route   POST /api/inbound/email
+// @desc    Receive a raw RFC 822 message and create a reminder from it
+// @access  Relay / webhook (shared secret)
+router.post('/email', rawMessage, async (req, res) => {
+  try {
+    if (!InboundEmailService.isConfigured() || !process.env.INBOUND_EMAIL_SECRET) {
+      return res.status(503).json({
+        success: false,
+        message: 'Inbound email is not configured'
+      });
+    }
+
+    if (!verifySecret(req)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid inbound secret'
+      });
+    }
+
+    const raw = Buffer.isBuffer(req.body) ? req.body : (req.body && (req.body.raw || req.body.email));
+    if (!raw || raw.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message source is required'
+      });
+    }
+
+    // Envelope recipients, when the relay passes them on
+    const recipients = [req.query.recipient, req.body && req.body.recipient, req.body && req.body.to]
+      .flat()
+      .filter(value => typeof value === 'string' && value.includes('@'));
+
+    const result = await InboundEmailService.receive(raw, { recipients });
+
+    if (result.status === 'unknown_recipient') {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown inbound address'
+      });
+    }
+
+    if (result.status === 'ignored') {
+      return res.json({
+        success: true,
+        message: 'Automated message ignored'
+      });
+    }
+
+    if (result.status === 'created') {
+      schedulerService.scheduleReminder(result.reminder);
+    }
+
+    res.status(result.status === 'created' ? 201 : 200).json({
+      success: true,
+      message: result.status === 'created' ? 'Reminder created from email' : 'Message already processed',
+      data: {
+        reminderId: result.reminder._id,
+        title: result.reminder.title,
+        scheduledTime: result.reminder.scheduledTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/inbound/address
+// @desc    Get the user's inbound email address
+// @access  Private
+router.get('/address', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: serializeInbound(req.userDoc)
+    });
+
+  } catch (error) {
+    console.error('Get inbound address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/inbound/address
+// @desc    Create the user's inbound address, or replace it with a new one
+// @access  Private
+router.post('/address', auth, async (req, res) => {
+  try {
+    if (!InboundEmailService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Inbound email is not configured'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    user.createInboundEmailToken();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Inbound address created',
+      data: serializeInbound(user)
+    });
+
+  } catch (error) {
+    console.error('Create inbound address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/inbound/address
+// @desc    Turn off the user's inbound address
+// @access  Private
+router.delete('/address', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    user.integrations.inboundEmail = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Inbound address removed',
+      data: serializeInbound(user)
+    });
+
+  } catch (error) {
+    console.error('Delete inbound address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,113 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, query, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const NotificationService = require('../services/notificationService');
 const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const channels = require('../services/channels');
+const { isValidTime } = require('../utils/quietHours');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Fields of an attempt's provider response returned to the client.
+// Attempts recorded before responses were summarized can hold raw
+// provider bodies, which are left out.
+const RESPONSE_FIELDS = ['statusCode', 'messageId', 'message', 'response', 'devices'];
+
+// Delivery returned to the client
+const serializeDelivery = (delivery) => ({
+  ...delivery,
+  attempts: (delivery.attempts || []).map(({ response, ...attempt }) => {
+    if (!response) return attempt;
+    const summary = {};
+    RESPONSE_FIELDS.forEach(field => {
+      if (response[field] !== undefined) summary[field] = response[field];
+    });
+    return { ...attempt, response: summary };
+  })
+});
+
+// Device details returned to the client, without the endpoint or keys
+const serializeDevice = (device) => ({
+  id: device._id,
+  deviceName: device.deviceName || null,
+  userAgent: device.userAgent || null,
+  enabled: device.enabled,
+  createdAt: device.createdAt,
+  lastSuccessAt: device.lastSuccessAt || null,
+  lastFailureAt: device.lastFailureAt || null
+});
+
+// Settings returned to the client, without push keys or webhook secrets
+const serializeSettings = (user) => {
+  const { webPush, email, telegram, sms, webhook, priorities, escalation, quietHours, doNotDisturb, digest } = user.notifications;
+
+  return {
+    webPush: {
+      enabled: webPush.enabled,
+      subscribed: user.getPushSubscriptions().some(device => device.enabled),
+      devices: user.getPushSubscriptions().map(serializeDevice)
+    },
+    email: {
+      enabled: email.enabled,
+      fallback: email.fallback
+    },
+    telegram: {
+      enabled: telegram.enabled,
+      chatId: telegram.chatId || null,
+      verifiedAt: telegram.verifiedAt || null
+    },
+    sms: {
+      enabled: sms.enabled,
+      phoneNumber: sms.phoneNumber || null,
+      verifiedAt: sms.verifiedAt || null
+    },
+    webhook: {
+      enabled: webhook.enabled,
+      url: webhook.url || null,
+      hasSecret: !!webhook.secret,
+      verifiedAt: webhook.verifiedAt || null
+    },
+    priorities: PRIORITIES.reduce((result, priority) => {
+      result[priority] = [...priorities[priority]];
+      return result;
+    }, {}),
+    escalation: {
+      enabled: escalation.enabled,
+      priorities: [...escalation.priorities],
+      windowMinutes: escalation.windowMinutes,
+      channels: [...escalation.channels],
+      repeatMinutes: escalation.repeatMinutes,
+      maxEscalations: escalation.maxEscalations
+    },
+    quietHours: {
+      enabled: quietHours.enabled,
+      windows: quietHours.windows.map(({ days, start, end }) => ({ days: [...days], start, end })),
+      action: quietHours.action,
+      allowUrgent: quietHours.allowUrgent
+    },
+    doNotDisturb: {
+      enabled: !!doNotDisturb.until && doNotDisturb.until > new Date(),
+      until: doNotDisturb.until && doNotDisturb.until > new Date() ? doNotDisturb.until : null
+    },
+    digest: {
+      daily: {
+        enabled: digest.daily.enabled,
+        time: digest.daily.time,
+        lastSentAt: digest.daily.lastSentAt || null
+      },
+      weekly: {
+        enabled: digest.weekly.enabled,
+        day: digest.weekly.day,
+        time: digest.weekly.time,
+        lastSentAt: digest.weekly.lastSentAt || null
+      },
+      priorities: [...digest.priorities]
+    },
+    channels: NotificationService.getChannelStatus(user)
+  };
+};
 
 const router = express.Router();
 
@@ -44,6 +149,7 @@ router.post('/subscribe', auth, [
   body('subscription.keys').notEmpty().withMessage('Subscription keys are required'),
   body('subscription.keys.p256dh').notEmpty().withMessage('p256dh key is required'),
   body('subscription.keys.auth').notEmpty().withMessage('auth key is required'),
+  body('deviceName').optional().trim().isLength({ max: 100 }).withMessage('Device name must be at most 100 characters'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -55,7 +161,7 @@ router.post('/subscribe', auth, [
       });
     }
 
-    const { subscription } = req.body;
+    const { subscription, deviceName } = req.body;
 
     // Validate subscription format
     if (!NotificationService.validateSubscription(subscription)) {
@@ -74,13 +180,19 @@ router.post('/subscribe', auth, [
       });
     }
 
-    user.notifications.webPush.subscription = subscription;
+    const device = user.addPushSubscription(subscription, {
+      deviceName,
+      userAgent: req.get('User-Agent')
+    });
     user.notifications.webPush.enabled = true;
     await user.save();
 
     res.json({
       success: true,
-      message: 'Push notification subscription saved successfully'
+      message: 'Push notification subscription saved successfully',
+      data: {
+        device: serializeDevice(device)
+      }
     });
 
   } catch (error) {
@@ -93,10 +205,21 @@ router.post('/subscribe', auth, [
 });
 
 // @route   DELETE /api/notifications/unsubscribe
-// @desc    Unsubscribe from push notifications
+// @desc    Unsubscribe a device (by endpoint) or all devices from push notifications
 // @access  Private
-router.delete('/unsubscribe', auth, async (req, res) => {
+router.delete('/unsubscribe', auth, [
+  body('endpoint').optional().isString().withMessage('endpoint must be a string'),
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.user.userId);
     if (!user) {
       return res.status(404).json({
@@ -105,9 +228,17 @@ router.delete('/unsubscribe', auth, async (req, res) => {
       });
     }
 
-    // Remove push subscription
-    user.notifications.webPush.subscription = null;
-    user.notifications.webPush.enabled = false;
+    const subscriptions = user.getPushSubscriptions();
+
+    if (req.body.endpoint) {
+      const device = subscriptions.find(s => s.endpoint === req.body.endpoint);
+      if (device) subscriptions.pull(device._id);
+    } else {
+      // Remove every device and turn push off
+      subscriptions.splice(0, subscriptions.length);
+      user.notifications.webPush.enabled = false;
+    }
+
     await user.save();
 
     res.json({
@@ -124,6 +255,139 @@ router.delete('/unsubscribe', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/notifications/devices
+// @desc    List devices subscribed to push notifications
+// @access  Private
+router.get('/devices', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        devices: user.getPushSubscriptions().map(serializeDevice)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get push devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/devices/:id
+// @desc    Rename or enable/disable a push device
+// @access  Private
+router.put('/devices/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid device ID'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be boolean'),
+  body('deviceName').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Device name must be 1-100 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const device = user.getPushSubscriptions().id(req.params.id);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (req.body.enabled !== undefined) device.enabled = req.body.enabled;
+    if (req.body.deviceName !== undefined) device.deviceName = req.body.deviceName;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: {
+        device: serializeDevice(device)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update push device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/devices/:id
+// @desc    Revoke a push device
+// @access  Private
+router.delete('/devices/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid device ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const subscriptions = user.getPushSubscriptions();
+    if (!subscriptions.id(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    subscriptions.pull(req.params.id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Device removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete push device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PUT /api/notifications/settings
 // @desc    Update notification settings
 // @access  Private
@@ -131,6 +395,45 @@ router.put('/settings', auth, [
   body('webPush.enabled').optional().isBoolean().withMessage('webPush.enabled must be boolean'),
   body('email.enabled').optional().isBoolean().withMessage('email.enabled must be boolean'),
   body('email.fallback').optional().isBoolean().withMessage('email.fallback must be boolean'),
+  body('telegram.enabled').optional().isBoolean().withMessage('telegram.enabled must be boolean'),
+  body('telegram.chatId').optional({ nullable: true }).matches(/^(-?\d{1,20}|@\w{5,32})$/).withMessage('Invalid Telegram chat id'),
+  body('sms.enabled').optional().isBoolean().withMessage('sms.enabled must be boolean'),
+  body('sms.phoneNumber').optional({ nullable: true }).matches(/^\+[1-9]\d{6,14}$/).withMessage('Phone number must be in E.164 format'),
+  body('webhook.enabled').optional().isBoolean().withMessage('webhook.enabled must be boolean'),
+  body('webhook.url').optional({ nullable: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('Invalid webhook URL').bail()
+    .custom(async (url) => {
+      if (!(await channels.get('webhook').isAllowedUrl(url))) {
+        throw new Error('Webhook URL must point to a public address');
+      }
+      return true;
+    }),
+  body('webhook.regenerateSecret').optional().isBoolean().withMessage('webhook.regenerateSecret must be boolean'),
+  body('priorities').optional().isObject().withMessage('priorities must be an object'),
+  body(PRIORITIES.map(priority => `priorities.${priority}`)).optional().isArray().withMessage('Priority channels must be an array'),
+  body(PRIORITIES.map(priority => `priorities.${priority}.*`)).optional().isIn(channels.names()).withMessage('Unknown notification channel'),
+  body('escalation.enabled').optional().isBoolean().withMessage('escalation.enabled must be boolean'),
+  body('escalation.priorities').optional().isArray().withMessage('Escalation priorities must be an array'),
+  body('escalation.priorities.*').optional().isIn(PRIORITIES).withMessage('Invalid priority level'),
+  body('escalation.windowMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Escalation window must be between 1 and 1440 minutes'),
+  body('escalation.channels').optional().isArray({ min: 1 }).withMessage('Escalation channels must be a non-empty array'),
+  body('escalation.channels.*').optional().isIn(channels.names()).withMessage('Unknown notification channel'),
+  body('escalation.repeatMinutes').optional().isInt({ min: 0, max: 1440 }).withMessage('Escalation repeat must be between 0 and 1440 minutes'),
+  body('escalation.maxEscalations').optional().isInt({ min: 1, max: 20 }).withMessage('Maximum escalations must be between 1 and 20'),
+  body('quietHours.enabled').optional().isBoolean().withMessage('quietHours.enabled must be boolean'),
+  body('quietHours.windows').optional().isArray({ max: 14 }).withMessage('Quiet windows must be an array of at most 14 entries'),
+  body('quietHours.windows.*.days').isArray({ min: 1 }).withMessage('Each quiet window needs at least one day'),
+  body('quietHours.windows.*.days.*').isInt({ min: 0, max: 6 }).withMessage('Days must be between 0 (Sunday) and 6').toInt(),
+  body(['quietHours.windows.*.start', 'quietHours.windows.*.end']).custom(isValidTime).withMessage('Times must be in HH:mm format'),
+  body('quietHours.action').optional().isIn(['defer', 'silent']).withMessage('Quiet hours action must be defer or silent'),
+  body('quietHours.allowUrgent').optional().isBoolean().withMessage('quietHours.allowUrgent must be boolean'),
+  body('doNotDisturb.until').optional({ nullable: true }).isISO8601().withMessage('Invalid do-not-disturb end time'),
+  body('doNotDisturb.minutes').optional().isInt({ min: 1, max: 7 * 24 * 60 }).withMessage('Do-not-disturb must last between 1 minute and 7 days'),
+  body(['digest.daily.enabled', 'digest.weekly.enabled']).optional().isBoolean().withMessage('Digest enabled must be boolean'),
+  body(['digest.daily.time', 'digest.weekly.time']).optional().custom(isValidTime).withMessage('Times must be in HH:mm format'),
+  body('digest.weekly.day').optional().isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6').toInt(),
+  body('digest.priorities').optional().isArray().withMessage('Digest priorities must be an array'),
+  body('digest.priorities.*').optional().isIn(PRIORITIES).withMessage('Invalid priority level'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -150,7 +453,7 @@ router.put('/settings', auth, [
       });
     }
 
-    const { webPush, email } = req.body;
+    const { webPush, email, telegram, sms, webhook, priorities, escalation, quietHours, doNotDisturb, digest } = req.body;
 
     // Update notification settings
     if (webPush) {
@@ -168,13 +471,112 @@ router.put('/settings', auth, [
       }
     }
 
+    if (telegram) {
+      if (telegram.enabled !== undefined) {
+        user.notifications.telegram.enabled = telegram.enabled;
+      }
+      if (telegram.chatId !== undefined && telegram.chatId !== user.notifications.telegram.chatId) {
+        user.notifications.telegram.chatId = telegram.chatId || undefined;
+        user.notifications.telegram.verifiedAt = undefined;
+      }
+    }
+
+    if (sms) {
+      if (sms.enabled !== undefined) {
+        user.notifications.sms.enabled = sms.enabled;
+      }
+      if (sms.phoneNumber !== undefined && sms.phoneNumber !== user.notifications.sms.phoneNumber) {
+        user.notifications.sms.phoneNumber = sms.phoneNumber || undefined;
+        user.notifications.sms.verifiedAt = undefined;
+      }
+    }
+
+    let webhookSecret;
+    if (webhook) {
+      if (webhook.enabled !== undefined) {
+        user.notifications.webhook.enabled = webhook.enabled;
+      }
+      if (webhook.url !== undefined && webhook.url !== user.notifications.webhook.url) {
+        user.notifications.webhook.url = webhook.url || undefined;
+        user.notifications.webhook.verifiedAt = undefined;
+      }
+      // The signing secret is only shown once, when it is generated
+      if (webhook.regenerateSecret || (user.notifications.webhook.url && !user.notifications.webhook.secret)) {
+        webhookSecret = crypto.randomBytes(32).toString('hex');
+        user.notifications.webhook.secret = webhookSecret;
+      }
+    }
+
+    if (priorities) {
+      PRIORITIES.forEach(priority => {
+        if (Array.isArray(priorities[priority])) {
+          user.notifications.priorities[priority] = [...new Set(priorities[priority])];
+        }
+      });
+    }
+
+    if (escalation) {
+      ['enabled', 'windowMinutes', 'repeatMinutes', 'maxEscalations'].forEach(field => {
+        if (escalation[field] !== undefined) {
+          user.notifications.escalation[field] = escalation[field];
+        }
+      });
+      if (Array.isArray(escalation.priorities)) {
+        user.notifications.escalation.priorities = [...new Set(escalation.priorities)];
+      }
+      // Order matters here: channels are tried in the order given
+      if (Array.isArray(escalation.channels)) {
+        user.notifications.escalation.channels = [...new Set(escalation.channels)];
+      }
+    }
+
+    if (quietHours) {
+      ['enabled', 'action', 'allowUrgent'].forEach(field => {
+        if (quietHours[field] !== undefined) {
+          user.notifications.quietHours[field] = quietHours[field];
+        }
+      });
+      if (Array.isArray(quietHours.windows)) {
+        user.notifications.quietHours.windows = quietHours.windows.map(({ days, start, end }) => ({
+          days: [...new Set(days)].sort((a, b) => a - b),
+          start,
+          end
+        }));
+      }
+    }
+
+    // Do-not-disturb is switched on for a number of minutes or until a
+    // given time, and off with { until: null }
+    if (doNotDisturb) {
+      if (doNotDisturb.minutes !== undefined) {
+        user.notifications.doNotDisturb.until = new Date(Date.now() + doNotDisturb.minutes * 60 * 1000);
+      } else if (doNotDisturb.until !== undefined) {
+        user.notifications.doNotDisturb.until = doNotDisturb.until ? new Date(doNotDisturb.until) : undefined;
+      }
+    }
+
+    if (digest) {
+      ['daily', 'weekly'].forEach(period => {
+        if (!digest[period]) return;
+        ['enabled', 'day', 'time'].forEach(field => {
+          if (digest[period][field] !== undefined && (field !== 'day' || period === 'weekly')) {
+            user.notifications.digest[period][field] = digest[period][field];
+          }
+        });
+      });
+      if (Array.isArray(digest.priorities)) {
+        user.notifications.digest.priorities = [...new Set(digest.priorities)];
+      }
+    }
+
     await user.save();
 
     res.json({
       success: true,
       message: 'Notification settings updated successfully',
       data: {
-        notifications: user.notifications
+        notifications: serializeSettings(user),
+        ...(webhookSecret && { webhookSecret })
       }
     });
 
@@ -200,21 +602,9 @@ router.get('/settings', auth, async (req, res) => {
       });
     }
 
-    // Don't expose sensitive subscription data
-    const settings = {
-      webPush: {
-        enabled: user.notifications.webPush.enabled,
-        subscribed: !!user.notifications.webPush.subscription
-      },
-      email: {
-        enabled: user.notifications.email.enabled,
-        fallback: user.notifications.email.fallback
-      }
-    };
-
     res.json({
       success: true,
-      data: settings
+      data: serializeSettings(user)
     });
 
   } catch (error) {
@@ -242,7 +632,7 @@ router.post('/test', auth, async (req, res) => {
     // Send test notification
     const result = await NotificationService.testNotification(user);
 
-    const success = result.webPush.sent || result.email.sent;
+    const success = NotificationService.isDelivered(result);
     const message = success 
       ? 'Test notification sent successfully'
       : 'Failed to send test notification';
@@ -251,14 +641,7 @@ router.post('/test', auth, async (req, res) => {
       success,
       message,
       data: {
-        webPush: {
-          sent: result.webPush.sent,
-          error: result.webPush.error
-        },
-        email: {
-          sent: result.email.sent,
-          error: result.email.error
-        }
+        channels: result
       }
     });
 
@@ -271,6 +654,160 @@ router.post('/test', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/notifications/channels
+// @desc    List notification channels and their status for the user
+// @access  Private
+router.get('/channels', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        channels: NotificationService.getChannelStatus(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification channels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/notifications/channels/:channel/verify
+// @desc    Send a verification message through a channel
+// @access  Private
+router.post('/channels/:channel/verify', auth, [
+  param('channel').isIn(channels.names()).withMessage('Unknown notification channel'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const channel = channels.get(req.params.channel);
+    const result = await NotificationService.verifyChannel(channel.name, user);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Channel verification failed',
+        error: result.error
+      });
+    }
+
+    user.notifications[channel.settingsKey].verifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Channel verified successfully',
+      data: {
+        channel: channel.name,
+        verifiedAt: user.notifications[channel.settingsKey].verifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify notification channel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/notifications/history
+// @desc    Get the user's notification delivery history
+// @access  Private
+router.get('/history', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'sent', 'retrying', 'failed', 'dead', 'cancelled']).withMessage('Invalid status'),
+  query('channel').optional().isIn(channels.names()).withMessage('Unknown notification channel'),
+  query('reminderId').optional().isMongoId().withMessage('Invalid reminder ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      channel,
+      reminderId
+    } = req.query;
+
+    const filter = { user: req.user.userId };
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+    if (reminderId) filter.reminder = reminderId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('reminder', 'title status scheduledTime')
+        .lean(),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(serializeDelivery),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: skip + parseInt(limit) < total,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/notifications/send-bulk
 // @desc    Send bulk notifications (admin/system use)
 // @access  Private (could be restricted to admin users)
@@ -348,10 +885,12 @@ router.get('/status', auth, async (req, res) => {
     // Check system status
     const status = {
       vapidConfigured: !!process.env.VAPID_PUBLIC_KEY && !!process.env.VAPID_PRIVATE_KEY,
-      emailConfigured: !!process.env.EMAIL_USER && !!process.env.EMAIL_PASS,
+      emailConfigured: channels.get('email').isConfigured(),
+      channels: NotificationService.getChannelStatus(user),
       userSettings: {
         webPushEnabled: user.notifications.webPush.enabled,
-        webPushSubscribed: !!user.notifications.webPush.subscription,
+        webPushSubscribed: user.getPushSubscriptions().some(device => device.enabled),
+        webPushDevices: user.getPushSubscriptions().length,
         emailEnabled: user.notifications.email.enabled,
         emailFallback: user.notifications.email.fallback
       },
@@ -1,11 +1,40 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Reminder = require('../models/Reminder');
+const ShareLink = require('../models/ShareLink');
 const User = require('../models/User');
+const RecurrenceRule = require('../utils/recurrence');
+const { isValidTimeZone, parseInTimeZone } = require('../utils/timezone');
+const { parseQuickAdd } = require('../utils/quickAdd');
 const { auth } = require('../middleware/auth');
+const channels = require('../services/channels');
+const IcalService = require('../services/icalService');
+const NotificationService = require('../services/notificationService');
+const schedulerService = require('../services/schedulerService');
 
 const router = express.Router();
 
+// Timezone used to read wall-clock times sent without an offset
+const getRequestTimeZone = (req) => {
+  return req.body.timezone || (req.userDoc && req.userDoc.profile.timezone) || 'UTC';
+};
+
+// Timezone a sent scheduledTime is read in: the one sent with it, else
+// that of the reminder being updated, else the request's
+const getScheduledTimeZone = async (req) => {
+  if (req.body.timezone) return req.body.timezone;
+
+  if (req.params.id && mongoose.isValidObjectId(req.params.id)) {
+    const reminder = await Reminder.findOne({ _id: req.params.id, ...requestScope(req) })
+      .select('timezone')
+      .lean();
+    if (reminder && reminder.timezone) return reminder.timezone;
+  }
+
+  return getRequestTimeZone(req);
+};
+
 // Validation rules
 const reminderValidation = [
   body('title')
@@ -17,11 +46,15 @@ const reminderValidation = [
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Description must be less than 1000 characters'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Invalid timezone'),
   body('scheduledTime')
     .isISO8601()
     .withMessage('Invalid scheduled time format')
-    .custom((value) => {
-      const scheduledDate = new Date(value);
+    .custom(async (value, { req }) => {
+      const scheduledDate = parseInTimeZone(value, await getScheduledTimeZone(req));
       const now = new Date();
       if (scheduledDate <= now) {
         throw new Error('Scheduled time must be in the future');
@@ -36,6 +69,26 @@ const reminderValidation = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Recurrence interval must be a positive integer'),
+  body('recurrence.calendar')
+    .optional()
+    .isIn(['gregorian', 'jalali'])
+    .withMessage('Invalid recurrence calendar'),
+  body('recurrence.rrule')
+    .optional()
+    .isString()
+    .withMessage('Recurrence rule must be a string')
+    .custom((value) => {
+      RecurrenceRule.parse(value);
+      return true;
+    }),
+  body('recurrence.exdates')
+    .optional()
+    .isArray()
+    .withMessage('Recurrence exceptions must be an array'),
+  body('recurrence.exdates.*')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid recurrence exception date'),
   body('tags')
     .optional()
     .isArray()
@@ -48,12 +101,278 @@ const reminderValidation = [
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
     .withMessage('Invalid priority level'),
+  body('alerts')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Alerts must be an array of at most 10 entries')
+    .custom((alerts) => {
+      const offsets = alerts.map(alert => alert && alert.offset);
+      if (new Set(offsets).size !== offsets.length) {
+        throw new Error('Alert offsets must be distinct');
+      }
+      return true;
+    }),
+  body('alerts.*.offset')
+    .isInt({ min: 0, max: Reminder.MAX_ALERT_OFFSET })
+    .withMessage('Alert offset must be between 0 and 30 days in minutes')
+    .toInt(),
+  body('alerts.*.channels')
+    .optional()
+    .isArray()
+    .withMessage('Alert channels must be an array'),
+  body('alerts.*.channels.*')
+    .isIn(channels.names())
+    .withMessage('Unknown notification channel'),
+  body('checklist')
+    .optional()
+    .isArray({ max: Reminder.MAX_CHECKLIST_ITEMS })
+    .withMessage(`Checklist must be an array of at most ${Reminder.MAX_CHECKLIST_ITEMS} items`),
+  body('checklist.*.text')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required')
+    .isLength({ max: 200 })
+    .withMessage('Checklist items must be less than 200 characters'),
+  body('checklist.*.done')
+    .optional()
+    .isBoolean()
+    .withMessage('Checklist item done must be a boolean')
+    .toBoolean(),
+  body('completeWithChecklist')
+    .optional()
+    .isBoolean()
+    .withMessage('Complete with checklist must be a boolean')
+    .toBoolean(),
+  body('dependsOn')
+    .optional()
+    .isArray({ max: Reminder.MAX_DEPENDENCIES })
+    .withMessage(`Dependencies must be an array of at most ${Reminder.MAX_DEPENDENCIES} reminders`),
+  body('dependsOn.*')
+    .isMongoId()
+    .withMessage('Invalid dependency id'),
+  body('followUps')
+    .optional()
+    .isArray({ max: Reminder.MAX_FOLLOW_UPS })
+    .withMessage(`Follow-ups must be an array of at most ${Reminder.MAX_FOLLOW_UPS} entries`),
+  body('followUps.*.title')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Follow-up title is required')
+    .isLength({ max: 200 })
+    .withMessage('Follow-up titles must be less than 200 characters'),
+  body('followUps.*.description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Follow-up descriptions must be less than 1000 characters'),
+  body('followUps.*.delay')
+    .isInt({ min: 0, max: Reminder.MAX_FOLLOW_UP_DELAY })
+    .withMessage(`Follow-up delay must be between 0 and ${Reminder.MAX_FOLLOW_UP_DELAY} minutes`)
+    .toInt(),
+  body('followUps.*.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid follow-up priority'),
 ];
 
+// .ics uploads are posted as-is; JSON clients send the text in `calendar`
+const rawCalendar = express.raw({
+  type: ['text/calendar', 'application/octet-stream', 'text/plain'],
+  limit: '5mb'
+});
+
+const PARTICIPANT_FIELDS = 'username profile.firstName profile.lastName';
+
+// Reminders the request can reach: those of its workspace, or else the
+// user's personal ones
+const requestScope = (req) => Reminder.scopedTo(req.user.userId, req.workspace && req.workspace._id);
+
+// Role of a user on a reminder read with lean(), as Reminder#getRole
+const getLeanRole = (reminder, userId, workspaceRole = null) => {
+  if (String(reminder.user) === String(userId)) return 'owner';
+  if (reminder.workspace && workspaceRole) {
+    return ['owner', 'admin'].includes(workspaceRole) ? 'owner' : 'editor';
+  }
+
+  const collaborator = ((reminder.sharing && reminder.sharing.collaborators) || [])
+    .find(entry => String(entry.user) === String(userId));
+  return collaborator ? collaborator.role : null;
+};
+
+const serializePerson = (user) => ({
+  _id: user._id,
+  username: user.username,
+  name: `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim()
+});
+
+// Owner, collaborators and assignee of a shared reminder
+const serializeParticipants = async (reminder) => {
+  await reminder.populate([
+    { path: 'user', select: PARTICIPANT_FIELDS },
+    { path: 'sharing.collaborators.user', select: PARTICIPANT_FIELDS }
+  ]);
+
+  return {
+    owner: serializePerson(reminder.user),
+    collaborators: reminder.sharing.collaborators
+      .filter(entry => entry.user)
+      .map(entry => ({
+        ...serializePerson(entry.user),
+        role: entry.role,
+        addedAt: entry.addedAt
+      })),
+    assignee: reminder.sharing.assignee || null
+  };
+};
+
+// Tell the other participants of a shared or workspace reminder about a
+// change to it
+const notifyParticipants = (reminder, req, event, recipientIds) => {
+  if (!reminder.workspace && reminder.sharing.collaborators.length === 0) return;
+
+  NotificationService.notifyParticipants(reminder, req.userDoc, event, recipientIds)
+    .catch(error => console.error(`Failed to notify participants of reminder ${reminder._id}:`, error));
+};
+
+// A share link as shown to its owner
+const serializeShareLink = (link) => ({
+  _id: link._id,
+  url: `${process.env.BASE_URL || ''}/shared/${link.token}`,
+  hasPassword: !!link.passwordHash,
+  maxViews: link.maxViews,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt || null,
+  allowImport: link.allowImport,
+  importCount: link.importCount,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt
+});
+
+// Check the X-Share-Password header against a protected link. Sends a 403
+// with `passwordRequired` and resolves to false when it does not match.
+const checkSharePassword = async (link, req, res) => {
+  const password = req.header('X-Share-Password');
+  if (await link.checkPassword(password)) return true;
+
+  res.status(403).json({
+    success: false,
+    message: password ? 'Incorrect password' : 'This link is protected with a password',
+    passwordRequired: true
+  });
+  return false;
+};
+
+// Find the reminder a share token opens. Tokens of legacy share links
+// (JWTs) open it without a ShareLink; only the reminder's latest one does.
+const findSharedReminder = async (token) => {
+  const link = await ShareLink.findLive(token);
+  if (link) {
+    return { link, reminder: await Reminder.findById(link.reminder) };
+  }
+
+  const legacy = Reminder.verifyLegacyShareToken(token);
+  const reminder = legacy && await Reminder.findOne({
+    _id: legacy.reminderId,
+    'sharing.shareToken': String(token)
+  });
+  return { legacy, reminder };
+};
+
+// Public view of a shared reminder
+const serializeSharedReminder = (reminder, { sharedBy, sharedAt, expiresAt, allowImport }) => ({
+  _id: reminder._id,
+  title: reminder.title,
+  description: reminder.description,
+  scheduledTime: reminder.scheduledTime,
+  priority: reminder.priority,
+  tags: reminder.tags,
+  checklist: reminder.checklist.map(({ text, done }) => ({ text, done })),
+  sharedBy: sharedBy && {
+    username: sharedBy.username,
+    name: serializePerson(sharedBy).name
+  },
+  sharedAt,
+  expiresAt,
+  allowImport
+});
+
+// Keep only the checklist fields clients may set. Items sent with the id
+// of an existing item keep when and by whom they were checked.
+const parseChecklist = (items, userId, previous = []) => items.map(({ _id, text, done = false }) => {
+  const before = _id && previous.find(item => String(item._id) === String(_id));
+  const stillDone = done && before && before.done;
+
+  return {
+    ...(before && { _id: before._id }),
+    text,
+    done,
+    doneAt: done ? (stillDone ? before.doneAt : new Date()) : undefined,
+    doneBy: done ? (stillDone ? before.doneBy : userId) : undefined
+  };
+});
+
+// Complete a pending reminder whose checklist is done, if it asks for it
+const completeIfChecklistDone = async (reminder, userId) => {
+  if (!reminder.completeWithChecklist || reminder.status === 'completed' || !reminder.isChecklistDone()) {
+    return false;
+  }
+
+  await reminder.markCompleted(userId);
+  return true;
+};
+
+// Keep only the follow-up fields clients may set
+const parseFollowUps = (followUps) => followUps.map(({ title, description, delay, priority }) => ({
+  title,
+  description,
+  delay,
+  priority
+}));
+
+// Check the reminders a reminder is to depend on: the request must reach
+// them all, and none may lead back to the reminder. Sends a 400 and
+// resolves to null when they don't; otherwise resolves to the distinct ids.
+const checkDependencies = async (ids, req, res, reminderId = null) => {
+  const dependsOn = [...new Set(ids.map(String))];
+
+  const found = await Reminder.countDocuments({
+    _id: { $in: dependsOn },
+    ...requestScope(req)
+  });
+  if (found !== dependsOn.length) {
+    res.status(400).json({
+      success: false,
+      message: 'Dependencies must be reminders you can access'
+    });
+    return null;
+  }
+
+  const cycle = reminderId && await Reminder.findDependencyCycle(reminderId, dependsOn);
+  if (cycle) {
+    res.status(400).json({
+      success: false,
+      message: 'These dependencies would create a cycle',
+      cycle
+    });
+    return null;
+  }
+
+  return dependsOn;
+};
+
+// Keep only the alert fields clients may set
+const parseAlerts = (alerts) => alerts.map(({ offset, channels: alertChannels = [] }) => ({
+  offset,
+  channels: alertChannels
+}));
+
 // @route   GET /api/reminders
-// @desc    Get user's reminders with filtering and pagination
+// @desc    Get user's reminders, and those shared with them, or a workspace's
+//          reminders, with filtering and pagination
 // @access  Private
 router.get('/', auth, [
+  query('scope').optional().isIn(['all', 'own', 'shared']).withMessage('Scope must be all, own or shared'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status').optional().isIn(['pending', 'completed', 'cancelled', 'snoozed']).withMessage('Invalid status'),
@@ -81,11 +400,19 @@ router.get('/', auth, [
       tags,
       search,
       sortBy = 'scheduledTime',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      scope = 'all'
     } = req.query;
 
-    // Build query
-    const query = { user: req.user.userId };
+    // Build query; in a workspace, its members all share every reminder
+    const scopes = {
+      all: Reminder.accessibleBy(req.user.userId),
+      own: { user: req.user.userId },
+      shared: { 'sharing.collaborators.user': req.user.userId }
+    };
+    const query = req.workspace
+      ? { workspace: req.workspace._id }
+      : { ...scopes[scope], workspace: null };
 
     if (status) {
       query.status = status;
@@ -101,10 +428,12 @@ router.get('/', auth, [
     }
 
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      query.$and = [{
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      }];
     }
 
     // Build sort object
@@ -119,6 +448,7 @@ router.get('/', auth, [
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit))
+        .populate('dependsOn', 'title status')
         .lean(),
       Reminder.countDocuments(query)
     ]);
@@ -127,6 +457,7 @@ router.get('/', auth, [
     const now = new Date();
     const enrichedReminders = reminders.map(reminder => ({
       ...reminder,
+      role: getLeanRole(reminder, req.user.userId, req.workspaceRole),
       isOverdue: reminder.status === 'pending' && reminder.scheduledTime < now,
       isUpcoming: reminder.status === 'pending' && 
                   reminder.scheduledTime >= now && 
@@ -202,7 +533,11 @@ router.get('/upcoming', auth, [
 
     const { hours = 24 } = req.query;
     
-    const reminders = await Reminder.findUpcomingReminders(req.user.userId, parseInt(hours));
+    const reminders = await Reminder.findUpcomingReminders(
+      req.user.userId,
+      parseInt(hours),
+      req.workspace && req.workspace._id
+    );
 
     res.json({
       success: true,
@@ -218,14 +553,90 @@ router.get('/upcoming', auth, [
   }
 });
 
+// @route   GET /api/reminders/export.ics
+// @desc    Export reminders as an iCalendar file of events or to-dos
+// @access  Private
+router.get('/export.ics', auth, [
+  query('type').optional().isIn(['event', 'todo']).withMessage('Type must be event or todo'),
+  query('status').optional().isIn(['pending', 'completed', 'cancelled', 'snoozed']).withMessage('Invalid status'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type = 'event', status } = req.query;
+    const filter = req.workspace
+      ? { workspace: req.workspace._id }
+      : { user: req.user.userId, workspace: null };
+    if (status) filter.status = status;
+
+    const reminders = await Reminder.find(filter).sort({ scheduledTime: 1 }).limit(5000);
+    const calendar = IcalService.exportReminders(reminders, { type });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="notifaref-reminders.ics"');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Export reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reminders/import
+// @desc    Import events and to-dos from an iCalendar (.ics) file
+// @access  Private
+router.post('/import', auth, rawCalendar, async (req, res) => {
+  try {
+    const text = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : (req.body && req.body.calendar);
+
+    if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An iCalendar (.ics) file is required'
+      });
+    }
+
+    const result = await IcalService.importCalendar(text, req.userDoc);
+    [...result.created, ...result.updated].forEach(reminder => schedulerService.scheduleReminder(reminder));
+
+    res.json({
+      success: true,
+      message: 'Calendar imported',
+      data: {
+        created: result.created.length,
+        updated: result.updated.length,
+        skipped: result.skipped,
+        errors: result.errors
+      }
+    });
+
+  } catch (error) {
+    console.error('Import reminders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/reminders/:id
-// @desc    Get a specific reminder
+// @desc    Get a specific reminder, owned or shared with the user
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
     const reminder = await Reminder.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...requestScope(req)
     });
 
     if (!reminder) {
@@ -237,6 +648,7 @@ router.get('/:id', auth, async (req, res) => {
 
     // Increment view count
     await reminder.incrementView();
+    await reminder.populate('dependsOn', 'title status');
 
     res.json({
       success: true,
@@ -252,8 +664,55 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/reminders/parse
+// @desc    Read a quick-add line into reminder fields for a preview
+// @access  Private
+router.post('/parse', auth, [
+  body('text')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Text is required')
+    .isLength({ max: 500 })
+    .withMessage('Text must be less than 500 characters'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Invalid timezone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timezone = getRequestTimeZone(req);
+    const parsed = parseQuickAdd(req.body.text, { timeZone: timezone });
+
+    res.json({
+      success: true,
+      data: {
+        ...parsed,
+        timezone,
+        complete: !!parsed.title && !!parsed.scheduledTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Parse reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/reminders
-// @desc    Create a new reminder
+// @desc    Create a new reminder, in the workspace if one is chosen
 // @access  Private
 router.post('/', auth, reminderValidation, async (req, res) => {
   try {
@@ -266,26 +725,49 @@ router.post('/', auth, reminderValidation, async (req, res) => {
       });
     }
 
+    // Workspace reminders take the workspace's notification defaults
+    const defaults = req.workspace
+      ? req.workspace.notifications
+      : { priority: 'medium', alerts: [] };
+
     const {
       title,
       description,
       scheduledTime,
       recurrence = { type: 'none' },
       tags = [],
-      priority = 'medium'
+      priority = defaults.priority,
+      alerts = defaults.alerts,
+      checklist = [],
+      completeWithChecklist = false,
+      dependsOn = [],
+      followUps = []
     } = req.body;
 
+    const dependencies = await checkDependencies(dependsOn, req, res);
+    if (!dependencies) return;
+
+    const timezone = getRequestTimeZone(req);
+
     const reminder = new Reminder({
       user: req.user.userId,
+      workspace: req.workspace ? req.workspace._id : null,
       title,
       description,
-      scheduledTime: new Date(scheduledTime),
+      scheduledTime: parseInTimeZone(scheduledTime, timezone),
+      timezone,
       recurrence,
       tags: tags.map(tag => tag.toLowerCase()),
-      priority
+      priority,
+      alerts: parseAlerts(alerts),
+      checklist: parseChecklist(checklist, req.user.userId),
+      completeWithChecklist,
+      dependsOn: dependencies,
+      followUps: parseFollowUps(followUps)
     });
 
     await reminder.save();
+    schedulerService.scheduleReminder(reminder);
 
     res.status(201).json({
       success: true,
@@ -303,7 +785,7 @@ router.post('/', auth, reminderValidation, async (req, res) => {
 });
 
 // @route   PUT /api/reminders/:id
-// @desc    Update a reminder
+// @desc    Update a reminder (owner or editor)
 // @access  Private
 router.put('/:id', auth, reminderValidation, async (req, res) => {
   try {
@@ -318,7 +800,7 @@ router.put('/:id', auth, reminderValidation, async (req, res) => {
 
     const reminder = await Reminder.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...requestScope(req)
     });
 
     if (!reminder) {
@@ -328,24 +810,68 @@ router.put('/:id', auth, reminderValidation, async (req, res) => {
       });
     }
 
+    if (!reminder.canEdit(req.user.userId, req.workspaceRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view this reminder'
+      });
+    }
+
     const {
       title,
       description,
       scheduledTime,
+      timezone,
       recurrence,
       tags,
-      priority
+      priority,
+      alerts,
+      checklist,
+      completeWithChecklist,
+      dependsOn,
+      followUps
     } = req.body;
 
+    let dependencies;
+    if (dependsOn !== undefined) {
+      dependencies = await checkDependencies(dependsOn, req, res, reminder._id);
+      if (!dependencies) return;
+    }
+
+    const previousSeries = {
+      rrule: reminder.recurrence.rrule,
+      dtstart: reminder.recurrence.dtstart,
+      time: reminder.scheduledTime.getTime()
+    };
+
     // Update fields
     if (title !== undefined) reminder.title = title;
     if (description !== undefined) reminder.description = description;
-    if (scheduledTime !== undefined) reminder.scheduledTime = new Date(scheduledTime);
+    if (timezone !== undefined) reminder.timezone = timezone;
+    if (scheduledTime !== undefined) reminder.scheduledTime = parseInTimeZone(scheduledTime, reminder.timezone);
     if (recurrence !== undefined) reminder.recurrence = recurrence;
     if (tags !== undefined) reminder.tags = tags.map(tag => tag.toLowerCase());
     if (priority !== undefined) reminder.priority = priority;
+    if (alerts !== undefined) reminder.alerts = parseAlerts(alerts);
+    if (checklist !== undefined) reminder.checklist = parseChecklist(checklist, req.user.userId, reminder.checklist);
+    if (completeWithChecklist !== undefined) reminder.completeWithChecklist = completeWithChecklist;
+    if (dependencies !== undefined) reminder.dependsOn = dependencies;
+    if (followUps !== undefined) reminder.followUps = parseFollowUps(followUps);
+
+    // The series stays anchored on its first occurrence, which COUNT and
+    // BYSETPOS count from, unless the edit moved it or changed its rule.
+    // Validating normalizes the rule so the two can be compared.
+    reminder.recurrence.dtstart = previousSeries.dtstart;
+    await reminder.validate();
+    if (reminder.recurrence.rrule !== previousSeries.rrule ||
+        reminder.scheduledTime.getTime() !== previousSeries.time) {
+      reminder.recurrence.dtstart = undefined;
+    }
 
     await reminder.save();
+    const completed = await completeIfChecklistDone(reminder, req.user.userId);
+    schedulerService.scheduleReminder(reminder);
+    notifyParticipants(reminder, req, completed ? 'completed' : 'edited');
 
     res.json({
       success: true,
@@ -363,7 +889,7 @@ router.put('/:id', auth, reminderValidation, async (req, res) => {
 });
 
 // @route   PATCH /api/reminders/:id/status
-// @desc    Update reminder status
+// @desc    Update reminder status; the assignee may complete or reopen it
 // @access  Private
 router.patch('/:id/status', auth, [
   body('status')
@@ -384,7 +910,7 @@ router.patch('/:id/status', auth, [
     
     const reminder = await Reminder.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...requestScope(req)
     });
 
     if (!reminder) {
@@ -394,12 +920,24 @@ router.patch('/:id/status', auth, [
       });
     }
 
+    const allowed = ['completed', 'pending'].includes(status)
+      ? reminder.canComplete(req.user.userId, req.workspaceRole)
+      : reminder.canEdit(req.user.userId, req.workspaceRole);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view this reminder'
+      });
+    }
+
     if (status === 'completed') {
-      await reminder.markCompleted();
+      await reminder.markCompleted(req.user.userId);
     } else {
       reminder.status = status;
       await reminder.save();
     }
+    schedulerService.scheduleReminder(reminder);
+    notifyParticipants(reminder, req, status === 'completed' ? 'completed' : 'edited');
 
     res.json({
       success: true,
@@ -416,6 +954,71 @@ router.patch('/:id/status', auth, [
   }
 });
 
+// @route   PATCH /api/reminders/:id/checklist/:itemId
+// @desc    Check or uncheck a checklist item; completes the reminder when
+//          the last item is checked, if it is set to
+// @access  Private (owner, editor or assignee)
+router.patch('/:id/checklist/:itemId', auth, [
+  body('done').isBoolean().withMessage('Done must be a boolean').toBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      ...requestScope(req)
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    if (!reminder.canComplete(req.user.userId, req.workspaceRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view this reminder'
+      });
+    }
+
+    if (!reminder.setChecklistItem(req.params.itemId, req.body.done, req.user.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    await reminder.save();
+    const completed = await completeIfChecklistDone(reminder, req.user.userId);
+    if (completed) {
+      schedulerService.scheduleReminder(reminder);
+      notifyParticipants(reminder, req, 'completed');
+    }
+
+    res.json({
+      success: true,
+      message: completed ? 'Checklist done; reminder completed' : 'Checklist item updated',
+      data: reminder
+    });
+
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   PATCH /api/reminders/:id/snooze
 // @desc    Snooze a reminder
 // @access  Private
@@ -439,7 +1042,7 @@ router.patch('/:id/snooze', auth, [
     
     const reminder = await Reminder.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...requestScope(req)
     });
 
     if (!reminder) {
@@ -449,7 +1052,15 @@ router.patch('/:id/snooze', auth, [
       });
     }
 
+    if (!reminder.canComplete(req.user.userId, req.workspaceRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view this reminder'
+      });
+    }
+
     await reminder.snooze(parseInt(minutes));
+    schedulerService.scheduleReminder(reminder);
 
     res.json({
       success: true,
@@ -467,13 +1078,13 @@ router.patch('/:id/snooze', auth, [
 });
 
 // @route   DELETE /api/reminders/:id
-// @desc    Delete a reminder
+// @desc    Delete a reminder (owner or workspace admin; others leave it instead)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
     const reminder = await Reminder.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...requestScope(req)
     });
 
     if (!reminder) {
@@ -483,7 +1094,15 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    await reminder.remove();
+    if (reminder.getRole(req.user.userId, req.workspaceRole) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can delete this reminder'
+      });
+    }
+
+    await reminder.deleteWithCleanup();
+    schedulerService.unscheduleReminder(reminder._id);
 
     res.json({
       success: true,
@@ -499,30 +1118,14 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/reminders/:id/share
-// @desc    Create a shareable link for a reminder
+// @route   GET /api/reminders/:id/collaborators
+// @desc    List the owner, collaborators and assignee of a reminder
 // @access  Private
-router.post('/:id/share', auth, [
-  body('expirationHours')
-    .optional()
-    .isInt({ min: 1, max: 168 })
-    .withMessage('Expiration hours must be between 1 and 168 (7 days)'),
-], async (req, res) => {
+router.get('/:id/collaborators', auth, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { expirationHours = 24 } = req.body;
-    
     const reminder = await Reminder.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...requestScope(req)
     });
 
     if (!reminder) {
@@ -532,23 +1135,13 @@ router.post('/:id/share', auth, [
       });
     }
 
-    const shareToken = reminder.createShareToken(parseInt(expirationHours));
-    await reminder.save();
-
-    const shareUrl = `${process.env.BASE_URL}/shared/${shareToken}`;
-
     res.json({
       success: true,
-      message: 'Share link created successfully',
-      data: {
-        shareUrl,
-        shareToken,
-        expiresAt: reminder.sharing.expiresAt
-      }
+      data: await serializeParticipants(reminder)
     });
 
   } catch (error) {
-    console.error('Share reminder error:', error);
+    console.error('Get collaborators error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -556,43 +1149,483 @@ router.post('/:id/share', auth, [
   }
 });
 
-// @route   GET /api/reminders/shared/:token
-// @desc    Get a shared reminder
-// @access  Public
-router.get('/shared/:token', async (req, res) => {
+// @route   POST /api/reminders/:id/collaborators
+// @desc    Share a reminder with a user, by username or email, as viewer or editor
+// @access  Private (owner)
+router.post('/:id/collaborators', auth, [
+  body('user').trim().notEmpty().withMessage('Username or email is required'),
+  body('role').optional().isIn(Reminder.SHARE_ROLES).withMessage('Role must be viewer or editor'),
+], async (req, res) => {
   try {
-    const { token } = req.params;
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { user: identifier, role = 'viewer' } = req.body;
+
+    // Workspace reminders are shared with the whole workspace instead
     const reminder = await Reminder.findOne({
-      'sharing.shareToken': token,
-      'sharing.expiresAt': { $gt: new Date() }
-    }).populate('user', 'username profile.firstName profile.lastName');
+      _id: req.params.id,
+      user: req.user.userId,
+      workspace: null
+    });
 
     if (!reminder) {
       return res.status(404).json({
         success: false,
-        message: 'Shared reminder not found or expired'
+        message: 'Reminder not found'
       });
     }
 
-    // Don't expose sensitive information
-    const sharedReminder = {
-      _id: reminder._id,
-      title: reminder.title,
-      description: reminder.description,
-      scheduledTime: reminder.scheduledTime,
-      priority: reminder.priority,
-      tags: reminder.tags,
-      sharedBy: {
-        username: reminder.user.username,
-        name: `${reminder.user.profile.firstName || ''} ${reminder.user.profile.lastName || ''}`.trim()
-      },
-      sharedAt: reminder.sharing.sharedAt
-    };
+    const collaborator = await User.findOne({
+      $or: [{ username: identifier }, { email: identifier.toLowerCase() }]
+    });
+
+    if (!collaborator) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const currentRole = reminder.getRole(collaborator._id);
+    if (currentRole === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this reminder'
+      });
+    }
+
+    const isNew = !currentRole;
+    try {
+      reminder.addCollaborator(collaborator._id, role, req.user.userId);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await reminder.save();
+    if (isNew) {
+      notifyParticipants(reminder, req, 'shared', [collaborator._id]);
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Reminder shared successfully' : 'Collaborator role updated',
+      data: await serializeParticipants(reminder)
+    });
+
+  } catch (error) {
+    console.error('Add collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/reminders/:id/collaborators/:userId
+// @desc    Change a collaborator's role
+// @access  Private (owner)
+router.patch('/:id/collaborators/:userId', auth, [
+  body('role').isIn(Reminder.SHARE_ROLES).withMessage('Role must be viewer or editor'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      user: req.user.userId,
+      workspace: null
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    const role = reminder.getRole(req.params.userId);
+    if (!role || role === 'owner') {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    reminder.addCollaborator(req.params.userId, req.body.role);
+    await reminder.save();
 
     res.json({
       success: true,
-      data: sharedReminder
+      message: 'Collaborator role updated',
+      data: await serializeParticipants(reminder)
+    });
+
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/reminders/:id/collaborators/:userId
+// @desc    Stop sharing a reminder with a user; collaborators may remove themselves
+// @access  Private (owner or the collaborator)
+router.delete('/:id/collaborators/:userId', auth, async (req, res) => {
+  try {
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      ...requestScope(req)
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    const isSelf = req.params.userId === String(req.user.userId);
+    if (!isSelf && reminder.getRole(req.user.userId) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can remove collaborators'
+      });
+    }
+
+    if (!reminder.removeCollaborator(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    await reminder.save();
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the shared reminder' : 'Collaborator removed',
+      ...(!isSelf && { data: await serializeParticipants(reminder) })
+    });
+
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/reminders/:id/assignee
+// @desc    Assign a reminder to one of its participants (or workspace members),
+//          or clear it with null
+// @access  Private (owner or editor)
+router.put('/:id/assignee', auth, [
+  body('assignee').optional({ nullable: true }).isMongoId().withMessage('Invalid assignee'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      ...requestScope(req)
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    if (!reminder.canEdit(req.user.userId, req.workspaceRole)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view this reminder'
+      });
+    }
+
+    const { assignee } = req.body;
+    const isParticipant = req.workspace ? req.workspace.getRole(assignee) : reminder.getRole(assignee);
+    if (assignee && !isParticipant) {
+      return res.status(400).json({
+        success: false,
+        message: 'The assignee must be a participant of the reminder'
+      });
+    }
+
+    reminder.sharing.assignee = assignee || undefined;
+    await reminder.save();
+    if (assignee) {
+      notifyParticipants(reminder, req, 'assigned', [assignee]);
+    }
+
+    res.json({
+      success: true,
+      message: assignee ? 'Reminder assigned successfully' : 'Assignment cleared',
+      data: await serializeParticipants(reminder)
+    });
+
+  } catch (error) {
+    console.error('Assign reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/reminders/:id/share
+// @desc    Create a public link to a reminder, optionally with a password,
+//          a view limit or without importing
+// @access  Private (owner)
+router.post('/:id/share', auth, [
+  body('expirationHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Expiration hours must be between 1 and 168 (7 days)'),
+  body('password')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  body('maxViews')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Maximum views must be between 1 and 10000'),
+  body('allowImport')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow import must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { expirationHours = 24, password, maxViews, allowImport = true } = req.body;
+    
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      ...requestScope(req)
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    if (reminder.getRole(req.user.userId, req.workspaceRole) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can share links to this reminder'
+      });
+    }
+
+    const link = await ShareLink.createFor(reminder, req.user.userId, {
+      expirationHours: parseInt(expirationHours),
+      password: password || null,
+      maxViews: maxViews ? parseInt(maxViews) : null,
+      allowImport: allowImport === true || allowImport === 'true'
+    });
+
+    const shareLink = serializeShareLink(link);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: {
+        ...shareLink,
+        shareUrl: shareLink.url,
+        shareToken: link.token
+      }
+    });
+
+  } catch (error) {
+    console.error('Share reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reminders/:id/share-links
+// @desc    List a reminder's working share links with their view counts
+// @access  Private (owner)
+router.get('/:id/share-links', auth, async (req, res) => {
+  try {
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      ...requestScope(req)
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    if (reminder.getRole(req.user.userId, req.workspaceRole) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can see the share links of this reminder'
+      });
+    }
+
+    const links = await ShareLink.findActiveFor(reminder._id);
+
+    res.json({
+      success: true,
+      data: links.map(serializeShareLink)
+    });
+
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/reminders/:id/share-links/:linkId
+// @desc    Revoke a share link
+// @access  Private (owner)
+router.delete('/:id/share-links/:linkId', auth, async (req, res) => {
+  try {
+    const reminder = await Reminder.findOne({
+      _id: req.params.id,
+      ...requestScope(req)
+    });
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    if (reminder.getRole(req.user.userId, req.workspaceRole) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can revoke share links'
+      });
+    }
+
+    const link = mongoose.isValidObjectId(req.params.linkId) && await ShareLink.findOne({
+      _id: req.params.linkId,
+      reminder: reminder._id,
+      revokedAt: null
+    });
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    await link.revoke();
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reminders/shared/:token
+// @desc    Get a shared reminder; protected links need the X-Share-Password header
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const { link, legacy, reminder } = await findSharedReminder(req.params.token);
+
+    if (!reminder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shared reminder not found or expired'
+      });
+    }
+
+    // Legacy links have no password or view limit and are read-only
+    if (legacy) {
+      await reminder.incrementView();
+      await reminder.populate('user', PARTICIPANT_FIELDS);
+
+      return res.json({
+        success: true,
+        data: serializeSharedReminder(reminder, {
+          sharedBy: reminder.user,
+          sharedAt: new Date(legacy.iat * 1000),
+          expiresAt: new Date(legacy.exp * 1000),
+          allowImport: false
+        })
+      });
+    }
+
+    if (!await checkSharePassword(link, req, res)) return;
+
+    // Count the view, unless another visitor took the last one
+    if (!await ShareLink.recordView(link)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This link has reached its view limit'
+      });
+    }
+    await reminder.incrementView();
+    await link.populate('createdBy', PARTICIPANT_FIELDS);
+
+    res.json({
+      success: true,
+      data: serializeSharedReminder(reminder, {
+        sharedBy: link.createdBy,
+        sharedAt: link.createdAt,
+        expiresAt: link.expiresAt,
+        allowImport: link.allowImport
+      })
     });
 
   } catch (error) {
@@ -609,12 +1642,7 @@ router.get('/shared/:token', async (req, res) => {
 // @access  Private
 router.post('/shared/:token/import', auth, async (req, res) => {
   try {
-    const { token } = req.params;
-    
-    const originalReminder = await Reminder.findOne({
-      'sharing.shareToken': token,
-      'sharing.expiresAt': { $gt: new Date() }
-    });
+    const { link, legacy, reminder: originalReminder } = await findSharedReminder(req.params.token);
 
     if (!originalReminder) {
       return res.status(404).json({
@@ -623,21 +1651,45 @@ router.post('/shared/:token/import', auth, async (req, res) => {
       });
     }
 
+    if (legacy) {
+      return res.status(403).json({
+        success: false,
+        message: 'This older link is view-only; ask the owner for a new link to import the reminder'
+      });
+    }
+
+    if (!link.allowImport) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link does not allow importing the reminder'
+      });
+    }
+
+    if (!await checkSharePassword(link, req, res)) return;
+
     // Create a new reminder for the current user
     const newReminder = new Reminder({
       user: req.user.userId,
       title: originalReminder.title,
       description: originalReminder.description,
       scheduledTime: originalReminder.scheduledTime,
+      // The series expands in its own timezone, so it keeps it
+      timezone: originalReminder.timezone,
       recurrence: originalReminder.recurrence,
       tags: originalReminder.tags,
       priority: originalReminder.priority,
+      // Lead times carry over; channel choices are the sharer's own
+      alerts: originalReminder.alerts.map(({ offset }) => ({ offset })),
+      checklist: originalReminder.copyChecklist(),
+      completeWithChecklist: originalReminder.completeWithChecklist,
       metadata: {
         source: 'shared'
       }
     });
 
     await newReminder.save();
+    await ShareLink.updateOne({ _id: link._id }, { $inc: { importCount: 1 } });
+    schedulerService.scheduleReminder(newReminder);
 
     res.status(201).json({
       success: true,
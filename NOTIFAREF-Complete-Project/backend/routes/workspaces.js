@@ -0,0 +1,543 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const Workspace = require('../models/Workspace');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const channels = require('../services/channels');
+const schedulerService = require('../services/schedulerService');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'username email profile.firstName profile.lastName';
+
+// Validation rules shared by create and update
+const workspaceValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Workspace name is required')
+    .isLength({ max: 100 })
+    .withMessage('Workspace name must be less than 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('tags')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Tags must be an array of at most 50 entries'),
+  body('tags.*')
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Each tag must be less than 50 characters'),
+  body('notifications.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority level'),
+  body('notifications.alerts')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Alerts must be an array of at most 10 entries'),
+  body('notifications.alerts.*.offset')
+    .isInt({ min: 0, max: Reminder.MAX_ALERT_OFFSET })
+    .withMessage('Alert offset must be between 0 and 30 days in minutes')
+    .toInt(),
+  body('notifications.alerts.*.channels')
+    .optional()
+    .isArray()
+    .withMessage('Alert channels must be an array'),
+  body('notifications.alerts.*.channels.*')
+    .isIn(channels.names())
+    .withMessage('Unknown notification channel'),
+];
+
+// Copy the settings clients may change onto a workspace
+const applySettings = (workspace, { name, description, tags, notifications }) => {
+  if (name !== undefined) workspace.name = name;
+  if (description !== undefined) workspace.description = description;
+  if (tags !== undefined) {
+    workspace.tags = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+  if (notifications && notifications.priority !== undefined) {
+    workspace.notifications.priority = notifications.priority;
+  }
+  if (notifications && notifications.alerts !== undefined) {
+    workspace.notifications.alerts = notifications.alerts.map(({ offset, channels: alertChannels = [] }) => ({
+      offset,
+      channels: alertChannels
+    }));
+  }
+};
+
+// Find a workspace the user belongs to with at least the given role. Sends
+// the error response and returns null otherwise.
+const findWorkspace = async (req, res, role = 'member') => {
+  const workspace = mongoose.isValidObjectId(req.params.id) && await Workspace.findById(req.params.id);
+
+  if (!workspace || !workspace.getRole(req.user.userId)) {
+    res.status(404).json({
+      success: false,
+      message: 'Workspace not found'
+    });
+    return null;
+  }
+
+  if (!workspace.hasRole(req.user.userId, role)) {
+    res.status(403).json({
+      success: false,
+      message: `Only a workspace ${role} can do this`
+    });
+    return null;
+  }
+
+  return workspace;
+};
+
+const serializeWorkspace = (workspace, userId) => ({
+  _id: workspace._id,
+  name: workspace.name,
+  description: workspace.description,
+  tags: workspace.tags,
+  notifications: workspace.notifications,
+  role: workspace.getRole(userId),
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt
+});
+
+// Workspace with its members, and for admins its pending invitations
+const serializeDetails = async (workspace, userId) => {
+  await workspace.populate('members.user', MEMBER_FIELDS);
+
+  return {
+    ...serializeWorkspace(workspace, userId),
+    members: workspace.members
+      .filter(entry => entry.user)
+      .map(entry => ({
+        _id: entry.user._id,
+        username: entry.user.username,
+        email: entry.user.email,
+        name: `${entry.user.profile.firstName || ''} ${entry.user.profile.lastName || ''}`.trim(),
+        role: entry.role,
+        joinedAt: entry.joinedAt
+      })),
+    invitations: workspace.hasRole(userId, 'admin')
+      ? workspace.invitations
+        .filter(invitation => invitation.expiresAt > new Date())
+        .map(({ _id, email, role, createdAt, expiresAt }) => ({ _id, email, role, createdAt, expiresAt }))
+      : []
+  };
+};
+
+// Email an invitation link, in the inviter's language
+const sendInvitation = (workspace, email, inviter, inviteUrl) => {
+  const name = `${inviter.profile.firstName || ''} ${inviter.profile.lastName || ''}`.trim() || inviter.username;
+  const isFa = inviter.profile.language === 'fa';
+
+  const subject = isFa
+    ? `دعوت به فضای کاری «${workspace.name}» در NOTIFAREF`
+    : `Join "${workspace.name}" on NOTIFAREF`;
+  const text = isFa
+    ? `${name} شما را به فضای کاری «${workspace.name}» دعوت کرده است.\n\nبرای پیوستن این پیوند را باز کنید:\n${inviteUrl}`
+    : `${name} invited you to the "${workspace.name}" workspace.\n\nOpen this link to join:\n${inviteUrl}`;
+
+  return channels.get('email').sendMail(email, subject, text);
+};
+
+// @route   GET /api/workspaces
+// @desc    List the workspaces the user belongs to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.findForUser(req.user.userId);
+
+    res.json({
+      success: true,
+      data: workspaces.map(workspace => serializeWorkspace(workspace, req.user.userId))
+    });
+
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace, owned by the user
+// @access  Private
+router.post('/', auth, [
+  body('name').exists().withMessage('Workspace name is required'),
+  ...workspaceValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = new Workspace({ members: [{ user: req.user.userId, role: 'owner' }] });
+    applySettings(workspace, req.body);
+    await workspace.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: await serializeDetails(workspace, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/workspaces/invitations/:token/accept
+// @desc    Join a workspace with an invitation sent to the user's email
+// @access  Private
+router.post('/invitations/:token/accept', auth, async (req, res) => {
+  try {
+    const workspace = await Workspace.findByInvitation(req.params.token);
+    const invitation = workspace && workspace.findInvitation(req.params.token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired'
+      });
+    }
+
+    if (invitation.email !== req.userDoc.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    // Joining never lowers the role of an existing member
+    if (!workspace.hasRole(req.user.userId, invitation.role)) {
+      try {
+        workspace.addMember(req.user.userId, invitation.role);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+    workspace.invitations.pull(invitation._id);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: `You joined ${workspace.name}`,
+      data: serializeWorkspace(workspace, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/workspaces/:id
+// @desc    Get a workspace with its members
+// @access  Private (member)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res);
+    if (!workspace) return;
+
+    res.json({
+      success: true,
+      data: await serializeDetails(workspace, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Update a workspace's name, tags and notification defaults
+// @access  Private (admin)
+router.put('/:id', auth, workspaceValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await findWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    applySettings(workspace, req.body);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: await serializeDetails(workspace, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete a workspace and all of its reminders
+// @access  Private (owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, 'owner');
+    if (!workspace) return;
+
+    const reminders = await Reminder.deleteManyWithCleanup({ workspace: workspace._id });
+    reminders.forEach(reminder => schedulerService.unscheduleReminder(reminder._id));
+    await workspace.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully',
+      data: { deletedReminders: reminders.length }
+    });
+
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/workspaces/:id/invitations
+// @desc    Invite someone to the workspace by email
+// @access  Private (admin)
+router.post('/:id/invitations', auth, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(['member', 'admin']).withMessage('Role must be member or admin'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await findWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    const { email, role = 'member' } = req.body;
+
+    const invitee = await User.findOne({ email });
+    if (invitee && workspace.getRole(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This person is already a member of the workspace'
+      });
+    }
+
+    const token = workspace.createInvitation(email, role, req.user.userId);
+    await workspace.save();
+
+    const inviteUrl = `${process.env.BASE_URL || ''}/dashboard?invite=${token}`;
+    const result = await sendInvitation(workspace, email, req.userDoc, inviteUrl);
+
+    res.status(201).json({
+      success: true,
+      message: result.success ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      data: {
+        email,
+        role,
+        inviteUrl,
+        emailSent: !!result.success,
+        expiresAt: workspace.findInvitation(token).expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Private (admin)
+router.delete('/:id/invitations/:invitationId', auth, async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    if (!workspace.invitations.id(req.params.invitationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    workspace.invitations.pull(req.params.invitationId);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PATCH /api/workspaces/:id/members/:userId
+// @desc    Make a member an admin, or an admin a member
+// @access  Private (admin; owner for admins)
+router.patch('/:id/members/:userId', auth, [
+  body('role').isIn(['member', 'admin']).withMessage('Role must be member or admin'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const workspace = await findWorkspace(req, res, 'admin');
+    if (!workspace) return;
+
+    const role = workspace.getRole(req.params.userId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "The owner's role cannot be changed"
+      });
+    }
+
+    if (role === 'admin' && workspace.getRole(req.user.userId) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: "Only the owner can change an admin's role"
+      });
+    }
+
+    workspace.addMember(req.params.userId, req.body.role);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      data: await serializeDetails(workspace, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member; members may remove themselves to leave
+// @access  Private (admin or the member; owner for admins)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const isSelf = req.params.userId === String(req.user.userId);
+    const workspace = await findWorkspace(req, res, isSelf ? 'member' : 'admin');
+    if (!workspace) return;
+
+    const role = workspace.getRole(req.params.userId);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave the workspace; delete it instead'
+      });
+    }
+
+    if (role === 'admin' && !isSelf && workspace.getRole(req.user.userId) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can remove an admin'
+      });
+    }
+
+    workspace.removeMember(req.params.userId);
+    await workspace.save();
+    // Reminders they made stay with the workspace; their assignments do not
+    await Reminder.updateMany(
+      { workspace: workspace._id, 'sharing.assignee': req.params.userId },
+      { $unset: { 'sharing.assignee': 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: isSelf ? `You left ${workspace.name}` : 'Member removed',
+      ...(!isSelf && { data: await serializeDetails(workspace, req.user.userId) })
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -18,6 +18,10 @@ const reminderRoutes = require('./routes/reminders');
 const notificationRoutes = require('./routes/notifications');
 const calendarRoutes = require('./routes/calendar');
 const analyticsRoutes = require('./routes/analytics');
+const actionRoutes = require('./routes/actions');
+const inboundRoutes = require('./routes/inbound');
+const caldavRoutes = require('./routes/caldav');
+const workspaceRoutes = require('./routes/workspaces');
 
 const app = express();
 
@@ -64,7 +68,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Workspace-Id', 'X-Share-Password']
 };
 
 app.use(cors(corsOptions));
@@ -124,6 +128,15 @@ app.use('/api/reminders', reminderRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/inbound', inboundRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+
+// One-click actions from notification emails
+app.use('/actions', limiter, actionRoutes);
+
+// CalDAV access to reminders for calendar and task apps
+app.all('/.well-known/caldav', (req, res) => res.redirect(301, '/dav/'));
+app.use('/dav', limiter, caldavRoutes);
 
 // Serve shared reminder pages
 app.get('/shared/:token', (req, res) => {
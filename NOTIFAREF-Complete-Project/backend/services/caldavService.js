@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const Reminder = require('../models/Reminder');
+const IcalService = require('./icalService');
+const RecurrenceRule = require('../utils/recurrence');
+const ical = require('../utils/ical');
+const { parseDateTime } = require('../utils/dateParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Completed and cancelled reminders stay in the collection this long
+const DONE_DAYS = 30;
+// Resources listed in the collection at most
+const MAX_RESOURCES = 5000;
+// Resources named after the reminder id, for reminders not made over CalDAV
+const OWN_NAME = /^([a-f0-9]{24})\.ics$/;
+// Time of day given to new to-dos that have no due date
+const DEFAULT_TIME = '09:00';
+
+// Values of the VTODO properties calendar-query filters can test
+const PROPERTY_VALUES = {
+  UID: reminder => IcalService.getUid(reminder),
+  SUMMARY: reminder => reminder.title,
+  DESCRIPTION: reminder => reminder.description || null,
+  CATEGORIES: reminder => (reminder.tags && reminder.tags.length > 0 ? reminder.tags.join(',') : null),
+  DUE: reminder => RecurrenceRule.formatDateTime(reminder.scheduledTime),
+  STATUS: reminder => ({ completed: 'COMPLETED', cancelled: 'CANCELLED' }[reminder.status] || 'NEEDS-ACTION'),
+  COMPLETED: reminder => (reminder.status === 'completed' && reminder.metadata.completedAt
+    ? RecurrenceRule.formatDateTime(reminder.metadata.completedAt)
+    : null),
+  RRULE: reminder => (reminder.getRecurrenceRule() ? reminder.recurrence.rrule || null : null)
+};
+
+/**
+ * Serves a user's reminders as a CalDAV collection of VTODO resources, so
+ * clients such as Thunderbird, DAVx⁵ or Apple Reminders can list, create,
+ * edit, complete and delete them. Each reminder is one resource, named
+ * after its id unless a client created it, and its ETag follows updatedAt.
+ */
+class CaldavService {
+  /**
+   * Find the reminders in a user's collection: pending and snoozed ones,
+   * and those completed or cancelled recently
+   * @param {Object} user - User document
+   * @param {Date} now - Request time
+   */
+  static findReminders(user, now = new Date()) {
+    return Reminder.find({
+      user: user._id,
+      $or: [
+        { status: { $in: ['pending', 'snoozed'] } },
+        { updatedAt: { $gte: new Date(now.getTime() - DONE_DAYS * DAY_MS) } }
+      ]
+    }).sort({ scheduledTime: 1 }).limit(MAX_RESOURCES);
+  }
+
+  /**
+   * Find a reminder by its resource name
+   * @param {Object} user - User document
+   * @param {string} name - Resource name, e.g. "<id>.ics"
+   */
+  static findByName(user, name) {
+    const own = OWN_NAME.exec(name);
+    const query = own
+      ? { $or: [{ _id: own[1] }, { 'metadata.caldav.name': name }] }
+      : { 'metadata.caldav.name': name };
+
+    return Reminder.findOne({ user: user._id, ...query });
+  }
+
+  /**
+   * Get the resource name of a reminder
+   * @param {Object} reminder - Reminder document
+   */
+  static getName(reminder) {
+    return (reminder.metadata.caldav && reminder.metadata.caldav.name) || `${reminder._id}.ics`;
+  }
+
+  /**
+   * Get the ETag of a reminder's resource
+   * @param {Object} reminder - Reminder document
+   */
+  static getEtag(reminder) {
+    return `"${reminder.updatedAt.getTime()}"`;
+  }
+
+  /**
+   * Check a reminder against an If-Match or If-None-Match header
+   * @param {Object|null} reminder - Reminder document, null when missing
+   * @param {string} header - Header value, e.g. '"1760000000000"' or '*'
+   */
+  static matchesEtag(reminder, header) {
+    if (!reminder) return false;
+
+    const etag = this.getEtag(reminder);
+    return header.split(',')
+      .map(value => value.trim().replace(/^W\//, ''))
+      .some(value => value === '*' || value === etag);
+  }
+
+  /**
+   * Get the CTag of a collection, which changes whenever a reminder in it
+   * changes, is added or leaves it
+   * @param {Array} reminders - Reminders from findReminders()
+   */
+  static getCtag(reminders) {
+    const state = reminders
+      .map(reminder => `${reminder._id}:${reminder.updatedAt.getTime()}`)
+      .sort()
+      .join(',');
+
+    return crypto.createHash('sha1').update(state).digest('hex');
+  }
+
+  /**
+   * Build the iCalendar data of a reminder's resource
+   * @param {Object} reminder - Reminder document
+   * @returns {string} VCALENDAR with the reminder's VTODO
+   */
+  static buildCalendarData(reminder) {
+    // Stamped with updatedAt so the data only changes with the ETag
+    return IcalService.exportReminders([reminder], { type: 'todo', now: reminder.updatedAt });
+  }
+
+  /**
+   * Check a reminder against a calendar-query filter
+   * @param {Object} reminder - Reminder document
+   * @param {Object} query - { component, timeRange, propFilters } where
+   *   component is the component asked for (null for any), timeRange is
+   *   { start, end } and propFilters are { name, isNotDefined, textMatch }
+   */
+  static matchesQuery(reminder, query) {
+    if (query.component && query.component !== 'VTODO') return false;
+
+    if (query.timeRange) {
+      const start = query.timeRange.start || new Date(0);
+      const end = query.timeRange.end || new Date(Date.UTC(9999, 0, 1));
+      if (reminder.getOccurrences(start, end, 1).length === 0) return false;
+    }
+
+    return query.propFilters.every(filter => {
+      const read = PROPERTY_VALUES[filter.name];
+      const value = read ? read(reminder) : null;
+
+      if (filter.isNotDefined) return value === null;
+      if (value === null) return false;
+      if (!filter.textMatch) return true;
+
+      const found = value.toLowerCase().includes(filter.textMatch.text.toLowerCase());
+      return filter.textMatch.negate ? !found : found;
+    });
+  }
+
+  /**
+   * Create or replace a resource from the iCalendar data a client PUT.
+   * Completing a to-do completes the reminder and reopening it makes it
+   * pending again. A to-do without a due date keeps the reminder's time,
+   * or is scheduled for the next 09:00 when new.
+   * @param {Object} user - User document
+   * @param {string} name - Resource name
+   * @param {string} text - iCalendar data
+   * @param {Object} conditions - { ifMatch, ifNoneMatch } request headers
+   * @param {Date} now - Request time
+   * @returns {Object} { status, reminder, message } where status is
+   *   'created', 'updated', 'precondition_failed', 'unsupported_component',
+   *   'invalid' or 'uid_conflict' (reminder is then the one holding the UID)
+   */
+  static async saveResource(user, name, text, conditions = {}, now = new Date()) {
+    const existing = await this.findByName(user, name);
+    if ((conditions.ifMatch && !this.matchesEtag(existing, conditions.ifMatch)) ||
+        (conditions.ifNoneMatch && this.matchesEtag(existing, conditions.ifNoneMatch))) {
+      return { status: 'precondition_failed' };
+    }
+
+    const calendar = ical.parseCalendar(text).find(component => component.name === 'VCALENDAR');
+    if (!calendar) {
+      return { status: 'invalid', message: 'No VCALENDAR found' };
+    }
+
+    const todos = calendar.components.filter(component => component.name === 'VTODO');
+    if (todos.length === 0 || calendar.components.some(component => ['VEVENT', 'VJOURNAL'].includes(component.name))) {
+      return { status: 'unsupported_component' };
+    }
+
+    // Changes to single occurrences are not kept; the series is read from its master
+    const master = todos.find(todo => !ical.getProperty(todo, 'RECURRENCE-ID')) || todos[0];
+    const timeZone = user.profile.timezone || 'UTC';
+    const fallback = existing
+      ? { date: existing.scheduledTime, timeZone: existing.timezone || timeZone }
+      : { date: parseDateTime(DEFAULT_TIME, { timeZone, now }).date, timeZone };
+
+    let item;
+    try {
+      item = IcalService.readItem(master, IcalService.getContext(calendar, user), fallback);
+    } catch (error) {
+      return { status: 'invalid', message: error.message };
+    }
+
+    const holder = await IcalService.findExisting(user, item.uid);
+    if (holder && !(existing && holder._id.equals(existing._id))) {
+      return { status: 'uid_conflict', reminder: holder };
+    }
+
+    const previous = existing && existing.getRecurrenceRule() ? {
+      rrule: existing.recurrence.rrule,
+      dtstart: existing.recurrence.dtstart && existing.recurrence.dtstart.getTime()
+    } : null;
+
+    const reminder = existing || new Reminder({
+      user: user._id,
+      metadata: { source: 'caldav', caldav: { name } }
+    });
+    reminder.set(item.fields);
+    if (item.uid !== `${reminder._id}@notifaref`) {
+      reminder.set('metadata.ical', { uid: item.uid, lastModified: item.lastModified || undefined });
+    }
+
+    // A series keeps its current occurrence unless its rule was changed
+    if (reminder.getRecurrenceRule()) {
+      const unchanged = previous && previous.rrule === reminder.recurrence.rrule &&
+        previous.dtstart === reminder.recurrence.dtstart.getTime();
+      reminder.scheduledTime = unchanged
+        ? existing.scheduledTime
+        : IcalService.getNextOccurrence(reminder, now) || reminder.scheduledTime;
+    }
+
+    const status = (IcalService.getText(master, 'STATUS') || '').toUpperCase();
+    const done = IcalService.isDone(master);
+
+    if (status === 'CANCELLED') {
+      reminder.status = 'cancelled';
+    } else if (!done && ['completed', 'cancelled'].includes(reminder.status)) {
+      reminder.status = 'pending';
+      reminder.metadata.completedAt = undefined;
+    }
+
+    if (done && status !== 'CANCELLED' && reminder.status !== 'completed') {
+      await reminder.markCompleted();
+    } else {
+      await reminder.save();
+    }
+
+    return { status: existing ? 'updated' : 'created', reminder };
+  }
+
+  /**
+   * Delete a resource and its reminder
+   * @param {Object} user - User document
+   * @param {string} name - Resource name
+   * @param {Object} conditions - { ifMatch } request header
+   * @returns {Object} { status, reminder } where status is 'deleted',
+   *   'not_found' or 'precondition_failed'
+   */
+  static async deleteResource(user, name, conditions = {}) {
+    const reminder = await this.findByName(user, name);
+    if (!reminder) {
+      return { status: 'not_found' };
+    }
+    if (conditions.ifMatch && !this.matchesEtag(reminder, conditions.ifMatch)) {
+      return { status: 'precondition_failed' };
+    }
+
+    await reminder.deleteWithCleanup();
+    return { status: 'deleted', reminder };
+  }
+}
+
+module.exports = CaldavService;
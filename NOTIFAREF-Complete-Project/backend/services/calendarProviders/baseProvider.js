@@ -0,0 +1,200 @@
+/**
+ * Base class for calendar providers.
+ *
+ * A provider connects a user's account on an external calendar and maps
+ * events to and from the neutral shapes calendarService works with:
+ *
+ *   event, sent      { title, description, start, end, timeZone, allDay,
+ *                      date, endDate, recurrence, rrule, alerts,
+ *                      notifarefId, notifarefRrule }
+ *   item, received   { id, etag, updated, cancelled, seriesId,
+ *                      originalStart, title, description, start, alerts,
+ *                      recurrence, notifarefRrule }
+ *
+ * Item times are { dateTime, timeZone }, or { date } for all-day events.
+ * Alerts are [{ method: 'popup' | 'email', minutes }] and recurrences are
+ * iCalendar RRULE / EXDATE / RDATE lines.
+ *
+ * Each provider keeps the user's account under user.integrations and its
+ * event link on the reminder under linkPaths. Providers that can list the
+ * changes since a sync token (supportsSync) are synced both ways; the
+ * others only receive reminders.
+ */
+class CalendarProvider {
+  /**
+   * @param {string} name - Registry name, e.g. 'google'
+   * @param {string} label - Name shown to users, e.g. 'Google Calendar'
+   * @param {string} settingsKey - Key of the user's account under user.integrations
+   * @param {Object} linkPaths - Reminder paths of { eventId, etag, syncHash, lastSyncAt }
+   */
+  constructor(name, label, settingsKey, linkPaths) {
+    this.name = name;
+    this.label = label;
+    this.settingsKey = settingsKey;
+    this.linkPaths = linkPaths;
+    this.supportsSync = false;
+    this.defaultCalendarId = 'primary';
+  }
+
+  /**
+   * Whether the server has the OAuth credentials this provider needs
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Get the user's account settings for this provider
+   * @param {Object} user - User document
+   */
+  getSettings(user) {
+    return (user.integrations && user.integrations[this.settingsKey]) || {};
+  }
+
+  /**
+   * Whether the user has connected this provider
+   * @param {Object} user - User document
+   */
+  isConnected(user) {
+    return !!this.getSettings(user).connected;
+  }
+
+  /**
+   * Get the calendar the user's reminders go to
+   * @param {Object} user - User document
+   */
+  getCalendarId(user) {
+    return this.getSettings(user).calendarId || this.defaultCalendarId;
+  }
+
+  /**
+   * Get the event a reminder is linked to on this provider
+   * @param {Object} reminder - Reminder document
+   * @returns {Object} { eventId, etag, syncHash, lastSyncAt }
+   */
+  getLink(reminder) {
+    return Object.fromEntries(
+      Object.entries(this.linkPaths).map(([key, path]) => [key, reminder.get(path)])
+    );
+  }
+
+  /**
+   * Set some fields of a reminder's link, without saving it
+   * @param {Object} reminder - Reminder document
+   * @param {Object} link - Any of { eventId, etag, syncHash, lastSyncAt }
+   */
+  setLink(reminder, link) {
+    for (const [key, value] of Object.entries(link)) {
+      reminder.set(this.linkPaths[key], value);
+    }
+  }
+
+  /**
+   * Build a query part matching reminders linked (or not) to this provider
+   * @param {boolean} linked - Whether to match linked reminders
+   */
+  linkQuery(linked = true) {
+    return { [this.linkPaths.eventId]: { $exists: linked } };
+  }
+
+  /**
+   * Generate the OAuth authorization URL
+   * @param {string} state - State parameter, the user ID
+   */
+  getAuthUrl(state) {
+    throw new Error(`Calendar provider ${this.name} does not implement getAuthUrl()`);
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {string} code - Authorization code
+   * @returns {Object} { accessToken, refreshToken, expiresAt }
+   */
+  async exchangeCode(code) {
+    throw new Error(`Calendar provider ${this.name} does not implement exchangeCode()`);
+  }
+
+  /**
+   * List the user's calendars
+   * @param {Object} user - User document
+   * @returns {Array} [{ id, name, primary }]
+   */
+  async listCalendars(user) {
+    throw new Error(`Calendar provider ${this.name} does not implement listCalendars()`);
+  }
+
+  /**
+   * Create an event
+   * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} event - Neutral event
+   * @returns {Object} The created item
+   */
+  async createEvent(user, calendarId, event) {
+    throw new Error(`Calendar provider ${this.name} does not implement createEvent()`);
+  }
+
+  /**
+   * Replace an event
+   * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @param {Object} event - Neutral event
+   * @returns {Object} The updated item
+   */
+  async updateEvent(user, calendarId, eventId, event) {
+    throw new Error(`Calendar provider ${this.name} does not implement updateEvent()`);
+  }
+
+  /**
+   * Delete an event
+   * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   */
+  async deleteEvent(user, calendarId, eventId) {
+    throw new Error(`Calendar provider ${this.name} does not implement deleteEvent()`);
+  }
+
+  /**
+   * List the occurrences of events in a time range, series expanded
+   * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   * @param {Date} timeMin - Range start
+   * @param {Date} timeMax - Range end
+   * @returns {Array} Items
+   */
+  async listEvents(user, calendarId, timeMin, timeMax) {
+    throw new Error(`Calendar provider ${this.name} does not implement listEvents()`);
+  }
+
+  /**
+   * List the events changed since a sync token, or every event without
+   * one. Only for providers with supportsSync.
+   * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   * @param {string} syncToken - Token from the last sync
+   * @returns {Object} { items, syncToken, full }
+   */
+  async listChanges(user, calendarId, syncToken = null) {
+    throw new Error(`Calendar provider ${this.name} does not support sync`);
+  }
+
+  /**
+   * Get the HTTP status of a provider API error
+   * @param {Error} error - Error thrown by the provider's client
+   */
+  getErrorStatus(error) {
+    return Number(error.statusCode || (error.response && error.response.status) || error.code) || null;
+  }
+
+  /**
+   * Whether an error means the event no longer exists
+   * @param {Error} error - Error thrown by the provider's client
+   */
+  isGone(error) {
+    return [404, 410].includes(this.getErrorStatus(error));
+  }
+}
+
+module.exports = CalendarProvider;
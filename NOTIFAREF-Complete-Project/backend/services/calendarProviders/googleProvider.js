@@ -0,0 +1,262 @@
+const { google } = require('googleapis');
+const User = require('../../models/User');
+const CalendarProvider = require('./baseProvider');
+
+// Events fetched per request while syncing
+const PAGE_SIZE = 250;
+
+/**
+ * Google Calendar, through the googleapis client. Supports incremental
+ * sync with Google's sync tokens.
+ */
+class GoogleCalendarProvider extends CalendarProvider {
+  constructor() {
+    super('google', 'Google Calendar', 'googleCalendar', {
+      eventId: 'calendar.googleEventId',
+      etag: 'calendar.etag',
+      syncHash: 'calendar.syncHash',
+      lastSyncAt: 'calendar.lastSyncAt'
+    });
+    this.supportsSync = true;
+    this.oauth2Client = null;
+    this.calendar = null;
+    this.initializeOAuth();
+  }
+
+  /**
+   * Initialize OAuth2 client
+   */
+  initializeOAuth() {
+    if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+      console.warn('Google OAuth credentials not configured');
+      return;
+    }
+
+    this.oauth2Client = new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      this.getRedirectUri()
+    );
+
+    this.calendar = google.calendar({
+      version: 'v3',
+      auth: this.oauth2Client,
+      // Another API server, e.g. a fake Google API in tests
+      ...(process.env.GOOGLE_API_ROOT_URL && { rootUrl: process.env.GOOGLE_API_ROOT_URL })
+    });
+  }
+
+  isConfigured() {
+    return !!this.oauth2Client;
+  }
+
+  getRedirectUri() {
+    return process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/google/callback';
+  }
+
+  getAuthUrl(state) {
+    if (!this.oauth2Client) {
+      throw new Error('Google OAuth not configured');
+    }
+
+    return this.oauth2Client.generateAuthUrl({
+      access_type: 'offline',
+      scope: [
+        'https://www.googleapis.com/auth/calendar',
+        'https://www.googleapis.com/auth/calendar.events'
+      ],
+      state,
+      prompt: 'consent'
+    });
+  }
+
+  async exchangeCode(code) {
+    if (!this.oauth2Client) {
+      throw new Error('Google OAuth not configured');
+    }
+
+    const { tokens } = await this.oauth2Client.getToken(code);
+    return {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token,
+      expiresAt: tokens.expiry_date ? new Date(tokens.expiry_date) : undefined
+    };
+  }
+
+  /**
+   * Set up OAuth client with user tokens
+   * @param {Object} user - User document
+   */
+  authorize(user) {
+    if (!this.oauth2Client) {
+      throw new Error('Google OAuth not configured');
+    }
+
+    const settings = this.getSettings(user);
+    if (!settings.connected) {
+      throw new Error('Google Calendar not connected for this user');
+    }
+
+    this.oauth2Client.setCredentials({
+      access_token: settings.accessToken,
+      refresh_token: settings.refreshToken
+    });
+
+    // Handle token refresh; the client is shared, so only for the current user
+    this.oauth2Client.removeAllListeners('tokens');
+    this.oauth2Client.on('tokens', async (tokens) => {
+      const update = { 'integrations.googleCalendar.accessToken': tokens.access_token };
+      if (tokens.refresh_token) {
+        update['integrations.googleCalendar.refreshToken'] = tokens.refresh_token;
+      }
+
+      try {
+        await User.updateOne({ _id: user._id }, { $set: update });
+      } catch (error) {
+        console.error('Error saving refreshed Google tokens:', error);
+      }
+    });
+  }
+
+  async listCalendars(user) {
+    this.authorize(user);
+
+    const response = await this.calendar.calendarList.list();
+    return (response.data.items || []).map(item => ({
+      id: item.id,
+      name: item.summaryOverride || item.summary,
+      primary: !!item.primary
+    }));
+  }
+
+  async createEvent(user, calendarId, event) {
+    this.authorize(user);
+
+    const response = await this.calendar.events.insert({
+      calendarId,
+      resource: this.toResource(event)
+    });
+    return this.fromResource(response.data);
+  }
+
+  async updateEvent(user, calendarId, eventId, event) {
+    this.authorize(user);
+
+    const response = await this.calendar.events.update({
+      calendarId,
+      eventId,
+      resource: this.toResource(event)
+    });
+    return this.fromResource(response.data);
+  }
+
+  async deleteEvent(user, calendarId, eventId) {
+    this.authorize(user);
+
+    await this.calendar.events.delete({ calendarId, eventId });
+  }
+
+  async listEvents(user, calendarId, timeMin, timeMax) {
+    this.authorize(user);
+
+    const response = await this.calendar.events.list({
+      calendarId,
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime'
+    });
+    return (response.data.items || []).map(resource => this.fromResource(resource));
+  }
+
+  async listChanges(user, calendarId, syncToken = null) {
+    this.authorize(user);
+
+    const items = [];
+    let pageToken;
+    let response;
+
+    try {
+      do {
+        response = await this.calendar.events.list({
+          calendarId,
+          maxResults: PAGE_SIZE,
+          ...(syncToken && { syncToken }),
+          ...(pageToken && { pageToken })
+        });
+        items.push(...(response.data.items || []).map(resource => this.fromResource(resource)));
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    } catch (error) {
+      // An expired sync token means listing every event again
+      if (syncToken && this.getErrorStatus(error) === 410) {
+        return this.listChanges(user, calendarId, null);
+      }
+      throw error;
+    }
+
+    return { items, syncToken: response.data.nextSyncToken, full: !syncToken };
+  }
+
+  /**
+   * Build a Google Calendar event from a neutral event
+   * @param {Object} event - Neutral event
+   */
+  toResource(event) {
+    const resource = {
+      summary: event.title,
+      description: event.description,
+      start: event.allDay
+        ? { date: event.date }
+        : { dateTime: event.start.toISOString(), timeZone: event.timeZone },
+      end: event.allDay
+        ? { date: event.endDate }
+        : { dateTime: event.end.toISOString(), timeZone: event.timeZone },
+      reminders: {
+        useDefault: false,
+        overrides: event.alerts
+      },
+      extendedProperties: {
+        private: { notifarefId: event.notifarefId }
+      }
+    };
+
+    if (event.recurrence.length > 0) {
+      resource.recurrence = event.recurrence;
+    }
+    // Kept so Solar Hijri rules survive a round trip through Google
+    if (event.notifarefRrule) {
+      resource.extendedProperties.private.notifarefRrule = event.notifarefRrule;
+    }
+
+    return resource;
+  }
+
+  /**
+   * Read a Google Calendar event into an item
+   * @param {Object} resource - Google Calendar event
+   */
+  fromResource(resource) {
+    const reminders = resource.reminders || {};
+    const extended = (resource.extendedProperties && resource.extendedProperties.private) || {};
+
+    return {
+      id: resource.id,
+      etag: resource.etag,
+      updated: resource.updated ? new Date(resource.updated) : null,
+      cancelled: resource.status === 'cancelled',
+      seriesId: resource.recurringEventId || null,
+      originalStart: resource.originalStartTime || null,
+      title: resource.summary,
+      description: resource.description,
+      start: resource.start || null,
+      // Events using the calendar's default reminders get no alerts
+      alerts: (!reminders.useDefault && reminders.overrides ? reminders.overrides : [])
+        .map(override => ({ method: override.method, minutes: override.minutes })),
+      recurrence: resource.recurrence || [],
+      notifarefRrule: extended.notifarefRrule || null
+    };
+  }
+}
+
+module.exports = GoogleCalendarProvider;
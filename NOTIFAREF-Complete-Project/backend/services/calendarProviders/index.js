@@ -0,0 +1,43 @@
+const GoogleCalendarProvider = require('./googleProvider');
+const OutlookCalendarProvider = require('./outlookProvider');
+
+/**
+ * Registry of calendar providers, keyed by name
+ */
+class CalendarProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider, replacing any provider with the same name
+   * @param {CalendarProvider} provider - Provider instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+}
+
+const registry = new CalendarProviderRegistry()
+  .register(new GoogleCalendarProvider())
+  .register(new OutlookCalendarProvider());
+
+module.exports = registry;
+module.exports.CalendarProviderRegistry = CalendarProviderRegistry;
@@ -0,0 +1,334 @@
+const User = require('../../models/User');
+const CalendarProvider = require('./baseProvider');
+const RecurrenceRule = require('../../utils/recurrence');
+const { request } = require('../../utils/http');
+const { isValidTimeZone, toZonedTime } = require('../../utils/timezone');
+
+const SCOPES = ['offline_access', 'Calendars.ReadWrite'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEK_INDEXES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+// Refresh access tokens this long before they expire
+const TOKEN_MARGIN_MS = 60 * 1000;
+// Occurrences fetched per request when importing
+const PAGE_SIZE = 100;
+
+// Format the wall-clock time of an instant as Graph's dateTime
+const formatWallTime = (date, timeZone) => toZonedTime(date, timeZone).toISOString().slice(0, 19);
+
+/**
+ * Microsoft Outlook / Microsoft 365 calendars, through the Microsoft Graph
+ * REST API. Graph has no equivalent of Google's sync tokens for series,
+ * so reminders are only pushed to Outlook.
+ */
+class OutlookCalendarProvider extends CalendarProvider {
+  constructor() {
+    super('outlook', 'Outlook Calendar', 'outlookCalendar', {
+      eventId: 'calendar.outlook.eventId',
+      etag: 'calendar.outlook.etag',
+      syncHash: 'calendar.outlook.syncHash',
+      lastSyncAt: 'calendar.outlook.lastSyncAt'
+    });
+    this.defaultCalendarId = null;
+  }
+
+  isConfigured() {
+    return !!(process.env.MICROSOFT_CLIENT_ID && process.env.MICROSOFT_CLIENT_SECRET);
+  }
+
+  getRedirectUri() {
+    return process.env.MICROSOFT_REDIRECT_URI || 'http://localhost:3000/auth/microsoft/callback';
+  }
+
+  getAuthority() {
+    return `https://login.microsoftonline.com/${process.env.MICROSOFT_TENANT_ID || 'common'}/oauth2/v2.0`;
+  }
+
+  getGraphUrl() {
+    return process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com/v1.0';
+  }
+
+  getAuthUrl(state) {
+    if (!this.isConfigured()) {
+      throw new Error('Microsoft OAuth not configured');
+    }
+
+    const params = new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID,
+      response_type: 'code',
+      redirect_uri: this.getRedirectUri(),
+      response_mode: 'query',
+      scope: SCOPES.join(' '),
+      state,
+      prompt: 'consent'
+    });
+    return `${this.getAuthority()}/authorize?${params}`;
+  }
+
+  async exchangeCode(code) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri()
+    });
+  }
+
+  /**
+   * Request tokens from the Microsoft identity platform
+   * @param {Object} grant - Grant parameters
+   * @returns {Object} { accessToken, refreshToken, expiresAt }
+   */
+  async requestToken(grant) {
+    if (!this.isConfigured()) {
+      throw new Error('Microsoft OAuth not configured');
+    }
+
+    const body = new URLSearchParams({
+      client_id: process.env.MICROSOFT_CLIENT_ID,
+      client_secret: process.env.MICROSOFT_CLIENT_SECRET,
+      scope: SCOPES.join(' '),
+      ...grant
+    }).toString();
+
+    const response = await request(`${this.getAuthority()}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+
+    return {
+      accessToken: response.body.access_token,
+      refreshToken: response.body.refresh_token,
+      expiresAt: new Date(Date.now() + response.body.expires_in * 1000)
+    };
+  }
+
+  /**
+   * Get a valid access token for the user, refreshing it when it expired
+   * @param {Object} user - User document
+   */
+  async getAccessToken(user) {
+    const settings = this.getSettings(user);
+    if (!settings.connected) {
+      throw new Error('Outlook Calendar not connected for this user');
+    }
+
+    if (settings.accessToken && settings.expiresAt &&
+        settings.expiresAt.getTime() > Date.now() + TOKEN_MARGIN_MS) {
+      return settings.accessToken;
+    }
+
+    const tokens = await this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: settings.refreshToken
+    });
+
+    settings.accessToken = tokens.accessToken;
+    settings.expiresAt = tokens.expiresAt;
+    // Microsoft may rotate the refresh token
+    if (tokens.refreshToken) {
+      settings.refreshToken = tokens.refreshToken;
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'integrations.outlookCalendar.accessToken': settings.accessToken,
+        'integrations.outlookCalendar.refreshToken': settings.refreshToken,
+        'integrations.outlookCalendar.expiresAt': settings.expiresAt
+      }
+    });
+
+    return settings.accessToken;
+  }
+
+  /**
+   * Call the Graph API as the user
+   * @param {Object} user - User document
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the Graph URL, or an absolute next link
+   * @param {Object} body - JSON body
+   */
+  async graph(user, method, path, body) {
+    const accessToken = await this.getAccessToken(user);
+    const response = await request(/^https?:/.test(path) ? path : `${this.getGraphUrl()}${path}`, {
+      method,
+      body,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        // Times in UTC and bodies as plain text
+        Prefer: 'outlook.timezone="UTC", outlook.body-content-type="text"'
+      }
+    });
+    return response.body;
+  }
+
+  // Path of a calendar; without an ID, the user's default calendar
+  getCalendarPath(calendarId) {
+    return calendarId && calendarId !== 'primary'
+      ? `/me/calendars/${encodeURIComponent(calendarId)}`
+      : '/me/calendar';
+  }
+
+  async listCalendars(user) {
+    const data = await this.graph(user, 'GET', '/me/calendars');
+    return (data.value || []).map(calendar => ({
+      id: calendar.id,
+      name: calendar.name,
+      primary: !!calendar.isDefaultCalendar
+    }));
+  }
+
+  async createEvent(user, calendarId, event) {
+    const data = await this.graph(user, 'POST', `${this.getCalendarPath(calendarId)}/events`, this.toResource(event));
+    return this.fromResource(data);
+  }
+
+  async updateEvent(user, calendarId, eventId, event) {
+    const data = await this.graph(user, 'PATCH', `/me/events/${encodeURIComponent(eventId)}`, this.toResource(event));
+    return this.fromResource(data);
+  }
+
+  async deleteEvent(user, calendarId, eventId) {
+    await this.graph(user, 'DELETE', `/me/events/${encodeURIComponent(eventId)}`);
+  }
+
+  async listEvents(user, calendarId, timeMin, timeMax) {
+    const params = new URLSearchParams({
+      startDateTime: timeMin.toISOString(),
+      endDateTime: timeMax.toISOString(),
+      $top: String(PAGE_SIZE),
+      $orderby: 'start/dateTime'
+    });
+    const items = [];
+    let next = `${this.getCalendarPath(calendarId)}/calendarView?${params}`;
+
+    while (next) {
+      const data = await this.graph(user, 'GET', next);
+      items.push(...(data.value || []).map(resource => this.fromResource(resource)));
+      next = data['@odata.nextLink'] || null;
+    }
+
+    return items;
+  }
+
+  /**
+   * Build a Graph event from a neutral event. Outlook keeps one reminder
+   * per event, so only the earliest alert is sent; rules Outlook cannot
+   * express, such as Solar Hijri ones, leave just the current occurrence.
+   * @param {Object} event - Neutral event
+   */
+  toResource(event) {
+    const minutes = event.alerts.map(alert => alert.minutes);
+
+    return {
+      subject: event.title,
+      body: { contentType: 'text', content: event.description },
+      isAllDay: event.allDay,
+      start: {
+        dateTime: event.allDay ? `${event.date}T00:00:00` : formatWallTime(event.start, event.timeZone),
+        timeZone: event.timeZone
+      },
+      end: {
+        dateTime: event.allDay ? `${event.endDate}T00:00:00` : formatWallTime(event.end, event.timeZone),
+        timeZone: event.timeZone
+      },
+      isReminderOn: minutes.length > 0,
+      reminderMinutesBeforeStart: minutes.length > 0 ? Math.max(...minutes) : 0,
+      recurrence: this.buildRecurrence(event)
+    };
+  }
+
+  /**
+   * Map a Gregorian RRULE to a Graph patterned recurrence
+   * @param {Object} event - Neutral event
+   * @returns {Object|null} Recurrence, null when the rule has no equivalent
+   */
+  buildRecurrence(event) {
+    if (!event.rrule) return null;
+
+    const rule = RecurrenceRule.parse(event.rrule);
+    if (rule.rscale !== 'GREGORIAN' || rule.bySetPos.length > 0 || rule.byMonth.length > 1 ||
+        rule.byMonthDay.length > 1 || rule.byMonthDay.some(day => day < 0)) {
+      return null;
+    }
+
+    const start = toZonedTime(event.start, event.timeZone);
+    const weekdays = rule.byDay.map(day => DAY_NAMES[day.weekday]);
+    let pattern;
+
+    if (rule.freq === 'DAILY' && rule.byDay.length === 0) {
+      pattern = { type: 'daily', interval: rule.interval };
+    } else if (rule.freq === 'WEEKLY' && rule.byDay.every(day => day.n === null)) {
+      pattern = {
+        type: 'weekly',
+        interval: rule.interval,
+        daysOfWeek: weekdays.length > 0 ? weekdays : [DAY_NAMES[start.getUTCDay()]],
+        firstDayOfWeek: DAY_NAMES[rule.wkst]
+      };
+    } else if (rule.freq === 'MONTHLY' && rule.byDay.length === 1 && WEEK_INDEXES[rule.byDay[0].n]) {
+      pattern = {
+        type: 'relativeMonthly',
+        interval: rule.interval,
+        daysOfWeek: weekdays,
+        index: WEEK_INDEXES[rule.byDay[0].n]
+      };
+    } else if (rule.freq === 'MONTHLY' && rule.byDay.length === 0) {
+      pattern = {
+        type: 'absoluteMonthly',
+        interval: rule.interval,
+        dayOfMonth: rule.byMonthDay[0] || start.getUTCDate()
+      };
+    } else if (rule.freq === 'YEARLY' && rule.byDay.length === 0) {
+      pattern = {
+        type: 'absoluteYearly',
+        interval: rule.interval,
+        month: rule.byMonth[0] || start.getUTCMonth() + 1,
+        dayOfMonth: rule.byMonthDay[0] || start.getUTCDate()
+      };
+    } else {
+      return null;
+    }
+
+    const range = { startDate: start.toISOString().slice(0, 10), recurrenceTimeZone: event.timeZone };
+    if (rule.count) {
+      Object.assign(range, { type: 'numbered', numberOfOccurrences: rule.count });
+    } else if (rule.until) {
+      Object.assign(range, { type: 'endDate', endDate: toZonedTime(rule.until, event.timeZone).toISOString().slice(0, 10) });
+    } else {
+      range.type = 'noEnd';
+    }
+
+    return { pattern, range };
+  }
+
+  /**
+   * Read a Graph event into an item. Times are in UTC, as asked for in
+   * the Prefer header.
+   * @param {Object} resource - Graph event
+   */
+  fromResource(resource) {
+    const dateTime = resource.start && resource.start.dateTime;
+    const timeZone = isValidTimeZone(resource.originalStartTimeZone) ? resource.originalStartTimeZone : null;
+
+    return {
+      id: resource.id,
+      etag: resource['@odata.etag'],
+      updated: resource.lastModifiedDateTime ? new Date(resource.lastModifiedDateTime) : null,
+      cancelled: !!resource.isCancelled,
+      // Occurrences are read one by one
+      seriesId: null,
+      originalStart: null,
+      title: resource.subject,
+      description: resource.body ? resource.body.content : resource.bodyPreview,
+      start: !dateTime ? null : resource.isAllDay
+        ? { date: dateTime.slice(0, 10) }
+        : { dateTime: `${dateTime.slice(0, 19)}Z`, timeZone },
+      alerts: resource.isReminderOn
+        ? [{ method: 'popup', minutes: resource.reminderMinutesBeforeStart }]
+        : [],
+      recurrence: [],
+      notifarefRrule: null
+    };
+  }
+}
+
+module.exports = OutlookCalendarProvider;
@@ -1,77 +1,81 @@
-const { google } = require('googleapis');
+const crypto = require('crypto');
 const User = require('../models/User');
 const Reminder = require('../models/Reminder');
-
+const RecurrenceRule = require('../utils/recurrence');
+const ical = require('../utils/ical');
+const providers = require('./calendarProviders');
+const { isValidTimeZone, toZonedTime, fromZonedTime } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Time of day given to reminders made from all-day events
+const ALL_DAY_HOUR = 9;
+// Reminders pushed per sync when auto-sync is on
+const MAX_AUTO_PUSH = 500;
+// Google keeps event reminders within four weeks, and at most five
+const MAX_ALERT_MINUTES = 40320;
+const MAX_ALERTS = 5;
+
+// icalService uses this module for RRULE mapping, so load it on first use
+const getIcalService = () => require('./icalService');
+
+/**
+ * Keeps reminders in step with the calendars a user connected. The
+ * provider-specific work (OAuth, API calls, event formats) is done by the
+ * providers in ./calendarProviders; this service maps reminders to and from
+ * their neutral events and runs imports and syncs for any of them.
+ */
 class CalendarService {
-  constructor() {
-    this.oauth2Client = null;
-    this.calendar = null;
-    this.initializeOAuth();
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name, e.g. 'google' or 'outlook'
+   * @returns {Object|null} Provider
+   */
+  getProvider(name) {
+    return providers.get(name);
   }
 
   /**
-   * Initialize OAuth2 client
+   * Get the providers the user has connected
+   * @param {Object} user - User document
    */
-  initializeOAuth() {
-    if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
-      console.warn('Google OAuth credentials not configured');
-      return;
-    }
-
-    this.oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/google/callback'
-    );
-
-    this.calendar = google.calendar({ version: 'v3', auth: this.oauth2Client });
+  getConnectedProviders(user) {
+    return providers.list().filter(provider => provider.isConfigured() && provider.isConnected(user));
   }
 
   /**
    * Generate OAuth2 authorization URL
+   * @param {Object} provider - Calendar provider
    * @param {string} userId - User ID for state parameter
    */
-  getAuthUrl(userId) {
-    if (!this.oauth2Client) {
-      throw new Error('Google OAuth not configured');
-    }
-
-    const scopes = [
-      'https://www.googleapis.com/auth/calendar',
-      'https://www.googleapis.com/auth/calendar.events'
-    ];
-
-    return this.oauth2Client.generateAuthUrl({
-      access_type: 'offline',
-      scope: scopes,
-      state: userId,
-      prompt: 'consent'
-    });
+  getAuthUrl(provider, userId) {
+    return provider.getAuthUrl(userId);
   }
 
   /**
    * Exchange authorization code for tokens
+   * @param {Object} provider - Calendar provider
    * @param {string} code - Authorization code
    * @param {string} userId - User ID
    */
-  async exchangeCodeForTokens(code, userId) {
-    if (!this.oauth2Client) {
-      throw new Error('Google OAuth not configured');
-    }
-
+  async exchangeCodeForTokens(provider, code, userId) {
     try {
-      const { tokens } = await this.oauth2Client.getAccessToken(code);
-      
+      const tokens = await provider.exchangeCode(code);
+
       // Save tokens to user
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
-      user.integrations.googleCalendar.accessToken = tokens.access_token;
-      user.integrations.googleCalendar.refreshToken = tokens.refresh_token;
-      user.integrations.googleCalendar.connected = true;
-      
+      const settings = provider.getSettings(user);
+      settings.accessToken = tokens.accessToken;
+      if (tokens.refreshToken) {
+        settings.refreshToken = tokens.refreshToken;
+      }
+      settings.expiresAt = tokens.expiresAt;
+      settings.connected = true;
+
       await user.save();
 
       return tokens;
@@ -81,44 +85,14 @@ class CalendarService {
     }
   }
 
-  /**
-   * Set up OAuth client with user tokens
-   * @param {Object} user - User document
-   */
-  async setupUserAuth(user) {
-    if (!this.oauth2Client) {
-      throw new Error('Google OAuth not configured');
-    }
-
-    if (!user.integrations.googleCalendar.connected) {
-      throw new Error('Google Calendar not connected for this user');
-    }
-
-    this.oauth2Client.setCredentials({
-      access_token: user.integrations.googleCalendar.accessToken,
-      refresh_token: user.integrations.googleCalendar.refreshToken
-    });
-
-    // Handle token refresh
-    this.oauth2Client.on('tokens', async (tokens) => {
-      if (tokens.refresh_token) {
-        user.integrations.googleCalendar.refreshToken = tokens.refresh_token;
-      }
-      user.integrations.googleCalendar.accessToken = tokens.access_token;
-      await user.save();
-    });
-  }
-
   /**
    * Get user's calendar list
+   * @param {Object} provider - Calendar provider
    * @param {Object} user - User document
    */
-  async getCalendarList(user) {
-    await this.setupUserAuth(user);
-
+  async getCalendarList(provider, user) {
     try {
-      const response = await this.calendar.calendarList.list();
-      return response.data.items || [];
+      return await provider.listCalendars(user);
     } catch (error) {
       console.error('Error getting calendar list:', error);
       throw error;
@@ -127,284 +101,773 @@ class CalendarService {
 
   /**
    * Create calendar event from reminder
+   * @param {Object} provider - Calendar provider
    * @param {Object} reminder - Reminder document
    * @param {Object} user - User document
-   * @param {string} calendarId - Calendar ID (optional, uses primary if not provided)
+   * @param {string} calendarId - Calendar ID, the user's chosen one if not provided
    */
-  async createEventFromReminder(reminder, user, calendarId = 'primary') {
-    await this.setupUserAuth(user);
-
+  async createEventFromReminder(provider, reminder, user, calendarId = provider.getCalendarId(user)) {
     try {
-      const event = {
-        summary: reminder.title,
-        description: reminder.description || '',
-        start: {
-          dateTime: reminder.scheduledTime.toISOString(),
-          timeZone: user.profile.timezone || 'UTC'
-        },
-        end: {
-          dateTime: new Date(reminder.scheduledTime.getTime() + 60 * 60 * 1000).toISOString(), // 1 hour duration
-          timeZone: user.profile.timezone || 'UTC'
-        },
-        reminders: {
-          useDefault: false,
-          overrides: [
-            { method: 'popup', minutes: 10 },
-            { method: 'email', minutes: 60 }
-          ]
-        }
-      };
+      const event = this.buildEvent(reminder, user);
+      const item = await provider.createEvent(user, calendarId, event);
 
-      // Add recurrence if applicable
-      if (reminder.recurrence && reminder.recurrence.type !== 'none') {
-        event.recurrence = this.buildRecurrenceRule(reminder.recurrence);
-      }
-
-      const response = await this.calendar.events.insert({
-        calendarId,
-        resource: event
-      });
-
-      // Update reminder with Google event ID
-      reminder.calendar.googleEventId = response.data.id;
-      reminder.calendar.synced = true;
-      reminder.calendar.lastSyncAt = new Date();
-      await reminder.save();
+      await this.linkEvent(provider, reminder, user, item, event);
 
-      return response.data;
+      return item;
     } catch (error) {
-      console.error('Error creating calendar event:', error);
+      console.error(`Error creating ${provider.name} calendar event:`, error);
       throw error;
     }
   }
 
   /**
    * Update calendar event
+   * @param {Object} provider - Calendar provider
    * @param {Object} reminder - Reminder document
    * @param {Object} user - User document
    * @param {string} calendarId - Calendar ID
    */
-  async updateEvent(reminder, user, calendarId = 'primary') {
-    if (!reminder.calendar.googleEventId) {
-      throw new Error('No Google event ID found for this reminder');
+  async updateEvent(provider, reminder, user, calendarId = provider.getCalendarId(user)) {
+    const { eventId } = provider.getLink(reminder);
+    if (!eventId) {
+      throw new Error(`No ${provider.name} event ID found for this reminder`);
     }
 
-    await this.setupUserAuth(user);
-
     try {
-      const event = {
-        summary: reminder.title,
-        description: reminder.description || '',
-        start: {
-          dateTime: reminder.scheduledTime.toISOString(),
-          timeZone: user.profile.timezone || 'UTC'
-        },
-        end: {
-          dateTime: new Date(reminder.scheduledTime.getTime() + 60 * 60 * 1000).toISOString(),
-          timeZone: user.profile.timezone || 'UTC'
-        }
-      };
+      const event = this.buildEvent(reminder, user);
+      const item = await provider.updateEvent(user, calendarId, eventId, event);
 
-      const response = await this.calendar.events.update({
-        calendarId,
-        eventId: reminder.calendar.googleEventId,
-        resource: event
-      });
-
-      reminder.calendar.lastSyncAt = new Date();
-      await reminder.save();
+      await this.linkEvent(provider, reminder, user, item, event);
 
-      return response.data;
+      return item;
     } catch (error) {
-      console.error('Error updating calendar event:', error);
+      console.error(`Error updating ${provider.name} calendar event:`, error);
       throw error;
     }
   }
 
   /**
    * Delete calendar event
+   * @param {Object} provider - Calendar provider
    * @param {Object} reminder - Reminder document
    * @param {Object} user - User document
    * @param {string} calendarId - Calendar ID
    */
-  async deleteEvent(reminder, user, calendarId = 'primary') {
-    if (!reminder.calendar.googleEventId) {
+  async deleteEvent(provider, reminder, user, calendarId = provider.getCalendarId(user)) {
+    const { eventId } = provider.getLink(reminder);
+    if (!eventId) {
       return; // No event to delete
     }
 
-    await this.setupUserAuth(user);
-
     try {
-      await this.calendar.events.delete({
-        calendarId,
-        eventId: reminder.calendar.googleEventId
-      });
+      await provider.deleteEvent(user, calendarId, eventId);
 
-      reminder.calendar.googleEventId = undefined;
-      reminder.calendar.synced = false;
+      this.unlinkEvent(provider, reminder);
       await reminder.save();
     } catch (error) {
-      console.error('Error deleting calendar event:', error);
+      console.error(`Error deleting ${provider.name} calendar event:`, error);
       // Don't throw error for delete operations
     }
   }
 
   /**
-   * Import events from Google Calendar
+   * Import events from a calendar as reminders, one per occurrence
+   * @param {Object} provider - Calendar provider
    * @param {Object} user - User document
    * @param {string} calendarId - Calendar ID
    * @param {Date} timeMin - Start time for import
    * @param {Date} timeMax - End time for import
    */
-  async importEvents(user, calendarId = 'primary', timeMin = new Date(), timeMax = null) {
-    await this.setupUserAuth(user);
-
+  async importEvents(provider, user, calendarId = provider.getCalendarId(user), timeMin = new Date(), timeMax = null) {
     if (!timeMax) {
       timeMax = new Date();
       timeMax.setMonth(timeMax.getMonth() + 3); // Import next 3 months
     }
 
     try {
-      const response = await this.calendar.events.list({
-        calendarId,
-        timeMin: timeMin.toISOString(),
-        timeMax: timeMax.toISOString(),
-        singleEvents: true,
-        orderBy: 'startTime'
-      });
-
-      const events = response.data.items || [];
+      const items = await provider.listEvents(user, calendarId, timeMin, timeMax);
       const importedReminders = [];
 
-      for (const event of events) {
-        // Skip all-day events or events without start time
-        if (!event.start.dateTime) continue;
+      for (const item of items) {
+        if (item.cancelled) continue;
 
         // Check if reminder already exists
         const existingReminder = await Reminder.findOne({
           user: user._id,
-          'calendar.googleEventId': event.id
+          [provider.linkPaths.eventId]: item.id
         });
 
         if (existingReminder) continue;
 
+        const read = this.readItem(item, user);
+        if (!read) continue;
+
+        // Occurrences are imported one by one, without their series
+        delete read.fields.recurrence;
+
         // Create reminder from event
         const reminder = new Reminder({
           user: user._id,
-          title: event.summary || 'Imported Event',
-          description: event.description || '',
-          scheduledTime: new Date(event.start.dateTime),
+          ...read.fields,
           tags: ['imported', 'calendar'],
           priority: 'medium',
-          calendar: {
-            googleEventId: event.id,
-            synced: true,
-            lastSyncAt: new Date()
-          },
           metadata: {
             source: 'calendar'
           }
         });
+        reminder.calendar.allDay = read.allDay;
 
-        await reminder.save();
+        await reminder.validate();
+        await this.linkEvent(provider, reminder, user, item);
         importedReminders.push(reminder);
       }
 
       return importedReminders;
     } catch (error) {
-      console.error('Error importing calendar events:', error);
+      console.error(`Error importing ${provider.name} calendar events:`, error);
       throw error;
     }
   }
 
   /**
-   * Sync reminder with Google Calendar
+   * Build the neutral event of a reminder (see calendarProviders/baseProvider).
+   * Series start at their first occurrence and reminders made from all-day
+   * events stay all-day while they are at the usual time of day.
    * @param {Object} reminder - Reminder document
    * @param {Object} user - User document
    */
-  async syncReminder(reminder, user) {
-    if (!user.integrations.googleCalendar.connected) {
-      return;
+  buildEvent(reminder, user) {
+    const timeZone = reminder.timezone || user.profile.timezone || 'UTC';
+    const rule = reminder.getRecurrenceRule();
+    const persian = !!rule && rule.rscale === 'PERSIAN';
+    // Solar Hijri series are listed as dates from the current occurrence
+    const start = rule && !persian && reminder.recurrence.dtstart
+      ? reminder.recurrence.dtstart
+      : reminder.scheduledTime;
+    const wall = toZonedTime(start, timeZone);
+    const allDay = !!reminder.calendar.allDay && wall.getUTCHours() === ALL_DAY_HOUR && wall.getUTCMinutes() === 0;
+
+    return {
+      title: reminder.title,
+      description: reminder.description || '',
+      start,
+      end: new Date(start.getTime() + HOUR_MS), // 1 hour duration
+      timeZone,
+      allDay,
+      date: allDay ? wall.toISOString().slice(0, 10) : null,
+      endDate: allDay ? new Date(wall.getTime() + DAY_MS).toISOString().slice(0, 10) : null,
+      recurrence: rule ? this.buildRecurrenceRule(reminder.recurrence, reminder) : [],
+      rrule: rule && !persian ? rule.toString() : null,
+      alerts: this.buildAlerts(reminder),
+      notifarefId: reminder._id.toString(),
+      notifarefRrule: persian ? rule.toString() : null
+    };
+  }
+
+  /**
+   * Map reminder alerts to event alerts, the reverse of readAlerts().
+   * Email alerts become email reminders and the others popups.
+   * @param {Object} reminder - Reminder document
+   */
+  buildAlerts(reminder) {
+    const alerts = reminder.alerts && reminder.alerts.length > 0
+      ? reminder.alerts
+      : [{ offset: 0, channels: [] }];
+    const eventAlerts = [];
+
+    for (const alert of alerts) {
+      if (alert.offset > MAX_ALERT_MINUTES) continue;
+
+      const channels = alert.channels || [];
+      if (channels.includes('email')) {
+        eventAlerts.push({ method: 'email', minutes: alert.offset });
+      }
+      if (channels.length === 0 || channels.some(channel => channel !== 'email')) {
+        eventAlerts.push({ method: 'popup', minutes: alert.offset });
+      }
+    }
+
+    return eventAlerts.slice(0, MAX_ALERTS);
+  }
+
+  /**
+   * Map an event's alerts to reminder alerts. Alerts with the same lead
+   * time become one; popups are sent as push.
+   * @param {Array} alerts - Event alerts, [{ method, minutes }]
+   */
+  readAlerts(alerts) {
+    const methodChannels = { popup: 'push', email: 'email', sms: 'sms' };
+    const reminderAlerts = new Map();
+
+    for (const eventAlert of alerts || []) {
+      const offset = Number(eventAlert.minutes);
+      if (!Number.isInteger(offset) || offset < 0 || offset > Reminder.MAX_ALERT_OFFSET) continue;
+
+      const alert = reminderAlerts.get(offset) || { offset, channels: [] };
+      const channel = methodChannels[eventAlert.method];
+      if (channel && !alert.channels.includes(channel)) {
+        alert.channels.push(channel);
+      }
+      reminderAlerts.set(offset, alert);
+    }
+
+    return [...reminderAlerts.values()]
+      .sort((a, b) => b.offset - a.offset)
+      .slice(0, 10);
+  }
+
+  // Hash an event as built by buildEvent()
+  hashEvent(event) {
+    return crypto.createHash('sha1').update(JSON.stringify(event)).digest('hex');
+  }
+
+  /**
+   * Get the hash of a reminder's event; it differs from the stored one
+   * when the reminder changed since it was last synced
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   */
+  getSyncHash(reminder, user) {
+    return this.hashEvent(this.buildEvent(reminder, user));
+  }
+
+  /**
+   * Link a reminder to its event on a provider as synced and save it
+   * @param {Object} provider - Calendar provider
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   * @param {Object} item - The event, as read by the provider
+   * @param {Object} event - Event sent for the reminder, built when not given
+   */
+  async linkEvent(provider, reminder, user, item, event = null) {
+    provider.setLink(reminder, {
+      eventId: item.id,
+      etag: item.etag,
+      syncHash: this.hashEvent(event || this.buildEvent(reminder, user)),
+      lastSyncAt: new Date()
+    });
+    reminder.calendar.synced = true;
+    await reminder.save();
+  }
+
+  // Unlink a reminder from its event on a provider, without saving it
+  unlinkEvent(provider, reminder) {
+    provider.setLink(reminder, { eventId: undefined, etag: undefined, syncHash: undefined });
+    reminder.calendar.synced = providers.list().some(other => !!other.getLink(reminder).eventId);
+  }
+
+  /**
+   * Read an event into reminder fields. All-day events are set at 09:00
+   * of their day. A linked reminder keeps its alerts and recurrence when
+   * the event's still match them.
+   * @param {Object} item - Event, as read by its provider
+   * @param {Object} user - User document
+   * @param {Object} reminder - Linked reminder, if any
+   * @returns {Object|null} { fields, allDay }, null when the event has no start
+   */
+  readItem(item, user, reminder = null) {
+    const fallbackZone = (reminder && reminder.timezone) || user.profile.timezone || 'UTC';
+    const timeZone = item.start && isValidTimeZone(item.start.timeZone) ? item.start.timeZone : fallbackZone;
+    const start = item.start && this.readEventTime(item.start, timeZone);
+    if (!start) return null;
+
+    const fields = {
+      title: (item.title || 'Imported Event').slice(0, 200),
+      description: (item.description || '').slice(0, 1000),
+      scheduledTime: start.date,
+      timezone: timeZone
+    };
+
+    if (!reminder || JSON.stringify(item.alerts) !== JSON.stringify(this.buildAlerts(reminder))) {
+      fields.alerts = this.readAlerts(item.alerts);
+    }
+
+    const rule = reminder && reminder.getRecurrenceRule();
+    const unchanged = rule && JSON.stringify(item.recurrence) ===
+      JSON.stringify(this.buildRecurrenceRule(reminder.recurrence, reminder));
+    if (!unchanged) {
+      fields.recurrence = this.readRecurrence(item, { date: start.date, timeZone });
+    } else if (rule.rscale !== 'PERSIAN') {
+      // The series may have been moved without changing its rule
+      fields['recurrence.dtstart'] = start.date;
+    }
+
+    return { fields, allDay: start.allDay };
+  }
+
+  /**
+   * Read an event time, e.g. { dateTime } or { date } for all-day events
+   * @param {Object} time - Event time
+   * @param {string} timeZone - Time zone of all-day dates
+   * @returns {Object|null} { date, allDay }
+   */
+  readEventTime(time, timeZone) {
+    if (time.dateTime) {
+      const date = new Date(time.dateTime);
+      return isNaN(date) ? null : { date, allDay: false };
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(time.date || '');
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    return {
+      date: fromZonedTime(new Date(Date.UTC(year, month - 1, day, ALL_DAY_HOUR)), timeZone),
+      allDay: true
+    };
+  }
+
+  /**
+   * Read an event's recurrence into a reminder recurrence, preferring the
+   * Solar Hijri rule kept by buildEvent()
+   * @param {Object} item - Event, as read by its provider
+   * @param {Object} start - { date, timeZone } of the event start
+   */
+  readRecurrence(item, start) {
+    const lines = [...(item.recurrence || [])];
+    if (item.notifarefRrule) {
+      lines.push(`X-NOTIFAREF-RRULE:${item.notifarefRrule}`);
     }
+    if (lines.length === 0) return { type: 'none' };
+
+    const [component] = ical.parseCalendar(['BEGIN:VEVENT', ...lines, 'END:VEVENT'].join('\r\n'));
+    return getIcalService().readRecurrence(component, start, { timeZone: start.timeZone, timezones: new Map() });
+  }
+
+  /**
+   * Sync reminder with the user's connected calendars
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   * @param {Array} targets - Providers to sync with, all connected ones by default
+   */
+  async syncReminder(reminder, user, targets = this.getConnectedProviders(user)) {
+    for (const provider of targets) {
+      try {
+        await this.pushReminder(provider, reminder, user);
+      } catch (error) {
+        console.error(`Error syncing reminder ${reminder._id} with ${provider.name}:`, error);
+        // Mark as sync failed but don't throw
+        reminder.calendar.synced = false;
+        await reminder.save();
+      }
+    }
+  }
+
+  /**
+   * Sync a user's reminders with one of their calendars. On providers that
+   * support it, changes made in the calendar since the last sync are read
+   * with its sync token (all events on the first run) and applied to the
+   * linked reminders. Then reminders changed here are pushed. When both
+   * sides changed, the user's conflict policy picks the winner.
+   * @param {Object} provider - Calendar provider
+   * @param {Object} user - User document
+   * @param {Date} now - Sync time
+   * @returns {Object} { stats, changed } where changed are the reminders
+   *   updated or created from the calendar, to reschedule
+   */
+  async syncUser(provider, user, now = new Date()) {
+    const settings = provider.getSettings(user);
+    const state = settings.sync;
+    const context = {
+      provider,
+      user,
+      now,
+      calendarId: provider.getCalendarId(user),
+      policy: settings.conflictPolicy || 'newest',
+      stats: { created: 0, updated: 0, deleted: 0, pushed: 0, conflicts: 0, errors: 0 },
+      changed: [],
+      linked: new Map()
+    };
+    const { stats } = context;
 
     try {
-      if (reminder.calendar.googleEventId) {
-        // Update existing event
-        await this.updateEvent(reminder, user);
-      } else {
-        // Create new event
-        await this.createEventFromReminder(reminder, user);
+      const deletedEventIds = [...(state.deletedEventIds || [])];
+      for (const eventId of deletedEventIds) {
+        await this.removeEvent(provider, user, context.calendarId, eventId);
+      }
+      if (deletedEventIds.length > 0) {
+        // Pulled rather than reset, to keep ids added meanwhile
+        await User.updateOne(
+          { _id: user._id },
+          { $pullAll: { [`integrations.${provider.settingsKey}.sync.deletedEventIds`]: deletedEventIds } }
+        );
+      }
+
+      const linked = await Reminder.find({ user: user._id, ...provider.linkQuery() });
+      linked.forEach(reminder => context.linked.set(provider.getLink(reminder).eventId, reminder));
+
+      if (provider.supportsSync) {
+        const { items, syncToken, full } = await provider.listChanges(user, context.calendarId, state.token);
+        const seen = new Set();
+
+        for (const item of items) {
+          seen.add(item.id);
+          try {
+            await this.applyRemoteEvent(item, context);
+          } catch (error) {
+            console.error(`Error syncing ${provider.name} calendar event ${item.id}:`, error);
+            stats.errors++;
+          }
+        }
+
+        // A full sync lists every event, so linked ones missing were deleted
+        if (full) {
+          for (const [eventId, reminder] of [...context.linked]) {
+            if (!seen.has(eventId)) {
+              await this.applyDeletedEvent(reminder, context);
+            }
+          }
+        }
+
+        state.token = syncToken;
       }
+
+      const pending = [...context.linked.values()]
+        .filter(reminder => this.getSyncHash(reminder, user) !== provider.getLink(reminder).syncHash);
+      if (settings.autoSync) {
+        pending.push(...await Reminder.find({
+          user: user._id,
+          status: { $in: ['pending', 'snoozed'] },
+          ...provider.linkQuery(false)
+        }).limit(MAX_AUTO_PUSH));
+      }
+
+      for (const reminder of pending) {
+        try {
+          await this.pushReminder(provider, reminder, user, context.calendarId);
+          stats.pushed++;
+        } catch (error) {
+          console.error(`Error pushing reminder ${reminder._id} to ${provider.name}:`, error);
+          stats.errors++;
+        }
+      }
+
+      state.lastSuccessAt = now;
+      state.error = undefined;
+
+      return { stats, changed: context.changed };
     } catch (error) {
-      console.error(`Error syncing reminder ${reminder._id}:`, error);
-      // Mark as sync failed but don't throw
-      reminder.calendar.synced = false;
-      await reminder.save();
+      state.error = error.message;
+      throw error;
+    } finally {
+      state.lastRunAt = now;
+      state.stats = stats;
+      await user.save();
+    }
+  }
+
+  /**
+   * Sync every user with every calendar they connected
+   * @returns {Object} { synced, failed, changed }
+   */
+  async syncAll() {
+    const summary = { synced: 0, failed: 0, changed: [] };
+
+    for (const provider of providers.list()) {
+      if (!provider.isConfigured()) continue;
+
+      const users = await User.find({ [`integrations.${provider.settingsKey}.connected`]: true });
+      for (const user of users) {
+        try {
+          const { changed } = await this.syncUser(provider, user);
+          summary.synced++;
+          summary.changed.push(...changed);
+        } catch (error) {
+          console.error(`${provider.name} calendar sync failed for user ${user._id}:`, error.message);
+          summary.failed++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Apply a changed event from the calendar to its reminder
+   * @param {Object} item - Event, as read by its provider
+   * @param {Object} context - Sync state from syncUser()
+   */
+  async applyRemoteEvent(item, context) {
+    // Changes to single occurrences are not kept, apart from cancelling one
+    if (item.seriesId) {
+      if (item.cancelled) {
+        await this.applyCancelledOccurrence(item, context);
+      }
+      return;
+    }
+
+    const reminder = context.linked.get(item.id) || null;
+    // Our own last push
+    if (reminder && item.etag && item.etag === context.provider.getLink(reminder).etag) return;
+
+    if (item.cancelled) {
+      if (reminder) await this.applyDeletedEvent(reminder, context);
+      return;
+    }
+
+    if (reminder && this.isChanged(context.provider, reminder, context.user)) {
+      context.stats.conflicts++;
+      // Left for the push that follows
+      if (this.resolveConflict(reminder, item, context.policy) === 'reminder') return;
     }
+
+    await this.applyEvent(item, reminder, context);
   }
 
   /**
-   * Disconnect Google Calendar for user
+   * Create or update a reminder from an event. Events in the past and
+   * series that have ended are not imported.
+   * @param {Object} item - Event, as read by its provider
+   * @param {Object} reminder - Linked reminder, null for new events
+   * @param {Object} context - Sync state from syncUser()
+   */
+  async applyEvent(item, reminder, context) {
+    const { provider, user, now } = context;
+    const read = this.readItem(item, user, reminder);
+    if (!read) return;
+
+    const previous = reminder && reminder.getRecurrenceRule() ? {
+      rrule: reminder.recurrence.rrule,
+      dtstart: reminder.recurrence.dtstart && reminder.recurrence.dtstart.getTime(),
+      scheduledTime: reminder.scheduledTime
+    } : null;
+
+    const target = reminder || new Reminder({
+      user: user._id,
+      tags: ['imported', 'calendar'],
+      priority: 'medium',
+      metadata: { source: 'calendar' }
+    });
+    target.set(read.fields);
+    target.calendar.allDay = read.allDay;
+
+    // A series keeps its current occurrence unless it was changed
+    const unchanged = previous && target.getRecurrenceRule() &&
+      previous.rrule === target.recurrence.rrule &&
+      previous.dtstart === (target.recurrence.dtstart && target.recurrence.dtstart.getTime());
+    const next = unchanged ? previous.scheduledTime : getIcalService().getNextOccurrence(target, now);
+
+    if (next) {
+      target.scheduledTime = next;
+    } else if (!reminder) {
+      return;
+    }
+
+    await target.validate();
+    await this.linkEvent(provider, target, user, item);
+
+    context.linked.set(item.id, target);
+    context.changed.push(target);
+    context.stats[reminder ? 'updated' : 'created']++;
+  }
+
+  /**
+   * Apply the deletion of an event. Its reminder is unlinked and cancelled,
+   * unless it changed since the last sync and the policy does not let the
+   * calendar win; the event is then made again.
+   * @param {Object} reminder - Linked reminder
+   * @param {Object} context - Sync state from syncUser()
+   */
+  async applyDeletedEvent(reminder, context) {
+    const { provider, user } = context;
+    context.linked.delete(provider.getLink(reminder).eventId);
+
+    const changed = this.isChanged(provider, reminder, user);
+    this.unlinkEvent(provider, reminder);
+
+    if (changed) {
+      context.stats.conflicts++;
+      // The deletion time is unknown, so only "calendar wins" lets it through
+      if (context.policy !== 'calendar') {
+        await this.pushReminder(provider, reminder, user, context.calendarId);
+        context.stats.pushed++;
+        return;
+      }
+    }
+
+    if (['pending', 'snoozed'].includes(reminder.status)) {
+      reminder.status = 'cancelled';
+    }
+    await reminder.save();
+
+    context.changed.push(reminder);
+    context.stats.deleted++;
+  }
+
+  /**
+   * Exclude a cancelled occurrence of a series from its reminder
+   * @param {Object} item - Cancelled occurrence
+   * @param {Object} context - Sync state from syncUser()
+   */
+  async applyCancelledOccurrence(item, context) {
+    const { provider, user } = context;
+    const reminder = context.linked.get(item.seriesId);
+    if (!reminder || !reminder.getRecurrenceRule() || !item.originalStart) return;
+
+    const original = this.readEventTime(
+      item.originalStart,
+      reminder.timezone || user.profile.timezone || 'UTC'
+    );
+    const exdates = reminder.recurrence.exdates || [];
+    if (!original || exdates.some(exdate => exdate.getTime() === original.date.getTime())) return;
+
+    const changed = this.isChanged(provider, reminder, user);
+    reminder.recurrence.exdates = [...exdates, original.date];
+
+    if (reminder.scheduledTime.getTime() === original.date.getTime()) {
+      const next = getIcalService().getNextOccurrence(reminder, new Date(original.date.getTime() + 1));
+      if (next) reminder.scheduledTime = next;
+    }
+
+    // Still in step with the calendar unless it had changed here too
+    if (!changed) {
+      provider.setLink(reminder, { syncHash: this.getSyncHash(reminder, user) });
+    }
+    await reminder.save();
+
+    context.changed.push(reminder);
+    context.stats.updated++;
+  }
+
+  /**
+   * Pick the side that wins when a reminder and its event both changed
+   * @param {Object} reminder - Reminder document
+   * @param {Object} item - Event, as read by its provider
+   * @param {string} policy - 'newest', 'reminder' or 'calendar'
+   * @returns {string} 'reminder' or 'calendar'
+   */
+  resolveConflict(reminder, item, policy) {
+    if (policy === 'reminder' || policy === 'calendar') return policy;
+
+    return new Date(item.updated || 0) > reminder.updatedAt ? 'calendar' : 'reminder';
+  }
+
+  // Whether a reminder changed since it was last synced with a provider
+  isChanged(provider, reminder, user) {
+    const { syncHash } = provider.getLink(reminder);
+    // Linked before sync hashes were kept: the calendar is taken as current
+    if (!syncHash) return false;
+    return this.getSyncHash(reminder, user) !== syncHash;
+  }
+
+  /**
+   * Create or update a reminder's event, making it again when it was
+   * deleted from the calendar
+   * @param {Object} provider - Calendar provider
+   * @param {Object} reminder - Reminder document
    * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   */
+  async pushReminder(provider, reminder, user, calendarId = provider.getCalendarId(user)) {
+    if (provider.getLink(reminder).eventId) {
+      try {
+        return await this.updateEvent(provider, reminder, user, calendarId);
+      } catch (error) {
+        if (!provider.isGone(error)) throw error;
+        this.unlinkEvent(provider, reminder);
+      }
+    }
+
+    return this.createEventFromReminder(provider, reminder, user, calendarId);
+  }
+
+  /**
+   * Delete an event by id; events already gone are ignored
+   * @param {Object} provider - Calendar provider
+   * @param {Object} user - User document
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
    */
-  async disconnectCalendar(user) {
-    user.integrations.googleCalendar.connected = false;
-    user.integrations.googleCalendar.accessToken = undefined;
-    user.integrations.googleCalendar.refreshToken = undefined;
-    user.integrations.googleCalendar.calendarId = undefined;
-    
+  async removeEvent(provider, user, calendarId, eventId) {
+    try {
+      await provider.deleteEvent(user, calendarId, eventId);
+    } catch (error) {
+      if (!provider.isGone(error)) throw error;
+    }
+  }
+
+  /**
+   * Get a user's sync settings for a provider and the outcome of their
+   * last sync
+   * @param {Object} provider - Calendar provider
+   * @param {Object} user - User document
+   */
+  getSyncStatus(provider, user) {
+    const settings = provider.getSettings(user);
+    const state = settings.sync || {};
+
+    return {
+      supportsSync: provider.supportsSync,
+      autoSync: !!settings.autoSync,
+      conflictPolicy: settings.conflictPolicy || 'newest',
+      incremental: !!state.token,
+      lastRunAt: state.lastRunAt || null,
+      lastSuccessAt: state.lastSuccessAt || null,
+      error: state.error || null,
+      stats: state.stats || null,
+      pendingDeletes: (state.deletedEventIds || []).length
+    };
+  }
+
+  /**
+   * Disconnect a calendar for user
+   * @param {Object} provider - Calendar provider
+   * @param {Object} user - User document
+   */
+  async disconnectCalendar(provider, user) {
+    const settings = provider.getSettings(user);
+    settings.connected = false;
+    settings.accessToken = undefined;
+    settings.refreshToken = undefined;
+    settings.expiresAt = undefined;
+    settings.calendarId = undefined;
+
+    await this.resetSync(provider, user);
+  }
+
+  /**
+   * Forget everything synced with one of the user's calendars, so the next
+   * sync starts over with a full one
+   * @param {Object} provider - Calendar provider
+   * @param {Object} user - User document
+   */
+  async resetSync(provider, user) {
+    provider.getSettings(user).sync = {};
     await user.save();
 
-    // Optionally, remove Google event IDs from reminders
+    const { eventId, etag, syncHash } = provider.linkPaths;
     await Reminder.updateMany(
       { user: user._id },
-      {
-        $unset: {
-          'calendar.googleEventId': 1
-        },
-        $set: {
-          'calendar.synced': false
-        }
-      }
+      { $unset: { [eventId]: 1, [etag]: 1, [syncHash]: 1 } }
+    );
+
+    // Reminders left on no calendar at all
+    await Reminder.updateMany(
+      { user: user._id, ...Object.assign({}, ...providers.list().map(other => other.linkQuery(false))) },
+      { $set: { 'calendar.synced': false } }
     );
   }
 
   /**
-   * Build recurrence rule for Google Calendar
+   * Build recurrence rule for calendar events
    * @param {Object} recurrence - Recurrence object from reminder
+   * @param {Object} reminder - Reminder document, used to expand Solar Hijri rules
    */
-  buildRecurrenceRule(recurrence) {
-    const rules = [];
-    
-    switch (recurrence.type) {
-      case 'daily':
-        rules.push(`RRULE:FREQ=DAILY;INTERVAL=${recurrence.interval || 1}`);
-        break;
-      case 'weekly':
-        rules.push(`RRULE:FREQ=WEEKLY;INTERVAL=${recurrence.interval || 1}`);
-        if (recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
-          const days = recurrence.daysOfWeek.map(day => {
-            const dayNames = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
-            return dayNames[day];
-          }).join(',');
-          rules[0] += `;BYDAY=${days}`;
-        }
-        break;
-      case 'monthly':
-        rules.push(`RRULE:FREQ=MONTHLY;INTERVAL=${recurrence.interval || 1}`);
-        break;
-      case 'yearly':
-        rules.push(`RRULE:FREQ=YEARLY;INTERVAL=${recurrence.interval || 1}`);
-        break;
-    }
+  buildRecurrenceRule(recurrence, reminder = null) {
+    const rrule = recurrence.rrule || RecurrenceRule.fromLegacy(recurrence).toString();
+
+    // Calendars do not support RSCALE, so list the next dates explicitly
+    if (/RSCALE=PERSIAN/i.test(rrule) && reminder) {
+      const horizon = new Date(reminder.scheduledTime);
+      horizon.setFullYear(horizon.getFullYear() + 2);
 
-    if (recurrence.endDate) {
-      const endDate = new Date(recurrence.endDate);
-      rules[0] += `;UNTIL=${endDate.toISOString().replace(/[-:]/g, '').split('.')[0]}Z`;
+      const dates = reminder.getOccurrences(reminder.scheduledTime, horizon, 50);
+      return [`RDATE:${dates.map(RecurrenceRule.formatDateTime).join(',')}`];
     }
+    const rules = [`RRULE:${rrule.replace(/^RRULE:/i, '')}`];
 
-    if (recurrence.maxOccurrences) {
-      rules[0] += `;COUNT=${recurrence.maxOccurrences}`;
+    if (recurrence.exdates && recurrence.exdates.length > 0) {
+      rules.push(`EXDATE:${recurrence.exdates.map(RecurrenceRule.formatDateTime).join(',')}`);
     }
 
     return rules;
@@ -414,11 +877,17 @@ class CalendarService {
    * Get calendar service status
    */
   getStatus() {
+    const google = providers.get('google');
+
     return {
-      configured: !!this.oauth2Client,
+      configured: providers.list().some(provider => provider.isConfigured()),
       clientId: !!process.env.GOOGLE_CLIENT_ID,
       clientSecret: !!process.env.GOOGLE_CLIENT_SECRET,
-      redirectUri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/google/callback'
+      redirectUri: google.getRedirectUri(),
+      providers: Object.fromEntries(providers.list().map(provider => [provider.name, {
+        configured: provider.isConfigured(),
+        supportsSync: provider.supportsSync
+      }]))
     };
   }
 }
@@ -426,4 +895,4 @@ class CalendarService {
 // Create singleton instance
 const calendarService = new CalendarService();
 
-module.exports = calendarService;
\ No newline at end of file
+module.exports = calendarService;
@@ -0,0 +1,133 @@
+/**
+ * Base class for notification channels.
+ *
+ * A channel delivers a prepared message (see
+ * NotificationService.buildMessage) to one user. `send` and `verify`
+ * resolve to { success, error, transient, response } and never throw for
+ * delivery failures, so one broken channel cannot stop the others.
+ * `transient` marks failures worth retrying; `response` summarizes what
+ * the provider returned (status code, message id, short error message)
+ * and never holds the raw body, which can echo the user's destination
+ * or credentials.
+ */
+
+const ERROR_SUMMARY_LENGTH = 200;
+
+class NotificationChannel {
+  /**
+   * @param {string} name - Registry name, e.g. 'telegram'
+   * @param {string} settingsKey - Key of the user's settings under user.notifications
+   */
+  constructor(name, settingsKey = name) {
+    this.name = name;
+    this.settingsKey = settingsKey;
+  }
+
+  /**
+   * Whether the server has the credentials this channel needs
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Get the user's settings for this channel
+   * @param {Object} user - User document
+   */
+  getSettings(user) {
+    return (user.notifications && user.notifications[this.settingsKey]) || {};
+  }
+
+  /**
+   * Whether the user has turned the channel on and given it a destination
+   * @param {Object} user - User document
+   */
+  isEnabled(user) {
+    return this.isConfigured() && !!this.getSettings(user).enabled && this.hasDestination(user);
+  }
+
+  /**
+   * Whether the user's settings hold somewhere to deliver to
+   * @param {Object} user - User document
+   */
+  hasDestination(user) {
+    return false;
+  }
+
+  /**
+   * Deliver a message to the user
+   * @param {Object} user - User document
+   * @param {Object} message - Prepared notification message
+   */
+  async send(user, message) {
+    throw new Error(`Channel ${this.name} does not implement send()`);
+  }
+
+  /**
+   * Check the user's destination by delivering a short verification message
+   * @param {Object} user - User document
+   */
+  async verify(user) {
+    if (!this.isConfigured()) {
+      return { success: false, error: `${this.name}_not_configured` };
+    }
+    if (!this.hasDestination(user)) {
+      return { success: false, error: `${this.name}_destination_missing` };
+    }
+
+    const isFa = user.profile && user.profile.language === 'fa';
+    const text = isFa
+      ? 'این پیام برای تأیید اتصال NOTIFAREF ارسال شده است.'
+      : 'This message confirms your NOTIFAREF connection.';
+
+    return this.send(user, {
+      verification: true,
+      title: 'NOTIFAREF',
+      body: text,
+      priority: 'low',
+      url: `${process.env.BASE_URL || ''}/dashboard`
+    });
+  }
+
+  /**
+   * Whether an error is likely to go away on retry: network errors,
+   * timeouts, rate limits and server errors
+   * @param {Error} error - Underlying error
+   */
+  isTransientError(error) {
+    return !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+  }
+
+  /**
+   * One-line error message from a provider response body
+   * @param {*} body - Parsed JSON or raw text
+   */
+  summarizeError(body) {
+    const text = body && typeof body === 'object'
+      ? body.description || body.message || body.error
+      : body;
+    if (typeof text !== 'string' || !text.trim()) return undefined;
+
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length > ERROR_SUMMARY_LENGTH ? `${line.slice(0, ERROR_SUMMARY_LENGTH - 1)}…` : line;
+  }
+
+  /**
+   * Build a failure result from an error
+   * @param {string} code - Error code, e.g. 'telegram_failed'
+   * @param {Error} error - Underlying error
+   */
+  failure(code, error) {
+    console.error(`${this.name} channel error:`, error.message);
+    return {
+      success: false,
+      error: code,
+      transient: this.isTransientError(error),
+      response: error.statusCode
+        ? { statusCode: error.statusCode, message: this.summarizeError(error.body) }
+        : { message: error.message }
+    };
+  }
+}
+
+module.exports = NotificationChannel;
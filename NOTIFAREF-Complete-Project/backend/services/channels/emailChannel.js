@@ -0,0 +1,95 @@
+const nodemailer = require('nodemailer');
+const NotificationChannel = require('./baseChannel');
+
+/**
+ * Email channel (SMTP via nodemailer).
+ * EMAIL_HOST/EMAIL_PORT take precedence over EMAIL_SERVICE, which also
+ * allows pointing the channel at a local SMTP server.
+ */
+class EmailChannel extends NotificationChannel {
+  constructor() {
+    super('email');
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!process.env.EMAIL_HOST || (!!process.env.EMAIL_USER && !!process.env.EMAIL_PASS);
+  }
+
+  getTransporter() {
+    if (!this.transporter && this.isConfigured()) {
+      const auth = process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined;
+
+      this.transporter = nodemailer.createTransport(process.env.EMAIL_HOST
+        ? {
+          host: process.env.EMAIL_HOST,
+          port: parseInt(process.env.EMAIL_PORT) || 587,
+          secure: process.env.EMAIL_SECURE === 'true',
+          auth
+        }
+        : {
+          service: process.env.EMAIL_SERVICE || 'gmail',
+          auth
+        });
+    }
+    return this.transporter;
+  }
+
+  // SMTP 4xx replies are temporary, 5xx are permanent
+  isTransientError(error) {
+    return !error.responseCode || error.responseCode < 500;
+  }
+
+  hasDestination(user) {
+    return !!user.email;
+  }
+
+  /**
+   * Send an email
+   * @param {string} to - Recipient email
+   * @param {string} subject - Email subject
+   * @param {string} text - Plain text content
+   * @param {string} html - HTML content
+   * @param {Object} options - Extra nodemailer fields (headers, inReplyTo...)
+   */
+  async sendMail(to, subject, text, html = null, options = {}) {
+    const transporter = this.getTransporter();
+    if (!transporter) {
+      return { success: false, error: 'email_not_configured' };
+    }
+
+    try {
+      const result = await transporter.sendMail({
+        from: process.env.EMAIL_FROM || 'NOTIFAREF <notifaref@example.com>',
+        to,
+        subject,
+        text,
+        // Text-only messages (e.g. participant updates) carry other users'
+        // titles, so they are never sent as HTML
+        ...(html && { html }),
+        ...options
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        response: { messageId: result.messageId, response: result.response }
+      };
+    } catch (error) {
+      return this.failure('email_failed', error);
+    }
+  }
+
+  async send(user, message) {
+    const email = message.email || {
+      subject: `NOTIFAREF: ${message.title}`,
+      text: `${message.body}\n\n${message.url || ''}`
+    };
+
+    return this.sendMail(user.email, email.subject, email.text, email.html);
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,50 @@
+const PushChannel = require('./pushChannel');
+const EmailChannel = require('./emailChannel');
+const TelegramChannel = require('./telegramChannel');
+const SmsChannel = require('./smsChannel');
+const WebhookChannel = require('./webhookChannel');
+
+/**
+ * Registry of notification channels, keyed by name.
+ * Registration order is delivery order.
+ */
+class ChannelRegistry {
+  constructor() {
+    this.channels = new Map();
+  }
+
+  /**
+   * Register a channel, replacing any channel with the same name
+   * @param {NotificationChannel} channel - Channel instance
+   */
+  register(channel) {
+    this.channels.set(channel.name, channel);
+    return this;
+  }
+
+  get(name) {
+    return this.channels.get(name) || null;
+  }
+
+  has(name) {
+    return this.channels.has(name);
+  }
+
+  names() {
+    return [...this.channels.keys()];
+  }
+
+  list() {
+    return [...this.channels.values()];
+  }
+}
+
+const registry = new ChannelRegistry()
+  .register(new PushChannel())
+  .register(new EmailChannel())
+  .register(new TelegramChannel())
+  .register(new SmsChannel())
+  .register(new WebhookChannel());
+
+module.exports = registry;
+module.exports.ChannelRegistry = ChannelRegistry;
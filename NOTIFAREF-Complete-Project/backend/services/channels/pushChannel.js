@@ -0,0 +1,140 @@
+const webpush = require('web-push');
+const NotificationChannel = require('./baseChannel');
+const { request } = require('../../utils/http');
+
+// Configure web-push with VAPID keys
+webpush.setVapidDetails(
+  process.env.VAPID_SUBJECT || 'mailto:notifaref@example.com',
+  process.env.VAPID_PUBLIC_KEY,
+  process.env.VAPID_PRIVATE_KEY
+);
+
+/**
+ * Web push channel (VAPID)
+ */
+class PushChannel extends NotificationChannel {
+  constructor() {
+    super('push', 'webPush');
+  }
+
+  isConfigured() {
+    return !!process.env.VAPID_PUBLIC_KEY && !!process.env.VAPID_PRIVATE_KEY;
+  }
+
+  /**
+   * Get the user's enabled device subscriptions
+   * @param {Object} user - User document
+   */
+  getSubscriptions(user) {
+    const subscriptions = typeof user.getPushSubscriptions === 'function'
+      ? user.getPushSubscriptions()
+      : this.getSettings(user).subscriptions || [];
+
+    return subscriptions.filter(subscription => subscription.enabled !== false && subscription.endpoint);
+  }
+
+  hasDestination(user) {
+    return this.getSubscriptions(user).length > 0;
+  }
+
+  /**
+   * Send a payload to a single push subscription
+   * @param {Object} subscription - Push subscription object
+   * @param {Object} payload - Notification payload
+   * @param {Object} options - Push options
+   */
+  async sendToSubscription(subscription, payload, options = {}) {
+    try {
+      const defaultOptions = {
+        TTL: 24 * 60 * 60, // 24 hours
+        urgency: 'normal',
+        ...options
+      };
+
+      // Encrypt and sign with web-push, deliver over our own client so
+      // plain-http endpoints (e.g. local push services) work as well
+      const details = webpush.generateRequestDetails(
+        subscription,
+        JSON.stringify(payload),
+        defaultOptions
+      );
+
+      const result = await request(details.endpoint, {
+        method: details.method,
+        headers: details.headers,
+        body: details.body || undefined
+      });
+
+      return { success: true, response: { statusCode: result.statusCode } };
+    } catch (error) {
+      // Subscription is no longer valid
+      if (error.statusCode === 410 || error.statusCode === 404) {
+        return { success: false, error: 'subscription_invalid', transient: false, response: { statusCode: error.statusCode } };
+      }
+
+      return this.failure('push_failed', error);
+    }
+  }
+
+  /**
+   * Send to every enabled device. Devices the push service reports as
+   * gone (404/410) are removed; delivery succeeds if any device accepted.
+   */
+  async send(user, message) {
+    const payload = message.push || {
+      title: message.title,
+      body: message.body,
+      icon: '/icons/icon-192x192.png',
+      data: { url: message.url, timestamp: Date.now() }
+    };
+    const options = {
+      urgency: message.priority === 'urgent' ? 'high' : 'normal'
+    };
+
+    const subscriptions = this.getSubscriptions(user);
+    const devices = [];
+
+    for (const subscription of subscriptions) {
+      const result = await this.sendToSubscription(subscription, payload, options);
+      const now = new Date();
+
+      if (result.success) {
+        subscription.lastSuccessAt = now;
+      } else {
+        subscription.lastFailureAt = now;
+      }
+
+      devices.push({
+        id: subscription._id,
+        deviceName: subscription.deviceName,
+        sent: result.success,
+        error: result.error || null,
+        transient: !!result.transient
+      });
+    }
+
+    // Drop the devices whose subscriptions the push service has expired
+    const expired = devices.filter(device => device.error === 'subscription_invalid');
+    const all = this.getSettings(user).subscriptions;
+    if (expired.length > 0 && all && typeof all.pull === 'function') {
+      expired.forEach(device => all.pull(device.id));
+    }
+
+    if (typeof user.save === 'function' && subscriptions.length > 0) {
+      await user.save();
+    }
+
+    if (devices.some(device => device.sent)) {
+      return { success: true, devices, response: { devices } };
+    }
+
+    return {
+      success: false,
+      error: expired.length === devices.length ? 'subscription_invalid' : 'push_failed',
+      transient: devices.some(device => device.transient),
+      response: { devices }
+    };
+  }
+}
+
+module.exports = PushChannel;
@@ -0,0 +1,53 @@
+const NotificationChannel = require('./baseChannel');
+const { postJson } = require('../../utils/http');
+
+const MAX_SMS_LENGTH = 320;
+
+/**
+ * SMS channel for a generic HTTP gateway.
+ * The gateway receives POST { to, from, message } with a bearer API key.
+ */
+class SmsChannel extends NotificationChannel {
+  constructor() {
+    super('sms');
+  }
+
+  isConfigured() {
+    return !!process.env.SMS_GATEWAY_URL;
+  }
+
+  hasDestination(user) {
+    return !!this.getSettings(user).phoneNumber;
+  }
+
+  async send(user, message) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'sms_not_configured' };
+    }
+
+    const headers = {};
+    if (process.env.SMS_GATEWAY_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.SMS_GATEWAY_API_KEY}`;
+    }
+
+    let text = `${message.title}\n${message.body}`;
+    if (text.length > MAX_SMS_LENGTH) {
+      text = `${text.slice(0, MAX_SMS_LENGTH - 1)}…`;
+    }
+
+    try {
+      const response = await postJson(process.env.SMS_GATEWAY_URL, {
+        to: this.getSettings(user).phoneNumber,
+        from: process.env.SMS_SENDER || 'NOTIFAREF',
+        message: text
+      }, { headers });
+
+      const messageId = response.body && (response.body.id || response.body.messageId);
+      return { success: true, messageId, response: { statusCode: response.statusCode, messageId } };
+    } catch (error) {
+      return this.failure('sms_failed', error);
+    }
+  }
+}
+
+module.exports = SmsChannel;
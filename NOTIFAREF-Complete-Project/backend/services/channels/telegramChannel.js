@@ -0,0 +1,62 @@
+const NotificationChannel = require('./baseChannel');
+const { postJson } = require('../../utils/http');
+
+/**
+ * Telegram bot channel.
+ * Users link their chat by sending /start to the bot and saving the chat id.
+ */
+class TelegramChannel extends NotificationChannel {
+  constructor() {
+    super('telegram');
+  }
+
+  isConfigured() {
+    return !!process.env.TELEGRAM_BOT_TOKEN;
+  }
+
+  hasDestination(user) {
+    return !!this.getSettings(user).chatId;
+  }
+
+  getApiUrl(method) {
+    const baseUrl = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+    return `${baseUrl}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`;
+  }
+
+  async send(user, message) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'telegram_not_configured' };
+    }
+
+    const lines = [`*${escapeMarkdown(message.title)}*`, escapeMarkdown(message.body)];
+    if (message.url) lines.push(escapeMarkdown(message.url));
+
+    try {
+      const response = await postJson(this.getApiUrl('sendMessage'), {
+        chat_id: this.getSettings(user).chatId,
+        text: lines.join('\n\n'),
+        parse_mode: 'MarkdownV2',
+        disable_notification: message.priority === 'low'
+      });
+
+      if (response.body && response.body.ok === false) {
+        return {
+          success: false,
+          error: 'telegram_failed',
+          transient: false,
+          response: { statusCode: response.statusCode, message: this.summarizeError(response.body) }
+        };
+      }
+
+      const messageId = response.body && response.body.result && response.body.result.message_id;
+      return { success: true, messageId, response: { statusCode: response.statusCode, messageId } };
+    } catch (error) {
+      return this.failure('telegram_failed', error);
+    }
+  }
+}
+
+// Characters reserved by Telegram's MarkdownV2
+const escapeMarkdown = (text) => String(text || '').replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+
+module.exports = TelegramChannel;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const NotificationChannel = require('./baseChannel');
+const { postJson, isPublicUrl, BlockedAddressError } = require('../../utils/http');
+
+/**
+ * Generic outgoing webhook channel.
+ * Bodies are signed with HMAC-SHA256 of the user's secret in the
+ * X-Notifaref-Signature header so receivers can authenticate them.
+ *
+ * URLs come from users, so requests only go to hosts that resolve to
+ * public addresses, checked when the URL is saved and again on every
+ * send. WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local setups.
+ */
+class WebhookChannel extends NotificationChannel {
+  constructor() {
+    super('webhook');
+  }
+
+  hasDestination(user) {
+    return !!this.getSettings(user).url;
+  }
+
+  allowsPrivateUrls() {
+    return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+  }
+
+  /**
+   * Whether a URL may be used as a webhook destination
+   * @param {string} url - Absolute URL
+   */
+  async isAllowedUrl(url) {
+    return this.allowsPrivateUrls() || isPublicUrl(url);
+  }
+
+  isTransientError(error) {
+    return !(error instanceof BlockedAddressError) && super.isTransientError(error);
+  }
+
+  /**
+   * Sign a raw body with a secret
+   * @param {string} body - Raw request body
+   * @param {string} secret - Shared secret
+   */
+  static sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  }
+
+  buildPayload(message) {
+    const reminder = message.reminder;
+
+    return {
+      event: message.verification ? 'ping' : 'reminder.due',
+      sentAt: new Date().toISOString(),
+      title: message.title,
+      body: message.body,
+      url: message.url,
+      priority: message.priority,
+      reminder: reminder ? {
+        id: reminder._id.toString(),
+        title: reminder.title,
+        description: reminder.description,
+        scheduledTime: reminder.scheduledTime,
+        timezone: reminder.timezone,
+        priority: reminder.priority,
+        tags: reminder.tags
+      } : undefined
+    };
+  }
+
+  async send(user, message) {
+    const settings = this.getSettings(user);
+    const body = JSON.stringify(this.buildPayload(message));
+    const headers = { 'User-Agent': 'NOTIFAREF-Webhook/1.0' };
+
+    if (settings.secret) {
+      headers['X-Notifaref-Signature'] = WebhookChannel.sign(body, settings.secret);
+    }
+
+    try {
+      const response = await postJson(settings.url, body, {
+        headers,
+        publicOnly: !this.allowsPrivateUrls()
+      });
+      return { success: true, response: { statusCode: response.statusCode } };
+    } catch (error) {
+      return this.failure(error instanceof BlockedAddressError ? 'webhook_blocked' : 'webhook_failed', error);
+    }
+  }
+}
+
+module.exports = WebhookChannel;
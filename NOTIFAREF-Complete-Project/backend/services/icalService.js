@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const channels = require('./channels');
+const calendarService = require('./calendarService');
+const Reminder = require('../models/Reminder');
+const RecurrenceRule = require('../utils/recurrence');
+const ical = require('../utils/ical');
+const { isValidTimeZone, toZonedTime, fromZonedTime } = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const YEAR_MS = 365 * 24 * 60 * MINUTE_MS;
+// Items read from one file at most
+const MAX_IMPORT_ITEMS = 1000;
+// All-day items are imported as reminders at this time of day
+const ALL_DAY_MINUTES = 9 * 60;
+// UIDs of exported reminders that have no UID of their own
+const OWN_UID = /^([a-f0-9]{24})@notifaref$/;
+// PRIORITY runs from 1 (highest) to 9 (lowest); 0 means undefined
+const PRIORITY_VALUES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+/**
+ * Exports reminders as iCalendar (.ics) data and imports .ics files from
+ * other calendar apps (Outlook, Apple Calendar, Thunderbird) as reminders.
+ */
+class IcalService {
+  /**
+   * Get the UID of a reminder in exported calendars
+   * @param {Object} reminder - Reminder document
+   */
+  static getUid(reminder) {
+    return (reminder.metadata.ical && reminder.metadata.ical.uid) || `${reminder._id}@notifaref`;
+  }
+
+  /**
+   * Build an .ics file from reminders
+   * @param {Array} reminders - Reminder documents
+   * @param {Object} options - { type: 'event' (VEVENT) or 'todo' (VTODO),
+   *   now, name, properties } where properties are extra calendar properties
+   * @returns {string} iCalendar data
+   */
+  static exportReminders(reminders, options = {}) {
+    const { type = 'event', now = new Date(), name = 'NOTIFAREF', properties = {} } = options;
+    const ranges = new Map();
+    const components = [];
+
+    for (const reminder of reminders) {
+      const timezone = reminder.timezone || 'UTC';
+      components.push(...this.buildComponent(reminder, type, now));
+
+      if (timezone !== 'UTC') {
+        const start = (reminder.recurrence && reminder.recurrence.dtstart) || reminder.scheduledTime;
+        const range = ranges.get(timezone) || { from: now, to: now };
+        ranges.set(timezone, {
+          from: new Date(Math.min(range.from, start)),
+          to: new Date(Math.max(range.to, reminder.scheduledTime))
+        });
+      }
+    }
+
+    // Transitions older than ten years are left out to keep files small
+    const timezones = [...ranges].flatMap(([timezone, { from, to }]) =>
+      ical.buildTimezone(timezone, new Date(Math.max(from, now.getTime() - 10 * YEAR_MS)), to)
+    );
+
+    return ical.buildCalendar([...timezones, ...components], { 'X-WR-CALNAME': name, ...properties });
+  }
+
+  /**
+   * Build a user's subscribable feed of pending and snoozed reminders.
+   * The feed is stamped with the time of the latest change rather than
+   * the request time, so unchanged feeds keep the same ETag.
+   * @param {Object} user - User document
+   * @param {Object} filters - { tags, priorities, type }
+   * @returns {Object} { calendar, etag }
+   */
+  static async buildFeed(user, filters = {}) {
+    const { tags = [], priorities = [], type = 'event' } = filters;
+    const query = { user: user._id, status: { $in: ['pending', 'snoozed'] } };
+    if (tags.length > 0) query.tags = { $in: tags };
+    if (priorities.length > 0) query.priority = { $in: priorities };
+
+    const reminders = await Reminder.find(query).sort({ scheduledTime: 1 }).limit(5000);
+    const updated = reminders.reduce((latest, reminder) => Math.max(latest, reminder.updatedAt || 0), 0);
+
+    const calendar = this.exportReminders(reminders, {
+      type,
+      now: updated ? new Date(updated) : new Date(0),
+      properties: { 'X-PUBLISHED-TTL': 'PT1H' }
+    });
+
+    return {
+      calendar,
+      etag: `"${crypto.createHash('sha1').update(calendar).digest('hex')}"`
+    };
+  }
+
+  /**
+   * Build the VEVENT or VTODO of a reminder
+   * @param {Object} reminder - Reminder document
+   * @param {string} type - 'event' or 'todo'
+   * @param {Date} now - Export time
+   * @returns {Array} Content lines
+   */
+  static buildComponent(reminder, type, now) {
+    const isTodo = type === 'todo';
+    const name = isTodo ? 'VTODO' : 'VEVENT';
+    const timezone = reminder.timezone || 'UTC';
+    const rule = reminder.getRecurrenceRule();
+    const isPersian = rule && rule.rscale === 'PERSIAN';
+    // Local times with a TZID keep recurring reminders on their wall clock
+    const local = (date) => (timezone === 'UTC'
+      ? { value: RecurrenceRule.formatDateTime(date), params: {} }
+      : { value: ical.formatLocalDateTime(toZonedTime(date, timezone)), params: { TZID: timezone } });
+    const start = local(rule && !isPersian ? (reminder.recurrence.dtstart || reminder.scheduledTime) : reminder.scheduledTime);
+
+    const lines = [
+      `BEGIN:${name}`,
+      ical.formatLine('UID', this.getUid(reminder)),
+      `DTSTAMP:${RecurrenceRule.formatDateTime(now)}`
+    ];
+
+    if (reminder.createdAt) lines.push(`CREATED:${RecurrenceRule.formatDateTime(reminder.createdAt)}`);
+    if (reminder.updatedAt) lines.push(`LAST-MODIFIED:${RecurrenceRule.formatDateTime(reminder.updatedAt)}`);
+
+    lines.push(ical.formatLine('SUMMARY', ical.escapeText(reminder.title)));
+    if (reminder.description) {
+      lines.push(ical.formatLine('DESCRIPTION', ical.escapeText(reminder.description)));
+    }
+    // One line per checklist item, in order, for importing the file back
+    for (const item of reminder.checklist || []) {
+      lines.push(ical.formatLine('X-NOTIFAREF-CHECKLIST', ical.escapeText(item.text), item.done ? { 'X-DONE': 'TRUE' } : {}));
+    }
+    if (process.env.BASE_URL) {
+      lines.push(ical.formatLine('URL', `${process.env.BASE_URL}/dashboard?reminder=${reminder._id}`));
+    }
+
+    if (isTodo) {
+      // A recurring to-do needs DTSTART to anchor its rule
+      if (rule) lines.push(ical.formatLine('DTSTART', start.value, start.params));
+      lines.push(ical.formatLine('DUE', start.value, start.params));
+      lines.push(`STATUS:${{ completed: 'COMPLETED', cancelled: 'CANCELLED' }[reminder.status] || 'NEEDS-ACTION'}`);
+      if (reminder.status === 'completed' && reminder.metadata.completedAt) {
+        lines.push(`COMPLETED:${RecurrenceRule.formatDateTime(reminder.metadata.completedAt)}`);
+      }
+    } else {
+      // Reminders are shown as one-hour events, as in Google Calendar
+      lines.push(ical.formatLine('DTSTART', start.value, start.params));
+      lines.push('DURATION:PT1H');
+      lines.push(`STATUS:${reminder.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    }
+
+    lines.push(`PRIORITY:${PRIORITY_VALUES[reminder.priority] || 0}`);
+    if (reminder.tags && reminder.tags.length > 0) {
+      lines.push(ical.formatLine('CATEGORIES', reminder.tags.map(ical.escapeText).join(',')));
+    }
+
+    if (rule) {
+      // Same RRULE / EXDATE mapping as Google Calendar sync, which lists
+      // the dates of Solar Hijri rules since few clients support RSCALE
+      calendarService.buildRecurrenceRule(reminder.recurrence, reminder)
+        .forEach(line => lines.push(ical.foldLine(line)));
+
+      // Keep the Solar Hijri rule for importing the file back
+      if (isPersian) lines.push(ical.formatLine('X-NOTIFAREF-RRULE', rule.toString()));
+    }
+
+    const alerts = reminder.alerts && reminder.alerts.length > 0 ? reminder.alerts : [{ offset: 0, channels: [] }];
+    for (const alert of alerts) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        ical.formatLine('DESCRIPTION', ical.escapeText(reminder.title)),
+        // A to-do's alarms are relative to its DUE time
+        ical.formatLine('TRIGGER', ical.formatDuration(-alert.offset), isTodo ? { RELATED: 'END' } : {})
+      );
+      if (alert.channels && alert.channels.length > 0) {
+        lines.push(ical.formatLine('X-NOTIFAREF-CHANNELS', alert.channels.join(',')));
+      }
+      lines.push('END:VALARM');
+    }
+
+    lines.push(`END:${name}`);
+    return lines;
+  }
+
+  /**
+   * Import the events and to-dos of an .ics file as reminders. Items are
+   * matched to earlier imports by UID and updated rather than duplicated.
+   * Past one-off items, finished series, cancelled or completed items and
+   * changes to single occurrences (RECURRENCE-ID) are skipped.
+   * @param {string} text - iCalendar data
+   * @param {Object} user - User document
+   * @param {Date} now - Import time
+   * @returns {Object} { created, updated, skipped, errors } where created
+   *   and updated are reminder documents and errors are { uid, message }
+   */
+  static async importCalendar(text, user, now = new Date()) {
+    const calendars = ical.parseCalendar(text).filter(component => component.name === 'VCALENDAR');
+    const result = { created: [], updated: [], skipped: 0, errors: [] };
+
+    for (const calendar of calendars) {
+      const context = this.getContext(calendar, user);
+      const items = calendar.components.filter(component => ['VEVENT', 'VTODO'].includes(component.name));
+
+      for (const component of items) {
+        if (result.created.length + result.updated.length + result.skipped + result.errors.length >= MAX_IMPORT_ITEMS) {
+          result.errors.push({ uid: null, message: `Only the first ${MAX_IMPORT_ITEMS} items were read` });
+          return result;
+        }
+
+        const uid = this.getText(component, 'UID');
+
+        try {
+          const item = this.readComponent(component, context);
+          if (!item) {
+            result.skipped++;
+            continue;
+          }
+
+          const existing = await this.findExisting(user, item.uid);
+          const known = existing && ((existing.metadata.ical && existing.metadata.ical.lastModified) || existing.updatedAt);
+          if (existing && item.lastModified && known && item.lastModified <= known) {
+            result.skipped++;
+            continue;
+          }
+
+          const reminder = existing || new Reminder({ user: user._id, metadata: { source: 'import' } });
+          reminder.set(item.fields);
+          reminder.set('metadata.ical', { uid: item.uid, lastModified: item.lastModified || undefined });
+
+          const next = this.getNextOccurrence(reminder, now);
+          if (!next) {
+            result.skipped++;
+            continue;
+          }
+          reminder.scheduledTime = next;
+
+          await reminder.save();
+          (existing ? result.updated : result.created).push(reminder);
+        } catch (error) {
+          result.errors.push({ uid, message: error.message });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get what is needed to read the times of a calendar's items: the
+   * timezone of floating times and the calendar's VTIMEZONEs by TZID
+   * @param {Object} calendar - Parsed VCALENDAR
+   * @param {Object} user - User document
+   * @returns {Object} { timeZone, timezones }
+   */
+  static getContext(calendar, user) {
+    const calendarTimeZone = this.getText(calendar, 'X-WR-TIMEZONE');
+
+    return {
+      timeZone: isValidTimeZone(calendarTimeZone) ? calendarTimeZone : (user.profile.timezone || 'UTC'),
+      timezones: new Map(calendar.components
+        .filter(component => component.name === 'VTIMEZONE')
+        .map(component => [this.getText(component, 'TZID'), component]))
+    };
+  }
+
+  /**
+   * Find a reminder imported earlier with the same UID, or the reminder
+   * itself for UIDs from our own exports
+   * @param {Object} user - User document
+   * @param {string} uid - Item UID
+   */
+  static findExisting(user, uid) {
+    const own = OWN_UID.exec(uid);
+    const query = own
+      ? { $or: [{ _id: own[1] }, { 'metadata.ical.uid': uid }] }
+      : { 'metadata.ical.uid': uid };
+
+    return Reminder.findOne({ user: user._id, ...query });
+  }
+
+  /**
+   * Read a VEVENT or VTODO into reminder fields
+   * @param {Object} component - Parsed component
+   * @param {Object} context - { timeZone, timezones } of its calendar
+   * @returns {Object|null} { uid, lastModified, fields }, or null for items to skip
+   */
+  static readComponent(component, context) {
+    if (ical.getProperty(component, 'RECURRENCE-ID')) return null;
+    if (this.isDone(component)) return null;
+
+    return this.readItem(component, context);
+  }
+
+  /**
+   * Read the fields of a VEVENT or VTODO, whatever its status
+   * @param {Object} component - Parsed component
+   * @param {Object} context - { timeZone, timezones } of its calendar
+   * @param {Object} fallback - Start ({ date, timeZone }) for items that
+   *   have none, such as to-dos without a due date; they are refused
+   *   when not given
+   * @returns {Object} { uid, lastModified, fields }
+   */
+  static readItem(component, context, fallback = null) {
+    const isTodo = component.name === 'VTODO';
+    const startProperty = isTodo
+      ? ical.getProperty(component, 'DUE') || ical.getProperty(component, 'DTSTART')
+      : ical.getProperty(component, 'DTSTART');
+    if (!startProperty && !fallback) {
+      throw new Error(isTodo ? 'To-do has no due date' : 'Event has no start');
+    }
+
+    const start = startProperty ? this.readTime(startProperty, context) : fallback;
+    if (!start) {
+      throw new Error(`Invalid date: ${startProperty.value}`);
+    }
+
+    const summary = this.getText(component, 'SUMMARY');
+    const description = this.getText(component, 'DESCRIPTION');
+    const lastModified = ical.parseDateValue((ical.getProperty(component, 'LAST-MODIFIED') || {}).value || '');
+    const tags = ical.getProperties(component, 'CATEGORIES')
+      .flatMap(property => ical.splitList(property.value))
+      .map(tag => tag.toLowerCase().slice(0, 50));
+
+    return {
+      // RFC 5545 requires a UID; fall back to the title and time for files without one
+      uid: (this.getText(component, 'UID') || `${start.date.getTime()}-${summary}@import`).slice(0, 255),
+      lastModified: lastModified ? lastModified.date : null,
+      fields: {
+        title: (summary || (isTodo ? 'Imported task' : 'Imported event')).slice(0, 200),
+        description: description ? description.slice(0, 1000) : undefined,
+        scheduledTime: start.date,
+        timezone: start.timeZone,
+        priority: this.readPriority(this.getText(component, 'PRIORITY')),
+        tags: [...new Set(tags)].slice(0, 20),
+        alerts: this.readAlarms(component, start.date, context),
+        recurrence: this.readRecurrence(component, start, context),
+        ...this.readChecklist(component)
+      }
+    };
+  }
+
+  /**
+   * Read our X-NOTIFAREF-CHECKLIST lines into checklist fields. Items
+   * without them keep their checklist, as other clients may drop them.
+   * @param {Object} component - Parsed component
+   * @returns {Object} { checklist } or {}
+   */
+  static readChecklist(component) {
+    const checklist = ical.getProperties(component, 'X-NOTIFAREF-CHECKLIST')
+      .map(property => ({
+        text: ical.unescapeText(property.value).trim().slice(0, 200),
+        done: property.params['X-DONE'] === 'TRUE'
+      }))
+      .filter(item => item.text)
+      .slice(0, Reminder.MAX_CHECKLIST_ITEMS);
+
+    return checklist.length > 0 ? { checklist } : {};
+  }
+
+  /**
+   * Read a DATE or DATE-TIME property into an instant and the IANA
+   * timezone to anchor the reminder to
+   * @param {Object} property - Parsed property
+   * @param {Object} context - { timeZone, timezones } of its calendar
+   * @returns {Object|null} { date, timeZone }
+   */
+  static readTime(property, context) {
+    const value = ical.parseDateValue(property.value);
+    if (!value) return null;
+    if (value.utc) return { date: value.date, timeZone: context.timeZone };
+
+    const wall = value.allDay
+      ? new Date(value.date.getTime() + ALL_DAY_MINUTES * MINUTE_MS)
+      : value.date;
+    const tzid = property.params.TZID;
+    const timeZone = this.findTimeZone(tzid, context);
+    if (timeZone) return { date: fromZonedTime(wall, timeZone), timeZone };
+
+    // A TZID that is not an IANA name, resolved from its VTIMEZONE
+    const vtimezone = context.timezones.get(tzid);
+    const offset = vtimezone ? ical.resolveTimezoneOffset(vtimezone, wall) : null;
+    if (offset !== null) return { date: new Date(wall.getTime() - offset), timeZone: context.timeZone };
+
+    return { date: fromZonedTime(wall, context.timeZone), timeZone: context.timeZone };
+  }
+
+  /**
+   * Find the IANA timezone for a TZID: the TZID itself, its tail (e.g.
+   * "/mozilla.org/20050126_1/Europe/Berlin") or its VTIMEZONE's
+   * X-LIC-LOCATION. Floating times use the calendar's timezone.
+   * @param {string} tzid - TZID parameter
+   * @param {Object} context - { timeZone, timezones } of its calendar
+   * @returns {string|null} Timezone name
+   */
+  static findTimeZone(tzid, context) {
+    if (!tzid) return context.timeZone;
+
+    const parts = tzid.split('/').filter(Boolean);
+    const vtimezone = context.timezones.get(tzid);
+    const candidates = [
+      tzid,
+      ...parts.map((part, index) => parts.slice(index).join('/')),
+      vtimezone && this.getText(vtimezone, 'X-LIC-LOCATION')
+    ];
+
+    return candidates.find(isValidTimeZone) || null;
+  }
+
+  /**
+   * Read RRULE (or our own X-NOTIFAREF-RRULE) and EXDATE into a reminder
+   * recurrence
+   * @param {Object} component - Parsed component
+   * @param {Object} start - Start time from readTime()
+   * @param {Object} context - { timeZone, timezones } of its calendar
+   */
+  static readRecurrence(component, start, context) {
+    const property = ical.getProperty(component, 'X-NOTIFAREF-RRULE') || ical.getProperty(component, 'RRULE');
+    if (!property) return { type: 'none' };
+
+    let rule;
+    try {
+      rule = RecurrenceRule.parse(property.value);
+    } catch (error) {
+      throw new Error(`Unsupported recurrence rule: ${error.message}`);
+    }
+
+    const exdates = ical.getProperties(component, 'EXDATE')
+      .flatMap(exdate => exdate.value.split(',').map(value => this.readTime({ params: exdate.params, value }, context)))
+      .filter(Boolean)
+      .map(exdate => exdate.date);
+
+    return {
+      type: rule.freq.toLowerCase(),
+      rrule: rule.toString(),
+      calendar: rule.rscale === 'PERSIAN' ? 'jalali' : 'gregorian',
+      dtstart: start.date,
+      exdates
+    };
+  }
+
+  /**
+   * Read the VALARMs of an item into reminder alerts. Alarms at the same
+   * time become one alert; email alarms are sent by email and the others
+   * through the channels set for the priority.
+   * @param {Object} component - Parsed component
+   * @param {Date} start - Reminder time
+   * @param {Object} context - { timeZone, timezones } of its calendar
+   */
+  static readAlarms(component, start, context) {
+    const alerts = new Map();
+    // Event alarms may be relative to the end, which is not kept
+    const end = component.name === 'VEVENT' ? this.readEnd(component, start, context) : start;
+
+    for (const alarm of component.components.filter(child => child.name === 'VALARM')) {
+      const trigger = ical.getProperty(alarm, 'TRIGGER');
+      if (!trigger) continue;
+
+      let at;
+      if ((trigger.params.VALUE || '').toUpperCase() === 'DATE-TIME') {
+        const time = this.readTime(trigger, context);
+        at = time && time.date;
+      } else {
+        const duration = ical.parseDuration(trigger.value);
+        const related = (trigger.params.RELATED || '').toUpperCase() === 'END' ? end : start;
+        at = duration === null ? null : new Date(related.getTime() + duration);
+      }
+      if (!at) continue;
+
+      const offset = Math.round((start - at) / MINUTE_MS);
+      if (offset < 0 || offset > Reminder.MAX_ALERT_OFFSET) continue;
+
+      const custom = this.getText(alarm, 'X-NOTIFAREF-CHANNELS');
+      const alarmChannels = custom !== null
+        ? custom.split(',').map(name => name.trim()).filter(name => channels.has(name))
+        : ((this.getText(alarm, 'ACTION') || '').toUpperCase() === 'EMAIL' ? ['email'] : []);
+
+      // No channels means the priority defaults, which win when merging
+      const alert = alerts.get(offset);
+      alerts.set(offset, {
+        offset,
+        channels: alert && (alert.channels.length === 0 || alarmChannels.length === 0)
+          ? []
+          : [...new Set([...(alert ? alert.channels : []), ...alarmChannels])]
+      });
+    }
+
+    return [...alerts.values()]
+      .sort((a, b) => b.offset - a.offset)
+      .slice(0, 10);
+  }
+
+  // Work out when an event ends, from DTEND or DURATION
+  static readEnd(component, start, context) {
+    const dtend = ical.getProperty(component, 'DTEND');
+    const end = dtend && this.readTime(dtend, context);
+    if (end) return end.date;
+
+    const duration = ical.parseDuration(this.getText(component, 'DURATION') || '');
+    return duration === null ? start : new Date(start.getTime() + duration);
+  }
+
+  /**
+   * Map an iCalendar PRIORITY (1 highest to 9 lowest) to a reminder priority
+   * @param {string} value - PRIORITY value
+   */
+  static readPriority(value) {
+    const priority = parseInt(value, 10);
+    if (priority === 1) return 'urgent';
+    if (priority >= 2 && priority <= 4) return 'high';
+    if (priority >= 6 && priority <= 9) return 'low';
+    return 'medium';
+  }
+
+  /**
+   * Get the first upcoming occurrence of an imported reminder, or null when
+   * it is in the past or its series has ended
+   * @param {Object} reminder - Reminder document, not yet saved
+   * @param {Date} now - Import time
+   */
+  static getNextOccurrence(reminder, now) {
+    if (!reminder.getRecurrenceRule()) {
+      return reminder.scheduledTime > now ? reminder.scheduledTime : null;
+    }
+
+    const [next] = reminder.getOccurrences(now, new Date(now.getTime() + 5 * YEAR_MS), 1);
+    return next || null;
+  }
+
+  // Whether an item is cancelled or completed
+  static isDone(component) {
+    const status = (this.getText(component, 'STATUS') || '').toUpperCase();
+    return ['CANCELLED', 'COMPLETED'].includes(status) || !!ical.getProperty(component, 'COMPLETED');
+  }
+
+  // Get a property's unescaped text, or null when it is missing
+  static getText(component, name) {
+    const property = ical.getProperty(component, name);
+    return property ? ical.unescapeText(property.value).trim() : null;
+  }
+}
+
+module.exports = IcalService;
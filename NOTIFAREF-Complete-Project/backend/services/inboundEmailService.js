@@ -0,0 +1,186 @@
+const channels = require('./channels');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const { parseMessage } = require('../utils/mail');
+const { parseDateTime, removeSpans } = require('../utils/dateParser');
+const { toZonedTime, fromZonedTime, formatInTimeZone } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOKEN_PATTERN = /^[a-f0-9]{24}$/;
+// Reply and forward prefixes, e.g. "Fwd: Re: "
+const SUBJECT_PREFIX = /^(?:(?:re|fwd?|fw|aw|wg|tr|پاسخ|هدایت|ارسال)\s*:\s*)+/i;
+// Reminders without a date in the email are set for the next day at this time
+const DEFAULT_TIME = '09:00';
+
+/**
+ * Turns emails sent to a user's secret inbound address into reminders.
+ * Addresses look like remind+<token>@INBOUND_EMAIL_DOMAIN; a bare
+ * <token>@INBOUND_EMAIL_DOMAIN works as well.
+ */
+class InboundEmailService {
+  /**
+   * Check whether inbound email is set up on this server
+   */
+  static isConfigured() {
+    return !!process.env.INBOUND_EMAIL_DOMAIN;
+  }
+
+  /**
+   * Get a user's inbound address, or null when they have none
+   * @param {Object} user - User document
+   */
+  static getAddress(user) {
+    const inbound = user.integrations.inboundEmail;
+    if (!this.isConfigured() || !inbound || !inbound.token) return null;
+
+    const prefix = process.env.INBOUND_EMAIL_PREFIX || 'remind';
+    return `${prefix}+${inbound.token}@${process.env.INBOUND_EMAIL_DOMAIN.toLowerCase()}`;
+  }
+
+  /**
+   * Find the inbound token among a message's recipients
+   * @param {Array} addresses - Recipient addresses
+   */
+  static findToken(addresses) {
+    const domain = `@${(process.env.INBOUND_EMAIL_DOMAIN || '').toLowerCase()}`;
+
+    for (const address of addresses) {
+      if (!address.endsWith(domain)) continue;
+
+      const local = address.slice(0, -domain.length);
+      const token = local.includes('+') ? local.slice(local.lastIndexOf('+') + 1) : local;
+      if (TOKEN_PATTERN.test(token)) return token;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a message was sent automatically (auto-replies,
+   * bounces, our own confirmations), which must not create reminders
+   * @param {Object} message - Parsed message
+   */
+  static isAutomated(message) {
+    const autoSubmitted = (message.headers['auto-submitted'] || ['no'])[0].toLowerCase();
+    return autoSubmitted !== 'no' || !!message.headers['x-autoreply'] || !message.from;
+  }
+
+  /**
+   * Work out the reminder fields for an email: the title from the subject,
+   * the time from the subject or else the body, and the priority from the
+   * Importance / X-Priority headers
+   * @param {Object} message - Parsed message
+   * @param {Object} user - User document
+   * @param {Date} now - Time the email was received
+   */
+  static buildReminder(message, user, now = new Date()) {
+    const timeZone = user.profile.timezone || 'UTC';
+    const subject = message.subject.replace(SUBJECT_PREFIX, '').trim();
+    const options = { timeZone, now, defaultTime: DEFAULT_TIME };
+
+    let title = subject;
+    let parsed = parseDateTime(subject, options);
+    if (parsed && parsed.date > now) {
+      title = removeSpans(subject, parsed.spans) || subject;
+    } else {
+      parsed = parseDateTime(message.text.slice(0, 2000), options);
+    }
+
+    let scheduledTime = parsed && parsed.date > now ? parsed.date : null;
+    if (!scheduledTime) {
+      const [hours, minutes] = DEFAULT_TIME.split(':').map(Number);
+      const today = Math.floor(toZonedTime(now, timeZone).getTime() / DAY_MS) * DAY_MS;
+      scheduledTime = fromZonedTime(new Date(today + DAY_MS + (hours * 60 + minutes) * 60 * 1000), timeZone);
+    }
+
+    const importance = ((message.headers.importance || [''])[0]).toLowerCase();
+    const xPriority = parseInt((message.headers['x-priority'] || [''])[0], 10);
+
+    return {
+      user: user._id,
+      title: (title || (user.profile.language === 'fa' ? 'یادآوری ایمیلی' : 'Email reminder')).slice(0, 200),
+      description: message.text.slice(0, 1000) || undefined,
+      scheduledTime,
+      timezone: timeZone,
+      priority: importance === 'high' || xPriority === 1 || xPriority === 2 ? 'high' : 'medium',
+      tags: ['email'],
+      attachments: message.attachments.slice(0, 20).map(({ filename, contentType, size }) => ({
+        filename: filename.slice(0, 255),
+        contentType,
+        size
+      })),
+      metadata: {
+        source: 'import',
+        email: {
+          messageId: message.messageId || undefined,
+          from: message.from,
+          receivedAt: now
+        }
+      }
+    };
+  }
+
+  /**
+   * Create a reminder from a raw RFC 822 message
+   * @param {Buffer|string} raw - Message source
+   * @param {Object} options - { recipients } from the SMTP envelope, used
+   *   instead of the To/Cc headers when given
+   * @returns {Object} { status, reminder, user } where status is 'created',
+   *   'duplicate', 'ignored' or 'unknown_recipient'
+   */
+  static async receive(raw, options = {}) {
+    const message = parseMessage(raw);
+    if (this.isAutomated(message)) return { status: 'ignored' };
+
+    const recipients = options.recipients && options.recipients.length > 0 ? options.recipients : message.to;
+    const token = this.findToken(recipients.map(address => address.toLowerCase()));
+    const user = token && await User.findOne({ 'integrations.inboundEmail.token': token });
+    if (!user) return { status: 'unknown_recipient' };
+
+    // Relays and webhooks retry, so the same message may arrive twice
+    if (message.messageId) {
+      const existing = await Reminder.findOne({ user: user._id, 'metadata.email.messageId': message.messageId });
+      if (existing) return { status: 'duplicate', reminder: existing, user };
+    }
+
+    const reminder = new Reminder(this.buildReminder(message, user));
+    await reminder.save();
+
+    try {
+      await this.sendConfirmation(user, reminder, message);
+    } catch (error) {
+      console.error(`Failed to confirm inbound reminder ${reminder._id}:`, error);
+    }
+
+    return { status: 'created', reminder, user };
+  }
+
+  /**
+   * Reply to the user (not the sender) that the reminder was created
+   * @param {Object} user - User document
+   * @param {Object} reminder - Created reminder
+   * @param {Object} message - Parsed message it was created from
+   */
+  static async sendConfirmation(user, reminder, message) {
+    const email = channels.get('email');
+    if (!email.isConfigured()) return { success: false, error: 'email_not_configured' };
+
+    const isFa = user.profile.language === 'fa';
+    const time = formatInTimeZone(reminder.scheduledTime, reminder.timezone, user.profile.language, { dateStyle: 'full' });
+    const url = `${process.env.BASE_URL || ''}/dashboard?reminder=${reminder._id}`;
+
+    const subject = isFa
+      ? `NOTIFAREF: یادآوری ایجاد شد - ${reminder.title}`
+      : `NOTIFAREF: Reminder created - ${reminder.title}`;
+    const text = isFa
+      ? `یادآوری «${reminder.title}» برای ${time} ایجاد شد.\n\nبرای ویرایش یا تغییر زمان:\n${url}`
+      : `Your reminder "${reminder.title}" was created for ${time}.\n\nTo edit it or change the time:\n${url}`;
+
+    return email.sendMail(user.email, subject, text, null, {
+      headers: { 'Auto-Submitted': 'auto-replied' },
+      ...(message.messageId && { inReplyTo: `<${message.messageId}>`, references: `<${message.messageId}>` })
+    });
+  }
+}
+
+module.exports = InboundEmailService;
@@ -1,26 +1,17 @@
-const webpush = require('web-push');
-const nodemailer = require('nodemailer');
-const User = require('../models/User');
+const channels = require('./channels');
+const NotificationDelivery = require('../models/NotificationDelivery');
 const Reminder = require('../models/Reminder');
+const { EMAIL_SNOOZE_MINUTES } = require('../models/Reminder');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { formatInTimeZone, toZonedTime, fromZonedTime } = require('../utils/timezone');
+const { getQuietUntil } = require('../utils/quietHours');
+const { escapeHtml } = require('../utils/html');
 
-// Configure web-push with VAPID keys
-webpush.setVapidDetails(
-  process.env.VAPID_SUBJECT || 'mailto:notifaref@example.com',
-  process.env.VAPID_PUBLIC_KEY,
-  process.env.VAPID_PRIVATE_KEY
-);
-
-// Configure email transporter
-let emailTransporter = null;
-if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-  emailTransporter = nodemailer.createTransport({
-    service: process.env.EMAIL_SERVICE || 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-}
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A digest more than this late (e.g. after downtime) is skipped
+const DIGEST_MAX_DELAY_MS = 12 * 60 * 60 * 1000;
+const DIGEST_MAX_ITEMS = 50;
 
 class NotificationService {
   /**
@@ -30,32 +21,7 @@ class NotificationService {
    * @param {Object} options - Push options
    */
   static async sendWebPush(subscription, payload, options = {}) {
-    try {
-      const defaultOptions = {
-        TTL: 24 * 60 * 60, // 24 hours
-        urgency: 'normal',
-        ...options
-      };
-
-      const result = await webpush.sendNotification(
-        subscription,
-        JSON.stringify(payload),
-        defaultOptions
-      );
-
-      console.log('Web push sent successfully:', result.statusCode);
-      return { success: true, result };
-    } catch (error) {
-      console.error('Web push error:', error);
-      
-      // Handle subscription errors
-      if (error.statusCode === 410 || error.statusCode === 404) {
-        // Subscription is no longer valid
-        return { success: false, error: 'subscription_invalid', details: error };
-      }
-      
-      return { success: false, error: 'push_failed', details: error };
-    }
+    return channels.get('push').sendToSubscription(subscription, payload, options);
   }
 
   /**
@@ -66,142 +32,742 @@ class NotificationService {
    * @param {string} html - HTML content
    */
   static async sendEmail(to, subject, text, html = null) {
-    if (!emailTransporter) {
-      console.error('Email transporter not configured');
-      return { success: false, error: 'email_not_configured' };
+    return channels.get('email').sendMail(to, subject, text, html);
+  }
+
+  /**
+   * Build the channel-independent message for a reminder
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   * @param {number} offset - Lead time of the alert in minutes
+   * @param {number} escalation - Escalation level, 0 for a regular alert
+   */
+  static buildMessage(reminder, user, offset = 0, escalation = 0) {
+    const isFa = user.profile.language === 'fa';
+    const leadText = offset > 0 ? this.formatLeadTime(offset, user.profile.language) : null;
+    let heading = reminder.title;
+    let icon = '⏰';
+
+    if (escalation > 0) {
+      heading = `${isFa ? 'هنوز انجام نشده' : 'Still pending'}: ${reminder.title}`;
+      icon = '⚠️';
+    } else if (leadText) {
+      heading = `${isFa ? `${leadText} دیگر` : `In ${leadText}`}: ${reminder.title}`;
+      icon = '🔔';
     }
 
+    const title = `${icon} ${heading}`;
+    const scheduledText = this.formatScheduledTime(reminder, user);
+    const body = reminder.description || (isFa
+      ? `یادآوری برای ${scheduledText}`
+      : `Reminder scheduled for ${scheduledText}`);
+    const url = `/dashboard?reminder=${reminder._id}`;
+    // The next open checklist item can be checked from the notification
+    const nextItem = reminder.checklist && reminder.checklist.find(item => !item.done);
+    const progress = reminder.checklist && reminder.checklist.length > 0
+      ? `${reminder.checklist.filter(item => item.done).length}/${reminder.checklist.length} ✓`
+      : null;
+
+    return {
+      reminder,
+      title,
+      body,
+      priority: reminder.priority,
+      url: `${process.env.BASE_URL || ''}${url}`,
+      push: {
+        title,
+        body: progress ? `${body}\n${progress}` : body,
+        icon: '/icons/icon-192x192.png',
+        badge: '/icons/badge-72x72.png',
+        tag: `reminder-${reminder._id}`,
+        data: {
+          reminderId: reminder._id.toString(),
+          workspaceId: reminder.workspace ? String(reminder.workspace._id || reminder.workspace) : null,
+          checklistItemId: nextItem ? nextItem._id.toString() : null,
+          url,
+          timestamp: Date.now()
+        },
+        actions: [
+          ...(nextItem ? [{
+            action: 'check-item',
+            title: `✓ ${nextItem.text}`,
+            icon: '/icons/check.png'
+          }] : []),
+          {
+            action: 'complete',
+            title: 'Mark Complete',
+            icon: '/icons/check.png'
+          },
+          {
+            action: 'snooze',
+            title: 'Snooze 15min',
+            icon: '/icons/snooze.png'
+          }
+        ],
+        requireInteraction: reminder.priority === 'urgent' || escalation > 0,
+        silent: false
+      },
+      email: {
+        subject: `NOTIFAREF: ${heading}`,
+        text: this.generateEmailText(reminder, user),
+        html: this.generateEmailHtml(reminder, user)
+      }
+    };
+  }
+
+  /**
+   * Get the channel names a user wants for a reminder priority
+   * @param {Object} user - User document
+   * @param {string} priority - Reminder priority
+   */
+  static getChannelsForPriority(user, priority) {
+    const priorities = user.notifications.priorities;
+    const selected = priorities && priorities[priority];
+    return Array.isArray(selected) ? selected : channels.names();
+  }
+
+  /**
+   * Check whether reminders of a priority reach the user's email only
+   * through the daily digest
+   * @param {Object} user - User document
+   * @param {string} priority - Reminder priority
+   */
+  static isDigestOnly(user, priority) {
+    const digest = user.notifications.digest;
+    return !!digest && digest.daily.enabled && digest.priorities.includes(priority);
+  }
+
+  /**
+   * Check whether a notification now falls in the user's do-not-disturb
+   * or quiet hours. Silent delivery needs push, so users without it get
+   * their notifications deferred instead.
+   * @param {Object} user - User document
+   * @param {string} priority - Reminder priority
+   * @param {Date} date - Time of the notification
+   * @returns {Object|null} { action: 'defer' or 'silent', until }, or null
+   *   when the notification can go out normally
+   */
+  static getQuietMode(user, priority, date = new Date()) {
+    const { quietHours, doNotDisturb } = user.notifications;
+    if (!quietHours || (priority === 'urgent' && quietHours.allowUrgent)) return null;
+
+    const dndUntil = doNotDisturb && doNotDisturb.until > date ? doNotDisturb.until : null;
+    const quietUntil = quietHours.enabled
+      ? getQuietUntil(quietHours.windows, user.profile.timezone || 'UTC', date)
+      : null;
+
+    if (!dndUntil && !quietUntil) return null;
+
+    const until = !quietUntil || (dndUntil && dndUntil > quietUntil) ? dndUntil : quietUntil;
+    const canSilence = quietHours.action === 'silent' && channels.get('push').isEnabled(user);
+
+    return { action: canSilence ? 'silent' : 'defer', until };
+  }
+
+  /**
+   * Deliver a message through one channel and record the result on the
+   * reminder and, when given, on its delivery log entry
+   * @param {NotificationChannel} channel - Channel
+   * @param {Object} user - User document
+   * @param {Object} message - Prepared message
+   * @param {Object} delivery - NotificationDelivery document
+   */
+  static async deliver(channel, user, message, delivery = null) {
+    const startedAt = Date.now();
+    let result;
     try {
-      const mailOptions = {
-        from: process.env.EMAIL_FROM || 'NOTIFAREF <notifaref@example.com>',
-        to,
-        subject,
-        text,
-        html: html || text
-      };
-
-      const result = await emailTransporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', result.messageId);
-      return { success: true, result };
+      result = await channel.send(user, message);
     } catch (error) {
-      console.error('Email error:', error);
-      return { success: false, error: 'email_failed', details: error };
+      console.error(`${channel.name} delivery error:`, error);
+      result = { success: false, error: error.message, transient: true, response: { message: error.message } };
     }
+    const latencyMs = Date.now() - startedAt;
+
+    if (message.reminder && typeof message.reminder.recordDelivery === 'function') {
+      message.reminder.recordDelivery(channel.name, result);
+    }
+
+    if (delivery) {
+      delivery.recordAttempt(result, latencyMs);
+      await delivery.save();
+    }
+
+    return {
+      sent: !!result.success,
+      error: result.success ? null : result.error,
+      ...(delivery && { status: delivery.status })
+    };
   }
 
   /**
-   * Send reminder notification to user
+   * Start a delivery log entry for a reminder notification
    * @param {Object} reminder - Reminder document
    * @param {Object} user - User document
+   * @param {string} channel - Channel name
+   * @param {number} offset - Lead time of the alert in minutes
+   * @param {number} escalation - Escalation level, if this is one
    */
-  static async sendReminderNotification(reminder, user) {
-    const results = {
-      webPush: { sent: false, error: null },
-      email: { sent: false, error: null }
+  static createDelivery(reminder, user, channel, offset = 0, escalation) {
+    return new NotificationDelivery({
+      user: user._id,
+      reminder: reminder._id,
+      channel,
+      occurrence: reminder.getNotificationOccurrence(),
+      offset,
+      escalation,
+      title: reminder.title
+    });
+  }
+
+  /**
+   * Check whether any channel delivered
+   * @param {Object} results - Results keyed by channel name
+   */
+  static isDelivered(results) {
+    return Object.values(results).some(result => result.sent);
+  }
+
+  /**
+   * Send reminder notification to user through the alert's channels, or
+   * every channel enabled for the reminder's priority when it has none.
+   * With email fallback on, email is only used when no other channel
+   * delivered. A silent alert (quiet hours) goes out as silent push only.
+   * Priorities covered by the daily digest skip email unless the alert
+   * asks for it.
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   * @param {Object} alert - { offset, channels, silent } of the alert being sent
+   */
+  static async sendReminderNotification(reminder, user, alert = {}) {
+    const results = {};
+    const offset = alert.offset || 0;
+    const message = this.buildMessage(reminder, user, offset);
+    let selected = alert.channels && alert.channels.length > 0
+      ? alert.channels
+      : this.getChannelsForPriority(user, reminder.priority)
+        .filter(name => name !== 'email' || !this.isDigestOnly(user, reminder.priority));
+
+    if (alert.silent) {
+      selected = ['push'];
+      message.push.silent = true;
+      message.push.requireInteraction = false;
+    }
+    const enabled = channels.list().filter(channel =>
+      selected.includes(channel.name) && channel.isEnabled(user));
+
+    // Test notifications use a plain object and are not logged. Log
+    // entries are written before sending so that a crash mid-send is
+    // never followed by a second send of the same occurrence.
+    const persist = typeof reminder.save === 'function';
+    const send = async (channel) => {
+      const delivery = persist ? await this.createDelivery(reminder, user, channel.name, offset).save() : null;
+      return this.deliver(channel, user, message, delivery);
     };
 
-    // Prepare notification content
-    const title = `⏰ ${reminder.title}`;
-    const body = reminder.description || `Reminder scheduled for ${reminder.scheduledTime.toLocaleString()}`;
-    const icon = '/icons/icon-192x192.png';
-    const badge = '/icons/badge-72x72.png';
-    const tag = `reminder-${reminder._id}`;
-    
-    const notificationPayload = {
+    const emailFallback = user.notifications.email.fallback &&
+      enabled.some(channel => channel.name !== 'email');
+
+    for (const channel of enabled) {
+      if (channel.name === 'email' && emailFallback) continue;
+      results[channel.name] = await send(channel);
+    }
+
+    if (emailFallback && !this.isDelivered(results) && enabled.some(channel => channel.name === 'email')) {
+      results.email = await send(channels.get('email'));
+    }
+
+    // Save notification results
+    if (persist) {
+      await reminder.save();
+    }
+
+    return results;
+  }
+
+  /**
+   * List the ids of a reminder's participants: every member of its
+   * workspace, or else its owner and collaborators
+   * @param {Object} reminder - Reminder document
+   * @returns {Array} User IDs
+   */
+  static async getParticipantIds(reminder) {
+    if (!reminder.workspace) {
+      return reminder.getParticipantIds();
+    }
+
+    const workspace = await Workspace.findById(reminder.workspace._id || reminder.workspace);
+    return workspace ? workspace.getMemberIds() : [reminder.user];
+  }
+
+  /**
+   * Send a reminder's alert to everyone it is shared with, or to the
+   * other members of its workspace. Each gets it
+   * through the channels of their own priority settings; in their quiet
+   * hours it is sent silently, as a deferral would delay the owner too.
+   * @param {Object} reminder - Reminder document
+   * @param {Object} alert - { offset } of the alert being sent
+   * @returns {Object} Results keyed by user ID
+   */
+  static async notifyCollaborators(reminder, alert = {}) {
+    const ownerId = String(reminder.user._id || reminder.user);
+    const userIds = (await this.getParticipantIds(reminder)).filter(id => String(id) !== ownerId);
+    if (userIds.length === 0) return {};
+
+    const users = await User.find({ _id: { $in: userIds } });
+    const results = {};
+
+    for (const user of users) {
+      try {
+        results[user._id] = await this.sendReminderNotification(reminder, user, {
+          offset: alert.offset || 0,
+          silent: !!this.getQuietMode(user, reminder.priority)
+        });
+      } catch (error) {
+        console.error(`Failed to notify collaborator ${user._id} of reminder ${reminder._id}:`, error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Tell a reminder's participants, other than whoever did it, that it
+   * was shared with them, edited, assigned or completed. These are sent
+   * through each user's channels for the reminder's priority, but not in
+   * quiet hours and not logged as deliveries.
+   * @param {Object} reminder - Reminder document
+   * @param {Object} actor - User document of whoever made the change
+   * @param {string} event - 'shared', 'edited', 'assigned' or 'completed'
+   * @param {Array} recipientIds - Users to tell, all participants by default
+   */
+  static async notifyParticipants(reminder, actor, event, recipientIds = null) {
+    const ids = (recipientIds || await this.getParticipantIds(reminder))
+      .filter(id => String(id) !== String(actor._id));
+    if (ids.length === 0) return;
+
+    const users = await User.find({ _id: { $in: ids } });
+    const actorName = `${actor.profile.firstName || ''} ${actor.profile.lastName || ''}`.trim() || actor.username;
+
+    for (const user of users) {
+      if (this.getQuietMode(user, reminder.priority)) continue;
+
+      const message = this.buildShareMessage(reminder, user, actorName, event);
+      const enabled = channels.list().filter(channel =>
+        this.getChannelsForPriority(user, reminder.priority).includes(channel.name) &&
+        (channel.name !== 'email' || !this.isDigestOnly(user, reminder.priority)) &&
+        channel.isEnabled(user));
+
+      for (const channel of enabled) {
+        await this.deliver(channel, user, message);
+      }
+    }
+  }
+
+  /**
+   * Build the message telling a participant about a change to a shared
+   * reminder
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document of the recipient
+   * @param {string} actorName - Name of whoever made the change
+   * @param {string} event - 'shared', 'edited', 'assigned' or 'completed'
+   */
+  static buildShareMessage(reminder, user, actorName, event) {
+    const texts = {
+      shared: { en: 'shared a reminder with you', fa: 'یک یادآوری را با شما به اشتراک گذاشت' },
+      edited: { en: 'edited a shared reminder', fa: 'یک یادآوری مشترک را ویرایش کرد' },
+      assigned: { en: 'assigned a reminder to you', fa: 'یک یادآوری را به شما سپرد' },
+      completed: { en: 'completed a shared reminder', fa: 'یک یادآوری مشترک را انجام داد' }
+    };
+    const language = user.profile.language === 'fa' ? 'fa' : 'en';
+    const title = `👥 ${actorName} ${texts[event][language]}`;
+    const body = `${reminder.title} — ${this.formatScheduledTime(reminder, user)}`;
+
+    return {
       title,
       body,
-      icon,
-      badge,
-      tag,
-      data: {
-        reminderId: reminder._id.toString(),
-        url: `/dashboard?reminder=${reminder._id}`,
-        timestamp: Date.now()
-      },
-      actions: [
-        {
-          action: 'complete',
-          title: 'Mark Complete',
-          icon: '/icons/check.png'
-        },
-        {
-          action: 'snooze',
-          title: 'Snooze 15min',
-          icon: '/icons/snooze.png'
-        }
-      ],
-      requireInteraction: reminder.priority === 'urgent',
-      silent: false
+      priority: reminder.priority,
+      url: `${process.env.BASE_URL || ''}/dashboard?reminder=${reminder._id}`
     };
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed. Each retry is claimed
+   * first, so concurrent runs never retry the same delivery twice.
+   * @param {number} limit - Maximum deliveries to retry in one run
+   */
+  static async processRetries(limit = 100) {
+    const deliveries = await NotificationDelivery.findDueRetries(limit);
+    const summary = { retried: 0, sent: 0, cancelled: 0 };
+
+    for (const delivery of deliveries) {
+      // Another process may have picked this retry up already
+      if (!await NotificationDelivery.claimRetry(delivery)) continue;
+
+      const { reminder, user } = delivery;
+      const channel = channels.get(delivery.channel);
+
+      // Nothing to retry for reminders that were deleted, completed or
+      // rescheduled, for channels that are gone, for lead-time alerts
+      // that are late enough to be pointless, or for escalations of
+      // reminders that were acknowledged
+      if (!reminder || !user || !channel ||
+          ['completed', 'cancelled'].includes(reminder.status) ||
+          reminder.getNotificationOccurrence().getTime() !== delivery.occurrence.getTime() ||
+          (delivery.offset > 0 && delivery.occurrence <= new Date()) ||
+          (delivery.escalation > 0 && reminder.status !== 'pending')) {
+        delivery.status = 'cancelled';
+        delivery.nextAttemptAt = undefined;
+        await delivery.save();
+        summary.cancelled++;
+        continue;
+      }
 
-    // Try web push notification first
-    if (user.notifications.webPush.enabled && user.notifications.webPush.subscription) {
       try {
-        const pushResult = await this.sendWebPush(
-          user.notifications.webPush.subscription,
-          notificationPayload,
-          {
-            urgency: reminder.priority === 'urgent' ? 'high' : 'normal'
-          }
-        );
+        const message = this.buildMessage(reminder, user, delivery.offset, delivery.escalation);
+        const result = await this.deliver(channel, user, message, delivery);
+        await reminder.save();
 
-        if (pushResult.success) {
-          results.webPush.sent = true;
-          reminder.notifications.webPush.sent = true;
-          reminder.notifications.webPush.sentAt = new Date();
-        } else {
-          results.webPush.error = pushResult.error;
-          reminder.notifications.webPush.error = pushResult.error;
-          
-          // If subscription is invalid, remove it
-          if (pushResult.error === 'subscription_invalid') {
-            user.notifications.webPush.subscription = null;
-            await user.save();
-          }
-        }
+        summary.retried++;
+        if (result.sent) summary.sent++;
       } catch (error) {
-        results.webPush.error = error.message;
-        reminder.notifications.webPush.error = error.message;
+        console.error(`Failed to retry delivery ${delivery._id}:`, error);
       }
     }
 
-    // Send email notification as fallback or if enabled
-    const shouldSendEmail = user.notifications.email.enabled && (
-      user.notifications.email.fallback && !results.webPush.sent ||
-      !user.notifications.webPush.enabled
-    );
+    return summary;
+  }
+
+  /**
+   * Get a user's escalation policy for a reminder priority, or null when
+   * reminders of that priority are not escalated
+   * @param {Object} user - User document
+   * @param {string} priority - Reminder priority
+   */
+  static getEscalationPolicy(user, priority) {
+    const policy = user.notifications.escalation;
+    if (!policy || !policy.enabled || !policy.priorities.includes(priority)) return null;
+
+    const chain = policy.channels.filter(name => channels.has(name));
+    if (chain.length === 0) return null;
+
+    return {
+      windowMs: policy.windowMinutes * 60 * 1000,
+      repeatMs: policy.repeatMinutes * 60 * 1000,
+      maxEscalations: policy.maxEscalations,
+      channels: chain
+    };
+  }
+
+  /**
+   * Start waiting for an acknowledgement of a reminder that is now due
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   * @param {Date} occurrence - Occurrence that was notified
+   */
+  static async startEscalation(reminder, user, occurrence) {
+    const policy = this.getEscalationPolicy(user, reminder.priority);
+    if (!policy) return false;
+
+    await Reminder.startEscalation(reminder, occurrence, new Date(Date.now() + policy.windowMs));
+    return true;
+  }
+
+  /**
+   * Escalate reminders whose acknowledgement window has passed. Each
+   * escalation goes to the next channel of the user's policy: one window
+   * apart through the channels, then every `repeatMinutes` (when set)
+   * until `maxEscalations` were sent.
+   * @param {number} limit - Maximum reminders to escalate in one run
+   */
+  static async processEscalations(limit = 100) {
+    const reminders = await Reminder.findDueEscalations(limit);
+    const summary = { escalated: 0, sent: 0, stopped: 0 };
+
+    for (const reminder of reminders) {
+      // Another process may have picked this escalation up already
+      if (!await Reminder.claimEscalation(reminder)) continue;
 
-    if (shouldSendEmail && user.email) {
       try {
-        const emailSubject = `NOTIFAREF: ${reminder.title}`;
-        const emailText = this.generateEmailText(reminder, user);
-        const emailHtml = this.generateEmailHtml(reminder, user);
-
-        const emailResult = await this.sendEmail(
-          user.email,
-          emailSubject,
-          emailText,
-          emailHtml
-        );
+        const { user } = reminder;
+        const policy = user && this.getEscalationPolicy(user, reminder.priority);
+
+        // Escalations are meant to be noticed, so they wait out quiet hours
+        const quiet = policy && this.getQuietMode(user, reminder.priority);
+        if (quiet) {
+          await reminder.postponeEscalation(quiet.until);
+          continue;
+        }
+
+        const level = reminder.escalation.level + 1;
+
+        // Try the channel for this level, or the next one the user has set up
+        const chain = policy ? policy.channels : [];
+        const channel = chain
+          .map((name, index) => channels.get(chain[(level - 1 + index) % chain.length]))
+          .find(candidate => candidate.isEnabled(user));
 
-        if (emailResult.success) {
-          results.email.sent = true;
-          reminder.notifications.email.sent = true;
-          reminder.notifications.email.sentAt = new Date();
-        } else {
-          results.email.error = emailResult.error;
-          reminder.notifications.email.error = emailResult.error;
+        if (!channel || level > policy.maxEscalations) {
+          await reminder.stopEscalation();
+          summary.stopped++;
+          continue;
         }
+
+        const message = this.buildMessage(reminder, user, 0, level);
+        const delivery = await this.createDelivery(reminder, user, channel.name, 0, level).save();
+        const result = await this.deliver(channel, user, message, delivery);
+
+        const finished = level >= policy.maxEscalations ||
+          (level >= chain.length && policy.repeatMs === 0);
+        const delay = level < chain.length ? policy.windowMs : policy.repeatMs;
+
+        await reminder.recordEscalation(
+          { level, channel: channel.name, sent: result.sent, error: result.error || undefined },
+          finished ? null : new Date(Date.now() + delay)
+        );
+
+        summary.escalated++;
+        if (result.sent) summary.sent++;
       } catch (error) {
-        results.email.error = error.message;
-        reminder.notifications.email.error = error.message;
+        console.error(`Failed to escalate reminder ${reminder._id}:`, error);
       }
     }
 
-    // Save notification results
-    await reminder.save();
+    return summary;
+  }
 
-    return results;
+  /**
+   * Get the time a digest is due today in the user's timezone, or null
+   * when none is due: the digest is off, not sent on this weekday, not
+   * yet due, already sent or too late to be worth sending
+   * @param {Object} user - User document
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {Date} now - Current time
+   */
+  static getDigestDueAt(user, period, now = new Date()) {
+    const settings = user.notifications.digest && user.notifications.digest[period];
+    if (!settings || !settings.enabled) return null;
+
+    const timeZone = user.profile.timezone || 'UTC';
+    const today = Math.floor(toZonedTime(now, timeZone).getTime() / DAY_MS) * DAY_MS;
+    if (period === 'weekly' && new Date(today).getUTCDay() !== settings.day) return null;
+
+    const [hours, minutes] = settings.time.split(':').map(Number);
+    const dueAt = fromZonedTime(new Date(today + (hours * 60 + minutes) * 60 * 1000), timeZone);
+
+    if (now < dueAt || now - dueAt > DIGEST_MAX_DELAY_MS) return null;
+    if (settings.lastSentAt && settings.lastSentAt >= dueAt) return null;
+
+    return dueAt;
+  }
+
+  /**
+   * Collect the contents of a digest. The daily digest lists today's
+   * reminders and overdue ones; the weekly review lists the coming week.
+   * Both include completion stats for the past week.
+   * @param {Object} user - User document
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {Date} now - Current time
+   */
+  static async buildDigest(user, period, now = new Date()) {
+    const timeZone = user.profile.timezone || 'UTC';
+    const today = Math.floor(toZonedTime(now, timeZone).getTime() / DAY_MS) * DAY_MS;
+    const start = fromZonedTime(new Date(today), timeZone);
+    const end = fromZonedTime(new Date(today + (period === 'weekly' ? 7 : 1) * DAY_MS), timeZone);
+
+    const [upcoming, overdue, stats] = await Promise.all([
+      Reminder.find({
+        user: user._id,
+        status: { $in: ['pending', 'snoozed'] },
+        scheduledTime: { $gte: start, $lt: end }
+      })
+        .sort({ scheduledTime: 1 })
+        .limit(DIGEST_MAX_ITEMS),
+      Reminder.find({
+        user: user._id,
+        status: 'pending',
+        scheduledTime: { $lt: start }
+      })
+        .sort({ scheduledTime: 1 })
+        .limit(DIGEST_MAX_ITEMS),
+      Reminder.getUserStats(user._id, 7)
+    ]);
+
+    return {
+      period,
+      date: now,
+      upcoming,
+      overdue,
+      stats: {
+        total: stats.total,
+        completed: stats.completed,
+        pending: stats.pending,
+        overdue: stats.overdue,
+        completionRate: stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0
+      }
+    };
+  }
+
+  /**
+   * Build and email a digest. Empty daily digests are not sent.
+   * @param {Object} user - User document
+   * @param {string} period - 'daily' or 'weekly'
+   * @param {Date} now - Current time
+   */
+  static async sendDigest(user, period, now = new Date()) {
+    const channel = channels.get('email');
+    if (!channel.isConfigured()) {
+      return { sent: false, error: 'email_not_configured' };
+    }
+
+    const digest = await this.buildDigest(user, period, now);
+    if (period === 'daily' && digest.upcoming.length === 0 && digest.overdue.length === 0) {
+      return { sent: false, error: 'empty' };
+    }
+
+    const result = await channel.send(user, {
+      title: this.getDigestSubject(digest, user),
+      email: {
+        subject: `NOTIFAREF: ${this.getDigestSubject(digest, user)}`,
+        text: this.generateDigestText(digest, user),
+        html: this.generateDigestHtml(digest, user)
+      }
+    });
+
+    return { sent: !!result.success, error: result.success ? null : result.error };
+  }
+
+  /**
+   * Send the digests that are due. Each is claimed by moving its
+   * `lastSentAt` first, so concurrent runs never send one twice.
+   * @param {Date} now - Current time
+   */
+  static async processDigests(now = new Date()) {
+    const summary = { daily: 0, weekly: 0, skipped: 0, failed: 0 };
+
+    for (const period of ['daily', 'weekly']) {
+      const field = `notifications.digest.${period}.lastSentAt`;
+      const users = await User.find({ [`notifications.digest.${period}.enabled`]: true })
+        .select('username email notifications profile');
+
+      for (const user of users) {
+        if (!this.getDigestDueAt(user, period, now)) continue;
+
+        const lastSentAt = user.notifications.digest[period].lastSentAt || null;
+        const claim = await User.updateOne(
+          { _id: user._id, [field]: lastSentAt },
+          { $set: { [field]: now } }
+        );
+        if (claim.modifiedCount !== 1) continue;
+
+        try {
+          const result = await this.sendDigest(user, period, now);
+          if (result.sent) {
+            summary[period]++;
+          } else if (result.error === 'empty') {
+            summary.skipped++;
+          } else {
+            summary.failed++;
+          }
+        } catch (error) {
+          console.error(`Failed to send ${period} digest to user ${user._id}:`, error);
+          summary.failed++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Verify a user's destination for a channel
+   * @param {string} name - Channel name
+   * @param {Object} user - User document
+   */
+  static async verifyChannel(name, user) {
+    const channel = channels.get(name);
+    if (!channel) {
+      return { success: false, error: 'unknown_channel' };
+    }
+
+    try {
+      return await channel.verify(user);
+    } catch (error) {
+      console.error(`${name} verification error:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Describe registered channels and the user's setup for each
+   * @param {Object} user - User document
+   */
+  static getChannelStatus(user) {
+    return channels.list().map(channel => ({
+      name: channel.name,
+      configured: channel.isConfigured(),
+      enabled: channel.isEnabled(user),
+      verifiedAt: channel.getSettings(user).verifiedAt || null
+    }));
+  }
+
+  /**
+   * Format a reminder's scheduled time in the user's timezone and language
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   */
+  static formatScheduledTime(reminder, user) {
+    return formatInTimeZone(
+      reminder.scheduledTime,
+      user.profile.timezone || reminder.timezone,
+      user.profile.language
+    );
+  }
+
+  /**
+   * Format an alert lead time, e.g. "2 hours" or "1 day"
+   * @param {number} offset - Lead time in minutes
+   * @param {string} language - 'en' or 'fa'
+   */
+  static formatLeadTime(offset, language) {
+    const units = [
+      { minutes: 7 * 24 * 60, en: ['week', 'weeks'], fa: 'هفته' },
+      { minutes: 24 * 60, en: ['day', 'days'], fa: 'روز' },
+      { minutes: 60, en: ['hour', 'hours'], fa: 'ساعت' },
+      { minutes: 1, en: ['minute', 'minutes'], fa: 'دقیقه' }
+    ];
+    const unit = units.find(entry => offset % entry.minutes === 0);
+    const count = offset / unit.minutes;
+
+    return language === 'fa'
+      ? `${count.toLocaleString('fa-IR')} ${unit.fa}`
+      : `${count} ${unit.en[count === 1 ? 0 : 1]}`;
+  }
+
+  /**
+   * Build one-click action links for a reminder email. Test reminders
+   * are not stored, so they get none.
+   * @param {Object} reminder - Reminder document
+   * @param {Object} user - User document
+   * @returns {Array} [{ action, label, url }]
+   */
+  static getActionLinks(reminder, user) {
+    if (typeof reminder.createActionToken !== 'function') return [];
+    // Viewers of a shared reminder cannot act on it; workspace members can
+    if (!reminder.workspace && !reminder.canComplete(user._id)) return [];
+
+    const isFa = user.profile.language === 'fa';
+    const link = (action, options) =>
+      `${process.env.BASE_URL || ''}/actions/${reminder.createActionToken(action, options)}`;
+
+    return [
+      { action: 'complete', label: isFa ? 'انجام شد' : 'Mark Complete', url: link('complete') },
+      ...EMAIL_SNOOZE_MINUTES.map(minutes => ({
+        action: 'snooze',
+        label: `${isFa ? 'تعویق' : 'Snooze'} ${this.formatLeadTime(minutes, user.profile.language)}`,
+        url: link('snooze', { minutes })
+      })),
+      { action: 'tomorrow', label: isFa ? 'انتقال به فردا' : 'Move to tomorrow', url: link('tomorrow') }
+    ];
   }
 
   /**
@@ -210,6 +776,9 @@ class NotificationService {
    * @param {Object} user - User document
    */
   static generateEmailText(reminder, user) {
+    const actionText = this.getActionLinks(reminder, user)
+      .map(action => `${action.label}: ${action.url}`)
+      .join('\n');
     const greeting = user.profile.language === 'fa' ? 
       `سلام ${user.profile.firstName || user.username}` :
       `Hello ${user.profile.firstName || user.username}`;
@@ -225,9 +794,9 @@ class NotificationService {
 ${reminderText}
 ${reminder.title}
 
-${reminder.description ? reminder.description + '\n\n' : ''}${timeText} ${reminder.scheduledTime.toLocaleString()}
+${reminder.description ? reminder.description + '\n\n' : ''}${timeText} ${this.formatScheduledTime(reminder, user)}
 
-${user.profile.language === 'fa' ? 
+${actionText ? actionText + '\n\n' : ''}${user.profile.language === 'fa' ? 
   'برای مدیریت یادآوری‌های خود به داشبورد مراجعه کنید.' :
   'Visit your dashboard to manage your reminders.'
 }
@@ -253,6 +822,7 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
     const timeText = isRTL ? 'زمان برنامه‌ریزی شده:' : 'Scheduled time:';
     const dashboardText = isRTL ? 'مشاهده داشبورد' : 'View Dashboard';
     const footerText = isRTL ? 'سیستم یادآوری هوشمند' : 'Smart Reminder System';
+    const actions = this.getActionLinks(reminder, user);
 
     const priorityColors = {
       low: '#10B981',
@@ -346,6 +916,25 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
             color: #6b7280;
             font-size: 14px;
         }
+        .actions {
+            text-align: center;
+            margin-top: 10px;
+        }
+        .action {
+            display: inline-block;
+            border: 1px solid #4F46E5;
+            color: #4F46E5;
+            padding: 8px 14px;
+            text-decoration: none;
+            border-radius: 6px;
+            margin: 4px;
+            font-size: 14px;
+        }
+        .action-complete {
+            background: #10B981;
+            border-color: #10B981;
+            color: white;
+        }
         .tags {
             margin-top: 10px;
         }
@@ -364,19 +953,19 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
     <div class="container">
         <div class="header">
             <div class="logo">NOTIFAREF</div>
-            <p>${greeting}!</p>
+            <p>${escapeHtml(greeting)}!</p>
         </div>
         
         <div class="reminder-card">
             <div class="priority-badge">${reminder.priority}</div>
-            <div class="reminder-title">${reminder.title}</div>
-            ${reminder.description ? `<div class="reminder-description">${reminder.description}</div>` : ''}
+            <div class="reminder-title">${escapeHtml(reminder.title)}</div>
+            ${reminder.description ? `<div class="reminder-description">${escapeHtml(reminder.description)}</div>` : ''}
             <div class="reminder-time">
-                ${timeText} ${reminder.scheduledTime.toLocaleString()}
+                ${timeText} ${this.formatScheduledTime(reminder, user)}
             </div>
             ${reminder.tags && reminder.tags.length > 0 ? `
                 <div class="tags">
-                    ${reminder.tags.map(tag => `<span class="tag">#${tag}</span>`).join('')}
+                    ${reminder.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join('')}
                 </div>
             ` : ''}
         </div>
@@ -386,7 +975,11 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
                 ${dashboardText}
             </a>
         </div>
-        
+        ${actions.length > 0 ? `
+        <div class="actions">
+            ${actions.map(action => `<a href="${action.url}" class="action action-${action.action}">${action.label}</a>`).join('')}
+        </div>
+        ` : ''}
         <div class="footer">
             <p>NOTIFAREF - ${footerText}</p>
             <p><a href="${process.env.BASE_URL}/dashboard/settings">${isRTL ? 'تنظیمات اعلان‌ها' : 'Notification Settings'}</a></p>
@@ -396,6 +989,249 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
 </html>`;
   }
 
+  /**
+   * Get the subject line of a digest
+   * @param {Object} digest - Digest from buildDigest()
+   * @param {Object} user - User document
+   */
+  static getDigestSubject(digest, user) {
+    const isFa = user.profile.language === 'fa';
+    const date = formatInTimeZone(digest.date, user.profile.timezone || 'UTC', user.profile.language, {
+      dateStyle: 'full',
+      timeStyle: undefined
+    });
+
+    if (digest.period === 'weekly') {
+      return isFa ? `مرور هفتگی - ${date}` : `Weekly review - ${date}`;
+    }
+    return isFa ? `برنامه امروز - ${date}` : `Today's agenda - ${date}`;
+  }
+
+  /**
+   * Get the localized labels used in digest emails
+   * @param {Object} digest - Digest from buildDigest()
+   * @param {Object} user - User document
+   */
+  static getDigestLabels(digest, user) {
+    const isFa = user.profile.language === 'fa';
+    const weekly = digest.period === 'weekly';
+
+    return {
+      greeting: `${isFa ? 'سلام' : 'Hello'} ${user.profile.firstName || user.username}`,
+      upcoming: weekly
+        ? (isFa ? 'یادآوری‌های هفت روز آینده' : 'Coming up in the next 7 days')
+        : (isFa ? 'یادآوری‌های امروز' : "Today's reminders"),
+      overdue: isFa ? 'عقب افتاده' : 'Overdue',
+      none: isFa ? 'یادآوری‌ای وجود ندارد.' : 'Nothing scheduled.',
+      stats: isFa ? 'هفت روز گذشته' : 'Last 7 days',
+      created: isFa ? 'ایجاد شده' : 'Created',
+      completed: isFa ? 'انجام شده' : 'Completed',
+      pending: isFa ? 'در انتظار' : 'Pending',
+      completionRate: isFa ? 'نرخ انجام' : 'Completion rate',
+      dashboard: isFa ? 'مشاهده داشبورد' : 'View Dashboard',
+      settings: isFa ? 'تنظیمات خلاصه ایمیلی' : 'Digest settings',
+      footer: isFa ? 'سیستم یادآوری هوشمند' : 'Smart Reminder System'
+    };
+  }
+
+  /**
+   * Generate digest email text content
+   * @param {Object} digest - Digest from buildDigest()
+   * @param {Object} user - User document
+   */
+  static generateDigestText(digest, user) {
+    const labels = this.getDigestLabels(digest, user);
+    const isFa = user.profile.language === 'fa';
+    const number = (value) => isFa ? value.toLocaleString('fa-IR') : String(value);
+    const list = (reminders) => reminders.length > 0
+      ? reminders.map(reminder => `- ${this.formatScheduledTime(reminder, user)}  ${reminder.title}`).join('\n')
+      : labels.none;
+
+    return `${labels.greeting},
+
+${labels.upcoming}:
+${list(digest.upcoming)}
+${digest.overdue.length > 0 ? `
+${labels.overdue}:
+${list(digest.overdue)}
+` : ''}
+${labels.stats}:
+${labels.created}: ${number(digest.stats.total)}
+${labels.completed}: ${number(digest.stats.completed)}
+${labels.pending}: ${number(digest.stats.pending)}
+${labels.completionRate}: ${number(digest.stats.completionRate)}%
+
+${process.env.BASE_URL}/dashboard
+
+---
+NOTIFAREF - ${labels.footer}`;
+  }
+
+  /**
+   * Generate digest email HTML content
+   * @param {Object} digest - Digest from buildDigest()
+   * @param {Object} user - User document
+   */
+  static generateDigestHtml(digest, user) {
+    const isRTL = user.profile.language === 'fa';
+    const labels = this.getDigestLabels(digest, user);
+    const number = (value) => isRTL ? value.toLocaleString('fa-IR') : String(value);
+
+    const priorityColors = {
+      low: '#10B981',
+      medium: '#F59E0B',
+      high: '#EF4444',
+      urgent: '#DC2626'
+    };
+
+    const list = (reminders) => reminders.length > 0 ? `
+            <ul class="reminder-list">
+                ${reminders.map(reminder => `
+                <li class="reminder-item" style="border-${isRTL ? 'right' : 'left'}-color: ${priorityColors[reminder.priority]};">
+                    <a href="${process.env.BASE_URL}/dashboard?reminder=${reminder._id}">${escapeHtml(reminder.title)}</a>
+                    <div class="reminder-time">${this.formatScheduledTime(reminder, user)}</div>
+                </li>`).join('')}
+            </ul>` : `<p class="empty">${labels.none}</p>`;
+
+    const stats = [
+      [labels.created, number(digest.stats.total)],
+      [labels.completed, number(digest.stats.completed)],
+      [labels.pending, number(digest.stats.pending)],
+      [labels.completionRate, `${number(digest.stats.completionRate)}%`]
+    ];
+
+    return `
+<!DOCTYPE html>
+<html dir="${isRTL ? 'rtl' : 'ltr'}" lang="${user.profile.language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(this.getDigestSubject(digest, user))}</title>
+    <style>
+        body {
+            font-family: ${isRTL ? 'Tahoma, Arial' : 'Arial, sans-serif'};
+            line-height: 1.6;
+            color: #333;
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: #f4f4f4;
+        }
+        .container {
+            background: white;
+            padding: 30px;
+            border-radius: 10px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        .header {
+            text-align: center;
+            margin-bottom: 30px;
+        }
+        .logo {
+            font-size: 24px;
+            font-weight: bold;
+            color: #4F46E5;
+            margin-bottom: 10px;
+        }
+        h2 {
+            font-size: 18px;
+            color: #1f2937;
+            margin: 25px 0 10px;
+        }
+        h2.overdue {
+            color: #DC2626;
+        }
+        .reminder-list {
+            list-style: none;
+            padding: 0;
+            margin: 0;
+        }
+        .reminder-item {
+            background: #f8fafc;
+            border-${isRTL ? 'right' : 'left'}: 4px solid #4F46E5;
+            border-radius: 6px;
+            padding: 10px 15px;
+            margin-bottom: 8px;
+        }
+        .reminder-item a {
+            color: #1f2937;
+            font-weight: bold;
+            text-decoration: none;
+        }
+        .reminder-time {
+            color: #6b7280;
+            font-size: 14px;
+        }
+        .empty {
+            color: #6b7280;
+        }
+        .stats {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        .stats td {
+            padding: 8px 0;
+            border-bottom: 1px solid #e5e7eb;
+        }
+        .stats td:last-child {
+            text-align: ${isRTL ? 'left' : 'right'};
+            font-weight: bold;
+        }
+        .button {
+            display: inline-block;
+            background: #4F46E5;
+            color: white;
+            padding: 12px 24px;
+            text-decoration: none;
+            border-radius: 6px;
+            margin: 20px 0;
+            font-weight: bold;
+        }
+        .footer {
+            text-align: center;
+            margin-top: 30px;
+            padding-top: 20px;
+            border-top: 1px solid #e5e7eb;
+            color: #6b7280;
+            font-size: 14px;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <div class="logo">NOTIFAREF</div>
+            <p>${escapeHtml(labels.greeting)}!</p>
+        </div>
+
+        <h2>${labels.upcoming}</h2>
+        ${list(digest.upcoming)}
+
+        ${digest.overdue.length > 0 ? `
+        <h2 class="overdue">${labels.overdue}</h2>
+        ${list(digest.overdue)}
+        ` : ''}
+
+        <h2>${labels.stats}</h2>
+        <table class="stats">
+            ${stats.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+        </table>
+
+        <div style="text-align: center;">
+            <a href="${process.env.BASE_URL}/dashboard" class="button">
+                ${labels.dashboard}
+            </a>
+        </div>
+
+        <div class="footer">
+            <p>NOTIFAREF - ${labels.footer}</p>
+            <p><a href="${process.env.BASE_URL}/dashboard/settings">${labels.settings}</a></p>
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
   /**
    * Send bulk notifications for multiple reminders
    * @param {Array} reminders - Array of reminder documents with populated user
@@ -408,8 +1244,8 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
         const result = await this.sendReminderNotification(reminder, reminder.user);
         results.push({
           reminderId: reminder._id,
-          success: result.webPush.sent || result.email.sent,
-          ...result
+          success: this.isDelivered(result),
+          channels: result
         });
       } catch (error) {
         console.error(`Failed to send notification for reminder ${reminder._id}:`, error);
@@ -437,11 +1273,7 @@ NOTIFAREF - ${user.profile.language === 'fa' ? 'سیستم یادآوری هوش
         'This is a test message to ensure notifications are working properly.',
       scheduledTime: new Date(),
       priority: 'medium',
-      tags: ['test'],
-      notifications: {
-        webPush: { sent: false },
-        email: { sent: false }
-      }
+      tags: ['test']
     };
 
     return await this.sendReminderNotification(testReminder, user);
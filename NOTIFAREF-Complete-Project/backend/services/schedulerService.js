@@ -1,11 +1,58 @@
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
 const Reminder = require('../models/Reminder');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const Lease = require('../models/Lease');
+const ShareLink = require('../models/ShareLink');
 const NotificationService = require('./notificationService');
+const calendarService = require('./calendarService');
+const PriorityQueue = require('../utils/priorityQueue');
+
+// How far ahead alerts are kept in memory
+const QUEUE_HORIZON_MS = (parseFloat(process.env.SCHEDULER_QUEUE_HOURS) || 2) * 60 * 60 * 1000;
+const QUEUE_MAX_SIZE = 10000;
+// Re-arm the timer at least this often so clock changes are picked up
+const MAX_TIMER_MS = 60 * 1000;
 
 class SchedulerService {
   constructor() {
     this.jobs = new Map();
     this.isRunning = false;
+    // Identifies this process in job leases and reminder claims
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.activeJobs = new Set();
+
+    // In-memory queue of upcoming alerts, fired at their exact time.
+    // Entries are replaced rather than removed: `queued` maps a reminder
+    // id to its live entry and stale heap entries are skipped.
+    this.queue = new PriorityQueue((a, b) => a.time - b.time);
+    this.queued = new Map();
+    this.timer = null;
+    this.firing = false;
+  }
+
+  /**
+   * Run a job on at most one instance at a time. The job is skipped when
+   * another instance holds its lease or the previous tick is still running.
+   * @param {string} name - Job name
+   * @param {number} ttlMs - Lease time; should cover the job's run time
+   * @param {Function} task - Job function
+   */
+  async runExclusive(name, ttlMs, task) {
+    if (this.activeJobs.has(name)) return false;
+
+    const leaseName = `scheduler:${name}`;
+    if (!await Lease.acquire(leaseName, this.instanceId, ttlMs)) return false;
+
+    this.activeJobs.add(name);
+    try {
+      await task();
+      return true;
+    } finally {
+      this.activeJobs.delete(name);
+      await Lease.release(leaseName, this.instanceId);
+    }
   }
 
   /**
@@ -22,12 +69,37 @@ class SchedulerService {
     // Main job to check for due reminders every minute
     this.scheduleMainJob();
 
+    // Reload the in-memory queue of upcoming alerts
+    this.scheduleQueueRefreshJob();
+    try {
+      const backfilled = await Reminder.backfillAlerts();
+      if (backfilled > 0) {
+        console.log(`Scheduled alerts for ${backfilled} existing reminders`);
+      }
+      await this.refreshQueue();
+    } catch (error) {
+      // The database sweep still covers due reminders
+      console.error('Error loading reminder queue:', error);
+    }
+
+    // Retry failed notification deliveries every minute
+    this.scheduleRetryJob();
+
+    // Escalate unacknowledged reminders every minute
+    this.scheduleEscalationJob();
+
+    // Send daily and weekly digest emails
+    this.scheduleDigestJob();
+
     // Cleanup job to handle recurring reminders every hour
     this.scheduleRecurringJob();
 
     // Cleanup job to remove expired shared reminders daily
     this.scheduleCleanupJob();
 
+    // Two-way sync with connected Google Calendars every 15 minutes
+    this.scheduleCalendarSyncJob();
+
     this.isRunning = true;
     console.log('Scheduler service initialized successfully');
   }
@@ -38,7 +110,7 @@ class SchedulerService {
   scheduleMainJob() {
     const mainJob = cron.schedule('* * * * *', async () => {
       try {
-        await this.processDueReminders();
+        await this.runExclusive('main', 2 * 60 * 1000, () => this.processDueReminders());
       } catch (error) {
         console.error('Error in main scheduler job:', error);
       }
@@ -52,13 +124,95 @@ class SchedulerService {
     console.log('Main scheduler job started (runs every minute)');
   }
 
+  /**
+   * Schedule the job that reloads the in-memory queue from the database.
+   * Runs on every instance, since each keeps its own queue.
+   */
+  scheduleQueueRefreshJob() {
+    const refreshJob = cron.schedule('*/10 * * * *', async () => {
+      try {
+        await this.refreshQueue();
+      } catch (error) {
+        console.error('Error in queue refresh job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('queue', refreshJob);
+    refreshJob.start();
+    console.log('Queue refresh job started (runs every 10 minutes)');
+  }
+
+  /**
+   * Schedule the job that retries failed notification deliveries
+   */
+  scheduleRetryJob() {
+    const retryJob = cron.schedule('* * * * *', async () => {
+      try {
+        await this.runExclusive('retries', 2 * 60 * 1000, () => this.processDeliveryRetries());
+      } catch (error) {
+        console.error('Error in delivery retry job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('retries', retryJob);
+    retryJob.start();
+    console.log('Delivery retry job started (runs every minute)');
+  }
+
+  /**
+   * Schedule the job that escalates unacknowledged reminders
+   */
+  scheduleEscalationJob() {
+    const escalationJob = cron.schedule('* * * * *', async () => {
+      try {
+        await this.runExclusive('escalations', 2 * 60 * 1000, () => this.processEscalations());
+      } catch (error) {
+        console.error('Error in escalation job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('escalations', escalationJob);
+    escalationJob.start();
+    console.log('Escalation job started (runs every minute)');
+  }
+
+  /**
+   * Schedule the job that sends digest emails. Digests go out at times of
+   * the users' choosing, so the job checks every 15 minutes.
+   */
+  scheduleDigestJob() {
+    const digestJob = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await this.runExclusive('digests', 15 * 60 * 1000, () => this.processDigests());
+      } catch (error) {
+        console.error('Error in digest job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('digests', digestJob);
+    digestJob.start();
+    console.log('Digest job started (runs every 15 minutes)');
+  }
+
   /**
    * Schedule job to handle recurring reminders
    */
   scheduleRecurringJob() {
     const recurringJob = cron.schedule('0 * * * *', async () => {
       try {
-        await this.processRecurringReminders();
+        await this.runExclusive('recurring', 30 * 60 * 1000, () => this.processRecurringReminders());
       } catch (error) {
         console.error('Error in recurring scheduler job:', error);
       }
@@ -72,13 +226,33 @@ class SchedulerService {
     console.log('Recurring scheduler job started (runs every hour)');
   }
 
+  /**
+   * Schedule job to sync reminders with connected Google Calendars
+   */
+  scheduleCalendarSyncJob() {
+    const calendarSyncJob = cron.schedule('*/15 * * * *', async () => {
+      try {
+        await this.runExclusive('calendar-sync', 14 * 60 * 1000, () => this.processCalendarSync());
+      } catch (error) {
+        console.error('Error in calendar sync job:', error);
+      }
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('calendar-sync', calendarSyncJob);
+    calendarSyncJob.start();
+    console.log('Calendar sync job started (runs every 15 minutes)');
+  }
+
   /**
    * Schedule cleanup job for expired data
    */
   scheduleCleanupJob() {
     const cleanupJob = cron.schedule('0 2 * * *', async () => {
       try {
-        await this.cleanupExpiredData();
+        await this.runExclusive('cleanup', 60 * 60 * 1000, () => this.cleanupExpiredData());
       } catch (error) {
         console.error('Error in cleanup scheduler job:', error);
       }
@@ -93,7 +267,9 @@ class SchedulerService {
   }
 
   /**
-   * Process due reminders and send notifications
+   * Sweep the database for due reminders and send notifications. This is
+   * the safety net behind the in-memory queue; it catches anything the
+   * queue missed (restarts, changes made through other instances).
    */
   async processDueReminders() {
     try {
@@ -109,31 +285,260 @@ class SchedulerService {
 
       console.log(`Found ${dueReminders.length} due reminders`);
 
-      // Send notifications for due reminders
-      const results = await NotificationService.sendBulkNotifications(dueReminders);
-      
-      // Log results
-      const successful = results.filter(r => r.success).length;
-      const failed = results.length - successful;
-      
-      console.log(`Notification results: ${successful} successful, ${failed} failed`);
-
-      // Update reminder status for snoozed reminders that are now due
-      for (const reminder of dueReminders) {
-        if (reminder.status === 'snoozed' && 
-            reminder.metadata.snoozeUntil && 
-            reminder.metadata.snoozeUntil <= new Date()) {
-          reminder.status = 'pending';
-          reminder.metadata.snoozeUntil = undefined;
-          await reminder.save();
-        }
+      const counts = { sent: 0, failed: 0, skipped: 0, deferred: 0 };
+      for (const dueReminder of dueReminders) {
+        counts[await this.notifyOccurrence(dueReminder)]++;
       }
 
+      console.log(`Notification results: ${counts.sent} successful, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.deferred} deferred`);
+
     } catch (error) {
       console.error('Error processing due reminders:', error);
     }
   }
 
+  /**
+   * Send the next due alert of a reminder.
+   * The alert is claimed atomically first and marked sent afterwards, so
+   * it is sent at most once even with several instances or overlapping
+   * runs. Alerts falling in the user's quiet hours are deferred or sent
+   * silently. Resolves to 'sent', 'failed', 'skipped' or 'deferred'.
+   * @param {Object} dueReminder - Due reminder
+   */
+  async notifyOccurrence(dueReminder) {
+    const reminder = await Reminder.claimOccurrence(dueReminder, this.instanceId);
+    if (!reminder) {
+      // Claimed by another instance or changed since it was found
+      return 'skipped';
+    }
+
+    const { occurrence, offset } = reminder.notifications.lease;
+    let deferred = false;
+
+    try {
+      // A claim whose previous holder died mid-send may already have
+      // deliveries; never send the same alert twice
+      const alreadySent = await NotificationDelivery.exists({
+        reminder: reminder._id,
+        occurrence,
+        offset,
+        escalation: null
+      });
+
+      if (alreadySent || !reminder.user) {
+        return 'skipped';
+      }
+
+      const quiet = NotificationService.getQuietMode(reminder.user, reminder.priority);
+      if (quiet && quiet.action === 'defer') {
+        deferred = true;
+        if (await reminder.deferOccurrence(this.instanceId, quiet.until)) {
+          this.scheduleReminder(reminder);
+        }
+        return 'deferred';
+      }
+
+      const result = await NotificationService.sendReminderNotification(
+        reminder,
+        reminder.user,
+        { ...reminder.getAlert(offset), silent: !!quiet }
+      );
+      // Everyone the reminder is shared with is alerted along with its owner
+      await NotificationService.notifyCollaborators(reminder, { offset });
+      return NotificationService.isDelivered(result) ? 'sent' : 'failed';
+    } catch (error) {
+      console.error(`Failed to send notification for reminder ${reminder._id}:`, error);
+      return 'failed';
+    } finally {
+      // Queue the next alert; a reminder rescheduled meanwhile was
+      // already queued by whoever changed it
+      if (!deferred && await reminder.releaseOccurrence(this.instanceId)) {
+        this.scheduleReminder(reminder);
+
+        // The reminder is due now, so start waiting for an acknowledgement
+        if (offset === 0 && reminder.user) {
+          await NotificationService.startEscalation(reminder, reminder.user, occurrence)
+            .catch(error => console.error(`Failed to start escalation for reminder ${reminder._id}:`, error));
+        }
+      }
+    }
+  }
+
+  /**
+   * Reload the in-memory queue with alerts due within the horizon
+   */
+  async refreshQueue() {
+    const reminders = await Reminder.findDueReminders({
+      before: new Date(Date.now() + QUEUE_HORIZON_MS),
+      limit: QUEUE_MAX_SIZE
+    }).select('status blocked notifications.nextAlertAt');
+
+    this.queue.clear();
+    this.queued.clear();
+    reminders.forEach(reminder => this.enqueue(reminder));
+    this.armTimer();
+  }
+
+  /**
+   * Put a reminder's next alert in the queue, or drop it when it has none
+   * or it falls outside the horizon
+   * @param {Object} reminder - Reminder document
+   */
+  enqueue(reminder) {
+    const id = reminder._id.toString();
+    const nextAlertAt = reminder.notifications && reminder.notifications.nextAlertAt;
+    // Blocked reminders wait for the due sweep once they are unblocked
+    const pending = ['pending', 'snoozed'].includes(reminder.status) && !reminder.blocked;
+
+    if (!pending || !nextAlertAt || nextAlertAt.getTime() > Date.now() + QUEUE_HORIZON_MS) {
+      this.queued.delete(id);
+      return;
+    }
+
+    const entry = { id, time: nextAlertAt.getTime() };
+    this.queued.set(id, entry);
+    this.queue.push(entry);
+  }
+
+  /**
+   * Invalidate a reminder's queue entry after it was created or changed
+   * @param {Object} reminder - Saved reminder document
+   */
+  scheduleReminder(reminder) {
+    if (!this.isRunning) return;
+
+    this.enqueue(reminder);
+    this.armTimer();
+  }
+
+  /**
+   * Drop a reminder from the queue, e.g. after it was deleted
+   * @param {string} reminderId - Reminder id
+   */
+  unscheduleReminder(reminderId) {
+    this.queued.delete(reminderId.toString());
+  }
+
+  // Discard heap entries that were replaced or removed
+  peekQueue() {
+    while (this.queue.size > 0 && this.queued.get(this.queue.peek().id) !== this.queue.peek()) {
+      this.queue.pop();
+    }
+    return this.queue.peek();
+  }
+
+  /**
+   * Set the timer for the earliest queued alert
+   */
+  armTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = this.peekQueue();
+    if (!next || this.firing) return;
+
+    const delay = Math.min(Math.max(next.time - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.fireDueEntries(), delay);
+    // Don't keep the process alive just for the timer
+    this.timer.unref();
+  }
+
+  /**
+   * Notify every queued alert whose time has come
+   */
+  async fireDueEntries() {
+    this.firing = true;
+
+    try {
+      let next;
+      while ((next = this.peekQueue()) && next.time <= Date.now()) {
+        this.queue.pop();
+        this.queued.delete(next.id);
+
+        const reminder = await Reminder.findById(next.id);
+        if (!reminder) continue;
+
+        // Moved later since it was queued
+        const { nextAlertAt } = reminder.notifications;
+        if (!nextAlertAt || nextAlertAt.getTime() > Date.now()) {
+          this.enqueue(reminder);
+          continue;
+        }
+
+        await this.notifyOccurrence(reminder);
+      }
+    } catch (error) {
+      console.error('Error firing queued reminders:', error);
+    } finally {
+      this.firing = false;
+      this.armTimer();
+    }
+  }
+
+  /**
+   * Retry notification deliveries whose backoff has elapsed
+   */
+  async processDeliveryRetries() {
+    try {
+      const summary = await NotificationService.processRetries();
+
+      if (summary.retried > 0 || summary.cancelled > 0) {
+        console.log(`Delivery retries: ${summary.sent}/${summary.retried} sent, ${summary.cancelled} cancelled`);
+      }
+    } catch (error) {
+      console.error('Error processing delivery retries:', error);
+    }
+  }
+
+  /**
+   * Send escalations for reminders that went unacknowledged
+   */
+  async processEscalations() {
+    try {
+      const summary = await NotificationService.processEscalations();
+
+      if (summary.escalated > 0 || summary.stopped > 0) {
+        console.log(`Escalations: ${summary.sent}/${summary.escalated} sent, ${summary.stopped} stopped`);
+      }
+    } catch (error) {
+      console.error('Error processing escalations:', error);
+    }
+  }
+
+  /**
+   * Send the daily and weekly digests that are due
+   */
+  async processDigests() {
+    try {
+      const summary = await NotificationService.processDigests();
+
+      if (summary.daily > 0 || summary.weekly > 0 || summary.failed > 0) {
+        console.log(`Digests: ${summary.daily} daily, ${summary.weekly} weekly sent, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error processing digests:', error);
+    }
+  }
+
+  /**
+   * Sync connected Google Calendars and reschedule the reminders changed
+   * from them
+   */
+  async processCalendarSync() {
+    if (!calendarService.getStatus().configured) return;
+
+    try {
+      const summary = await calendarService.syncAll();
+      summary.changed.forEach(reminder => this.scheduleReminder(reminder));
+
+      if (summary.synced > 0 || summary.failed > 0) {
+        console.log(`Calendar sync: ${summary.synced} users synced, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error syncing calendars:', error);
+    }
+  }
+
   /**
    * Process recurring reminders and create next occurrences
    */
@@ -184,18 +589,26 @@ class SchedulerService {
           // Create next occurrence
           const nextReminder = new Reminder({
             user: reminder.user._id,
+            workspace: reminder.workspace,
             title: reminder.title,
             description: reminder.description,
+            // Each occurrence starts with the checklist unchecked
+            checklist: reminder.copyChecklist(),
+            completeWithChecklist: reminder.completeWithChecklist,
+            followUps: reminder.followUps,
             scheduledTime: nextOccurrence,
+            timezone: reminder.timezone,
             recurrence: reminder.recurrence,
             tags: reminder.tags,
             priority: reminder.priority,
+            alerts: reminder.alerts,
             metadata: {
               source: 'recurring'
             }
           });
 
           await nextReminder.save();
+          this.scheduleReminder(nextReminder);
           created++;
 
         } catch (error) {
@@ -218,48 +631,46 @@ class SchedulerService {
     try {
       console.log('Running cleanup job...');
 
-      // Remove expired shared reminders
-      const expiredShares = await Reminder.updateMany(
-        {
-          'sharing.isShared': true,
-          'sharing.expiresAt': { $lt: new Date() }
-        },
-        {
-          $unset: {
-            'sharing.shareToken': 1,
-            'sharing.expiresAt': 1,
-            'sharing.sharedAt': 1,
-            'sharing.sharedBy': 1
-          },
-          $set: {
-            'sharing.isShared': false
-          }
-        }
-      );
+      // Remove share links that expired or were revoked
+      const expiredLinks = await ShareLink.deleteMany({
+        $or: [
+          { expiresAt: { $lt: new Date() } },
+          { revokedAt: { $ne: null } }
+        ]
+      });
 
-      console.log(`Cleaned up ${expiredShares.modifiedCount} expired shared reminders`);
+      console.log(`Removed ${expiredLinks.deletedCount} expired share links`);
 
       // Remove old completed reminders (older than 90 days)
       const ninetyDaysAgo = new Date();
       ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
 
-      const oldReminders = await Reminder.deleteMany({
+      const oldReminders = await Reminder.deleteManyWithCleanup({
         status: 'completed',
         'metadata.completedAt': { $lt: ninetyDaysAgo }
       });
 
-      console.log(`Removed ${oldReminders.deletedCount} old completed reminders`);
+      console.log(`Removed ${oldReminders.length} old completed reminders`);
 
       // Remove old cancelled reminders (older than 30 days)
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-      const cancelledReminders = await Reminder.deleteMany({
+      const cancelledReminders = await Reminder.deleteManyWithCleanup({
         status: 'cancelled',
         updatedAt: { $lt: thirtyDaysAgo }
       });
+      cancelledReminders.forEach(reminder => this.unscheduleReminder(reminder._id));
 
-      console.log(`Removed ${cancelledReminders.deletedCount} old cancelled reminders`);
+      console.log(`Removed ${cancelledReminders.length} old cancelled reminders`);
+
+      // Remove delivery history older than 90 days
+      const oldDeliveries = await NotificationDelivery.deleteMany({
+        createdAt: { $lt: ninetyDaysAgo },
+        status: { $ne: 'retrying' }
+      });
+
+      console.log(`Removed ${oldDeliveries.deletedCount} old notification deliveries`);
 
     } catch (error) {
       console.error('Error in cleanup job:', error);
@@ -323,6 +734,11 @@ class SchedulerService {
    */
   shutdown() {
     console.log('Shutting down scheduler service...');
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.queue.clear();
+    this.queued.clear();
     
     for (const [name, job] of this.jobs) {
       job.stop();
@@ -342,7 +758,11 @@ class SchedulerService {
     const status = {
       isRunning: this.isRunning,
       totalJobs: this.jobs.size,
-      jobs: {}
+      jobs: {},
+      queue: {
+        size: this.queued.size,
+        next: this.peekQueue() ? new Date(this.peekQueue().time) : null
+      }
     };
 
     for (const [name, job] of this.jobs) {
@@ -0,0 +1,364 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const webpush = require('web-push');
+const { startStubServer, json } = require('./helpers/stubServer');
+const { startSmtpStub } = require('./helpers/smtpStub');
+
+// The push channel needs VAPID keys when it loads
+if (!process.env.VAPID_PUBLIC_KEY) {
+  const keys = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+  process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+}
+
+const PushChannel = require('../services/channels/pushChannel');
+const EmailChannel = require('../services/channels/emailChannel');
+const User = require('../models/User');
+const TelegramChannel = require('../services/channels/telegramChannel');
+const SmsChannel = require('../services/channels/smsChannel');
+const WebhookChannel = require('../services/channels/webhookChannel');
+const { isPrivateAddress, isPublicUrl } = require('../utils/http');
+
+const message = { title: 'Pay rent', body: 'Due today', priority: 'high' };
+
+// Set environment variables for a test block, restoring them afterwards
+const useEnv = (values) => {
+  const previous = {};
+
+  before(() => {
+    Object.entries(values()).forEach(([name, value]) => {
+      previous[name] = process.env[name];
+      process.env[name] = value;
+    });
+  });
+
+  after(() => {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+};
+
+describe('PushChannel', () => {
+  let stub;
+  let reply;
+
+  before(async () => {
+    stub = await startStubServer((req, res) => reply(req, res));
+  });
+  after(() => stub.close());
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  // Subscription with real keys, as a browser would hand out
+  const createSubscription = (path, deviceName) => ({
+    endpoint: `${stub.url}${path}`,
+    deviceName,
+    keys: {
+      p256dh: crypto.createECDH('prime256v1').generateKeys().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    }
+  });
+
+  const createUser = () => {
+    const user = new User({
+      username: 'push-user',
+      email: 'push@example.com',
+      password: 'secret123',
+      notifications: {
+        webPush: {
+          enabled: true,
+          subscriptions: [createSubscription('/push/phone', 'Phone'), createSubscription('/push/laptop', 'Laptop')]
+        }
+      }
+    });
+    user.saves = 0;
+    user.save = async () => {
+      user.saves++;
+    };
+    return user;
+  };
+
+  const endpoints = (user) => user.notifications.webPush.subscriptions.map(s => new URL(s.endpoint).pathname);
+
+  it('sends an encrypted notification to every device', async () => {
+    reply = (req, res) => json(res, 201, {});
+    const user = createUser();
+
+    const result = await new PushChannel().send(user, { ...message, priority: 'urgent' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.devices.map(device => device.sent), [true, true]);
+    assert.deepEqual(stub.requests.map(request => request.url), ['/push/phone', '/push/laptop']);
+    const [request] = stub.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.headers['content-encoding'], 'aes128gcm');
+    assert.equal(request.headers.urgency, 'high');
+    assert.match(request.headers.authorization, /^vapid t=/);
+    assert.ok(!request.raw.includes('Pay rent'));
+  });
+
+  for (const statusCode of [404, 410]) {
+    it(`removes a device the push service answers ${statusCode} for`, async () => {
+      reply = (req, res) => json(res, req.url === '/push/phone' ? statusCode : 201, {});
+      const user = createUser();
+
+      const result = await new PushChannel().send(user, message);
+
+      assert.equal(result.success, true);
+      assert.equal(result.devices[0].error, 'subscription_invalid');
+      assert.deepEqual(endpoints(user), ['/push/laptop']);
+      assert.equal(user.saves, 1);
+    });
+  }
+
+  it('fails when every device is gone', async () => {
+    reply = (req, res) => json(res, 410, {});
+    const user = createUser();
+
+    const result = await new PushChannel().send(user, message);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'subscription_invalid');
+    assert.deepEqual(endpoints(user), []);
+  });
+
+  it('keeps the devices on other errors', async () => {
+    reply = (req, res) => json(res, 500, {});
+    const user = createUser();
+
+    const result = await new PushChannel().send(user, message);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'push_failed');
+    assert.equal(result.transient, true);
+    assert.deepEqual(endpoints(user), ['/push/phone', '/push/laptop']);
+    assert.ok(user.notifications.webPush.subscriptions.every(s => s.lastFailureAt));
+  });
+});
+
+describe('EmailChannel', () => {
+  let smtp;
+
+  before(async () => {
+    smtp = await startSmtpStub({ rejectRecipients: ['gone@example.com'] });
+  });
+  after(() => smtp.close());
+  beforeEach(() => {
+    smtp.messages.length = 0;
+  });
+
+  useEnv(() => ({
+    EMAIL_HOST: smtp.host,
+    EMAIL_PORT: String(smtp.port),
+    EMAIL_FROM: 'NOTIFAREF <notifaref@example.com>'
+  }));
+
+  it('sends the message over SMTP', async () => {
+    const result = await new EmailChannel().send({ email: 'user@example.com' }, message);
+
+    assert.equal(result.success, true);
+    assert.ok(result.messageId);
+    const [sent] = smtp.messages;
+    assert.equal(sent.from, 'notifaref@example.com');
+    assert.deepEqual(sent.to, ['user@example.com']);
+    assert.match(sent.data, /^Subject: NOTIFAREF: Pay rent$/m);
+    assert.match(sent.data, /Due today/);
+  });
+
+  it('reports a rejected recipient', async () => {
+    const result = await new EmailChannel().send({ email: 'gone@example.com' }, message);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'email_failed');
+    assert.equal(smtp.messages.length, 0);
+  });
+});
+
+describe('TelegramChannel', () => {
+  let stub;
+  let reply;
+
+  before(async () => {
+    stub = await startStubServer((req, res) => reply(res));
+  });
+  after(() => stub.close());
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  useEnv(() => ({ TELEGRAM_BOT_TOKEN: 'test-token', TELEGRAM_API_URL: stub.url }));
+
+  const user = { notifications: { telegram: { enabled: true, chatId: '42' } } };
+
+  it('sends the message to the chat', async () => {
+    reply = res => json(res, 200, { ok: true, result: { message_id: 7 } });
+
+    const result = await new TelegramChannel().send(user, message);
+
+    assert.equal(result.success, true);
+    assert.equal(result.messageId, 7);
+    assert.equal(stub.requests[0].url, '/bottest-token/sendMessage');
+    assert.equal(stub.requests[0].body.chat_id, '42');
+    assert.equal(stub.requests[0].body.parse_mode, 'MarkdownV2');
+    assert.match(stub.requests[0].body.text, /\*Pay rent\*/);
+  });
+
+  it('keeps only a summary of a rejected message', async () => {
+    reply = res => json(res, 400, { ok: false, error_code: 400, description: 'Bad Request: chat not found' });
+
+    const result = await new TelegramChannel().send(user, message);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'telegram_failed');
+    assert.equal(result.transient, false);
+    assert.deepEqual(result.response, { statusCode: 400, message: 'Bad Request: chat not found' });
+  });
+
+  it('marks server errors as transient', async () => {
+    reply = res => json(res, 502, { ok: false, description: 'Bad Gateway' });
+
+    const result = await new TelegramChannel().send(user, message);
+
+    assert.equal(result.success, false);
+    assert.equal(result.transient, true);
+  });
+});
+
+describe('SmsChannel', () => {
+  let stub;
+  let reply;
+
+  before(async () => {
+    stub = await startStubServer((req, res) => reply(res));
+  });
+  after(() => stub.close());
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  useEnv(() => ({
+    SMS_GATEWAY_URL: `${stub.url}/send`,
+    SMS_GATEWAY_API_KEY: 'sms-key',
+    SMS_SENDER: 'NOTIFAREF'
+  }));
+
+  const user = { notifications: { sms: { enabled: true, phoneNumber: '+15550100' } } };
+
+  it('posts the message to the gateway', async () => {
+    reply = res => json(res, 200, { id: 'sms-1' });
+
+    const result = await new SmsChannel().send(user, message);
+
+    assert.equal(result.success, true);
+    assert.equal(result.messageId, 'sms-1');
+    assert.equal(stub.requests[0].headers.authorization, 'Bearer sms-key');
+    assert.deepEqual(stub.requests[0].body, {
+      to: '+15550100',
+      from: 'NOTIFAREF',
+      message: 'Pay rent\nDue today'
+    });
+  });
+
+  it('shortens long messages', async () => {
+    reply = res => json(res, 200, {});
+
+    await new SmsChannel().send(user, { ...message, body: 'x'.repeat(500) });
+
+    assert.equal(stub.requests[0].body.message.length, 320);
+    assert.ok(stub.requests[0].body.message.endsWith('…'));
+  });
+
+  it('does not store the gateway response body', async () => {
+    reply = res => json(res, 401, { message: 'Invalid API key', echo: { apiKey: 'sms-key' } });
+
+    const result = await new SmsChannel().send(user, message);
+
+    assert.equal(result.success, false);
+    assert.equal(result.transient, false);
+    assert.deepEqual(result.response, { statusCode: 401, message: 'Invalid API key' });
+  });
+});
+
+describe('WebhookChannel', () => {
+  let stub;
+
+  before(async () => {
+    stub = await startStubServer();
+  });
+  after(() => stub.close());
+  beforeEach(() => {
+    stub.requests.length = 0;
+  });
+
+  const userFor = (url) => ({ notifications: { webhook: { enabled: true, url, secret: 'shh' } } });
+
+  describe('with private URLs allowed', () => {
+    useEnv(() => ({ WEBHOOK_ALLOW_PRIVATE_URLS: 'true' }));
+
+    it('sends a signed payload', async () => {
+      const result = await new WebhookChannel().send(userFor(`${stub.url}/hook`), message);
+
+      assert.equal(result.success, true);
+      const [request] = stub.requests;
+      assert.equal(request.body.event, 'reminder.due');
+      assert.equal(request.body.title, 'Pay rent');
+      assert.equal(request.headers['x-notifaref-signature'], WebhookChannel.sign(request.raw, 'shh'));
+    });
+
+    it('sends a ping to verify the URL', async () => {
+      const result = await new WebhookChannel().verify(userFor(`${stub.url}/hook`));
+
+      assert.equal(result.success, true);
+      assert.equal(stub.requests[0].body.event, 'ping');
+    });
+  });
+
+  describe('with private URLs blocked', () => {
+    useEnv(() => ({ WEBHOOK_ALLOW_PRIVATE_URLS: 'false' }));
+
+    for (const host of ['127.0.0.1', 'localhost']) {
+      it(`refuses to send to ${host}`, async () => {
+        const url = stub.url.replace('127.0.0.1', host);
+        const result = await new WebhookChannel().send(userFor(url), message);
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'webhook_blocked');
+        assert.equal(result.transient, false);
+        assert.equal(stub.requests.length, 0);
+      });
+    }
+
+    it('rejects private URLs when they are saved', async () => {
+      const channel = new WebhookChannel();
+
+      assert.equal(await channel.isAllowedUrl(`${stub.url}/hook`), false);
+      assert.equal(await channel.isAllowedUrl('http://169.254.169.254/latest/meta-data'), false);
+      assert.equal(await channel.isAllowedUrl('https://93.184.216.34/hook'), true);
+    });
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('matches loopback, private and link-local ranges', () => {
+    ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+      '::1', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1', '::ffff:a00:1'].forEach(address => {
+      assert.equal(isPrivateAddress(address), true, address);
+    });
+  });
+
+  it('lets public addresses through', () => {
+    ['8.8.8.8', '93.184.216.34', '2606:4700::1111'].forEach(address => {
+      assert.equal(isPrivateAddress(address), false, address);
+    });
+  });
+
+  it('checks IP literals in URLs in every notation', async () => {
+    for (const url of ['http://127.1/', 'http://2130706433/', 'http://0x7f000001/', 'http://[::1]:8080/']) {
+      assert.equal(await isPublicUrl(url), false, url);
+    }
+  });
+});
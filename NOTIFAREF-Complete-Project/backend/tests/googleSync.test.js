@@ -0,0 +1,223 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const webpush = require('web-push');
+const { useMemoryMongo } = require('./helpers/memoryMongo');
+const { startFakeGoogleCalendar } = require('./helpers/fakeGoogleCalendar');
+const Reminder = require('../models/Reminder');
+const User = require('../models/User');
+const providers = require('../services/calendarProviders');
+const calendarService = require('../services/calendarService');
+
+// The push channel, loaded along the way, needs VAPID keys
+if (!process.env.VAPID_PUBLIC_KEY) {
+  const keys = webpush.generateVAPIDKeys();
+  process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+  process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+const eventTime = (offset) => ({ dateTime: new Date(Date.now() + offset).toISOString(), timeZone: 'UTC' });
+
+describe('Google Calendar sync', () => {
+  const db = useMemoryMongo();
+  let calendar;
+  let google;
+  let user;
+
+  before(async () => {
+    calendar = await startFakeGoogleCalendar();
+    process.env.GOOGLE_CLIENT_ID = 'client-id';
+    process.env.GOOGLE_CLIENT_SECRET = 'client-secret';
+    process.env.GOOGLE_API_ROOT_URL = calendar.rootUrl;
+
+    google = providers.get('google');
+    google.initializeOAuth();
+  });
+
+  after(async () => {
+    delete process.env.GOOGLE_CLIENT_ID;
+    delete process.env.GOOGLE_CLIENT_SECRET;
+    delete process.env.GOOGLE_API_ROOT_URL;
+    await calendar.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    calendar.events.clear();
+    calendar.requests.length = 0;
+
+    user = await User.create({
+      username: 'sync-user',
+      email: 'sync@example.com',
+      password: 'secret123',
+      profile: { timezone: 'UTC' },
+      integrations: {
+        googleCalendar: { connected: true, accessToken: 'access-token', calendarId: 'primary' }
+      }
+    });
+  });
+
+  const sync = () => calendarService.syncUser(google, user);
+  const findReminder = (eventId) => Reminder.findOne({ 'calendar.googleEventId': eventId });
+
+  it('imports upcoming events on the first sync, across pages', async () => {
+    const standup = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+    calendar.addEvent({ summary: 'Review', start: eventTime(4 * HOUR), end: eventTime(5 * HOUR) });
+    calendar.addEvent({ summary: 'Planning', start: eventTime(6 * HOUR), end: eventTime(7 * HOUR) });
+    calendar.addEvent({ summary: 'Yesterday', start: eventTime(-24 * HOUR), end: eventTime(-23 * HOUR) });
+
+    const { stats } = await sync();
+
+    assert.equal(stats.created, 3);
+    assert.equal(stats.errors, 0);
+    const reminders = await Reminder.find({ user: user._id });
+    assert.deepEqual(reminders.map(reminder => reminder.title).sort(), ['Planning', 'Review', 'Standup']);
+    const reminder = await findReminder(standup.id);
+    assert.equal(reminder.scheduledTime.toISOString(), standup.start.dateTime);
+    assert.equal(reminder.metadata.source, 'calendar');
+
+    const listings = calendar.requests.filter(request => request.method === 'GET');
+    assert.equal(listings.length, 2);
+    assert.equal(listings[0].headers.authorization, 'Bearer access-token');
+    const saved = await User.findById(user._id);
+    assert.match(saved.integrations.googleCalendar.sync.token, /^sync-/);
+  });
+
+  it('applies only the changes since the last sync', async () => {
+    const event = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+    await sync();
+    const token = user.integrations.googleCalendar.sync.token;
+
+    calendar.changeEvent(event.id, { summary: 'Daily standup', start: eventTime(5 * HOUR) });
+    calendar.requests.length = 0;
+    const { stats } = await sync();
+
+    assert.equal(stats.updated, 1);
+    assert.equal(stats.created, 0);
+    assert.equal(new URL(calendar.requests[0].url, calendar.rootUrl).searchParams.get('syncToken'), token);
+    const reminder = await findReminder(event.id);
+    assert.equal(reminder.title, 'Daily standup');
+    assert.equal(reminder.scheduledTime.toISOString(), calendar.events.get(event.id).start.dateTime);
+  });
+
+  it('lists every event again when the sync token expired', async () => {
+    const event = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+    await sync();
+
+    calendar.expireTokens();
+    calendar.changeEvent(event.id, { summary: 'Moved standup' });
+    calendar.requests.length = 0;
+    const { stats } = await sync();
+
+    assert.equal(stats.errors, 0);
+    assert.equal((await findReminder(event.id)).title, 'Moved standup');
+    const [expired, full] = calendar.requests.map(request => new URL(request.url, calendar.rootUrl));
+    assert.ok(expired.searchParams.has('syncToken'));
+    assert.ok(!full.searchParams.has('syncToken'));
+  });
+
+  it('cancels the reminder of an event deleted in the calendar', async () => {
+    const event = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+    await sync();
+    const { _id } = await findReminder(event.id);
+
+    calendar.deleteEvent(event.id);
+    const { stats } = await sync();
+
+    assert.equal(stats.deleted, 1);
+    const reminder = await Reminder.findById(_id);
+    assert.equal(reminder.status, 'cancelled');
+    assert.equal(reminder.calendar.googleEventId, undefined);
+  });
+
+  it('pushes reminders changed here', async () => {
+    const event = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+    await sync();
+
+    const reminder = await findReminder(event.id);
+    reminder.title = 'Standup (moved to Zoom)';
+    await reminder.save();
+    const { stats } = await sync();
+
+    assert.equal(stats.pushed, 1);
+    assert.equal(stats.conflicts, 0);
+    assert.equal(calendar.events.get(event.id).summary, 'Standup (moved to Zoom)');
+
+    // Our own change comes back with the next sync and is skipped
+    const again = await sync();
+    assert.equal(again.stats.updated, 0);
+    assert.equal(again.stats.pushed, 0);
+  });
+
+  it('creates events for new reminders when auto-sync is on', async () => {
+    user.integrations.googleCalendar.autoSync = true;
+    const reminder = await Reminder.create({
+      user: user._id,
+      title: 'Dentist',
+      scheduledTime: new Date(Date.now() + 24 * HOUR),
+      timezone: 'UTC'
+    });
+
+    const { stats } = await sync();
+
+    assert.equal(stats.pushed, 1);
+    const { calendar: link } = await Reminder.findById(reminder._id);
+    const event = calendar.events.get(link.googleEventId);
+    assert.equal(event.summary, 'Dentist');
+    assert.equal(event.extendedProperties.private.notifarefId, reminder._id.toString());
+  });
+
+  it('removes the events of deleted reminders', async () => {
+    const event = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+    await sync();
+
+    const reminder = await findReminder(event.id);
+    await reminder.deleteOne();
+    await User.updateOne(
+      { _id: user._id },
+      { $addToSet: { 'integrations.googleCalendar.sync.deletedEventIds': 'missing-event' } }
+    );
+    user = await User.findById(user._id);
+    assert.deepEqual([...user.integrations.googleCalendar.sync.deletedEventIds], [event.id, 'missing-event']);
+
+    const { stats } = await sync();
+
+    assert.equal(stats.errors, 0);
+    assert.equal(calendar.events.get(event.id).status, 'cancelled');
+    const saved = await User.findById(user._id);
+    assert.deepEqual([...saved.integrations.googleCalendar.sync.deletedEventIds], []);
+  });
+
+  describe('when both sides changed', () => {
+    const changeBoth = async (policy) => {
+      user.integrations.googleCalendar.conflictPolicy = policy;
+      const event = calendar.addEvent({ summary: 'Standup', start: eventTime(2 * HOUR), end: eventTime(3 * HOUR) });
+      await sync();
+
+      const changed = await findReminder(event.id);
+      changed.title = 'Changed here';
+      await changed.save();
+      calendar.changeEvent(event.id, { summary: 'Changed in Google' });
+      const { stats } = await sync();
+
+      return { stats, reminder: await findReminder(event.id), event: calendar.events.get(event.id) };
+    };
+
+    it('lets the calendar win with the calendar policy', async () => {
+      const { stats, reminder, event } = await changeBoth('calendar');
+
+      assert.equal(stats.conflicts, 1);
+      assert.equal(reminder.title, 'Changed in Google');
+      assert.equal(event.summary, 'Changed in Google');
+    });
+
+    it('lets the reminder win with the reminder policy', async () => {
+      const { stats, reminder, event } = await changeBoth('reminder');
+
+      assert.equal(stats.conflicts, 1);
+      assert.equal(reminder.title, 'Changed here');
+      assert.equal(event.summary, 'Changed here');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Fake Google Calendar API for sync tests: one calendar's events in
+ * memory, served at the paths the googleapis client calls. Point the
+ * client at it with GOOGLE_API_ROOT_URL.
+ *
+ * Sync tokens follow Google's behaviour closely enough for the sync
+ * service: a full listing leaves out deleted events, an incremental one
+ * returns every event changed since the token, cancelled ones included,
+ * and an unknown token answers 410 Gone.
+ */
+
+const { URL } = require('url');
+const { startStubServer, json } = require('./stubServer');
+
+// Events per page, small so paging is exercised
+const PAGE_SIZE = 2;
+
+/**
+ * Start a fake calendar
+ * @param {string} calendarId - Id of the only calendar
+ * @returns {Promise<Object>} { rootUrl, requests, events, addEvent, changeEvent, deleteEvent, expireTokens, close }
+ */
+const startFakeGoogleCalendar = async (calendarId = 'primary') => {
+  const events = new Map();
+  const issuedTokens = new Set();
+  let version = 0;
+  let nextId = 1;
+
+  const store = (event) => {
+    version++;
+    const stored = {
+      ...event,
+      kind: 'calendar#event',
+      etag: `"etag-${version}"`,
+      updated: new Date().toISOString(),
+      version
+    };
+    events.set(stored.id, stored);
+    return stored;
+  };
+
+  const issueToken = () => {
+    const token = `sync-${version}`;
+    issuedTokens.add(token);
+    return token;
+  };
+
+  const present = ({ version: _version, ...event }) => event;
+
+  const listEvents = (res, params) => {
+    const syncToken = params.get('syncToken');
+    if (syncToken && !issuedTokens.has(syncToken)) {
+      return json(res, 410, { error: { code: 410, message: 'Sync token is no longer valid, a full sync is required.' } });
+    }
+
+    const since = syncToken ? Number(syncToken.replace('sync-', '')) : null;
+    const items = [...events.values()]
+      .filter(event => since === null ? event.status !== 'cancelled' : event.version > since)
+      .sort((a, b) => a.version - b.version);
+
+    const offset = Number(params.get('pageToken') || 0);
+    const page = items.slice(offset, offset + PAGE_SIZE);
+    const more = offset + PAGE_SIZE < items.length;
+
+    json(res, 200, {
+      kind: 'calendar#events',
+      items: page.map(present),
+      ...(more ? { nextPageToken: String(offset + PAGE_SIZE) } : { nextSyncToken: issueToken() })
+    });
+  };
+
+  const handler = (req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+    const prefix = `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`;
+    if (!url.pathname.startsWith(prefix)) {
+      return json(res, 404, { error: { code: 404, message: 'Not Found' } });
+    }
+
+    const eventId = decodeURIComponent(url.pathname.slice(prefix.length + 1));
+    const existing = eventId && events.get(eventId);
+
+    if (!eventId && req.method === 'GET') return listEvents(res, url.searchParams);
+
+    if (!eventId && req.method === 'POST') {
+      const event = store({ ...body, id: `event${nextId++}`, status: 'confirmed' });
+      return json(res, 200, present(event));
+    }
+
+    if (!existing || existing.status === 'cancelled') {
+      return json(res, existing ? 410 : 404, { error: { code: existing ? 410 : 404, message: 'Not Found' } });
+    }
+
+    if (req.method === 'PUT') {
+      return json(res, 200, present(store({ ...body, id: eventId, status: 'confirmed' })));
+    }
+
+    if (req.method === 'DELETE') {
+      store({ id: eventId, status: 'cancelled' });
+      res.writeHead(204);
+      return res.end();
+    }
+
+    json(res, 405, { error: { code: 405, message: 'Method Not Allowed' } });
+  };
+
+  const server = await startStubServer(handler);
+
+  return {
+    rootUrl: `${server.url}/`,
+    requests: server.requests,
+    events,
+
+    /**
+     * Add an event as if made in Google Calendar
+     * @param {Object} event - Event resource without id
+     */
+    addEvent: (event) => present(store({ ...event, id: `event${nextId++}`, status: 'confirmed' })),
+
+    /**
+     * Change an event as if edited in Google Calendar
+     * @param {string} id - Event id
+     * @param {Object} changes - Fields to change
+     */
+    changeEvent: (id, changes) => present(store({ ...events.get(id), ...changes })),
+
+    /**
+     * Delete an event as if deleted in Google Calendar
+     * @param {string} id - Event id
+     */
+    deleteEvent: (id) => present(store({ id, status: 'cancelled' })),
+
+    // Make every issued sync token invalid
+    expireTokens: () => issuedTokens.clear(),
+
+    close: server.close
+  };
+};
+
+module.exports = {
+  startFakeGoogleCalendar
+};
@@ -0,0 +1,47 @@
+/**
+ * In-memory MongoDB for tests of atomic updates, which need a real
+ * server. Starting one needs a mongod binary: MongoMemoryServer downloads
+ * it on first use, or takes MONGOMS_SYSTEM_BINARY. When none can be
+ * started the suite fails rather than passing without running.
+ */
+
+const { before, after } = require('node:test');
+const mongoose = require('mongoose');
+
+/**
+ * Start a server before the tests of the current suite and connect
+ * mongoose to it; stop it afterwards
+ * @returns {Object} { clear } to empty every collection
+ */
+const useMemoryMongo = () => {
+  let server;
+
+  before(async () => {
+    try {
+      const { MongoMemoryServer } = require('mongodb-memory-server');
+      server = await MongoMemoryServer.create();
+      await mongoose.connect(server.getUri());
+    } catch (error) {
+      throw new Error(
+        `In-memory MongoDB could not start: ${error.message.split('\n')[0]}. ` +
+        'Set MONGOMS_SYSTEM_BINARY to a local mongod or allow mongodb-memory-server to download one.'
+      );
+    }
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    if (server) await server.stop();
+  });
+
+  return {
+    clear: async () => {
+      const collections = Object.values(mongoose.connection.collections);
+      await Promise.all(collections.map(collection => collection.deleteMany({})));
+    }
+  };
+};
+
+module.exports = {
+  useMemoryMongo
+};
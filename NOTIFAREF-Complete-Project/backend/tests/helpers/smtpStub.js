@@ -0,0 +1,86 @@
+/**
+ * Local SMTP server standing in for the mail provider. It speaks just
+ * enough SMTP for nodemailer over plain TCP and records every message.
+ */
+
+const net = require('net');
+
+/**
+ * Start an SMTP stub
+ * @param {Object} options - { rejectRecipients } addresses answered with 550
+ * @returns {Promise<Object>} { host, port, messages, close }
+ */
+const startSmtpStub = ({ rejectRecipients = [] } = {}) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          message.data = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push(message);
+          reply('250 Message accepted');
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 localhost');
+        } else if (command === 'MAIL') {
+          message = { from: line.match(/<(.*)>/)[1], to: [], data: '' };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          const address = line.match(/<(.*)>/)[1];
+          if (rejectRecipients.includes(address)) {
+            reply('550 Mailbox unavailable');
+          } else {
+            message.to.push(address);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+
+    reply('220 localhost SMTP stub');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+module.exports = {
+  startSmtpStub
+};
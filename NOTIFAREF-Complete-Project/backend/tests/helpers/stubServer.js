@@ -0,0 +1,57 @@
+/**
+ * Local HTTP server standing in for the APIs the backend calls, so tests
+ * run without the network. Requests are recorded with their parsed JSON
+ * bodies.
+ */
+
+const http = require('http');
+
+/**
+ * Start a stub server
+ * @param {Function} handler - (req, res, body) => void, with `body` parsed
+ *   from JSON when possible. Responds 200 {} when omitted.
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+const startStubServer = (handler = (req, res) => json(res, 200, {})) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : undefined;
+      } catch (error) {
+        // Keep the raw text
+      }
+
+      requests.push({ method: req.method, url: req.url, headers: req.headers, raw, body });
+      handler(req, res, body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+/**
+ * Send a JSON response
+ */
+const json = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+module.exports = {
+  startStubServer,
+  json
+};
@@ -0,0 +1,185 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryMongo } = require('./helpers/memoryMongo');
+const Reminder = require('../models/Reminder');
+const Lease = require('../models/Lease');
+
+// Claimed reminders come back with their user populated
+require('../models/User');
+
+const MINUTE = 60 * 1000;
+
+describe('scheduler claims and leases', () => {
+  const db = useMemoryMongo();
+
+  beforeEach(() => db.clear());
+
+  // Pending reminder due in 30 minutes, with an alert an hour before that
+  // is due now and one at the time itself
+  const createDueReminder = (fields = {}) => Reminder.create({
+    user: new mongoose.Types.ObjectId(),
+    title: 'Standup',
+    scheduledTime: new Date(Date.now() + 30 * MINUTE),
+    timezone: 'UTC',
+    alerts: [{ offset: 60 }, { offset: 0 }],
+    ...fields
+  });
+
+  describe('Reminder.findDueReminders', () => {
+    it('finds reminders with an alert due by a time', async () => {
+      const due = await createDueReminder();
+      const later = await createDueReminder({ alerts: [{ offset: 0 }] });
+
+      const found = await Reminder.findDueReminders();
+      assert.deepEqual(found.map(reminder => reminder.id), [due.id]);
+
+      const upcoming = await Reminder.findDueReminders({ before: new Date(Date.now() + 45 * MINUTE) });
+      assert.deepEqual(upcoming.map(reminder => reminder.id), [due.id, later.id]);
+
+      const claimed = await Reminder.claimOccurrence(due, 'scheduler-a');
+      await claimed.releaseOccurrence('scheduler-a');
+      assert.deepEqual(await Reminder.findDueReminders(), []);
+    });
+  });
+
+  describe('Reminder.claimOccurrence', () => {
+    it('lets only one of two schedulers claim an alert', async () => {
+      const reminder = await createDueReminder();
+      const [first, second] = await Promise.all([
+        Reminder.claimOccurrence(reminder, 'scheduler-a'),
+        Reminder.claimOccurrence(reminder, 'scheduler-b')
+      ]);
+
+      const claims = [first, second].filter(Boolean);
+      assert.equal(claims.length, 1);
+      assert.equal(claims[0].notifications.lease.offset, 60);
+    });
+
+    it('leaves a leased alert alone until the lease expires', async () => {
+      const reminder = await createDueReminder();
+      assert.ok(await Reminder.claimOccurrence(reminder, 'scheduler-a', 50));
+      assert.equal(await Reminder.claimOccurrence(reminder, 'scheduler-b'), null);
+
+      // The first scheduler died without releasing it
+      await new Promise(resolve => setTimeout(resolve, 60));
+      const claimed = await Reminder.claimOccurrence(reminder, 'scheduler-b');
+      assert.equal(claimed.notifications.lease.owner, 'scheduler-b');
+    });
+
+    it('skips reminders that are not due or were changed', async () => {
+      const later = await createDueReminder({ alerts: [{ offset: 0 }] });
+      assert.equal(await Reminder.claimOccurrence(later, 'scheduler-a'), null);
+
+      const reminder = await createDueReminder();
+      await Reminder.updateOne({ _id: reminder._id }, { $set: { status: 'completed' } });
+      assert.equal(await Reminder.claimOccurrence(reminder, 'scheduler-a'), null);
+    });
+  });
+
+  describe('Reminder#releaseOccurrence', () => {
+    it('moves on to the next alert and drops the lease', async () => {
+      const reminder = await createDueReminder();
+      const claimed = await Reminder.claimOccurrence(reminder, 'scheduler-a');
+
+      assert.equal(await claimed.releaseOccurrence('scheduler-a'), true);
+
+      const saved = await Reminder.findById(reminder._id).lean();
+      assert.equal(saved.notifications.lease, undefined);
+      assert.equal(saved.notifications.lastAlertAt.getTime(), claimed.scheduledTime.getTime() - 60 * MINUTE);
+      assert.equal(saved.notifications.nextAlertAt.getTime(), claimed.scheduledTime.getTime());
+    });
+
+    it('puts a notified snooze back to pending', async () => {
+      const reminder = await createDueReminder({
+        status: 'snoozed',
+        scheduledTime: new Date(Date.now() - 60 * MINUTE),
+        alerts: [{ offset: 0 }],
+        metadata: { snoozeUntil: new Date(Date.now() - MINUTE) }
+      });
+      const claimed = await Reminder.claimOccurrence(reminder, 'scheduler-a');
+
+      assert.equal(await claimed.releaseOccurrence('scheduler-a'), true);
+
+      const saved = await Reminder.findById(reminder._id).lean();
+      assert.equal(saved.status, 'pending');
+      assert.equal(saved.metadata.snoozeUntil, undefined);
+      assert.equal(saved.notifications.nextAlertAt, null);
+    });
+
+    it('keeps a schedule saved while the alert was being sent', async () => {
+      const reminder = await createDueReminder();
+      const claimed = await Reminder.claimOccurrence(reminder, 'scheduler-a');
+
+      const rescheduled = await Reminder.findById(reminder._id);
+      rescheduled.scheduledTime = new Date(Date.now() + 24 * 60 * MINUTE);
+      await rescheduled.save();
+
+      assert.equal(await claimed.releaseOccurrence('scheduler-a'), false);
+
+      const saved = await Reminder.findById(reminder._id).lean();
+      assert.equal(saved.notifications.lease, undefined);
+      assert.equal(saved.notifications.nextAlertAt.getTime(), rescheduled.notifications.nextAlertAt.getTime());
+    });
+
+    it('does nothing for a scheduler whose lease was taken over', async () => {
+      const reminder = await createDueReminder();
+      const stale = await Reminder.claimOccurrence(reminder, 'scheduler-a', 1);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const current = await Reminder.claimOccurrence(reminder, 'scheduler-b');
+
+      assert.equal(await stale.releaseOccurrence('scheduler-a'), false);
+
+      const saved = await Reminder.findById(reminder._id).lean();
+      assert.equal(saved.notifications.lease.owner, 'scheduler-b');
+      assert.equal(await current.releaseOccurrence('scheduler-b'), true);
+    });
+  });
+
+  describe('Reminder#deferOccurrence', () => {
+    it('puts the alert off and drops the lease', async () => {
+      const reminder = await createDueReminder();
+      const claimed = await Reminder.claimOccurrence(reminder, 'scheduler-a');
+      const until = new Date(Date.now() + 10 * MINUTE);
+
+      assert.equal(await claimed.deferOccurrence('scheduler-a', until), true);
+
+      const saved = await Reminder.findById(reminder._id).lean();
+      assert.equal(saved.notifications.lease, undefined);
+      assert.equal(saved.notifications.nextAlertAt.getTime(), until.getTime());
+    });
+  });
+
+  describe('Reminder.claimEscalation', () => {
+    it('lets only one of two schedulers send an escalation', async () => {
+      const reminder = await createDueReminder();
+      await Reminder.startEscalation(reminder, reminder.scheduledTime, new Date(Date.now() - MINUTE));
+      const [due] = await Reminder.findDueEscalations();
+
+      const claims = await Promise.all([
+        Reminder.claimEscalation(due),
+        Reminder.claimEscalation(due)
+      ]);
+
+      assert.deepEqual(claims.sort(), [false, true]);
+    });
+  });
+
+  describe('Lease', () => {
+    it('is held by one owner until it is released', async () => {
+      const [a, b] = await Promise.all([
+        Lease.acquire('scheduler:test', 'scheduler-a', 50),
+        Lease.acquire('scheduler:test', 'scheduler-b', 50)
+      ]);
+      assert.deepEqual([a, b].sort(), [false, true]);
+
+      const winner = a ? 'scheduler-a' : 'scheduler-b';
+      const loser = a ? 'scheduler-b' : 'scheduler-a';
+      assert.equal(await Lease.acquire('scheduler:test', winner, 50), true);
+      assert.equal(await Lease.acquire('scheduler:test', loser, 50), false);
+
+      await Lease.release('scheduler:test', winner);
+      assert.equal(await Lease.acquire('scheduler:test', loser, 50), true);
+    });
+  });
+});
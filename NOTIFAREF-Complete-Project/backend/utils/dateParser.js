@@ -0,0 +1,226 @@
+/**
+ * Find a date and time in free text, in English or Persian, such as an
+ * email subject ("Call Sara tomorrow at 5pm") or "جلسه فردا ساعت ۱۰ صبح".
+ *
+ * Days are worked out on the wall clock of a timezone, as floating UTC
+ * midnights like utils/recurrence.js, and converted back to an instant
+ * at the end. Only the first date and the first time found are used.
+ */
+
+const { toZonedTime, fromZonedTime } = require('./timezone');
+const { toGregorian } = require('./jalali');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Letters or digits on either side mean the match is part of a longer word
+const BEFORE = '(?<![\\p{L}\\p{N}])';
+const AFTER = '(?![\\p{L}\\p{N}])';
+const word = (source) => new RegExp(`${BEFORE}(?:${source})${AFTER}`, 'iu');
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS_EN = 'sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thu|friday|fri|saturday|sat';
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// Persian weekdays, Sunday first; "شنبه" last so it does not shadow the others
+const WEEKDAYS_FA = ['یک ?شنبه', 'دو ?شنبه', 'سه ?شنبه', 'چهار ?شنبه', 'پنج ?شنبه', 'جمعه', 'شنبه'];
+const MERIDIEM = 'a\\.?m\\.?|p\\.?m\\.?|صبح|ظهر|بعد ?از ?ظهر|عصر|شب';
+
+const DURATION_UNITS = {
+  minute: MINUTE_MS, min: MINUTE_MS, 'دقیقه': MINUTE_MS,
+  hour: 60 * MINUTE_MS, hr: 60 * MINUTE_MS, 'ساعت': 60 * MINUTE_MS,
+  day: DAY_MS, 'روز': DAY_MS,
+  week: 7 * DAY_MS, 'هفته': 7 * DAY_MS
+};
+
+/**
+ * Replace Persian and Arabic digits, Arabic letter forms and zero-width
+ * non-joiners, keeping every character at the same index
+ * @param {string} text - Text to normalize
+ */
+const normalizeText = (text) => String(text)
+  .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+  .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+  .replace(/ي/g, 'ی')
+  .replace(/ك/g, 'ک')
+  .replace(/\u200c/g, ' ');
+
+// Convert an hour and a meridiem word to minutes since midnight
+const toMinutes = (hours, minutes = 0, meridiem = '') => {
+  const period = meridiem.toLowerCase().replace(/[.\s]/g, '');
+  let hour = hours;
+
+  if ((period === 'pm' || ['بعدازظهر', 'عصر', 'شب'].includes(period)) && hour < 12) hour += 12;
+  if (period === 'ظهر' && hour < 5) hour += 12;
+  if ((period === 'am' || period === 'صبح') && hour === 12) hour = 0;
+
+  return hour <= 23 && minutes <= 59 ? hour * 60 + minutes : null;
+};
+
+// Day of a month and day without a year: this year, or next year once past
+const upcomingDay = (today, month, day, year) => {
+  const thisYear = new Date(today).getUTCFullYear();
+  const date = Date.UTC(year || thisYear, month, day);
+  return !year && date < today ? Date.UTC(thisYear + 1, month, day) : date;
+};
+
+// Rules are tried in order; each resolves a match to { day } (floating
+// midnight), { instant } or null
+const DATE_RULES = [
+  {
+    // "in 3 days", "in an hour", "۲ ساعت دیگر"
+    pattern: word(`in (\\d+|an?) (minute|min|hour|hr|day|week)s?|(\\d+) (دقیقه|ساعت|روز|هفته) (?:دیگر|بعد)`),
+    resolve: (match, { now, today }) => {
+      const count = match[1] ? (/^\d+$/.test(match[1]) ? Number(match[1]) : 1) : Number(match[3]);
+      const unit = DURATION_UNITS[(match[2] || match[4]).toLowerCase()];
+      return unit < DAY_MS
+        ? { instant: new Date(now.getTime() + count * unit) }
+        : { day: today + count * unit };
+    }
+  },
+  {
+    // 2026-10-20, 2026/10/20, or a Jalali 1405/07/28
+    pattern: word('(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})'),
+    resolve: (match) => {
+      const [year, month, day] = match.slice(1, 4).map(Number);
+      if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+      return { day: year < 1700 ? toGregorian(year, month, day).getTime() : Date.UTC(year, month - 1, day) };
+    }
+  },
+  {
+    // "Oct 20", "October 20th, 2026"
+    pattern: word(`(${MONTHS})\\.? (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?`),
+    resolve: (match, { today }) => ({
+      day: upcomingDay(today, MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()), Number(match[2]), Number(match[3]))
+    })
+  },
+  {
+    // "20 Oct", "20th of October 2026"
+    pattern: word(`(\\d{1,2})(?:st|nd|rd|th)? (?:of )?(${MONTHS})\\.?(?:,? (\\d{4}))?`),
+    resolve: (match, { today }) => ({
+      day: upcomingDay(today, MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()), Number(match[1]), Number(match[3]))
+    })
+  },
+  {
+    pattern: word('(day after tomorrow|پس ?فردا)|(tomorrow|فردا)|(today|امروز)|(tonight|امشب)'),
+    resolve: (match, { today }) => {
+      if (match[1]) return { day: today + 2 * DAY_MS };
+      if (match[2]) return { day: today + DAY_MS };
+      if (match[3]) return { day: today };
+      return { day: today, defaultTime: 20 * 60 };
+    }
+  },
+  {
+    // "friday", "next mon", "on Tuesday", "دوشنبه"; always a day after today
+    pattern: word(`(?:(?:next|on|this) )?(${WEEKDAYS_EN}|${WEEKDAYS_FA.join('|')})(?: (?:هفته )?(?:بعد|آینده))?`),
+    resolve: (match, { today }) => {
+      const name = match[1].toLowerCase();
+      let weekday = WEEKDAY_NAMES.indexOf(name.slice(0, 3));
+      if (weekday === -1) {
+        weekday = WEEKDAYS_FA.findIndex(source => new RegExp(`^(?:${source})$`, 'u').test(name));
+      }
+      const ahead = (weekday - new Date(today).getUTCDay() + 7) % 7 || 7;
+      return { day: today + ahead * DAY_MS };
+    }
+  }
+];
+
+const TIME_RULES = [
+  {
+    // "17:30", "5:30 pm", "ساعت ۱۰:۳۰ صبح"
+    pattern: word(`(?:at |ساعت )?(\\d{1,2}):(\\d{2})(?: ?(${MERIDIEM}))?`),
+    resolve: (match) => toMinutes(Number(match[1]), Number(match[2]), match[3])
+  },
+  {
+    // "5pm", "5 p.m."
+    pattern: new RegExp(`${BEFORE}(?:at )?(\\d{1,2}) ?(a\\.?m\\.?|p\\.?m\\.?)(?![\\p{L}\\p{N}])`, 'iu'),
+    resolve: (match) => toMinutes(Number(match[1]), 0, match[2])
+  },
+  {
+    // "ساعت ۵ عصر", "ساعت ۹"
+    pattern: word(`ساعت (\\d{1,2})(?: (${MERIDIEM}))?`),
+    resolve: (match) => toMinutes(Number(match[1]), 0, match[2])
+  },
+  {
+    pattern: word('(noon|midday)|(midnight)'),
+    resolve: (match) => (match[1] ? 12 * 60 : 0)
+  }
+];
+
+// Find the first rule that matches outside the spans already taken
+const findFirst = (rules, text, context, taken = []) => {
+  for (const rule of rules) {
+    const pattern = new RegExp(rule.pattern.source, `${rule.pattern.flags}g`);
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const span = { start: match.index, end: match.index + match[0].length };
+      if (taken.some(other => span.start < other.end && other.start < span.end)) continue;
+
+      const value = rule.resolve(match, context);
+      if (value !== null) return { value, span };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find a date and time in text
+ * @param {string} text - Text to search
+ * @param {Object} options - { timeZone, now, defaultTime } where
+ *   defaultTime ("HH:mm") is used when only a day is given
+ * @returns {Object|null} { date, hasDate, hasTime, spans } with the
+ *   character ranges that were read, or null when the text has no date
+ *   or time
+ */
+const parseDateTime = (text, options = {}) => {
+  const { timeZone = 'UTC', now = new Date(), defaultTime = '09:00' } = options;
+  const normalized = normalizeText(text);
+  const zonedNow = toZonedTime(now, timeZone).getTime();
+  const context = { now, today: Math.floor(zonedNow / DAY_MS) * DAY_MS };
+
+  const date = findFirst(DATE_RULES, normalized, context);
+  if (date && date.value.instant) {
+    return { date: date.value.instant, hasDate: true, hasTime: true, spans: [date.span] };
+  }
+
+  const time = findFirst(TIME_RULES, normalized, context, date ? [date.span] : []);
+  if (!date && !time) return null;
+
+  const [hours, minutes] = defaultTime.split(':').map(Number);
+  const minutesOfDay = time ? time.value : (date.value.defaultTime ?? hours * 60 + minutes);
+  let wall = (date ? date.value.day : context.today) + minutesOfDay * MINUTE_MS;
+
+  // A time on its own means its next occurrence
+  if (!date && wall <= zonedNow) wall += DAY_MS;
+
+  return {
+    date: fromZonedTime(new Date(wall), timeZone),
+    hasDate: !!date,
+    hasTime: !!time,
+    spans: [date && date.span, time && time.span].filter(Boolean).sort((a, b) => a.start - b.start)
+  };
+};
+
+/**
+ * Remove the ranges read by parseDateTime() from text, e.g. to turn
+ * "Call Sara tomorrow at 5pm" into the title "Call Sara"
+ * @param {string} text - Text that was parsed
+ * @param {Array} spans - Ranges from parseDateTime()
+ */
+const removeSpans = (text, spans) => {
+  let result = String(text);
+
+  [...spans].sort((a, b) => b.start - a.start).forEach(({ start, end }) => {
+    result = `${result.slice(0, start)} ${result.slice(end)}`;
+  });
+
+  return result.replace(/\s+/g, ' ').replace(/\s+([,.;:!?،؛])/g, '$1').trim();
+};
+
+module.exports = {
+  normalizeText,
+  parseDateTime,
+  removeSpans
+};
@@ -0,0 +1,21 @@
+/**
+ * Helpers for building HTML (emails, server-rendered pages).
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} value - Text to escape
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+
+module.exports = {
+  escapeHtml
+};
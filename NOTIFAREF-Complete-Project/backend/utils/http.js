@@ -0,0 +1,183 @@
+/**
+ * Minimal JSON-over-HTTP client on top of Node's http/https modules,
+ * used by outgoing notification channels.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Ranges a request to a user-supplied URL must not reach: unspecified,
+// loopback, private (RFC 1918, unique local), shared, link-local (cloud
+// metadata endpoints), benchmarking, multicast and reserved
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+class HttpError extends Error {
+  constructor(statusCode, body) {
+    super(`HTTP ${statusCode}`);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+class BlockedAddressError extends Error {
+  constructor(hostname) {
+    super(`${hostname} resolves to a private or local address`);
+    this.name = 'BlockedAddressError';
+    this.hostname = hostname;
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise
+ * not on the public internet. IPv4-mapped IPv6 addresses are checked
+ * as IPv4. Anything that is not an IP address counts as private.
+ * @param {string} address - IPv4 or IPv6 address
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup that fails when any address of the host is private, so the
+ * address a socket connects to is the one that was checked
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new BlockedAddressError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// URL hostnames keep the brackets around IPv6 literals
+const hostnameOf = (target) => target.hostname.replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Whether a URL's host resolves only to public addresses
+ * @param {string} url - Absolute URL
+ * @returns {Promise<boolean>}
+ */
+const isPublicUrl = async (url) => {
+  let hostname;
+  try {
+    hostname = hostnameOf(new URL(url));
+  } catch (error) {
+    return false;
+  }
+
+  if (net.isIP(hostname)) return !isPrivateAddress(hostname);
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Send a request and parse a JSON response when there is one.
+ * Non-2xx responses reject with an HttpError. With `publicOnly`, hosts
+ * that resolve to private or local addresses reject with a
+ * BlockedAddressError before anything is sent.
+ * @param {string} url - Absolute URL
+ * @param {Object} options - { method, headers, body, timeout, publicOnly }
+ */
+const request = (url, options = {}) => {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = DEFAULT_TIMEOUT,
+    publicOnly = false
+  } = options;
+
+  const target = new URL(url);
+  const hostname = hostnameOf(target);
+  // IP literals never go through lookup
+  if (publicOnly && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return Promise.reject(new BlockedAddressError(hostname));
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined || typeof body === 'string' || Buffer.isBuffer(body)
+    ? body
+    : JSON.stringify(body);
+
+  const requestHeaders = { ...headers };
+  if (payload !== undefined) {
+    requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const requestOptions = { method, headers: requestHeaders };
+    if (publicOnly) requestOptions.lookup = publicLookup;
+
+    const req = client.request(target, requestOptions, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let data = text;
+
+        if (/json/i.test(res.headers['content-type'] || '')) {
+          try {
+            data = JSON.parse(text);
+          } catch (error) {
+            // Keep the raw text
+          }
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          return reject(new HttpError(res.statusCode, data));
+        }
+
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
+      });
+    });
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms`));
+    });
+    req.on('error', reject);
+
+    if (payload !== undefined) req.write(payload);
+    req.end();
+  });
+};
+
+/**
+ * POST a JSON body
+ * @param {string} url - Absolute URL
+ * @param {Object} body - JSON body
+ * @param {Object} options - { headers, timeout, publicOnly }
+ */
+const postJson = (url, body, options = {}) => request(url, { ...options, method: 'POST', body });
+
+module.exports = {
+  HttpError,
+  BlockedAddressError,
+  isPrivateAddress,
+  isPublicUrl,
+  request,
+  postJson
+};
@@ -0,0 +1,385 @@
+/**
+ * iCalendar (RFC 5545) reading and writing: content lines, text values,
+ * dates, durations and VTIMEZONE definitions.
+ *
+ * Like utils/recurrence.js, local date-times are handled as "floating"
+ * dates whose UTC fields hold the wall-clock time.
+ */
+
+const RecurrenceRule = require('./recurrence');
+const { getOffset } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Content lines are folded after this many octets
+const MAX_LINE_OCTETS = 75;
+// Upper bound on timezone transitions scanned when resolving an offset
+const MAX_TRANSITIONS = 1000;
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped text
+ */
+const unescapeText = (value) => String(value)
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Split a list value (e.g. CATEGORIES) on commas that are not escaped
+ * @param {string} value - Escaped list
+ */
+const splitList = (value) => String(value)
+  .split(/(?<!\\),/)
+  .map(item => unescapeText(item).trim())
+  .filter(Boolean);
+
+/**
+ * Fold a content line into chunks of at most 75 octets, without
+ * splitting a multi-byte character
+ * @param {string} line - Unfolded content line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > MAX_LINE_OCTETS - (chunks.length > 0 ? 1 : 0)) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build a content line, e.g. formatLine('DTSTART', '20261020T090000', { TZID: 'Asia/Tehran' })
+ * @param {string} name - Property name
+ * @param {string} value - Value, already escaped where needed
+ * @param {Object} params - Property parameters
+ */
+const formatLine = (name, value, params = {}) => {
+  const paramText = Object.entries(params)
+    .filter(([, paramValue]) => paramValue !== undefined && paramValue !== null)
+    .map(([key, paramValue]) => {
+      const text = String(paramValue);
+      return `;${key}=${/[:;,]/.test(text) ? `"${text.replace(/"/g, '')}"` : text}`;
+    })
+    .join('');
+
+  return foldLine(`${name}${paramText}:${value}`);
+};
+
+// Split a content line into its name, parameters and value
+const parseLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon <= 0) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+
+  paramParts.forEach(part => {
+    const index = part.indexOf('=');
+    if (index <= 0) return;
+    params[part.slice(0, index).trim().toUpperCase()] = part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+  });
+
+  return { name: name.trim().toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse iCalendar text into its components
+ * @param {string} text - iCalendar data, e.g. the contents of an .ics file
+ * @returns {Array} Top-level components, each { name, properties, components }
+ *   where properties are { name, params, value } with values still escaped
+ */
+const parseCalendar = (text) => {
+  const root = { name: null, properties: [], components: [] };
+  const stack = [root];
+
+  String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .forEach(rawLine => {
+      const line = parseLine(rawLine);
+      if (!line) return;
+
+      const current = stack[stack.length - 1];
+
+      if (line.name === 'BEGIN') {
+        const component = { name: line.value.trim().toUpperCase(), properties: [], components: [] };
+        current.components.push(component);
+        stack.push(component);
+      } else if (line.name === 'END') {
+        // Tolerate unbalanced END lines rather than failing the whole file
+        if (stack.length > 1 && current.name === line.value.trim().toUpperCase()) {
+          stack.pop();
+        }
+      } else {
+        current.properties.push(line);
+      }
+    });
+
+  return root.components;
+};
+
+/**
+ * Get the first property with a name
+ * @param {Object} component - Parsed component
+ * @param {string} name - Property name
+ */
+const getProperty = (component, name) => component.properties.find(property => property.name === name) || null;
+
+/**
+ * Get all properties with a name
+ * @param {Object} component - Parsed component
+ * @param {string} name - Property name
+ */
+const getProperties = (component, name) => component.properties.filter(property => property.name === name);
+
+/**
+ * Find nested components by name, at any depth
+ * @param {Array} components - Parsed components
+ * @param {string} name - Component name, e.g. 'VEVENT'
+ */
+const findComponents = (components, name) => components.flatMap(component => [
+  ...(component.name === name ? [component] : []),
+  ...findComponents(component.components, name)
+]);
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - e.g. 20261020, 20261020T090000 or 20261020T053000Z
+ * @returns {Object|null} { date, utc, allDay } where date is floating
+ *   unless utc is set
+ */
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0, utc] = match;
+  return {
+    date: new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)),
+    utc: !!utc,
+    allDay: match[4] === undefined
+  };
+};
+
+/**
+ * Format a floating date as a local DATE-TIME value (no "Z")
+ * @param {Date} date - Floating date
+ */
+const formatLocalDateTime = (date) => RecurrenceRule.formatDateTime(date).slice(0, -1);
+
+/**
+ * Parse a DURATION value into milliseconds, e.g. -PT15M or P1W
+ * @param {string} value - Duration
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((Number(weeks) * 7 + Number(days)) * 24 * 60 + Number(hours) * 60 + Number(minutes)) * MINUTE_MS +
+    Number(seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Format a number of minutes as a DURATION value
+ * @param {number} minutes - Minutes, negative for "before"
+ */
+const formatDuration = (minutes) => {
+  const sign = minutes < 0 ? '-' : '';
+  const total = Math.abs(minutes);
+
+  if (total === 0) return 'PT0S';
+  if (total % (24 * 60) === 0) return `${sign}P${total / (24 * 60)}D`;
+
+  const hours = Math.floor(total / 60);
+  return `${sign}PT${hours ? `${hours}H` : ''}${total % 60 ? `${total % 60}M` : ''}`;
+};
+
+// Format a UTC offset in milliseconds, e.g. +0330
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+// Parse a UTC offset such as +0330 or -050000 into milliseconds
+const parseOffset = (value) => {
+  const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const ms = ((Number(match[2]) * 60 + Number(match[3])) * 60 + Number(match[4] || 0)) * 1000;
+  return match[1] === '-' ? -ms : ms;
+};
+
+/**
+ * Build a VTIMEZONE for an IANA timezone, listing its UTC offset changes
+ * between two dates, so clients without the IANA database read the
+ * local times correctly
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} from - Earliest date to cover
+ * @param {Date} to - Latest date to cover
+ * @returns {Array} Content lines
+ */
+const buildTimezone = (timeZone, from, to) => {
+  const start = Date.UTC(new Date(from).getUTCFullYear(), 0, 1);
+  const end = Date.UTC(new Date(to).getUTCFullYear() + 1, 0, 1);
+  const observance = (type, instant, offsetFrom, offsetTo) => [
+    `BEGIN:${type}`,
+    `DTSTART:${formatLocalDateTime(new Date(instant + offsetFrom))}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${type}`
+  ];
+
+  let offset = getOffset(new Date(start), timeZone);
+  const lines = ['BEGIN:VTIMEZONE', formatLine('TZID', timeZone), ...observance('STANDARD', start, offset, offset)];
+
+  for (let day = start + DAY_MS; day <= end; day += DAY_MS) {
+    const next = getOffset(new Date(day), timeZone);
+    if (next === offset) continue;
+
+    // Narrow the change down to the minute
+    let low = day - DAY_MS;
+    let high = day;
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.max(Math.floor((high - low) / 2 / MINUTE_MS), 1) * MINUTE_MS;
+      if (getOffset(new Date(middle), timeZone) === offset) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    lines.push(...observance(next > offset ? 'DAYLIGHT' : 'STANDARD', high, offset, next));
+    offset = next;
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Work out the UTC offset a VTIMEZONE gives a local time, from the
+ * STANDARD / DAYLIGHT observance that started last before it. Used for
+ * TZIDs that are not IANA names, e.g. Outlook's "Pacific Standard Time".
+ * @param {Object} vtimezone - Parsed VTIMEZONE component
+ * @param {Date} wall - Floating local time
+ * @returns {number|null} Offset in milliseconds
+ */
+const resolveTimezoneOffset = (vtimezone, wall) => {
+  let latest = null;
+  let earliest = null;
+
+  vtimezone.components
+    .filter(component => ['STANDARD', 'DAYLIGHT'].includes(component.name))
+    .forEach(component => {
+      const dtstart = parseDateValue((getProperty(component, 'DTSTART') || {}).value);
+      const offsetFrom = parseOffset((getProperty(component, 'TZOFFSETFROM') || {}).value);
+      const offsetTo = parseOffset((getProperty(component, 'TZOFFSETTO') || {}).value);
+      if (!dtstart || offsetTo === null) return;
+
+      if (!earliest || dtstart.date < earliest.onset) {
+        earliest = { onset: dtstart.date, offset: offsetFrom === null ? offsetTo : offsetFrom };
+      }
+
+      const onsets = getProperties(component, 'RDATE')
+        .flatMap(property => property.value.split(','))
+        .map(value => parseDateValue(value))
+        .filter(Boolean)
+        .map(value => value.date);
+
+      const rrule = getProperty(component, 'RRULE');
+      if (rrule) {
+        try {
+          const rule = RecurrenceRule.parse(rrule.value);
+          if (rule.until) rule.until = new Date(rule.until.getTime() + (offsetFrom || 0));
+
+          let count = 0;
+          for (const onset of rule.occurrences(dtstart.date)) {
+            if (onset > wall || ++count > MAX_TRANSITIONS) break;
+            onsets.push(onset);
+          }
+        } catch (error) {
+          // An unreadable rule leaves just the first onset
+        }
+      }
+
+      onsets.push(dtstart.date);
+      onsets
+        .filter(onset => onset <= wall)
+        .forEach(onset => {
+          if (!latest || onset > latest.onset) latest = { onset, offset: offsetTo };
+        });
+    });
+
+  const match = latest || earliest;
+  return match ? match.offset : null;
+};
+
+/**
+ * Wrap content lines into a VCALENDAR document
+ * @param {Array} lines - Content lines of the components
+ * @param {Object} properties - Extra calendar properties, e.g. { 'X-WR-CALNAME': 'NOTIFAREF' }
+ */
+const buildCalendar = (lines, properties = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//NOTIFAREF//Reminders//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  ...Object.entries(properties).map(([name, value]) => formatLine(name, escapeText(value))),
+  ...lines,
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  splitList,
+  foldLine,
+  formatLine,
+  parseCalendar,
+  getProperty,
+  getProperties,
+  findComponents,
+  parseDateValue,
+  formatLocalDateTime,
+  parseDuration,
+  formatDuration,
+  buildTimezone,
+  resolveTimezoneOffset,
+  buildCalendar
+};
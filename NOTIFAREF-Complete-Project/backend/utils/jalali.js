@@ -0,0 +1,117 @@
+/**
+ * Jalali (Solar Hijri) calendar conversions.
+ *
+ * Leap years follow the 33-year arithmetic cycle with the published break
+ * years (the same algorithm as jalaali-js). Dates are handled as UTC
+ * midnights, matching the floating dates used by utils/recurrence.js.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BREAKS = [
+  -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
+  1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
+];
+
+const div = (a, b) => Math.trunc(a / b);
+const mod = (a, b) => a - Math.trunc(a / b) * b;
+
+/**
+ * Get leap status and the March day of Nowruz for a Jalali year
+ * @param {number} jy - Jalali year
+ */
+const jalaliCalendar = (jy) => {
+  if (jy < BREAKS[0] || jy >= BREAKS[BREAKS.length - 1]) {
+    throw new Error(`Jalali year out of range: ${jy}`);
+  }
+
+  const gy = jy + 621;
+  let leapJ = -14;
+  let jp = BREAKS[0];
+  let jump = 0;
+
+  for (let i = 1; i < BREAKS.length; i++) {
+    const jm = BREAKS[i];
+    jump = jm - jp;
+    if (jy < jm) break;
+    leapJ += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+    jp = jm;
+  }
+
+  let n = jy - jp;
+  leapJ += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+  if (mod(jump, 33) === 4 && jump - n === 4) leapJ += 1;
+
+  const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+  const march = 20 + leapJ - leapG;
+
+  if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+  let leap = mod(mod(n + 1, 33) - 1, 4);
+  if (leap === -1) leap = 4;
+
+  return { leap, gy, march };
+};
+
+/**
+ * Check whether a Jalali year has 366 days
+ * @param {number} jy - Jalali year
+ */
+const isLeapJalaliYear = (jy) => jalaliCalendar(jy).leap === 0;
+
+/**
+ * Get the number of days in a Jalali month
+ * @param {number} jy - Jalali year
+ * @param {number} jm - Jalali month, 1-12
+ */
+const jalaliMonthLength = (jy, jm) => {
+  if (jm <= 6) return 31;
+  if (jm <= 11) return 30;
+  return isLeapJalaliYear(jy) ? 30 : 29;
+};
+
+const nowruz = (jy) => {
+  const { gy, march } = jalaliCalendar(jy);
+  return Date.UTC(gy, 2, march);
+};
+
+/**
+ * Convert a Jalali date to a Gregorian UTC midnight.
+ * Months outside 1-12 roll over into neighbouring years.
+ * @param {number} jy - Jalali year
+ * @param {number} jm - Jalali month, 1-12
+ * @param {number} jd - Jalali day of month
+ */
+const toGregorian = (jy, jm, jd) => {
+  const year = jy + Math.floor((jm - 1) / 12);
+  const month = ((jm - 1) % 12 + 12) % 12 + 1;
+  const dayOfYear = (month <= 7 ? (month - 1) * 31 : 186 + (month - 7) * 30) + jd - 1;
+
+  return new Date(nowruz(year) + dayOfYear * DAY_MS);
+};
+
+/**
+ * Convert a date to its Jalali year, month and day (read from UTC fields)
+ * @param {Date} date - Date to convert
+ */
+const toJalali = (date) => {
+  const d = new Date(date);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+
+  let jy = d.getUTCFullYear() - 621;
+  if (day < nowruz(jy)) jy -= 1;
+
+  const dayOfYear = Math.round((day - nowruz(jy)) / DAY_MS);
+
+  if (dayOfYear < 186) {
+    return { jy, jm: 1 + Math.floor(dayOfYear / 31), jd: 1 + (dayOfYear % 31) };
+  }
+
+  const rest = dayOfYear - 186;
+  return { jy, jm: 7 + Math.floor(rest / 30), jd: 1 + (rest % 30) };
+};
+
+module.exports = {
+  isLeapJalaliYear,
+  jalaliMonthLength,
+  toGregorian,
+  toJalali
+};
@@ -0,0 +1,204 @@
+/**
+ * Minimal RFC 822 / MIME message parser for inbound email: headers with
+ * encoded words, multipart bodies, base64 and quoted-printable transfer
+ * encodings and charsets. Attachments are described but not kept.
+ *
+ * Raw messages are handled as latin1 strings, which map bytes to
+ * characters one to one, and decoded into text only at the leaves.
+ */
+
+// Nested multiparts deeper than this are ignored
+const MAX_DEPTH = 10;
+
+// Decode bytes in a charset, falling back to UTF-8 for unknown ones
+const decodeCharset = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+const decodeQuotedPrintable = (value) => Buffer.from(
+  value
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+  'latin1'
+);
+
+/**
+ * Decode RFC 2047 encoded words, e.g. "=?UTF-8?B?...?="
+ * @param {string} value - Raw header value
+ */
+const decodeHeader = (value) => value
+  // Whitespace between adjacent encoded words is not part of the text
+  .replace(/(\?=)\s+(=\?)/g, '$1$2')
+  .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text.replace(/_/g, ' '));
+    return decodeCharset(bytes, charset.replace(/\*.*$/, ''));
+  });
+
+// Split a part into its header block and body
+const splitPart = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match
+    ? { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { head: raw, body: '' };
+};
+
+// Parse a header block into lower-cased names mapped to lists of values
+const parseHeaders = (head) => {
+  const headers = {};
+
+  head
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const index = line.indexOf(':');
+      if (index <= 0) return;
+
+      const name = line.slice(0, index).trim().toLowerCase();
+      (headers[name] = headers[name] || []).push(line.slice(index + 1).trim());
+    });
+
+  return headers;
+};
+
+/**
+ * Parse a structured header such as Content-Type into its value and
+ * parameters, including RFC 2231 extended ones (filename*=UTF-8''...)
+ * @param {string} value - Header value
+ */
+const parseHeaderParams = (value = '') => {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+
+  rest.forEach(param => {
+    const index = param.indexOf('=');
+    if (index <= 0) return;
+
+    let name = param.slice(0, index).trim().toLowerCase();
+    let paramValue = param.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    if (name.endsWith('*')) {
+      name = name.slice(0, -1);
+      const [, charset, encoded] = /^([^']*)'[^']*'(.*)$/.exec(paramValue) || [null, 'utf-8', paramValue];
+      const bytes = encoded.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      paramValue = decodeCharset(Buffer.from(bytes, 'latin1'), charset || 'utf-8');
+    }
+    params[name] = decodeHeader(paramValue);
+  });
+
+  return { value: main.trim().toLowerCase(), params };
+};
+
+/**
+ * Extract the email addresses from an address header
+ * @param {string} value - Header value, e.g. "Sara <sara@example.com>, bob@example.com"
+ */
+const parseAddresses = (value = '') => {
+  const addresses = value.match(/[^\s<>,;"()]+@[^\s<>,;"()]+/g) || [];
+  return addresses.map(address => address.toLowerCase());
+};
+
+/**
+ * Turn an HTML body into plain text
+ * @param {string} html - HTML
+ */
+const htmlToText = (html) => html
+  .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Walk a MIME part, collecting text bodies and attachments into `result`
+const walkPart = (raw, result, depth = 0) => {
+  const { head, body } = splitPart(raw);
+  const headers = parseHeaders(head);
+  const type = parseHeaderParams((headers['content-type'] || ['text/plain'])[0]);
+  const disposition = parseHeaderParams((headers['content-disposition'] || [''])[0]);
+  const encoding = ((headers['content-transfer-encoding'] || [''])[0]).toLowerCase();
+
+  if (type.value.startsWith('multipart/') && type.params.boundary && depth < MAX_DEPTH) {
+    const delimiter = `--${type.params.boundary}`;
+    const parts = body.split(new RegExp(`\\r?\\n?${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?\\n?`));
+
+    // The first chunk is the preamble and the last the epilogue
+    parts.slice(1, -1).forEach(part => walkPart(part, result, depth + 1));
+    return;
+  }
+
+  let bytes;
+  if (encoding === 'base64') {
+    bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(body);
+  } else {
+    bytes = Buffer.from(body, 'latin1');
+  }
+
+  const filename = disposition.params.filename || type.params.name;
+  const isAttachment = disposition.value === 'attachment' || !!filename ||
+    !['text/plain', 'text/html'].includes(type.value);
+
+  if (isAttachment) {
+    result.attachments.push({
+      filename: filename || 'attachment',
+      contentType: type.value,
+      size: bytes.length
+    });
+  } else if (type.value === 'text/html' && result.html === null) {
+    result.html = decodeCharset(bytes, type.params.charset);
+  } else if (type.value === 'text/plain' && result.text === null) {
+    result.text = decodeCharset(bytes, type.params.charset);
+  }
+};
+
+/**
+ * Parse a raw RFC 822 message
+ * @param {Buffer|string} raw - Message source
+ * @returns {Object} { headers, messageId, subject, from, to, date, text,
+ *   html, attachments }; `text` falls back to the HTML body as text
+ */
+const parseMessage = (raw) => {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw), 'utf8').toString('latin1');
+  const { head } = splitPart(source);
+  const headers = parseHeaders(head);
+  // Headers may also carry raw UTF-8 rather than encoded words
+  const read = (value) => decodeHeader(decodeCharset(Buffer.from(value, 'latin1')));
+  const header = (name) => (headers[name] ? read(headers[name][0]) : '');
+  const result = { text: null, html: null, attachments: [] };
+
+  walkPart(source, result);
+
+  const date = new Date(header('date'));
+
+  return {
+    headers,
+    messageId: header('message-id').replace(/^<|>$/g, '') || null,
+    subject: header('subject').replace(/\s+/g, ' ').trim(),
+    from: parseAddresses(header('from'))[0] || null,
+    to: ['to', 'cc', 'delivered-to', 'x-original-to']
+      .flatMap(name => (headers[name] || []).flatMap(value => parseAddresses(read(value)))),
+    date: isNaN(date) ? null : date,
+    text: (result.text !== null ? result.text : (result.html !== null ? htmlToText(result.html) : '')).replace(/\r\n/g, '\n').trim(),
+    html: result.html,
+    attachments: result.attachments
+  };
+};
+
+module.exports = {
+  decodeHeader,
+  parseAddresses,
+  parseMessage
+};
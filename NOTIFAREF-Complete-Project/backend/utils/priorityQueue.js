@@ -0,0 +1,73 @@
+/**
+ * Binary min-heap ordered by a comparator.
+ */
+class PriorityQueue {
+  /**
+   * @param {Function} compare - (a, b) => negative when a comes first
+   */
+  constructor(compare = (a, b) => a - b) {
+    this.compare = compare;
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  peek() {
+    return this.heap[0];
+  }
+
+  push(item) {
+    this.heap.push(item);
+    this.siftUp(this.heap.length - 1);
+    return this;
+  }
+
+  pop() {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.siftDown(0);
+    }
+
+    return top;
+  }
+
+  clear() {
+    this.heap = [];
+  }
+
+  siftUp(index) {
+    const { heap } = this;
+
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(heap[index], heap[parent]) >= 0) break;
+
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const { heap } = this;
+
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+
+      if (left < heap.length && this.compare(heap[left], heap[smallest]) < 0) smallest = left;
+      if (right < heap.length && this.compare(heap[right], heap[smallest]) < 0) smallest = right;
+      if (smallest === index) break;
+
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+  }
+}
+
+module.exports = PriorityQueue;
@@ -0,0 +1,181 @@
+/**
+ * Quick-add: read a one-line reminder such as
+ * "call mom tomorrow at 6pm #family !high every week" or
+ * "فردا ساعت ۹ جلسه" into reminder fields.
+ *
+ * Tags (#tag), priority (!high) and recurrence ("every week", "هر هفته")
+ * are taken out first, the date and time are read from what is left with
+ * utils/dateParser.js, and the remaining words become the title.
+ */
+
+const { normalizeText, parseDateTime, removeSpans } = require('./dateParser');
+const { toZonedTime, fromZonedTime } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIME = '09:00';
+
+const BEFORE = '(?<![\\p{L}\\p{N}])';
+const AFTER = '(?![\\p{L}\\p{N}])';
+
+const PRIORITIES = {
+  low: 'low', 'کم': 'low', 'پایین': 'low',
+  medium: 'medium', 'متوسط': 'medium',
+  high: 'high', 'بالا': 'high', 'مهم': 'high',
+  urgent: 'urgent', 'فوری': 'urgent'
+};
+
+const FREQUENCIES = {
+  day: 'daily', 'روز': 'daily',
+  week: 'weekly', 'هفته': 'weekly',
+  month: 'monthly', 'ماه': 'monthly',
+  year: 'yearly', 'سال': 'yearly'
+};
+
+const ADVERBS = {
+  daily: 'daily', 'روزانه': 'daily',
+  weekly: 'weekly', 'هفتگی': 'weekly',
+  monthly: 'monthly', 'ماهانه': 'monthly', 'ماهیانه': 'monthly',
+  yearly: 'yearly', annually: 'yearly', 'سالانه': 'yearly', 'سالیانه': 'yearly'
+};
+
+// Sunday first, matching Date#getUTCDay()
+const WEEKDAYS = [
+  'sun(?:day)?|یک ?شنبه',
+  'mon(?:day)?|دو ?شنبه',
+  'tue(?:s(?:day)?)?|سه ?شنبه',
+  'wed(?:nesday)?|چهار ?شنبه',
+  'thu(?:r(?:s(?:day)?)?)?|پنج ?شنبه',
+  'fri(?:day)?|جمعه',
+  'sat(?:urday)?|شنبه'
+];
+const WEEKDAY = WEEKDAYS.join('|');
+
+const TAG_PATTERN = /#([\p{L}\p{N}_-]+)/gu;
+const PRIORITY_PATTERN = new RegExp(`${BEFORE}!(${Object.keys(PRIORITIES).join('|')})${AFTER}`, 'giu');
+
+const RECURRENCE_RULES = [
+  {
+    // "every weekday", "every workday"
+    pattern: new RegExp(`${BEFORE}every (?:weekday|workday)s?${AFTER}`, 'iu'),
+    resolve: () => ({ type: 'weekly', interval: 1, daysOfWeek: [1, 2, 3, 4, 5] })
+  },
+  {
+    // "every monday and thursday", "هر شنبه و سه شنبه"
+    pattern: new RegExp(`${BEFORE}(?:every|هر) ((?:${WEEKDAY})(?:(?:,| and| و|،) ?(?:${WEEKDAY}))*)${AFTER}`, 'iu'),
+    resolve: (match) => ({
+      type: 'weekly',
+      interval: 1,
+      daysOfWeek: match[1]
+        .split(/,|،| and | و /)
+        .map(name => WEEKDAYS.findIndex(source => new RegExp(`^(?:${source})$`, 'iu').test(name.trim())))
+        .filter((weekday, index, all) => weekday !== -1 && all.indexOf(weekday) === index)
+        .sort((a, b) => a - b)
+    })
+  },
+  {
+    // "every 2 weeks", "every month", "هر ۲ روز", "هر ماه"
+    pattern: new RegExp(`${BEFORE}(?:every|هر) (?:(\\d+) )?(day|week|month|year|روز|هفته|ماه|سال)s?${AFTER}`, 'iu'),
+    resolve: (match) => ({
+      type: FREQUENCIES[match[2].toLowerCase()],
+      interval: match[1] ? Math.max(Number(match[1]), 1) : 1
+    })
+  },
+  {
+    pattern: new RegExp(`${BEFORE}(${Object.keys(ADVERBS).join('|')})${AFTER}`, 'iu'),
+    resolve: (match) => ({ type: ADVERBS[match[1].toLowerCase()], interval: 1 })
+  }
+];
+
+// Blank out ranges of text, keeping every other character at its index
+const blank = (text, spans) => spans.reduce(
+  (result, { start, end }) => result.slice(0, start) + ' '.repeat(end - start) + result.slice(end),
+  text
+);
+
+// Move a date forward, keeping its wall-clock time, to the first of the
+// given weekdays that is still ahead
+const moveToWeekday = (date, daysOfWeek, timeZone, now) => {
+  let wall = toZonedTime(date, timeZone).getTime();
+
+  for (let i = 0; i < 8; i++) {
+    const candidate = fromZonedTime(new Date(wall), timeZone);
+    if (daysOfWeek.includes(new Date(wall).getUTCDay()) && candidate > now) return candidate;
+    wall += DAY_MS;
+  }
+
+  return date;
+};
+
+/**
+ * Read a quick-add line into reminder fields
+ * @param {string} text - Quick-add text
+ * @param {Object} options - { timeZone, now }
+ * @returns {Object} { title, scheduledTime, recurrence, tags, priority,
+ *   matches } where scheduledTime is null when no time could be found
+ *   and matches lists the recognized pieces of text for previews
+ */
+const parseQuickAdd = (text, options = {}) => {
+  const { timeZone = 'UTC', now = new Date() } = options;
+  const original = String(text).trim();
+  const normalized = normalizeText(original);
+  const spans = [];
+  const matches = [];
+  const take = (type, start, end) => {
+    spans.push({ start, end });
+    matches.push({ type, text: original.slice(start, end) });
+  };
+
+  const tags = [];
+  for (const match of normalized.matchAll(TAG_PATTERN)) {
+    const tag = match[1].toLowerCase().slice(0, 50);
+    if (!tags.includes(tag)) tags.push(tag);
+    take('tag', match.index, match.index + match[0].length);
+  }
+
+  let priority = null;
+  for (const match of normalized.matchAll(PRIORITY_PATTERN)) {
+    priority = priority || PRIORITIES[match[1].toLowerCase()];
+    take('priority', match.index, match.index + match[0].length);
+  }
+
+  let recurrence = null;
+  for (const rule of RECURRENCE_RULES) {
+    const match = rule.pattern.exec(normalized);
+    if (!match) continue;
+
+    recurrence = rule.resolve(match);
+    // Persian months and years follow the Persian calendar
+    if (/[؀-ۿ]/.test(match[0]) && ['monthly', 'yearly'].includes(recurrence.type)) {
+      recurrence.calendar = 'jalali';
+    }
+    take('recurrence', match.index, match.index + match[0].length);
+    break;
+  }
+
+  const parsed = parseDateTime(blank(normalized, spans), { timeZone, now, defaultTime: DEFAULT_TIME });
+  let scheduledTime = parsed ? parsed.date : null;
+  if (parsed) {
+    parsed.spans.forEach(({ start, end }) => take('date', start, end));
+  }
+
+  // A series without a time starts at its first occurrence
+  if (!scheduledTime && recurrence) {
+    scheduledTime = parseDateTime(DEFAULT_TIME, { timeZone, now }).date;
+  }
+  if (scheduledTime && recurrence && recurrence.daysOfWeek && !(parsed && parsed.hasDate)) {
+    scheduledTime = moveToWeekday(scheduledTime, recurrence.daysOfWeek, timeZone, now);
+  }
+
+  return {
+    title: removeSpans(original, spans).replace(/^[\s,،:;-]+|[\s,،:;-]+$/g, '').slice(0, 200),
+    scheduledTime,
+    recurrence: recurrence || { type: 'none' },
+    tags,
+    priority: priority || 'medium',
+    matches
+  };
+};
+
+module.exports = {
+  parseQuickAdd
+};
@@ -0,0 +1,87 @@
+/**
+ * Quiet hours: weekly windows on a user's wall clock during which
+ * notifications are held back or sent silently.
+ *
+ * A window is { days, start, end } with times as "HH:mm". `days` are the
+ * weekdays (0 = Sunday) the window starts on; a window whose end is not
+ * after its start runs past midnight into the next day.
+ */
+
+const { toZonedTime, fromZonedTime } = require('./timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Windows that chain into each other are followed at most this many times
+const MAX_CHAINED_WINDOWS = 14;
+
+/**
+ * Check whether a string is a valid "HH:mm" time
+ * @param {string} value - Time of day
+ */
+const isValidTime = (value) => TIME_PATTERN.test(value);
+
+// Minutes since midnight of an "HH:mm" time
+const toMinutes = (value) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Get the end of the quiet window containing an instant
+ * @param {Array} windows - Quiet windows
+ * @param {string} timeZone - Timezone of the windows
+ * @param {Date} date - Instant
+ * @returns {Date|null} End of the window, or null outside quiet hours
+ */
+const getWindowEnd = (windows, timeZone, date) => {
+  const zoned = toZonedTime(date, timeZone).getTime();
+  const today = Math.floor(zoned / DAY_MS) * DAY_MS;
+  let end = null;
+
+  for (const window of windows) {
+    if (!isValidTime(window.start) || !isValidTime(window.end)) continue;
+
+    const start = toMinutes(window.start);
+    const length = (toMinutes(window.end) - start + 24 * 60) % (24 * 60) || 24 * 60;
+
+    // The window started either today or, past midnight, yesterday
+    for (const day of [today, today - DAY_MS]) {
+      if (!window.days.includes(new Date(day).getUTCDay())) continue;
+
+      const windowStart = day + start * MINUTE_MS;
+      const windowEnd = windowStart + length * MINUTE_MS;
+      if (zoned >= windowStart && zoned < windowEnd && (end === null || windowEnd > end)) {
+        end = windowEnd;
+      }
+    }
+  }
+
+  return end === null ? null : fromZonedTime(new Date(end), timeZone);
+};
+
+/**
+ * Get the time quiet hours end, following windows that start right
+ * where the previous one ends
+ * @param {Array} windows - Quiet windows
+ * @param {string} timeZone - Timezone of the windows
+ * @param {Date} date - Instant
+ * @returns {Date|null} End of quiet hours, or null outside them
+ */
+const getQuietUntil = (windows, timeZone, date = new Date()) => {
+  let until = null;
+  let next = getWindowEnd(windows, timeZone, date);
+
+  for (let i = 0; next && i < MAX_CHAINED_WINDOWS; i++) {
+    until = next;
+    next = getWindowEnd(windows, timeZone, until);
+  }
+
+  return until;
+};
+
+module.exports = {
+  isValidTime,
+  getQuietUntil
+};
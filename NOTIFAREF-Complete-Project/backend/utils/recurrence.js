@@ -0,0 +1,553 @@
+/**
+ * RFC 5545 recurrence rules (RRULE) for reminders, with the RFC 7529
+ * RSCALE extension for Solar Hijri (PERSIAN) monthly and yearly rules.
+ *
+ * Dates passed to and returned from the expansion methods are "floating":
+ * their UTC fields hold the wall-clock time of the series.
+ */
+
+const { jalaliMonthLength, toGregorian, toJalali } = require('./jalali');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SCALES = ['GREGORIAN', 'PERSIAN'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on periods scanned, so impossible rules (e.g. Feb 30) terminate
+const MAX_PERIODS = 10000;
+
+const parseInteger = (value, name, min, max) => {
+  if (!/^[+-]?\d+$/.test(value)) {
+    throw new Error(`${name} must be an integer`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < min || number > max || number === 0) {
+    throw new Error(`${name} is out of range: ${value}`);
+  }
+
+  return number;
+};
+
+const parseWeekday = (value) => {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid BYDAY value: ${value}`);
+  }
+
+  return {
+    weekday: WEEKDAYS.indexOf(match[2]),
+    n: match[1] ? parseInteger(match[1], 'BYDAY ordinal', -53, 53) : null
+  };
+};
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+const startOfDay = (date) => new Date(Date.UTC(
+  date.getUTCFullYear(),
+  date.getUTCMonth(),
+  date.getUTCDate()
+));
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const dayRange = (first, count) => {
+  const days = [];
+  for (let i = 0; i < count; i++) {
+    days.push(new Date(first.getTime() + i * DAY_MS));
+  }
+  return days;
+};
+
+// Month and year arithmetic for each supported RSCALE
+const CALENDARS = {
+  GREGORIAN: {
+    monthStart: day => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1)),
+    yearStart: day => new Date(Date.UTC(day.getUTCFullYear(), 0, 1)),
+    addMonths: (monthStart, n) => new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + n, 1)),
+    addYears: (yearStart, n) => new Date(Date.UTC(yearStart.getUTCFullYear() + n, 0, 1)),
+    monthOfYear: (yearStart, month) => new Date(Date.UTC(yearStart.getUTCFullYear(), month - 1, 1)),
+    month: day => day.getUTCMonth() + 1,
+    date: day => day.getUTCDate(),
+    monthLength: day => daysInMonth(day.getUTCFullYear(), day.getUTCMonth())
+  },
+  PERSIAN: {
+    monthStart: (day) => {
+      const { jy, jm } = toJalali(day);
+      return toGregorian(jy, jm, 1);
+    },
+    yearStart: day => toGregorian(toJalali(day).jy, 1, 1),
+    addMonths: (monthStart, n) => {
+      const { jy, jm } = toJalali(monthStart);
+      return toGregorian(jy, jm + n, 1);
+    },
+    addYears: (yearStart, n) => toGregorian(toJalali(yearStart).jy + n, 1, 1),
+    monthOfYear: (yearStart, month) => toGregorian(toJalali(yearStart).jy, month, 1),
+    month: day => toJalali(day).jm,
+    date: day => toJalali(day).jd,
+    monthLength: (day) => {
+      const { jy, jm } = toJalali(day);
+      return jalaliMonthLength(jy, jm);
+    }
+  }
+};
+
+class RecurrenceRule {
+  /**
+   * @param {Object} options - Rule parts
+   * @param {string} options.freq - DAILY, WEEKLY, MONTHLY or YEARLY
+   * @param {number} options.interval - Periods between occurrences
+   * @param {Array} options.byDay - [{ weekday: 0-6, n: ordinal or null }]
+   * @param {Array} options.byMonthDay - Days of month, negative counts from the end
+   * @param {Array} options.byMonth - Months, 1-12
+   * @param {Array} options.bySetPos - Positions within each period's occurrence set
+   * @param {number} options.count - Total number of occurrences
+   * @param {Date} options.until - Last possible occurrence
+   * @param {number} options.wkst - First day of the week, 0-6
+   * @param {string} options.rscale - Calendar for months and years, GREGORIAN or PERSIAN
+   */
+  constructor(options = {}) {
+    this.freq = options.freq;
+    this.interval = options.interval || 1;
+    this.byDay = options.byDay || [];
+    this.byMonthDay = options.byMonthDay || [];
+    this.byMonth = options.byMonth || [];
+    this.bySetPos = options.bySetPos || [];
+    this.count = options.count || null;
+    this.until = options.until || null;
+    this.wkst = options.wkst === undefined ? 1 : options.wkst;
+    this.rscale = options.rscale || 'GREGORIAN';
+
+    this.validate();
+  }
+
+  /**
+   * Parse an RRULE value such as "FREQ=MONTHLY;BYDAY=-1FR"
+   * @param {string} value - Rule, with or without the "RRULE:" prefix
+   */
+  static parse(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error('Recurrence rule must be a non-empty string');
+    }
+
+    const options = {};
+    const parts = value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+    for (const part of parts) {
+      const [rawKey, rawValue] = part.split('=');
+      if (!rawValue) {
+        throw new Error(`Invalid recurrence rule part: ${part}`);
+      }
+
+      const key = rawKey.trim().toUpperCase();
+      const val = rawValue.trim().toUpperCase();
+
+      switch (key) {
+        case 'FREQ':
+          options.freq = val;
+          break;
+        case 'INTERVAL':
+          options.interval = parseInteger(val, key, 1, 1000);
+          break;
+        case 'COUNT':
+          options.count = parseInteger(val, key, 1, 10000);
+          break;
+        case 'UNTIL':
+          options.until = RecurrenceRule.parseDateTime(val);
+          break;
+        case 'BYDAY':
+          options.byDay = val.split(',').map(parseWeekday);
+          break;
+        case 'BYMONTHDAY':
+          options.byMonthDay = val.split(',').map(v => parseInteger(v, key, -31, 31));
+          break;
+        case 'BYMONTH':
+          options.byMonth = val.split(',').map(v => parseInteger(v, key, 1, 12));
+          break;
+        case 'BYSETPOS':
+          options.bySetPos = val.split(',').map(v => parseInteger(v, key, -366, 366));
+          break;
+        case 'RSCALE':
+          options.rscale = val;
+          break;
+        case 'SKIP':
+          // Invalid dates (e.g. 30 Esfand in common years) are always omitted
+          if (val !== 'OMIT') {
+            throw new Error(`Unsupported SKIP value: ${val}`);
+          }
+          break;
+        case 'WKST':
+          options.wkst = WEEKDAYS.indexOf(val);
+          if (options.wkst === -1) {
+            throw new Error(`Invalid WKST value: ${val}`);
+          }
+          break;
+        default:
+          throw new Error(`Unsupported recurrence rule part: ${key}`);
+      }
+    }
+
+    return new RecurrenceRule(options);
+  }
+
+  /**
+   * Build a rule from the legacy type/interval/daysOfWeek fields
+   * @param {Object} recurrence - Recurrence object from reminder
+   */
+  static fromLegacy(recurrence) {
+    if (!recurrence || !recurrence.type || recurrence.type === 'none') {
+      return null;
+    }
+
+    const options = {
+      freq: recurrence.type.toUpperCase(),
+      interval: recurrence.interval || 1,
+      rscale: recurrence.calendar === 'jalali' ? 'PERSIAN' : 'GREGORIAN'
+    };
+
+    if (['daily', 'weekly'].includes(recurrence.type) &&
+        recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
+      options.byDay = recurrence.daysOfWeek.map(weekday => ({ weekday, n: null }));
+    }
+
+    // COUNT and UNTIL are mutually exclusive; the end date wins
+    if (recurrence.endDate) {
+      options.until = new Date(recurrence.endDate);
+    } else if (recurrence.maxOccurrences) {
+      options.count = recurrence.maxOccurrences;
+    }
+
+    return new RecurrenceRule(options);
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME value (e.g. 20250101 or 20250101T090000Z)
+   * @param {string} value - iCalendar date value
+   */
+  static parseDateTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) {
+      throw new Error(`Invalid date value: ${value}`);
+    }
+
+    const [, year, month, day, hours = 23, minutes = 59, seconds = 59] = match;
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+
+  /**
+   * Format a date as an iCalendar UTC DATE-TIME value
+   * @param {Date} date - Date to format
+   */
+  static formatDateTime(date) {
+    const d = new Date(date);
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+      `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+  }
+
+  /**
+   * Check the rule parts are consistent with each other
+   */
+  validate() {
+    if (!FREQUENCIES.includes(this.freq)) {
+      throw new Error(`Unsupported recurrence frequency: ${this.freq}`);
+    }
+
+    if (!SCALES.includes(this.rscale)) {
+      throw new Error(`Unsupported calendar scale: ${this.rscale}`);
+    }
+
+    if (this.count && this.until) {
+      throw new Error('COUNT and UNTIL cannot both be set');
+    }
+
+    if (['DAILY', 'WEEKLY'].includes(this.freq) && this.byDay.some(entry => entry.n !== null)) {
+      throw new Error(`BYDAY ordinals are not allowed with FREQ=${this.freq}`);
+    }
+
+    if (this.freq === 'WEEKLY' && this.byMonthDay.length > 0) {
+      throw new Error('BYMONTHDAY is not allowed with FREQ=WEEKLY');
+    }
+
+    if (this.bySetPos.length > 0 &&
+        !this.byDay.length && !this.byMonthDay.length && !this.byMonth.length) {
+      throw new Error('BYSETPOS requires another BYxxx rule part');
+    }
+  }
+
+  /**
+   * Serialize the rule as an RRULE value (without the "RRULE:" prefix)
+   */
+  toString() {
+    const parts = this.rscale !== 'GREGORIAN' ? [`RSCALE=${this.rscale}`] : [];
+
+    parts.push(`FREQ=${this.freq}`);
+
+    if (this.interval !== 1) parts.push(`INTERVAL=${this.interval}`);
+    if (this.byMonth.length) parts.push(`BYMONTH=${this.byMonth.join(',')}`);
+    if (this.byMonthDay.length) parts.push(`BYMONTHDAY=${this.byMonthDay.join(',')}`);
+    if (this.byDay.length) {
+      parts.push(`BYDAY=${this.byDay.map(entry => `${entry.n || ''}${WEEKDAYS[entry.weekday]}`).join(',')}`);
+    }
+    if (this.bySetPos.length) parts.push(`BYSETPOS=${this.bySetPos.join(',')}`);
+    if (this.wkst !== 1) parts.push(`WKST=${WEEKDAYS[this.wkst]}`);
+    if (this.count) parts.push(`COUNT=${this.count}`);
+    if (this.until) parts.push(`UNTIL=${RecurrenceRule.formatDateTime(this.until)}`);
+
+    return parts.join(';');
+  }
+
+  /**
+   * Calendar used for month and year arithmetic
+   */
+  get calendar() {
+    return CALENDARS[this.rscale];
+  }
+
+  /**
+   * Iterate over the occurrences of a series in chronological order.
+   * The series start always counts as the first occurrence.
+   * @param {Date} dtstart - First occurrence of the series
+   */
+  *occurrences(dtstart) {
+    const start = new Date(dtstart);
+    let emitted = 0;
+
+    if (this.until && start > this.until) return;
+    yield start;
+    emitted++;
+    if (this.count && emitted >= this.count) return;
+
+    let period = this.getPeriodStart(start);
+
+    for (let i = 0; i < MAX_PERIODS; i++) {
+      for (const date of this.expandPeriod(period, start)) {
+        if (date <= start) continue;
+        if (this.until && date > this.until) return;
+
+        yield date;
+        emitted++;
+        if (this.count && emitted >= this.count) return;
+      }
+
+      period = this.getNextPeriod(period);
+    }
+  }
+
+  /**
+   * Get the first occurrence strictly after a date, skipping exceptions
+   * @param {Date} dtstart - First occurrence of the series
+   * @param {Date} after - Reference date
+   * @param {Array} exdates - Excluded occurrences
+   */
+  next(dtstart, after, exdates = []) {
+    const excluded = new Set(exdates.map(date => new Date(date).getTime()));
+    const reference = new Date(after);
+
+    for (const date of this.occurrences(dtstart)) {
+      if (date > reference && !excluded.has(date.getTime())) {
+        return date;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get occurrences within a date range, skipping exceptions
+   * @param {Date} dtstart - First occurrence of the series
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (inclusive)
+   * @param {Array} exdates - Excluded occurrences
+   * @param {number} limit - Maximum number of occurrences to return
+   */
+  between(dtstart, from, to, exdates = [], limit = 100) {
+    const excluded = new Set(exdates.map(date => new Date(date).getTime()));
+    const rangeStart = new Date(from);
+    const rangeEnd = new Date(to);
+    const results = [];
+
+    for (const date of this.occurrences(dtstart)) {
+      if (date > rangeEnd || results.length >= limit) break;
+      if (date >= rangeStart && !excluded.has(date.getTime())) {
+        results.push(date);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the midnight starting the period that contains a date
+   * @param {Date} date - Date within the period
+   */
+  getPeriodStart(date) {
+    const day = startOfDay(date);
+
+    switch (this.freq) {
+      case 'WEEKLY': {
+        const offset = (day.getUTCDay() - this.wkst + 7) % 7;
+        return new Date(day.getTime() - offset * DAY_MS);
+      }
+      case 'MONTHLY':
+        return this.calendar.monthStart(day);
+      case 'YEARLY':
+        return this.calendar.yearStart(day);
+      default:
+        return day;
+    }
+  }
+
+  /**
+   * Advance a period start by the rule interval
+   * @param {Date} period - Current period start
+   */
+  getNextPeriod(period) {
+    switch (this.freq) {
+      case 'WEEKLY':
+        return new Date(period.getTime() + 7 * this.interval * DAY_MS);
+      case 'MONTHLY':
+        return this.calendar.addMonths(period, this.interval);
+      case 'YEARLY':
+        return this.calendar.addYears(period, this.interval);
+      default:
+        return new Date(period.getTime() + this.interval * DAY_MS);
+    }
+  }
+
+  /**
+   * Expand one period into its sorted occurrences
+   * @param {Date} period - Period start
+   * @param {Date} dtstart - First occurrence of the series
+   */
+  expandPeriod(period, dtstart) {
+    let days;
+
+    switch (this.freq) {
+      case 'WEEKLY':
+        days = dayRange(period, 7).filter(day => this.byDay.length
+          ? this.byDay.some(entry => entry.weekday === day.getUTCDay())
+          : day.getUTCDay() === dtstart.getUTCDay());
+        break;
+      case 'MONTHLY':
+        days = this.expandMonth(period, dtstart);
+        break;
+      case 'YEARLY':
+        days = this.expandYear(period, dtstart);
+        break;
+      default:
+        days = [period].filter(day => this.matchesMonthDay(day) &&
+          (!this.byDay.length || this.byDay.some(entry => entry.weekday === day.getUTCDay())));
+    }
+
+    if (this.byMonth.length) {
+      days = days.filter(day => this.byMonth.includes(this.calendar.month(day)));
+    }
+
+    return this.applySetPos(days).map(day => new Date(
+      day.getTime() + (dtstart.getTime() - startOfDay(dtstart).getTime())
+    ));
+  }
+
+  /**
+   * Expand a month into candidate days
+   * @param {Date} monthStart - First day of the month
+   * @param {Date} dtstart - First occurrence of the series
+   */
+  expandMonth(monthStart, dtstart) {
+    const calendar = this.calendar;
+    const days = dayRange(monthStart, calendar.monthLength(monthStart));
+
+    if (!this.byDay.length && !this.byMonthDay.length) {
+      const date = calendar.date(dtstart);
+      return days.filter(day => calendar.date(day) === date);
+    }
+
+    return this.selectDays(days);
+  }
+
+  /**
+   * Expand a year into candidate days
+   * @param {Date} yearStart - First day of the year
+   * @param {Date} dtstart - First occurrence of the series
+   */
+  expandYear(yearStart, dtstart) {
+    const calendar = this.calendar;
+
+    if (this.byMonth.length) {
+      return [...this.byMonth]
+        .sort((a, b) => a - b)
+        .flatMap(month => this.expandMonth(calendar.monthOfYear(yearStart, month), dtstart));
+    }
+
+    if (!this.byDay.length && !this.byMonthDay.length) {
+      const monthStart = calendar.monthOfYear(yearStart, calendar.month(dtstart));
+      const date = calendar.date(dtstart);
+      // Skip years where the date does not exist (e.g. Feb 29, 30 Esfand)
+      return date <= calendar.monthLength(monthStart)
+        ? [new Date(monthStart.getTime() + (date - 1) * DAY_MS)]
+        : [];
+    }
+
+    const yearLength = Math.round((calendar.addYears(yearStart, 1) - yearStart) / DAY_MS);
+    return this.selectDays(dayRange(yearStart, yearLength));
+  }
+
+  /**
+   * Apply BYMONTHDAY and BYDAY to a month or year of days.
+   * BYDAY ordinals ("2TU", "-1FR") count within that scope.
+   * @param {Array} days - All days in the scope, sorted
+   */
+  selectDays(days) {
+    let selected = days.filter(day => this.matchesMonthDay(day));
+
+    if (this.byDay.length) {
+      const matching = new Set();
+
+      for (const entry of this.byDay) {
+        const sameWeekday = days.filter(day => day.getUTCDay() === entry.weekday);
+
+        if (entry.n === null) {
+          sameWeekday.forEach(day => matching.add(day.getTime()));
+        } else {
+          const day = sameWeekday[entry.n > 0 ? entry.n - 1 : sameWeekday.length + entry.n];
+          if (day) matching.add(day.getTime());
+        }
+      }
+
+      selected = selected.filter(day => matching.has(day.getTime()));
+    }
+
+    return selected;
+  }
+
+  /**
+   * Check a day against BYMONTHDAY, where negative values count from the end
+   * @param {Date} day - Day to check
+   */
+  matchesMonthDay(day) {
+    if (!this.byMonthDay.length) return true;
+
+    const date = this.calendar.date(day);
+    const length = this.calendar.monthLength(day);
+
+    return this.byMonthDay.some(value => value > 0 ? value === date : length + value + 1 === date);
+  }
+
+  /**
+   * Apply BYSETPOS to the sorted days of one period
+   * @param {Array} days - Candidate days
+   */
+  applySetPos(days) {
+    if (!this.bySetPos.length) return days;
+
+    const selected = new Map();
+    for (const position of this.bySetPos) {
+      const day = days[position > 0 ? position - 1 : days.length + position];
+      if (day) selected.set(day.getTime(), day);
+    }
+
+    return [...selected.values()].sort((a, b) => a - b);
+  }
+}
+
+module.exports = RecurrenceRule;
@@ -0,0 +1,137 @@
+/**
+ * IANA timezone helpers built on Intl, used to anchor reminders to the
+ * wall-clock time of their owner.
+ *
+ * A "zoned" date is floating: its UTC fields hold the wall-clock time in
+ * the given timezone (see utils/recurrence.js).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const LOCALES = {
+  en: 'en-US',
+  fa: 'fa-IR'
+};
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timeZone - Timezone name, e.g. "Asia/Tehran"
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the UTC offset of a timezone at an instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Timezone name
+ */
+const getOffset = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert an instant to the wall-clock time of a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Timezone name
+ */
+const toZonedTime = (date, timeZone) => {
+  const instant = new Date(date);
+  return new Date(instant.getTime() + getOffset(instant, timeZone));
+};
+
+/**
+ * Convert a wall-clock time in a timezone back to an instant.
+ * Times skipped by a DST change move forward by the gap; repeated
+ * times resolve to their first occurrence.
+ * @param {Date} zoned - Floating wall-clock time
+ * @param {string} timeZone - Timezone name
+ */
+const fromZonedTime = (zoned, timeZone) => {
+  const wall = new Date(zoned).getTime();
+  const before = getOffset(new Date(wall - 12 * HOUR_MS), timeZone);
+  const after = getOffset(new Date(wall + 12 * HOUR_MS), timeZone);
+
+  const candidates = [...new Set([before, after])]
+    .map(offset => wall - offset)
+    .filter(instant => toZonedTime(new Date(instant), timeZone).getTime() === wall)
+    .sort((a, b) => a - b);
+
+  return new Date(candidates.length > 0 ? candidates[0] : wall - before);
+};
+
+/**
+ * Parse an ISO 8601 string; values without an offset are read as
+ * wall-clock time in the given timezone
+ * @param {string} value - ISO 8601 date-time
+ * @param {string} timeZone - Timezone name
+ */
+const parseInTimeZone = (value, timeZone) => {
+  if (value instanceof Date) return new Date(value);
+
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+  if (hasOffset || !/T\d{2}:\d{2}/.test(value)) {
+    return new Date(value);
+  }
+
+  const [datePart, timePart] = value.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hours, minutes, seconds = 0] = timePart.split(':').map(Number);
+
+  return fromZonedTime(new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)), timeZone);
+};
+
+/**
+ * Format an instant for display in a user's timezone and language
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Timezone name
+ * @param {string} language - 'en' or 'fa'
+ * @param {Object} options - Intl.DateTimeFormat options
+ */
+const formatInTimeZone = (date, timeZone, language = 'en', options = {}) => {
+  return new Date(date).toLocaleString(LOCALES[language] || LOCALES.en, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    ...options,
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC'
+  });
+};
+
+module.exports = {
+  isValidTimeZone,
+  getOffset,
+  toZonedTime,
+  fromZonedTime,
+  parseInTimeZone,
+  formatInTimeZone
+};
@@ -0,0 +1,134 @@
+/**
+ * Minimal XML reading for WebDAV / CalDAV request bodies.
+ *
+ * Elements are read into { ns, name, attributes, children, text } with
+ * namespace prefixes resolved, so `<D:prop xmlns:D="DAV:">` and
+ * `<prop xmlns="DAV:">` read the same. Comments, processing instructions
+ * and DOCTYPEs are skipped and no entities beyond the predefined ones are
+ * expanded.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Comments, CDATA, declarations, processing instructions, closing tags,
+// opening tags and text, in that order
+const TOKEN_SOURCE = '<!--[\\s\\S]*?-->|<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|<![^>]*>|<\\?[\\s\\S]*?\\?>' +
+  '|<\\/\\s*([^\\s>]+)\\s*>' +
+  '|<([^\\s/>!?]+)((?:\\s+[^\\s=/>]+\\s*=\\s*(?:"[^"]*"|\'[^\']*\'))*)\\s*(\\/?)>' +
+  '|([^<]+)';
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity] ?? match;
+});
+
+/**
+ * Escape text for an XML element or attribute value
+ * @param {string} value - Text to escape
+ */
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+
+// Split "D:prop" into its prefix and local name
+const splitName = (qname) => {
+  const index = qname.indexOf(':');
+  return index === -1 ? ['', qname] : [qname.slice(0, index), qname.slice(index + 1)];
+};
+
+/**
+ * Read an XML document
+ * @param {string} text - XML text
+ * @returns {Object} Root element
+ * @throws {Error} When the document is not well-formed
+ */
+const parseXml = (text) => {
+  const pattern = new RegExp(TOKEN_SOURCE, 'g');
+  const stack = [];
+  let root = null;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, cdata, closing, opening, attributeText, selfClosing, chars] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined || chars !== undefined) {
+      if (parent) {
+        parent.element.text += cdata !== undefined ? cdata : decodeEntities(chars);
+      } else if (cdata !== undefined || chars.trim()) {
+        throw new Error('Text outside the root element');
+      }
+      continue;
+    }
+
+    if (closing) {
+      const open = stack.pop();
+      if (!open || open.qname !== closing) {
+        throw new Error(`Unexpected closing tag </${closing}>`);
+      }
+      continue;
+    }
+
+    // Comments, declarations and processing instructions
+    if (!opening) continue;
+
+    if (!parent && root) {
+      throw new Error('More than one root element');
+    }
+
+    const namespaces = { ...(parent ? parent.namespaces : {}) };
+    const attributes = {};
+    for (const [, qname, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = decodeEntities(doubleQuoted ?? singleQuoted);
+      const [prefix, name] = splitName(qname);
+
+      if (qname === 'xmlns') namespaces[''] = value;
+      else if (prefix === 'xmlns') namespaces[name] = value;
+      else attributes[name] = value;
+    }
+
+    const [prefix, name] = splitName(opening);
+    if (prefix && namespaces[prefix] === undefined) {
+      throw new Error(`Unknown namespace prefix "${prefix}"`);
+    }
+
+    const element = { ns: namespaces[prefix] || '', name, attributes, children: [], text: '' };
+    if (parent) parent.element.children.push(element);
+    else root = element;
+
+    if (!selfClosing) stack.push({ element, qname: opening, namespaces });
+  }
+
+  if (stack.length > 0) throw new Error(`Unclosed element <${stack[stack.length - 1].qname}>`);
+  if (!root) throw new Error('No root element');
+
+  return root;
+};
+
+/**
+ * Get the child elements with a namespace and name
+ * @param {Object} element - Parent element
+ * @param {string} ns - Namespace URI
+ * @param {string} name - Local name
+ */
+const findChildren = (element, ns, name) => (element ? element.children : [])
+  .filter(child => child.ns === ns && child.name === name);
+
+/**
+ * Get the first child element with a namespace and name
+ * @param {Object} element - Parent element
+ * @param {string} ns - Namespace URI
+ * @param {string} name - Local name
+ * @returns {Object|null} Child element
+ */
+const findChild = (element, ns, name) => findChildren(element, ns, name)[0] || null;
+
+module.exports = {
+  escapeXml,
+  parseXml,
+  findChildren,
+  findChild
+};
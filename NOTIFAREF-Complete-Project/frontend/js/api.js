@@ -4,6 +4,7 @@ class ApiClient {
   constructor() {
     this.baseURL = window.location.origin;
     this.token = Utils.getStorage('notifaref_token');
+    this.workspaceId = Utils.getStorage('notifaref_workspace');
     this.refreshing = false;
   }
 
@@ -17,10 +18,21 @@ class ApiClient {
   removeToken() {
     this.token = null;
     Utils.removeStorage('notifaref_token');
+    this.setWorkspace(null);
   }
 
-  // Get authentication headers
-  getHeaders() {
+  // Choose the workspace for reminder requests; null for personal reminders
+  setWorkspace(workspaceId) {
+    this.workspaceId = workspaceId || null;
+    if (this.workspaceId) {
+      Utils.setStorage('notifaref_workspace', this.workspaceId);
+    } else {
+      Utils.removeStorage('notifaref_workspace');
+    }
+  }
+
+  // Get authentication headers; reminder requests carry the workspace
+  getHeaders(endpoint = '') {
     const headers = {
       'Content-Type': 'application/json',
     };
@@ -29,6 +41,10 @@ class ApiClient {
       headers.Authorization = `Bearer ${this.token}`;
     }
 
+    if (this.workspaceId && endpoint.startsWith('/reminders')) {
+      headers['X-Workspace-Id'] = this.workspaceId;
+    }
+
     return headers;
   }
 
@@ -38,7 +54,7 @@ class ApiClient {
     
     const config = {
       method: 'GET',
-      headers: this.getHeaders(),
+      headers: this.getHeaders(endpoint),
       ...options,
     };
 
@@ -59,7 +75,10 @@ class ApiClient {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || `HTTP ${response.status}`);
+        const error = new Error(data.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.data = data;
+        throw error;
       }
 
       return data;
@@ -173,6 +192,10 @@ class ApiClient {
     return this.post('/reminders', reminderData);
   }
 
+  async parseReminder(text) {
+    return this.post('/reminders/parse', { text });
+  }
+
   async updateReminder(id, reminderData) {
     return this.put(`/reminders/${id}`, reminderData);
   }
@@ -189,16 +212,76 @@ class ApiClient {
     return this.patch(`/reminders/${id}/snooze`, { minutes });
   }
 
-  async shareReminder(id, expirationHours = 24) {
-    return this.post(`/reminders/${id}/share`, { expirationHours });
+  async updateChecklistItem(id, itemId, done) {
+    return this.patch(`/reminders/${id}/checklist/${itemId}`, { done });
+  }
+
+  // options: { expirationHours, password, maxViews, allowImport }
+  async shareReminder(id, options = {}) {
+    return this.post(`/reminders/${id}/share`, options);
+  }
+
+  async getShareLinks(id) {
+    return this.get(`/reminders/${id}/share-links`);
+  }
+
+  async revokeShareLink(id, linkId) {
+    return this.delete(`/reminders/${id}/share-links/${linkId}`);
+  }
+
+  // Collaborators of a shared reminder
+  async getCollaborators(id) {
+    return this.get(`/reminders/${id}/collaborators`);
+  }
+
+  async addCollaborator(id, user, role = 'viewer') {
+    return this.post(`/reminders/${id}/collaborators`, { user, role });
+  }
+
+  async updateCollaborator(id, userId, role) {
+    return this.patch(`/reminders/${id}/collaborators/${userId}`, { role });
   }
 
-  async getSharedReminder(token) {
-    return this.get(`/reminders/shared/${token}`);
+  async removeCollaborator(id, userId) {
+    return this.delete(`/reminders/${id}/collaborators/${userId}`);
   }
 
-  async importSharedReminder(token) {
-    return this.post(`/reminders/shared/${token}/import`);
+  async assignReminder(id, assignee) {
+    return this.put(`/reminders/${id}/assignee`, { assignee });
+  }
+
+  // Password-protected links take the password in a header
+  async getSharedReminder(token, password = null) {
+    return this.request(`/reminders/shared/${token}`, {
+      headers: { ...this.getHeaders(), ...(password && { 'X-Share-Password': password }) },
+    });
+  }
+
+  async importSharedReminder(token, password = null) {
+    return this.request(`/reminders/shared/${token}/import`, {
+      method: 'POST',
+      headers: { ...this.getHeaders(), ...(password && { 'X-Share-Password': password }) },
+    });
+  }
+
+  async exportReminders(type = 'event') {
+    const response = await fetch(`${this.baseURL}/api/reminders/export.ics?type=${type}`, {
+      headers: this.getHeaders('/reminders'),
+    });
+
+    if (!response.ok) {
+      throw new Error('Export failed');
+    }
+
+    return response.text();
+  }
+
+  async importReminders(calendarText) {
+    return this.request('/reminders/import', {
+      method: 'POST',
+      headers: { ...this.getHeaders('/reminders'), 'Content-Type': 'text/calendar' },
+      body: calendarText,
+    });
   }
 
   async getReminderStats(days = 30) {
@@ -209,17 +292,73 @@ class ApiClient {
     return this.get('/reminders/upcoming', { hours });
   }
 
+  // Workspaces API
+  async getWorkspaces() {
+    return this.get('/workspaces');
+  }
+
+  async getWorkspace(id) {
+    return this.get(`/workspaces/${id}`);
+  }
+
+  async createWorkspace(workspaceData) {
+    return this.post('/workspaces', workspaceData);
+  }
+
+  async updateWorkspace(id, workspaceData) {
+    return this.put(`/workspaces/${id}`, workspaceData);
+  }
+
+  async deleteWorkspace(id) {
+    return this.delete(`/workspaces/${id}`);
+  }
+
+  async inviteToWorkspace(id, email, role = 'member') {
+    return this.post(`/workspaces/${id}/invitations`, { email, role });
+  }
+
+  async cancelWorkspaceInvitation(id, invitationId) {
+    return this.delete(`/workspaces/${id}/invitations/${invitationId}`);
+  }
+
+  async acceptWorkspaceInvitation(token) {
+    return this.post(`/workspaces/invitations/${token}/accept`);
+  }
+
+  async updateWorkspaceMember(id, userId, role) {
+    return this.patch(`/workspaces/${id}/members/${userId}`, { role });
+  }
+
+  async removeWorkspaceMember(id, userId) {
+    return this.delete(`/workspaces/${id}/members/${userId}`);
+  }
+
   // Notifications API
   async getVapidKey() {
     return this.get('/notifications/vapid-key');
   }
 
-  async subscribeToNotifications(subscription) {
-    return this.post('/notifications/subscribe', { subscription });
+  async subscribeToNotifications(subscription, deviceName) {
+    return this.post('/notifications/subscribe', { subscription, deviceName });
+  }
+
+  async unsubscribeFromNotifications(endpoint) {
+    return this.request('/notifications/unsubscribe', {
+      method: 'DELETE',
+      body: endpoint ? { endpoint } : {},
+    });
+  }
+
+  async getNotificationDevices() {
+    return this.get('/notifications/devices');
+  }
+
+  async updateNotificationDevice(id, data) {
+    return this.put(`/notifications/devices/${id}`, data);
   }
 
-  async unsubscribeFromNotifications() {
-    return this.delete('/notifications/unsubscribe');
+  async deleteNotificationDevice(id) {
+    return this.delete(`/notifications/devices/${id}`);
   }
 
   async getNotificationSettings() {
@@ -238,33 +377,89 @@ class ApiClient {
     return this.get('/notifications/status');
   }
 
+  async getNotificationHistory(params = {}) {
+    return this.get('/notifications/history', params);
+  }
+
+  async getNotificationChannels() {
+    return this.get('/notifications/channels');
+  }
+
+  async verifyNotificationChannel(channel) {
+    return this.post(`/notifications/channels/${channel}/verify`);
+  }
+
+  // Inbound email API
+  async getInboundAddress() {
+    return this.get('/inbound/address');
+  }
+
+  async createInboundAddress() {
+    return this.post('/inbound/address');
+  }
+
+  async deleteInboundAddress() {
+    return this.delete('/inbound/address');
+  }
+
+  // Calendar feed API
+  async getIcalFeed() {
+    return this.get('/calendar/feed');
+  }
+
+  async createIcalFeed() {
+    return this.post('/calendar/feed');
+  }
+
+  async deleteIcalFeed() {
+    return this.delete('/calendar/feed');
+  }
+
+  // CalDAV API
+  async getCaldav() {
+    return this.get('/calendar/caldav');
+  }
+
+  async createCaldavPassword() {
+    return this.post('/calendar/caldav');
+  }
+
+  async deleteCaldavPassword() {
+    return this.delete('/calendar/caldav');
+  }
+
   // Calendar API
   async getCalendarStatus() {
     return this.get('/calendar/status');
   }
 
-  async getCalendarAuthUrl() {
-    return this.get('/calendar/auth-url');
+  async getCalendarAuthUrl(provider = 'google') {
+    return this.get('/calendar/auth-url', { provider });
   }
 
-  async handleCalendarCallback(code) {
-    return this.post('/calendar/callback', { code });
+  async handleCalendarCallback(code, provider = 'google') {
+    return this.post('/calendar/callback', { code, provider });
   }
 
-  async disconnectCalendar() {
-    return this.delete('/calendar/disconnect');
+  async disconnectCalendar(provider = 'google') {
+    return this.delete(`/calendar/disconnect?provider=${encodeURIComponent(provider)}`);
   }
 
-  async getCalendars() {
-    return this.get('/calendar/calendars');
+  async getCalendars(provider = 'google') {
+    return this.get('/calendar/calendars', { provider });
   }
 
   async syncReminder(id) {
     return this.post(`/calendar/sync-reminder/${id}`);
   }
 
-  async importCalendarEvents(calendarId = 'primary', timeMin = null, timeMax = null) {
-    return this.post('/calendar/import', { calendarId, timeMin, timeMax });
+  // Without a provider, every connected calendar is synced
+  async syncCalendar(provider = undefined) {
+    return this.post('/calendar/sync', { provider });
+  }
+
+  async importCalendarEvents(calendarId = 'primary', timeMin = null, timeMax = null, provider = 'google') {
+    return this.post('/calendar/import', { calendarId, timeMin, timeMax, provider });
   }
 
   async bulkSyncReminders(reminderIds) {
@@ -659,7 +659,7 @@ class App {
     }
 
     try {
-      const response = await api.getSharedReminder(token);
+      const response = await api.getSharedReminder(token, this.sharePassword);
       
       if (response.success) {
         this.displaySharedReminder(response.data);
@@ -667,6 +667,20 @@ class App {
         this.showSharedError();
       }
     } catch (error) {
+      // Protected links: ask for the password and try again
+      if (error.data?.passwordRequired) {
+        const password = window.prompt(
+          this.sharePassword
+            ? window.i18n?.t('shared.wrong_password') || 'Incorrect password. Try again:'
+            : window.i18n?.t('shared.password_prompt') || 'This link is protected. Enter the password:'
+        );
+
+        if (password) {
+          this.sharePassword = password;
+          return this.loadSharedReminder();
+        }
+      }
+
       console.error('Error loading shared reminder:', error);
       this.showSharedError();
     }
@@ -697,24 +711,37 @@ class App {
         Utils.hide(descriptionElement);
       }
     }
-    if (timeElement) timeElement.textContent = Utils.formatDate(reminder.scheduledTime);
+    if (timeElement) timeElement.textContent = Utils.formatDateTime(reminder.scheduledTime, Utils.getCalendar());
     if (priorityElement) {
       priorityElement.innerHTML = `<span class="priority-badge priority-${reminder.priority}">${window.i18n?.t(`priority.${reminder.priority}`) || reminder.priority}</span>`;
     }
     
     if (tagsContainer && reminder.tags?.length > 0) {
-      tagsContainer.innerHTML = reminder.tags.map(tag => `<span class="tag">#${tag}</span>`).join('');
+      tagsContainer.innerHTML = reminder.tags.map(tag => `<span class="tag">#${Utils.escapeHtml(tag)}</span>`).join('');
       Utils.show(Utils.$('#tags-container'));
     } else {
       Utils.hide(Utils.$('#tags-container'));
     }
     
+    const checklistElement = Utils.$('#reminder-checklist');
+    if (checklistElement && reminder.checklist?.length > 0) {
+      checklistElement.innerHTML = reminder.checklist.map(item => `
+        <li class="checklist-item ${item.done ? 'done' : ''}">
+          <i class="far ${item.done ? 'fa-check-square' : 'fa-square'}"></i>
+          <span>${Utils.escapeHtml(item.text)}</span>
+        </li>
+      `).join('');
+      Utils.show(Utils.$('#checklist-container'));
+    }
+
     if (sharedByElement) sharedByElement.textContent = reminder.sharedBy?.name || reminder.sharedBy?.username;
-    if (sharedDateElement) sharedDateElement.textContent = Utils.formatDate(reminder.sharedAt);
+    if (sharedDateElement) sharedDateElement.textContent = Utils.formatDate(reminder.sharedAt, 'YYYY/MM/DD', Utils.getCalendar());
 
-    // Setup import button
+    // Setup import button, unless the link does not allow importing
     const importBtn = Utils.$('#import-reminder-btn');
-    if (importBtn) {
+    if (importBtn && reminder.allowImport === false) {
+      Utils.hide(importBtn);
+    } else if (importBtn) {
       importBtn.addEventListener('click', () => this.importSharedReminder(reminder));
     }
   }
@@ -737,7 +764,7 @@ class App {
       const pathParts = window.location.pathname.split('/');
       const token = pathParts[pathParts.length - 1];
       
-      const response = await api.importSharedReminder(token);
+      const response = await api.importSharedReminder(token, this.sharePassword);
       
       if (response.success) {
         Utils.showModal('#import-modal');
@@ -1,5 +1,8 @@
 // NOTIFAREF - Dashboard Management
 
+// Channels a reminder alert can be sent through
+const ALERT_CHANNELS = ['push', 'email', 'telegram', 'sms', 'webhook'];
+
 class DashboardManager {
   constructor() {
     this.currentPage = 'dashboard';
@@ -15,6 +18,9 @@ class DashboardManager {
       totalPages: 1,
       totalItems: 0
     };
+    this.quickAdd = null;
+    this.workspaces = [];
+    this.sharingReminderId = null;
     this.init();
   }
 
@@ -27,6 +33,10 @@ class DashboardManager {
 
     // Setup event listeners
     this.setupEventListeners();
+
+    // Join a workspace from an invitation link, then list the workspaces
+    await this.acceptWorkspaceInvitation();
+    await this.loadWorkspaces();
     
     // Load initial data
     await this.loadDashboardData();
@@ -53,11 +63,27 @@ class DashboardManager {
     Utils.on('#mobile-sidebar-toggle', 'click', () => this.toggleMobileSidebar());
     Utils.on('#sidebar-toggle', 'click', () => this.toggleMobileSidebar());
 
+    // Workspaces
+    Utils.on('#workspace-select', 'change', (e) => this.switchWorkspace(e.target.value));
+    Utils.on('#workspace-create-btn', 'click', () => this.createWorkspace());
+    Utils.on('#workspace-invite-btn', 'click', () => this.inviteToWorkspace());
+    Utils.on('#workspace-leave-btn', 'click', () => this.leaveWorkspace());
+
     // Add reminder buttons
     Utils.on('#add-reminder-btn', 'click', () => this.showAddReminderModal());
     Utils.on('#add-reminder-main-btn', 'click', () => this.showAddReminderModal());
     Utils.on('#quick-add-reminder', 'click', () => this.showAddReminderModal());
 
+    // iCalendar export and import
+    Utils.on('#ics-export-btn', 'click', () => this.exportIcs());
+    Utils.on('#ics-import-btn', 'click', () => Utils.$('#ics-import-file')?.click());
+    Utils.on('#ics-import-file', 'change', (e) => this.importIcs(e.target));
+
+    // Quick add
+    Utils.on('#quick-add-input', 'input', Utils.debounce(() => this.previewQuickAdd(), 400));
+    Utils.on('#quick-add-form', 'submit', (e) => this.handleQuickAddSubmit(e));
+    Utils.delegate('#quick-add-preview', '.quick-add-details, .quick-add-details *', 'click', () => this.openQuickAddDetails());
+
     // Quick actions
     Utils.on('#quick-view-upcoming', 'click', () => this.showUpcomingReminders());
     Utils.on('#quick-view-overdue', 'click', () => this.showOverdueReminders());
@@ -73,6 +99,34 @@ class DashboardManager {
     Utils.setupModalClose('#reminder-modal');
     Utils.on('#reminder-cancel-btn', 'click', () => Utils.hideModal('#reminder-modal'));
 
+    // Share links
+    Utils.setupModalClose('#share-modal');
+    Utils.on('#share-link-form', 'submit', (e) => this.handleShareSubmit(e));
+    Utils.delegate('#share-links-list', '.share-link-copy, .share-link-copy *', 'click', (e) => {
+      this.copyShareLink(e.target.closest('.share-link-copy').getAttribute('data-url'));
+    });
+    Utils.delegate('#share-links-list', '.share-link-revoke, .share-link-revoke *', 'click', (e) => {
+      this.revokeShareLink(e.target.closest('.share-link-revoke').getAttribute('data-id'));
+    });
+
+    // Reminder alerts
+    Utils.on('#reminder-add-alert', 'click', () => this.addAlertRow());
+    Utils.delegate('#reminder-alerts-list', '.alert-remove-btn, .alert-remove-btn *', 'click', (e) => {
+      e.target.closest('.alert-row')?.remove();
+    });
+
+    // Reminder checklist
+    Utils.on('#reminder-add-checklist-item', 'click', () => this.addChecklistRow());
+    Utils.delegate('#reminder-checklist-list', '.checklist-remove-btn, .checklist-remove-btn *', 'click', (e) => {
+      e.target.closest('.checklist-row')?.remove();
+    });
+
+    // Reminder follow-ups
+    Utils.on('#reminder-add-follow-up', 'click', () => this.addFollowUpRow());
+    Utils.delegate('#reminder-follow-ups-list', '.follow-up-remove-btn, .follow-up-remove-btn *', 'click', (e) => {
+      e.target.closest('.follow-up-row')?.remove();
+    });
+
     // Filters
     Utils.on('#status-filter', 'change', () => this.applyFilters());
     Utils.on('#priority-filter', 'change', () => this.applyFilters());
@@ -226,22 +280,38 @@ class DashboardManager {
     const statusIcon = Utils.getStatusIcon(reminder.status);
     
     const isOverdue = new Date(reminder.scheduledTime) < new Date() && reminder.status === 'pending';
-    const cardClass = isOverdue ? 'reminder-card overdue' : 'reminder-card';
+    const cardClass = ['reminder-card', isOverdue && 'overdue', reminder.blocked && 'blocked'].filter(Boolean).join(' ');
+    // Dependencies still to be completed; listed reminders come with their titles
+    const waitingFor = (reminder.dependsOn || []).filter(dependency => dependency.status && dependency.status !== 'completed');
+    // Reminders shared with the user carry their role; viewers only look
+    const role = reminder.role || 'owner';
+    const canEdit = role === 'owner' || role === 'editor';
+    const isAssignee = reminder.sharing?.assignee === auth.currentUser?._id;
+    const collaboratorCount = reminder.sharing?.collaborators?.length || 0;
     
     return `
       <div class="${cardClass}" data-reminder-id="${reminder._id}">
         <div class="reminder-header">
           <h3 class="reminder-title">${Utils.escapeHtml(reminder.title)}</h3>
           <div class="reminder-actions">
-            <button class="btn btn-ghost btn-icon complete-btn" title="${window.i18n?.t('reminders.complete') || 'Complete'}" data-id="${reminder._id}">
-              <i class="fas fa-check"></i>
-            </button>
-            <button class="btn btn-ghost btn-icon edit-btn" title="${window.i18n?.t('common.edit') || 'Edit'}" data-id="${reminder._id}">
-              <i class="fas fa-edit"></i>
-            </button>
-            <button class="btn btn-ghost btn-icon delete-btn" title="${window.i18n?.t('common.delete') || 'Delete'}" data-id="${reminder._id}">
-              <i class="fas fa-trash"></i>
-            </button>
+            ${canEdit || isAssignee ? `
+              <button class="btn btn-ghost btn-icon complete-btn" title="${window.i18n?.t('reminders.complete') || 'Complete'}" data-id="${reminder._id}">
+                <i class="fas fa-check"></i>
+              </button>
+            ` : ''}
+            ${canEdit ? `
+              <button class="btn btn-ghost btn-icon edit-btn" title="${window.i18n?.t('common.edit') || 'Edit'}" data-id="${reminder._id}">
+                <i class="fas fa-edit"></i>
+              </button>
+            ` : ''}
+            ${role === 'owner' ? `
+              <button class="btn btn-ghost btn-icon share-btn" title="${window.i18n?.t('sharing.links_title') || 'Share links'}" data-id="${reminder._id}">
+                <i class="fas fa-share-alt"></i>
+              </button>
+              <button class="btn btn-ghost btn-icon delete-btn" title="${window.i18n?.t('common.delete') || 'Delete'}" data-id="${reminder._id}">
+                <i class="fas fa-trash"></i>
+              </button>
+            ` : ''}
           </div>
         </div>
         
@@ -253,6 +323,11 @@ class DashboardManager {
             <span>${window.i18n?.t(`status.${reminder.status}`) || reminder.status}</span>
           </div>
           
+          <div class="meta-item">
+            <i class="fas fa-calendar"></i>
+            <span>${this.formatReminderDate(reminder.scheduledTime)}</span>
+          </div>
+
           <div class="meta-item">
             <i class="fas fa-clock"></i>
             <span>${timeUntil}</span>
@@ -263,6 +338,43 @@ class DashboardManager {
             <span>${window.i18n?.t(`priority.${reminder.priority}`) || reminder.priority}</span>
           </div>
           
+          ${!reminder.workspace && (role !== 'owner' || collaboratorCount > 0) ? `
+            <div class="meta-item">
+              <i class="fas fa-users"></i>
+              <span>${role === 'owner'
+                ? `${window.i18n?.t('sharing.shared_with') || 'Shared with'} ${collaboratorCount}`
+                : window.i18n?.t(`sharing.role_${role}`) || role}</span>
+            </div>
+          ` : ''}
+
+          ${isAssignee ? `
+            <div class="meta-item">
+              <i class="fas fa-user-check"></i>
+              <span>${window.i18n?.t('sharing.assigned_to_you') || 'Assigned to you'}</span>
+            </div>
+          ` : ''}
+          
+          ${reminder.blocked ? `
+            <div class="meta-item blocked-indicator">
+              <i class="fas fa-lock"></i>
+              <span>${window.i18n?.t('reminders.waiting_for') || 'Waiting for'}${waitingFor.length ? `: ${waitingFor.map(dependency => Utils.escapeHtml(dependency.title)).join(', ')}` : ''}</span>
+            </div>
+          ` : ''}
+
+          ${reminder.followUps?.length ? `
+            <div class="meta-item">
+              <i class="fas fa-forward"></i>
+              <span>${reminder.followUps.length} ${window.i18n?.t('reminders.follow_ups') || 'Follow-ups'}</span>
+            </div>
+          ` : ''}
+
+          ${reminder.followUpOf ? `
+            <div class="meta-item">
+              <i class="fas fa-level-up-alt"></i>
+              <span>${window.i18n?.t('reminders.follow_up') || 'Follow-up'}</span>
+            </div>
+          ` : ''}
+
           ${reminder.recurrence?.type !== 'none' ? `
             <div class="meta-item">
               <i class="fas fa-repeat"></i>
@@ -271,15 +383,48 @@ class DashboardManager {
           ` : ''}
         </div>
         
+        ${reminder.checklist?.length ? this.createChecklist(reminder, canEdit || isAssignee) : ''}
+
         ${reminder.tags && reminder.tags.length > 0 ? `
           <div class="tags-list">
-            ${reminder.tags.map(tag => `<span class="tag">#${tag}</span>`).join('')}
+            ${reminder.tags.map(tag => `<span class="tag">#${Utils.escapeHtml(tag)}</span>`).join('')}
           </div>
         ` : ''}
       </div>
     `;
   }
 
+  createChecklist(reminder, canCheck) {
+    const done = reminder.checklist.filter(item => item.done).length;
+    const total = reminder.checklist.length;
+
+    return `
+      <div class="reminder-checklist">
+        <div class="checklist-progress" title="${window.i18n?.t('reminders.checklist') || 'Checklist'}">
+          <div class="checklist-progress-bar" style="width: ${Math.round(done / total * 100)}%"></div>
+        </div>
+        <span class="checklist-count">${done}/${total}</span>
+        <ul class="checklist-items">
+          ${reminder.checklist.map(item => `
+            <li class="checklist-item ${item.done ? 'done' : ''}">
+              <label>
+                <input type="checkbox" class="checklist-toggle" data-id="${reminder._id}" data-item-id="${item._id}"
+                  ${item.done ? 'checked' : ''} ${canCheck ? '' : 'disabled'}>
+                <span>${Utils.escapeHtml(item.text)}</span>
+              </label>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  formatReminderDate(date) {
+    const calendar = Utils.getCalendar();
+    const formatted = Utils.formatDateTime(date, calendar);
+    return calendar === 'jalali' ? Utils.toPersianDigits(formatted) : formatted;
+  }
+
   setupReminderCardListeners(container) {
     // Complete reminder
     container.addEventListener('click', async (e) => {
@@ -299,6 +444,23 @@ class DashboardManager {
       }
     });
 
+    // Share links
+    container.addEventListener('click', (e) => {
+      if (e.target.closest('.share-btn')) {
+        const btn = e.target.closest('.share-btn');
+        const id = btn.getAttribute('data-id');
+        this.showShareLinks(id);
+      }
+    });
+
+    // Check off checklist items
+    container.addEventListener('change', async (e) => {
+      if (e.target.classList.contains('checklist-toggle')) {
+        const input = e.target;
+        await this.toggleChecklistItem(input.getAttribute('data-id'), input.getAttribute('data-item-id'), input.checked);
+      }
+    });
+
     // Delete reminder
     container.addEventListener('click', async (e) => {
       if (e.target.closest('.delete-btn')) {
@@ -463,26 +625,183 @@ class DashboardManager {
       Utils.clearForm(form);
       form.setAttribute('data-mode', 'add');
       form.removeAttribute('data-reminder-id');
+      this.editingRecurrence = null;
       
       // Set default values
       const tomorrow = new Date();
       tomorrow.setDate(tomorrow.getDate() + 1);
       
-      const dateInput = Utils.$('#reminder-date');
+      const dateInput = this.setupDateInput();
       const timeInput = Utils.$('#reminder-time');
       
       if (dateInput) {
-        dateInput.value = Utils.formatDate(tomorrow, 'YYYY-MM-DD');
+        dateInput.value = this.formatDateInputValue(tomorrow);
       }
       
       if (timeInput) {
         timeInput.value = '09:00';
       }
+
+      this.renderAlerts([{ offset: 0, channels: [] }]);
+      this.renderChecklistEditor([]);
+      this.renderFollowUps([]);
+      this.loadDependencyOptions(null, []);
+      this.renderEscalationHistory([]);
     }
 
     Utils.showModal('#reminder-modal');
   }
 
+  // Quick add: the server reads the text (in the user's timezone) and the
+  // result is shown as a preview until it is saved
+  async previewQuickAdd() {
+    const input = Utils.$('#quick-add-input');
+    const text = input?.value.trim() || '';
+
+    if (!text) {
+      this.quickAdd = null;
+      this.renderQuickAddPreview();
+      return;
+    }
+
+    try {
+      const response = await api.parseReminder(text);
+      // Ignore answers for text that has changed since
+      if (response.success && input.value.trim() === text) {
+        this.quickAdd = response.data;
+        this.renderQuickAddPreview();
+      }
+    } catch (error) {
+      console.error('Quick add parse error:', error);
+    }
+  }
+
+  renderQuickAddPreview() {
+    const preview = Utils.$('#quick-add-preview');
+    const saveBtn = Utils.$('#quick-add-save');
+    const parsed = this.quickAdd;
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+
+    if (saveBtn) saveBtn.disabled = !parsed?.complete;
+    if (!preview) return;
+
+    if (!parsed) {
+      preview.style.display = 'none';
+      preview.innerHTML = '';
+      return;
+    }
+
+    let recurrence = '';
+    if (parsed.recurrence.type !== 'none') {
+      recurrence = t(`recurrence.${parsed.recurrence.type}`, parsed.recurrence.type);
+      if (parsed.recurrence.interval > 1) {
+        recurrence += ` ×${parsed.recurrence.interval}`;
+      }
+      if (parsed.recurrence.daysOfWeek?.length) {
+        recurrence += ` (${parsed.recurrence.daysOfWeek.map(day => t(`notifications.weekdays.${WEEKDAYS[day]}`, WEEKDAYS[day])).join(', ')})`;
+      }
+    }
+
+    let warning = '';
+    if (!parsed.title) {
+      warning = t('dashboard.quick_add_no_title', 'Type what to be reminded about');
+    } else if (!parsed.scheduledTime) {
+      warning = t('dashboard.quick_add_no_time', 'No time found');
+    }
+
+    preview.innerHTML = `
+      <div class="quick-add-title">${Utils.escapeHtml(parsed.title || '—')}</div>
+      <div class="reminder-meta">
+        ${parsed.scheduledTime ? `
+          <div class="meta-item">
+            <i class="fas fa-calendar"></i>
+            <span>${this.formatReminderDate(parsed.scheduledTime)}</span>
+          </div>
+        ` : ''}
+        ${recurrence ? `
+          <div class="meta-item">
+            <i class="fas fa-repeat"></i>
+            <span>${Utils.escapeHtml(recurrence)}</span>
+          </div>
+        ` : ''}
+        <div class="meta-item">
+          <i class="fas fa-flag" style="color: ${Utils.getPriorityColor(parsed.priority)}"></i>
+          <span>${t(`priority.${parsed.priority}`, parsed.priority)}</span>
+        </div>
+      </div>
+      ${parsed.tags.length > 0 ? `
+        <div class="tags-list">
+          ${parsed.tags.map(tag => `<span class="tag">#${Utils.escapeHtml(tag)}</span>`).join('')}
+        </div>
+      ` : ''}
+      ${warning ? `<p class="setting-hint">${Utils.escapeHtml(warning)}</p>` : ''}
+      <button type="button" class="btn btn-ghost btn-sm quick-add-details">
+        <i class="fas fa-edit"></i>
+        <span>${t('dashboard.quick_add_details', 'Edit details')}</span>
+      </button>
+    `;
+    preview.style.display = 'block';
+  }
+
+  async handleQuickAddSubmit(e) {
+    e.preventDefault();
+
+    // Read the latest text rather than a preview that may be behind it
+    await this.previewQuickAdd();
+    const parsed = this.quickAdd;
+    if (!parsed?.complete) return;
+
+    const saveBtn = Utils.$('#quick-add-save');
+
+    try {
+      if (saveBtn) saveBtn.disabled = true;
+
+      const response = await api.createReminder({
+        title: parsed.title,
+        scheduledTime: parsed.scheduledTime,
+        timezone: parsed.timezone,
+        recurrence: parsed.recurrence,
+        tags: parsed.tags,
+        priority: parsed.priority
+      });
+
+      if (response.success) {
+        Utils.$('#quick-add-input').value = '';
+        this.quickAdd = null;
+        this.renderQuickAddPreview();
+        Utils.showNotification(window.i18n?.t('reminders.created_successfully') || 'Reminder created', 'success');
+        await this.loadPageData(this.currentPage);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Create Reminder');
+    } finally {
+      this.renderQuickAddPreview();
+    }
+  }
+
+  // Continue in the full form, filled in from the quick-add text
+  openQuickAddDetails() {
+    const parsed = this.quickAdd;
+    if (!parsed) return;
+
+    this.showAddReminderModal();
+
+    const form = Utils.$('#reminder-form');
+    const scheduledDate = parsed.scheduledTime ? new Date(parsed.scheduledTime) : null;
+
+    Utils.setFormData(form, {
+      title: parsed.title,
+      ...(scheduledDate && {
+        date: this.formatDateInputValue(scheduledDate),
+        time: Utils.formatTime(scheduledDate)
+      }),
+      priority: parsed.priority,
+      recurrence: parsed.recurrence.type,
+      jalaliRecurrence: parsed.recurrence.calendar === 'jalali',
+      tags: parsed.tags.join(', ')
+    });
+  }
+
   async editReminder(id) {
     try {
       const response = await api.getReminder(id);
@@ -500,18 +819,28 @@ class DashboardManager {
         if (form) {
           form.setAttribute('data-mode', 'edit');
           form.setAttribute('data-reminder-id', id);
+          this.editingRecurrence = reminder.recurrence || null;
+          this.setupDateInput();
 
           const scheduledDate = new Date(reminder.scheduledTime);
           
           Utils.setFormData(form, {
             title: reminder.title,
             description: reminder.description || '',
-            date: Utils.formatDate(scheduledDate, 'YYYY-MM-DD'),
+            date: this.formatDateInputValue(scheduledDate),
             time: Utils.formatTime(scheduledDate),
             priority: reminder.priority,
             recurrence: reminder.recurrence?.type || 'none',
-            tags: reminder.tags.join(', ')
+            jalaliRecurrence: reminder.recurrence?.calendar === 'jalali',
+            tags: reminder.tags.join(', '),
+            completeWithChecklist: Boolean(reminder.completeWithChecklist)
           });
+
+          this.renderAlerts(reminder.alerts?.length ? reminder.alerts : [{ offset: 0, channels: [] }]);
+          this.renderChecklistEditor(reminder.checklist || []);
+          this.renderFollowUps(reminder.followUps || []);
+          await this.loadDependencyOptions(id, reminder.dependsOn || []);
+          this.renderEscalationHistory(reminder.escalation?.history || []);
         }
 
         Utils.showModal('#reminder-modal');
@@ -521,6 +850,234 @@ class DashboardManager {
     }
   }
 
+  // Alerts are edited as an amount and a unit; offsets are stored in minutes
+  renderAlerts(alerts) {
+    const list = Utils.$('#reminder-alerts-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    alerts.forEach(alert => this.addAlertRow(alert));
+  }
+
+  addAlertRow(alert = { offset: 60, channels: [] }) {
+    const list = Utils.$('#reminder-alerts-list');
+    if (!list) return;
+
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+    const unit = [1440, 60].find(minutes => alert.offset > 0 && alert.offset % minutes === 0) || 1;
+    const channels = alert.channels || [];
+
+    const row = Utils.createElement('div', 'alert-row');
+    row.innerHTML = `
+      <input type="number" class="alert-amount" min="0" step="1" value="${alert.offset / unit}">
+      <select class="alert-unit">
+        <option value="1" ${unit === 1 ? 'selected' : ''}>${t('reminders.units.minutes', 'minutes')}</option>
+        <option value="60" ${unit === 60 ? 'selected' : ''}>${t('reminders.units.hours', 'hours')}</option>
+        <option value="1440" ${unit === 1440 ? 'selected' : ''}>${t('reminders.units.days', 'days')}</option>
+      </select>
+      <span>${t('reminders.alert_before', 'before')}</span>
+      <div class="alert-channels">
+        ${ALERT_CHANNELS.map(channel => `
+          <label class="alert-channel">
+            <input type="checkbox" value="${channel}" ${channels.includes(channel) ? 'checked' : ''}>
+            <span>${t(`reminders.channels.${channel}`, channel)}</span>
+          </label>
+        `).join('')}
+      </div>
+      <button type="button" class="btn btn-ghost btn-sm alert-remove-btn" title="${t('reminders.alert_remove', 'Remove alert')}">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    list.appendChild(row);
+  }
+
+  getAlertsFromForm() {
+    return [...Utils.$$('#reminder-alerts-list .alert-row')].map(row => ({
+      offset: Math.max(parseInt(row.querySelector('.alert-amount').value, 10) || 0, 0) *
+        parseInt(row.querySelector('.alert-unit').value, 10),
+      channels: [...row.querySelectorAll('.alert-channel input:checked')].map(input => input.value)
+    }));
+  }
+
+  // Checklist items keep their _id so the server can tell edits from new items
+  renderChecklistEditor(items) {
+    const list = Utils.$('#reminder-checklist-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    items.forEach(item => this.addChecklistRow(item));
+  }
+
+  addChecklistRow(item = { text: '', done: false }) {
+    const list = Utils.$('#reminder-checklist-list');
+    if (!list) return;
+
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+    const row = Utils.createElement('div', 'checklist-row');
+    if (item._id) {
+      row.setAttribute('data-item-id', item._id);
+    }
+    row.innerHTML = `
+      <input type="checkbox" class="checklist-row-done" ${item.done ? 'checked' : ''}>
+      <input type="text" class="checklist-row-text" maxlength="200" value="${Utils.escapeHtml(item.text)}"
+        placeholder="${t('reminders.checklist_item_placeholder', 'Step')}">
+      <button type="button" class="btn btn-ghost btn-sm checklist-remove-btn" title="${t('reminders.checklist_remove', 'Remove step')}">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    list.appendChild(row);
+    if (!item._id) {
+      row.querySelector('.checklist-row-text').focus();
+    }
+  }
+
+  getChecklistFromForm() {
+    return [...Utils.$$('#reminder-checklist-list .checklist-row')]
+      .map(row => {
+        const item = {
+          text: row.querySelector('.checklist-row-text').value.trim(),
+          done: row.querySelector('.checklist-row-done').checked
+        };
+        const itemId = row.getAttribute('data-item-id');
+        if (itemId) {
+          item._id = itemId;
+        }
+        return item;
+      })
+      .filter(item => item.text);
+  }
+
+  // Reminders this one can wait for: the pending ones, plus those it
+  // already depends on
+  async loadDependencyOptions(reminderId, dependsOn) {
+    const select = Utils.$('#reminder-depends-on');
+    if (!select) return;
+
+    const selected = dependsOn.map(dependency => dependency._id || dependency);
+    let options = dependsOn.filter(dependency => dependency.title);
+
+    try {
+      const response = await api.getReminders({ status: 'pending', limit: 100 });
+      if (response.success) {
+        options = options.concat(response.data.reminders
+          .filter(reminder => reminder._id !== reminderId && !selected.includes(reminder._id)));
+      }
+    } catch (error) {
+      console.error('Error loading dependency options:', error);
+    }
+
+    select.innerHTML = options.map(reminder => `
+      <option value="${reminder._id}" ${selected.includes(reminder._id) ? 'selected' : ''}>
+        ${Utils.escapeHtml(reminder.title)}
+      </option>
+    `).join('');
+  }
+
+  getDependenciesFromForm() {
+    const select = Utils.$('#reminder-depends-on');
+    return select ? [...select.selectedOptions].map(option => option.value) : [];
+  }
+
+  // Follow-ups are created when the reminder is completed; their delay is
+  // edited as an amount and a unit, like alerts
+  renderFollowUps(followUps) {
+    const list = Utils.$('#reminder-follow-ups-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    followUps.forEach(followUp => this.addFollowUpRow(followUp));
+  }
+
+  addFollowUpRow(followUp = { title: '', delay: 1440 }) {
+    const list = Utils.$('#reminder-follow-ups-list');
+    if (!list) return;
+
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+    const unit = [1440, 60].find(minutes => followUp.delay > 0 && followUp.delay % minutes === 0) || 1;
+
+    const row = Utils.createElement('div', 'follow-up-row');
+    // Fields not shown in the form are kept as they were
+    row.followUp = followUp;
+    row.innerHTML = `
+      <input type="text" class="follow-up-title" maxlength="200" value="${Utils.escapeHtml(followUp.title)}"
+        placeholder="${t('reminders.follow_up_title', 'Follow-up title')}">
+      <input type="number" class="follow-up-amount" min="0" step="1" value="${followUp.delay / unit}">
+      <select class="follow-up-unit">
+        <option value="1" ${unit === 1 ? 'selected' : ''}>${t('reminders.units.minutes', 'minutes')}</option>
+        <option value="60" ${unit === 60 ? 'selected' : ''}>${t('reminders.units.hours', 'hours')}</option>
+        <option value="1440" ${unit === 1440 ? 'selected' : ''}>${t('reminders.units.days', 'days')}</option>
+      </select>
+      <span>${t('reminders.follow_up_after', 'after completion')}</span>
+      <button type="button" class="btn btn-ghost btn-sm follow-up-remove-btn" title="${t('reminders.follow_up_remove', 'Remove follow-up')}">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    list.appendChild(row);
+  }
+
+  getFollowUpsFromForm() {
+    return [...Utils.$$('#reminder-follow-ups-list .follow-up-row')]
+      .map(row => ({
+        description: row.followUp.description,
+        priority: row.followUp.priority,
+        title: row.querySelector('.follow-up-title').value.trim(),
+        delay: Math.max(parseInt(row.querySelector('.follow-up-amount').value, 10) || 0, 0) *
+          parseInt(row.querySelector('.follow-up-unit').value, 10)
+      }))
+      .filter(followUp => followUp.title);
+  }
+
+  // Re-notifications sent while the reminder went unacknowledged, newest first
+  renderEscalationHistory(history) {
+    const group = Utils.$('#reminder-escalation-group');
+    const list = Utils.$('#reminder-escalation-history');
+    if (!group || !list) return;
+
+    if (history.length === 0) {
+      Utils.hide(group);
+      list.innerHTML = '';
+      return;
+    }
+
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+    list.innerHTML = [...history].reverse().map(entry => `
+      <li class="escalation-item ${entry.sent ? 'sent' : 'failed'}">
+        <i class="fas ${entry.sent ? 'fa-check' : 'fa-exclamation-triangle'}"></i>
+        <span>${t('reminders.escalation_level', 'Escalation')} ${entry.level}</span>
+        <span>${t(`reminders.channels.${entry.channel}`, entry.channel)}</span>
+        <small>${this.formatReminderDate(entry.sentAt)}</small>
+        ${entry.error ? `<small class="escalation-error">${Utils.escapeHtml(entry.error)}</small>` : ''}
+      </li>
+    `).join('');
+    Utils.show(group);
+  }
+
+  // Jalali dates are typed as YYYY/MM/DD since native date pickers are Gregorian only
+  setupDateInput() {
+    const dateInput = Utils.$('#reminder-date');
+    if (!dateInput) return null;
+
+    if (Utils.getCalendar() === 'jalali') {
+      dateInput.type = 'text';
+      dateInput.placeholder = '۱۴۰۳/۰۱/۱۵';
+      dateInput.dir = 'ltr';
+    } else {
+      dateInput.type = 'date';
+      dateInput.removeAttribute('placeholder');
+    }
+
+    return dateInput;
+  }
+
+  formatDateInputValue(date) {
+    return Utils.getCalendar() === 'jalali'
+      ? Utils.formatDate(date, 'YYYY/MM/DD', 'jalali')
+      : Utils.formatDate(date, 'YYYY-MM-DD');
+  }
+
   async handleReminderSubmit(e) {
     e.preventDefault();
 
@@ -529,19 +1086,40 @@ class DashboardManager {
     const mode = form.getAttribute('data-mode');
     const reminderId = form.getAttribute('data-reminder-id');
 
-    if (!this.validateReminderForm(formData)) {
+    const alerts = this.getAlertsFromForm();
+
+    if (!this.validateReminderForm(formData, alerts)) {
       return;
     }
 
+    const date = Utils.parseDate(formData.date, Utils.getCalendar());
+    const recurrence = { type: formData.recurrence || 'none' };
+    if (recurrence.type !== 'none') {
+      recurrence.calendar = formData.jalaliRecurrence ? 'jalali' : 'gregorian';
+    }
+
     const reminderData = {
       title: formData.title.trim(),
       description: formData.description?.trim() || '',
-      scheduledTime: new Date(`${formData.date}T${formData.time}`).toISOString(),
+      scheduledTime: new Date(`${date}T${formData.time}`).toISOString(),
       priority: formData.priority,
-      recurrence: { type: formData.recurrence || 'none' },
-      tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+      recurrence,
+      tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      alerts,
+      checklist: this.getChecklistFromForm(),
+      completeWithChecklist: Boolean(formData.completeWithChecklist),
+      dependsOn: this.getDependenciesFromForm(),
+      followUps: this.getFollowUpsFromForm()
     };
 
+    // Keep a custom RRULE (e.g. "last Friday") unless the type was changed in the form
+    if (mode === 'edit' && this.editingRecurrence?.rrule &&
+        this.editingRecurrence.type === reminderData.recurrence.type &&
+        (this.editingRecurrence.calendar || 'gregorian') === reminderData.recurrence.calendar) {
+      reminderData.recurrence.rrule = this.editingRecurrence.rrule;
+      reminderData.recurrence.exdates = this.editingRecurrence.exdates || [];
+    }
+
     const submitBtn = form.querySelector('button[type="submit"]');
     const originalText = submitBtn.textContent;
 
@@ -577,7 +1155,7 @@ class DashboardManager {
     }
   }
 
-  validateReminderForm(data) {
+  validateReminderForm(data, alerts = []) {
     const errors = [];
 
     if (!data.title?.trim()) {
@@ -592,13 +1170,22 @@ class DashboardManager {
       errors.push(window.i18n?.t('reminders.time_required') || 'Time is required');
     }
 
-    if (data.date && data.time) {
-      const scheduledTime = new Date(`${data.date}T${data.time}`);
+    const date = data.date ? Utils.parseDate(data.date, Utils.getCalendar()) : null;
+    if (data.date && !date) {
+      errors.push(window.i18n?.t('reminders.invalid_date') || 'Date is invalid');
+    }
+
+    if (date && data.time) {
+      const scheduledTime = new Date(`${date}T${data.time}`);
       if (scheduledTime <= new Date()) {
         errors.push(window.i18n?.t('reminders.future_time_required') || 'Scheduled time must be in the future');
       }
     }
 
+    if (new Set(alerts.map(alert => alert.offset)).size !== alerts.length) {
+      errors.push(window.i18n?.t('reminders.duplicate_alerts') || 'Each alert needs a different time');
+    }
+
     if (errors.length > 0) {
       Utils.showNotification(errors.join('. '), 'error');
       return false;
@@ -624,6 +1211,23 @@ class DashboardManager {
     }
   }
 
+  async toggleChecklistItem(id, itemId, done) {
+    try {
+      const response = await api.updateChecklistItem(id, itemId, done);
+
+      if (response.success && response.data.status === 'completed' && done) {
+        Utils.showNotification(
+          window.i18n?.t('reminders.completed_successfully') || 'Reminder completed',
+          'success'
+        );
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Update Checklist Item');
+    }
+
+    await this.loadPageData(this.currentPage);
+  }
+
   async deleteReminder(id) {
     const confirmed = await Utils.confirm(
       window.i18n?.t('reminders.delete_confirmation') || 'Are you sure you want to delete this reminder?',
@@ -696,6 +1300,274 @@ class DashboardManager {
     }
   }
 
+  async exportIcs() {
+    try {
+      const type = Utils.$('#ics-export-type')?.value || 'event';
+      const calendar = await api.exportReminders(type);
+      Utils.downloadFile(calendar, 'notifaref-reminders.ics', 'text/calendar');
+    } catch (error) {
+      Utils.handleError(error, 'Export Reminders');
+    }
+  }
+
+  async importIcs(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      const response = await api.importReminders(await file.text());
+
+      if (response.success) {
+        const { created, updated, skipped, errors } = response.data;
+        Utils.showNotification(
+          window.i18n?.t('reminders.ics_imported', { created, updated, skipped }) ||
+            `${created} created, ${updated} updated, ${skipped} skipped`,
+          'success'
+        );
+
+        if (errors.length > 0) {
+          console.warn('Items not imported:', errors);
+          Utils.showNotification(
+            window.i18n?.t('reminders.ics_import_errors', { count: errors.length }) || `${errors.length} items could not be read`,
+            'warning'
+          );
+        }
+
+        await this.loadPageData(this.currentPage);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Import Reminders');
+    } finally {
+      // Allow picking the same file again
+      input.value = '';
+    }
+  }
+
+  // Share links: public links to a reminder, with their view counts
+  async showShareLinks(id) {
+    this.sharingReminderId = id;
+
+    const form = Utils.$('#share-link-form');
+    if (form) {
+      form.reset();
+    }
+
+    Utils.showModal('#share-modal');
+    await this.loadShareLinks();
+  }
+
+  async loadShareLinks() {
+    try {
+      const response = await api.getShareLinks(this.sharingReminderId);
+      this.renderShareLinks(response.success ? response.data : []);
+    } catch (error) {
+      Utils.handleError(error, 'Loading Share Links');
+    }
+  }
+
+  renderShareLinks(links) {
+    const list = Utils.$('#share-links-list');
+    if (!list) return;
+
+    if (links.length === 0) {
+      list.innerHTML = `<li class="share-link-item">${window.i18n?.t('sharing.no_links') || 'No active links'}</li>`;
+      return;
+    }
+
+    const viewsLabel = window.i18n?.t('sharing.views') || 'views';
+    list.innerHTML = links.map(link => `
+      <li class="share-link-item">
+        ${link.hasPassword ? '<i class="fas fa-lock"></i>' : ''}
+        <span class="share-link-stats">
+          ${link.viewCount}${link.maxViews ? ` / ${link.maxViews}` : ''} ${viewsLabel}
+          · ${window.i18n?.t('sharing.expires') || 'Expires'} ${this.formatReminderDate(link.expiresAt)}
+        </span>
+        <button class="btn btn-ghost btn-icon share-link-copy" title="${window.i18n?.t('sharing.copy_link') || 'Copy link'}" data-url="${Utils.escapeHtml(link.url)}">
+          <i class="fas fa-copy"></i>
+        </button>
+        <button class="btn btn-ghost btn-icon share-link-revoke" title="${window.i18n?.t('sharing.revoke') || 'Revoke'}" data-id="${link._id}">
+          <i class="fas fa-ban"></i>
+        </button>
+      </li>
+    `).join('');
+  }
+
+  async handleShareSubmit(e) {
+    e.preventDefault();
+
+    const maxViews = Utils.$('#share-max-views')?.value;
+    const password = Utils.$('#share-password')?.value;
+
+    try {
+      const response = await api.shareReminder(this.sharingReminderId, {
+        expirationHours: parseInt(Utils.$('#share-expiration')?.value, 10) || 24,
+        maxViews: maxViews ? parseInt(maxViews, 10) : null,
+        password: password || null,
+        allowImport: !!Utils.$('#share-allow-import')?.checked
+      });
+
+      if (response.success) {
+        await this.copyShareLink(response.data.url);
+        e.target.reset();
+        await this.loadShareLinks();
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Create Share Link');
+    }
+  }
+
+  async copyShareLink(url) {
+    if (await Utils.copyToClipboard(url)) {
+      Utils.showNotification(window.i18n?.t('sharing.link_copied') || 'Link copied', 'success');
+    }
+  }
+
+  async revokeShareLink(linkId) {
+    const confirmed = await Utils.confirm(
+      window.i18n?.t('sharing.revoke_confirm') || 'Revoke this link? It will stop working right away.'
+    );
+    if (!confirmed) return;
+
+    try {
+      await api.revokeShareLink(this.sharingReminderId, linkId);
+      Utils.showNotification(window.i18n?.t('sharing.revoked') || 'Link revoked', 'success');
+      await this.loadShareLinks();
+    } catch (error) {
+      Utils.handleError(error, 'Revoke Share Link');
+    }
+  }
+
+  // Workspaces: reminder requests go to the chosen one (see api.setWorkspace)
+  async loadWorkspaces() {
+    try {
+      const response = await api.getWorkspaces();
+      this.workspaces = response.success ? response.data : [];
+
+      // Forget a workspace the user no longer belongs to
+      if (api.workspaceId && !this.workspaces.some(workspace => workspace._id === api.workspaceId)) {
+        api.setWorkspace(null);
+      }
+
+      this.renderWorkspaces();
+    } catch (error) {
+      Utils.handleError(error, 'Loading Workspaces');
+    }
+  }
+
+  renderWorkspaces() {
+    const select = Utils.$('#workspace-select');
+    if (!select) return;
+
+    select.innerHTML = `
+      <option value="">${window.i18n?.t('workspaces.personal') || 'Personal reminders'}</option>
+      ${this.workspaces.map(workspace => `
+        <option value="${workspace._id}">${Utils.escapeHtml(workspace.name)}</option>
+      `).join('')}
+    `;
+    select.value = api.workspaceId || '';
+
+    const current = this.getCurrentWorkspace();
+    const actions = Utils.$('#workspace-actions');
+    if (actions) {
+      actions.style.display = current ? 'flex' : 'none';
+    }
+    const inviteBtn = Utils.$('#workspace-invite-btn');
+    const leaveBtn = Utils.$('#workspace-leave-btn');
+    if (inviteBtn) inviteBtn.style.display = current && current.role !== 'member' ? '' : 'none';
+    if (leaveBtn) leaveBtn.style.display = current && current.role !== 'owner' ? '' : 'none';
+  }
+
+  getCurrentWorkspace() {
+    return this.workspaces.find(workspace => workspace._id === api.workspaceId) || null;
+  }
+
+  async switchWorkspace(workspaceId) {
+    api.setWorkspace(workspaceId);
+    this.renderWorkspaces();
+    this.pagination.currentPage = 1;
+
+    await this.loadDashboardData();
+    if (this.currentPage !== 'dashboard') {
+      await this.loadPageData(this.currentPage);
+    }
+  }
+
+  async createWorkspace() {
+    const name = window.prompt(window.i18n?.t('workspaces.name_prompt') || 'Workspace name');
+    if (!name || !name.trim()) return;
+
+    try {
+      const response = await api.createWorkspace({ name: name.trim() });
+
+      if (response.success) {
+        this.workspaces.push(response.data);
+        Utils.showNotification(window.i18n?.t('workspaces.created') || 'Workspace created', 'success');
+        await this.switchWorkspace(response.data._id);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Create Workspace');
+    }
+  }
+
+  async inviteToWorkspace() {
+    const workspace = this.getCurrentWorkspace();
+    if (!workspace) return;
+
+    const email = window.prompt(window.i18n?.t('workspaces.invite_prompt') || 'Email address to invite');
+    if (!email || !email.trim()) return;
+
+    try {
+      const response = await api.inviteToWorkspace(workspace._id, email.trim());
+
+      if (response.success && response.data.emailSent) {
+        Utils.showNotification(window.i18n?.t('workspaces.invited') || 'Invitation sent', 'success');
+      } else if (response.success) {
+        // Without email, the link can be passed on by hand
+        window.prompt(window.i18n?.t('workspaces.invite_link') || 'Share this invitation link', response.data.inviteUrl);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Invite to Workspace');
+    }
+  }
+
+  async leaveWorkspace() {
+    const workspace = this.getCurrentWorkspace();
+    if (!workspace) return;
+
+    const confirmed = await Utils.confirm(
+      window.i18n?.t('workspaces.leave_confirm') || 'Leave this workspace? Its reminders stay with the team.',
+      workspace.name
+    );
+    if (!confirmed) return;
+
+    try {
+      await api.removeWorkspaceMember(workspace._id, auth.currentUser._id);
+      this.workspaces = this.workspaces.filter(entry => entry._id !== workspace._id);
+      Utils.showNotification(window.i18n?.t('workspaces.left') || 'You left the workspace', 'success');
+      await this.switchWorkspace(null);
+    } catch (error) {
+      Utils.handleError(error, 'Leave Workspace');
+    }
+  }
+
+  async acceptWorkspaceInvitation() {
+    const token = Utils.getUrlParams().get('invite');
+    if (!token) return;
+
+    Utils.removeUrlParam('invite');
+
+    try {
+      const response = await api.acceptWorkspaceInvitation(token);
+
+      if (response.success) {
+        api.setWorkspace(response.data._id);
+        Utils.showNotification(response.message, 'success');
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Accept Invitation');
+    }
+  }
+
   async showUpcomingReminders() {
     this.filters = { status: 'pending' };
     this.switchPage('reminders');
@@ -709,25 +1581,73 @@ class DashboardManager {
     await this.loadReminders();
   }
 
-  async syncWithCalendar() {
+  async syncWithCalendar(provider = undefined) {
     try {
       Utils.showNotification(
         window.i18n?.t('calendar.syncing') || 'Syncing with calendar...',
         'info'
       );
       
-      // This would trigger calendar sync
-      // Implementation depends on calendar integration
+      const response = await api.syncCalendar(provider);
       
-      Utils.showNotification(
-        window.i18n?.t('calendar.sync_success') || 'Calendar sync completed',
-        'success'
-      );
+      if (response.success) {
+        Utils.showNotification(
+          window.i18n?.t('calendar.sync_success') || 'Calendar sync completed',
+          'success'
+        );
+
+        if (this.currentPage === 'calendar') {
+          await this.loadCalendarData();
+        }
+      }
     } catch (error) {
       Utils.handleError(error, 'Calendar Sync');
     }
   }
 
+  async connectCalendar(provider) {
+    try {
+      const response = await api.getCalendarAuthUrl(provider);
+
+      if (response.success) {
+        window.location.href = response.data.authUrl;
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Calendar Connect');
+    }
+  }
+
+  async disconnectCalendar(provider) {
+    try {
+      const response = await api.disconnectCalendar(provider);
+
+      if (response.success) {
+        Utils.showNotification(
+          window.i18n?.t('calendar.disconnected') || 'Calendar disconnected',
+          'success'
+        );
+        await this.loadCalendarData();
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Calendar Disconnect');
+    }
+  }
+
+  async updateConflictPolicy(provider, conflictPolicy) {
+    try {
+      const response = await api.updateCalendarSettings({ provider, conflictPolicy });
+
+      if (response.success) {
+        Utils.showNotification(
+          window.i18n?.t('calendar.settings_saved') || 'Calendar settings saved',
+          'success'
+        );
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Calendar Settings');
+    }
+  }
+
   async testNotification() {
     try {
       const response = await api.testNotification();
@@ -786,37 +1706,91 @@ class DashboardManager {
   }
 
   updateCalendarStatus(status) {
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
     const statusCard = Utils.$('#calendar-status');
     const connectBtn = Utils.$('#calendar-connect-btn');
+    const providers = status.providers || [];
+    const connected = providers.filter(provider => provider.connected);
+    const available = providers.filter(provider => provider.configured && !provider.connected);
     
-    if (status.userConnected) {
-      if (statusCard) {
-        statusCard.innerHTML = `
+    if (statusCard) {
+      statusCard.innerHTML = `
+        ${connected.map(provider => `
           <div class="status-card">
             <i class="fas fa-calendar-check" style="color: var(--success-500)"></i>
-            <h3>${window.i18n?.t('calendar.connected') || 'Calendar Connected'}</h3>
-            <p>${window.i18n?.t('calendar.sync_description') || 'Your reminders are synced with Google Calendar'}</p>
-            <button class="btn btn-outline" onclick="dashboard.disconnectCalendar()">
-              ${window.i18n?.t('calendar.disconnect') || 'Disconnect'}
+            <h3>${Utils.escapeHtml(provider.label)}</h3>
+            <p>${provider.sync.supportsSync
+              ? t('calendar.sync_description', 'Your reminders are synced with your calendar')
+              : t('calendar.push_description', 'Your reminders are sent to this calendar')}</p>
+            ${this.renderCalendarSync(provider.name, provider.sync)}
+            <button class="btn btn-outline" onclick="dashboard.disconnectCalendar('${provider.name}')">
+              ${t('calendar.disconnect', 'Disconnect')}
             </button>
           </div>
-        `;
-      }
-      
-      if (connectBtn) {
-        connectBtn.innerHTML = `
-          <i class="fas fa-sync"></i>
-          <span>${window.i18n?.t('calendar.sync') || 'Sync'}</span>
-        `;
-      }
-    } else {
-      if (connectBtn) {
-        connectBtn.innerHTML = `
-          <i class="fab fa-google"></i>
-          <span>${window.i18n?.t('calendar.connect') || 'Connect to Google'}</span>
-        `;
-      }
+        `).join('')}
+        ${available.length > 0 ? `
+          <div class="calendar-providers">
+            ${available.map(provider => `
+              <button class="btn btn-outline" onclick="dashboard.connectCalendar('${provider.name}')">
+                <i class="fab fa-${provider.name === 'outlook' ? 'microsoft' : 'google'}"></i>
+                ${t('calendar.connect_to', 'Connect')} ${Utils.escapeHtml(provider.label)}
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+      `;
     }
+
+    if (connectBtn) {
+      connectBtn.innerHTML = connected.length > 0 ? `
+        <i class="fas fa-sync"></i>
+        <span>${t('calendar.sync', 'Sync')}</span>
+      ` : `
+        <i class="fab fa-google"></i>
+        <span>${t('calendar.connect', 'Connect to Google')}</span>
+      `;
+    }
+  }
+
+  renderCalendarSync(provider, sync) {
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+    const stats = sync.stats;
+    const policies = {
+      newest: t('calendar.policy_newest', 'Newest change wins'),
+      reminder: t('calendar.policy_reminder', 'Reminder wins'),
+      calendar: t('calendar.policy_calendar', 'Calendar wins')
+    };
+
+    return `
+      <div class="calendar-sync-details">
+        <p>
+          ${t('calendar.last_sync', 'Last sync')}:
+          ${sync.lastSuccessAt ? this.formatReminderDate(sync.lastSuccessAt) : t('calendar.never_synced', 'Never')}
+        </p>
+        ${stats ? `
+          <p>
+            ${t('calendar.sync_created', 'Created')}: ${stats.created || 0} ·
+            ${t('calendar.sync_updated', 'Updated')}: ${stats.updated || 0} ·
+            ${t('calendar.sync_deleted', 'Deleted')}: ${stats.deleted || 0} ·
+            ${t('calendar.sync_pushed', 'Sent')}: ${stats.pushed || 0} ·
+            ${t('calendar.sync_conflicts', 'Conflicts')}: ${stats.conflicts || 0}
+          </p>
+        ` : ''}
+        ${sync.error ? `<p class="calendar-sync-error">${t('calendar.sync_error', 'Last sync failed')}: ${Utils.escapeHtml(sync.error)}</p>` : ''}
+        ${sync.supportsSync ? `
+          <label for="calendar-conflict-policy-${provider}">${t('calendar.conflict_policy', 'When both sides changed')}</label>
+          <select id="calendar-conflict-policy-${provider}" onchange="dashboard.updateConflictPolicy('${provider}', this.value)">
+            ${Object.entries(policies).map(([value, label]) => `
+              <option value="${value}" ${sync.conflictPolicy === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        ` : ''}
+        <button class="btn btn-primary" onclick="dashboard.syncWithCalendar('${provider}')">
+          <i class="fas fa-sync"></i>
+          ${t('calendar.sync_now', 'Sync now')}
+        </button>
+      </div>
+    `;
   }
 
   async loadAnalyticsData() {
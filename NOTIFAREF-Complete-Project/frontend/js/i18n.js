@@ -162,10 +162,53 @@ class I18n {
           recurrence: 'تکرار',
           tags: 'برچسب‌ها',
           tags_help: 'برچسب‌ها را با کاما از هم جدا کنید',
+          jalali_recurrence: 'تکرار بر اساس تقویم شمسی',
+          invalid_date: 'تاریخ نامعتبر است',
+          alerts: 'هشدارها',
+          add_alert: 'افزودن هشدار',
+          alerts_help: 'بدون انتخاب کانال، کانال‌های تنظیم‌شده برای اولویت استفاده می‌شوند',
+          checklist: 'چک‌لیست',
+          add_checklist_item: 'افزودن مرحله',
+          checklist_item_placeholder: 'مرحله',
+          checklist_remove: 'حذف مرحله',
+          complete_with_checklist: 'تکمیل خودکار پس از انجام همه مراحل',
+          depends_on: 'منتظر تکمیل',
+          depends_on_help: 'تا این یادآوری‌ها تکمیل نشوند، اعلانی ارسال نمی‌شود',
+          waiting_for: 'در انتظار',
+          follow_up: 'پیگیری',
+          follow_ups: 'پیگیری‌ها',
+          add_follow_up: 'افزودن پیگیری',
+          follow_up_title: 'عنوان پیگیری',
+          follow_up_after: 'پس از تکمیل',
+          follow_up_remove: 'حذف پیگیری',
+          follow_ups_help: 'پس از تکمیل این یادآوری، یادآوری‌های پیگیری ساخته می‌شوند',
+          alert_before: 'قبل',
+          alert_remove: 'حذف هشدار',
+          duplicate_alerts: 'هر هشدار باید زمان متفاوتی داشته باشد',
+          escalation_history: 'سابقه پیگیری',
+          escalation_level: 'پیگیری',
+          units: {
+            minutes: 'دقیقه',
+            hours: 'ساعت',
+            days: 'روز'
+          },
+          channels: {
+            push: 'وب',
+            email: 'ایمیل',
+            telegram: 'تلگرام',
+            sms: 'پیامک',
+            webhook: 'وب‌هوک'
+          },
           scheduled_time: 'زمان برنامه‌ریزی شده',
           created_successfully: 'یادآوری با موفقیت ایجاد شد',
           updated_successfully: 'یادآوری با موفقیت به‌روزرسانی شد',
-          deleted_successfully: 'یادآوری با موفقیت حذف شد'
+          deleted_successfully: 'یادآوری با موفقیت حذف شد',
+          ics_events: 'رویداد',
+          ics_todos: 'کار',
+          ics_export: 'خروجی .ics',
+          ics_import: 'ورود .ics',
+          ics_imported: '{{created}} یادآوری ایجاد و {{updated}} به‌روزرسانی شد، {{skipped}} مورد رد شد',
+          ics_import_errors: '{{count}} مورد خوانده نشد'
         },
 
         // Status
@@ -198,7 +241,11 @@ class I18n {
           quick_actions: 'اقدامات سریع',
           recent_reminders: 'یادآوری‌های اخیر',
           upcoming: 'آینده',
-          overdue: 'عقب افتاده'
+          overdue: 'عقب افتاده',
+          quick_add_placeholder: 'مثلاً: فردا ساعت ۹ جلسه #کار !بالا هر هفته',
+          quick_add_no_time: 'زمانی پیدا نشد؛ مثلاً «فردا ساعت ۱۰» یا «ساعت ۱۸» اضافه کنید',
+          quick_add_no_title: 'عنوان یادآوری را بنویسید',
+          quick_add_details: 'ویرایش جزئیات'
         },
 
         // Stats
@@ -238,7 +285,120 @@ class I18n {
           test: 'تست اعلان',
           permission_granted: 'مجوز اعلان‌ها داده شد',
           permission_denied: 'مجوز اعلان‌ها رد شد',
-          test_sent: 'اعلان تست ارسال شد'
+          test_sent: 'اعلان تست ارسال شد',
+          devices: 'دستگاه‌های متصل',
+          devices_description: 'دستگاه‌هایی که اعلان‌های وب را دریافت می‌کنند',
+          no_devices: 'هیچ دستگاهی ثبت نشده است',
+          this_device: 'این دستگاه',
+          device_added: 'ثبت شده در',
+          device_last_success: 'آخرین ارسال موفق',
+          device_never: 'هرگز',
+          device_revoke: 'حذف دستگاه',
+          device_revoke_confirmation: 'این دستگاه دیگر اعلانی دریافت نمی‌کند. ادامه می‌دهید؟',
+          device_revoked: 'دستگاه حذف شد',
+          device_updated: 'تنظیمات دستگاه به‌روزرسانی شد',
+          quiet_hours: 'ساعات سکوت',
+          quiet_hours_description: 'در این ساعات اعلان‌ها به تعویق می‌افتند یا بی‌صدا ارسال می‌شوند',
+          quiet_add_window: 'افزودن بازه',
+          quiet_remove_window: 'حذف بازه',
+          quiet_action: 'اعلان‌های داخل بازه',
+          quiet_action_defer: 'ارسال پس از پایان بازه',
+          quiet_action_silent: 'ارسال بی‌صدا در مرورگر',
+          quiet_allow_urgent: 'یادآوری‌های فوری همیشه ارسال شوند',
+          quiet_invalid_window: 'برای هر بازه حداقل یک روز و زمان شروع و پایان را مشخص کنید',
+          dnd: 'مزاحم نشوید',
+          dnd_description: 'توقف موقت همه اعلان‌ها',
+          dnd_until: 'فعال تا',
+          dnd_duration: 'مدت',
+          dnd_1h: '۱ ساعت',
+          dnd_4h: '۴ ساعت',
+          dnd_8h: '۸ ساعت',
+          dnd_1d: '۱ روز',
+          digest: 'خلاصه ایمیلی',
+          digest_description: 'برنامه روزانه و مرور هفتگی یادآوری‌ها در یک ایمیل',
+          digest_daily: 'برنامه روزانه',
+          digest_weekly: 'مرور هفتگی',
+          digest_day: 'روز ارسال',
+          digest_time: 'ساعت ارسال',
+          digest_priorities_help: 'این اولویت‌ها وقتی برنامه روزانه فعال است فقط در خلاصه ایمیل می‌شوند',
+          inbound: 'یادآوری با ایمیل',
+          inbound_description: 'ایمیل‌ها را به این نشانی هدایت کنید تا یادآوری ساخته شود',
+          inbound_help: 'تاریخ و ساعت از موضوع یا متن ایمیل خوانده می‌شود',
+          inbound_create: 'ساخت نشانی',
+          inbound_rotate: 'نشانی جدید',
+          inbound_rotate_confirmation: 'نشانی فعلی دیگر کار نخواهد کرد. ادامه می‌دهید؟',
+          inbound_delete: 'غیرفعال کردن',
+          inbound_delete_confirmation: 'ایمیل‌های این نشانی دیگر یادآوری نمی‌سازند. ادامه می‌دهید؟',
+          inbound_copy: 'کپی نشانی',
+          inbound_copied: 'نشانی کپی شد',
+          feed: 'اشتراک تقویم',
+          feed_description: 'یادآوری‌های در انتظار را در برنامه تقویم خود دنبال کنید',
+          feed_help: 'هر کس این نشانی را داشته باشد یادآوری‌های شما را می‌بیند',
+          feed_tags: 'فقط این برچسب‌ها',
+          feed_create: 'ساخت نشانی',
+          feed_rotate: 'نشانی جدید',
+          feed_rotate_confirmation: 'تقویم‌هایی که نشانی فعلی را دنبال می‌کنند دیگر به‌روز نمی‌شوند. ادامه می‌دهید؟',
+          feed_delete: 'لغو اشتراک',
+          feed_delete_confirmation: 'تقویم‌هایی که این نشانی را دنبال می‌کنند دیگر به‌روز نمی‌شوند. ادامه می‌دهید؟',
+          feed_copied: 'نشانی تقویم کپی شد',
+          caldav: 'همگام‌سازی CalDAV',
+          caldav_description: 'یادآوری‌ها را در Thunderbird، DAVx⁵ یا Apple Reminders ببینید و ویرایش کنید',
+          caldav_server: 'نشانی سرور',
+          caldav_username: 'نام کاربری',
+          caldav_password: 'رمز برنامه',
+          caldav_help: 'رمز برنامه فقط یک بار نمایش داده می‌شود',
+          caldav_create: 'ساخت رمز برنامه',
+          caldav_rotate: 'رمز جدید',
+          caldav_rotate_confirmation: 'برنامه‌هایی که از رمز فعلی استفاده می‌کنند از حساب خارج می‌شوند. ادامه می‌دهید؟',
+          caldav_delete: 'حذف رمز',
+          caldav_delete_confirmation: 'برنامه‌هایی که از این رمز استفاده می‌کنند از حساب خارج می‌شوند. ادامه می‌دهید؟',
+          caldav_copied: 'رمز کپی شد',
+          weekdays: {
+            sun: 'یکشنبه',
+            mon: 'دوشنبه',
+            tue: 'سه‌شنبه',
+            wed: 'چهارشنبه',
+            thu: 'پنجشنبه',
+            fri: 'جمعه',
+            sat: 'شنبه'
+          }
+        },
+
+        // Sharing
+        sharing: {
+          shared_with: 'به اشتراک گذاشته با',
+          role_viewer: 'مشترک (فقط مشاهده)',
+          role_editor: 'مشترک (ویرایشگر)',
+          assigned_to_you: 'سپرده به شما',
+          links_title: 'پیوندهای اشتراک',
+          expires_in: 'اعتبار (ساعت)',
+          max_views: 'حداکثر بازدید',
+          password: 'رمز عبور (اختیاری)',
+          allow_import: 'اجازه افزودن به حساب بازدیدکنندگان',
+          create_link: 'ساخت پیوند',
+          no_links: 'پیوند فعالی وجود ندارد',
+          views: 'بازدید',
+          expires: 'انقضا',
+          copy_link: 'کپی پیوند',
+          link_copied: 'پیوند کپی شد',
+          revoke: 'لغو پیوند',
+          revoke_confirm: 'این پیوند لغو شود؟ بلافاصله از کار می‌افتد.',
+          revoked: 'پیوند لغو شد'
+        },
+
+        // Workspaces
+        workspaces: {
+          label: 'فضای کاری',
+          personal: 'یادآوری‌های شخصی',
+          invite: 'دعوت',
+          leave: 'خروج',
+          name_prompt: 'نام فضای کاری',
+          created: 'فضای کاری ساخته شد',
+          invite_prompt: 'ایمیل فردی که دعوت می‌کنید',
+          invited: 'دعوت‌نامه ارسال شد',
+          invite_link: 'این پیوند دعوت را برای او بفرستید',
+          leave_confirm: 'از این فضای کاری خارج می‌شوید؟ یادآوری‌های آن برای تیم باقی می‌مانند.',
+          left: 'از فضای کاری خارج شدید'
         },
 
         // Calendar
@@ -249,7 +409,26 @@ class I18n {
           not_connected: 'تقویم متصل نیست',
           connect_description: 'برای همگام‌سازی یادآوری‌ها با تقویم گوگل، اتصال برقرار کنید',
           connected: 'تقویم متصل است',
-          sync_success: 'همگام‌سازی موفقیت‌آمیز'
+          sync_success: 'همگام‌سازی موفقیت‌آمیز',
+          syncing: 'در حال همگام‌سازی با تقویم...',
+          sync_now: 'همگام‌سازی اکنون',
+          last_sync: 'آخرین همگام‌سازی',
+          never_synced: 'هرگز',
+          sync_created: 'ایجاد شده',
+          sync_updated: 'به‌روز شده',
+          sync_deleted: 'حذف شده',
+          sync_pushed: 'ارسال شده',
+          sync_conflicts: 'تعارض‌ها',
+          sync_error: 'آخرین همگام‌سازی ناموفق بود',
+          conflict_policy: 'وقتی هر دو طرف تغییر کرده‌اند',
+          policy_newest: 'تغییر جدیدتر برنده است',
+          policy_reminder: 'یادآوری برنده است',
+          policy_calendar: 'تقویم برنده است',
+          settings_saved: 'تنظیمات تقویم ذخیره شد',
+          sync_description: 'یادآوری‌های شما با این تقویم همگام می‌شوند',
+          push_description: 'یادآوری‌های شما به این تقویم فرستاده می‌شوند',
+          connect_to: 'اتصال به',
+          disconnected: 'اتصال تقویم قطع شد'
         },
 
         // Analytics
@@ -338,6 +517,8 @@ class I18n {
         // Shared
         shared: {
           badge: 'یادآوری اشتراکی',
+          password_prompt: 'این پیوند رمز دارد. رمز عبور را وارد کنید:',
+          wrong_password: 'رمز عبور نادرست است. دوباره تلاش کنید:',
           shared_by: 'اشتراک‌گذاری شده توسط',
           shared_on: 'تاریخ اشتراک',
           import: 'افزودن به یادآوری‌ها',
@@ -507,10 +688,53 @@ class I18n {
           recurrence: 'Recurrence',
           tags: 'Tags',
           tags_help: 'Separate tags with commas',
+          jalali_recurrence: 'Repeat on the Persian (Jalali) calendar',
+          invalid_date: 'Date is invalid',
+          alerts: 'Alerts',
+          add_alert: 'Add alert',
+          alerts_help: 'Alerts without channels use the channels set for the priority',
+          checklist: 'Checklist',
+          add_checklist_item: 'Add step',
+          checklist_item_placeholder: 'Step',
+          checklist_remove: 'Remove step',
+          complete_with_checklist: 'Complete automatically when every step is done',
+          depends_on: 'Waits for',
+          depends_on_help: 'No notifications are sent until these reminders are completed',
+          waiting_for: 'Waiting for',
+          follow_up: 'Follow-up',
+          follow_ups: 'Follow-ups',
+          add_follow_up: 'Add follow-up',
+          follow_up_title: 'Follow-up title',
+          follow_up_after: 'after completion',
+          follow_up_remove: 'Remove follow-up',
+          follow_ups_help: 'Follow-up reminders are created once this reminder is completed',
+          alert_before: 'before',
+          alert_remove: 'Remove alert',
+          duplicate_alerts: 'Each alert needs a different time',
+          escalation_history: 'Escalation history',
+          escalation_level: 'Escalation',
+          units: {
+            minutes: 'minutes',
+            hours: 'hours',
+            days: 'days'
+          },
+          channels: {
+            push: 'Web',
+            email: 'Email',
+            telegram: 'Telegram',
+            sms: 'SMS',
+            webhook: 'Webhook'
+          },
           scheduled_time: 'Scheduled Time',
           created_successfully: 'Reminder created successfully',
           updated_successfully: 'Reminder updated successfully',
-          deleted_successfully: 'Reminder deleted successfully'
+          deleted_successfully: 'Reminder deleted successfully',
+          ics_events: 'Events',
+          ics_todos: 'To-dos',
+          ics_export: 'Export .ics',
+          ics_import: 'Import .ics',
+          ics_imported: '{{created}} reminders created, {{updated}} updated, {{skipped}} skipped',
+          ics_import_errors: '{{count}} items could not be read'
         },
 
         // Status
@@ -543,7 +767,11 @@ class I18n {
           quick_actions: 'Quick Actions',
           recent_reminders: 'Recent Reminders',
           upcoming: 'Upcoming',
-          overdue: 'Overdue'
+          overdue: 'Overdue',
+          quick_add_placeholder: 'e.g. call mom tomorrow at 6pm #family !high every week',
+          quick_add_no_time: 'No time found; add one such as "tomorrow at 10am" or "6pm"',
+          quick_add_no_title: 'Type what to be reminded about',
+          quick_add_details: 'Edit details'
         },
 
         // Stats
@@ -583,7 +811,120 @@ class I18n {
           test: 'Test Notification',
           permission_granted: 'Notification permission granted',
           permission_denied: 'Notification permission denied',
-          test_sent: 'Test notification sent'
+          test_sent: 'Test notification sent',
+          devices: 'Connected devices',
+          devices_description: 'Devices that receive web notifications',
+          no_devices: 'No devices registered',
+          this_device: 'This device',
+          device_added: 'Added',
+          device_last_success: 'Last delivered',
+          device_never: 'Never',
+          device_revoke: 'Remove device',
+          device_revoke_confirmation: 'This device will stop receiving notifications. Continue?',
+          device_revoked: 'Device removed',
+          device_updated: 'Device settings updated',
+          quiet_hours: 'Quiet hours',
+          quiet_hours_description: 'Notifications are held back or sent silently during these hours',
+          quiet_add_window: 'Add window',
+          quiet_remove_window: 'Remove window',
+          quiet_action: 'Notifications during quiet hours',
+          quiet_action_defer: 'Send when quiet hours end',
+          quiet_action_silent: 'Send as silent browser notifications',
+          quiet_allow_urgent: 'Always let urgent reminders through',
+          quiet_invalid_window: 'Each window needs at least one day and a start and end time',
+          dnd: 'Do not disturb',
+          dnd_description: 'Pause all notifications for a while',
+          dnd_until: 'On until',
+          dnd_duration: 'Duration',
+          dnd_1h: '1 hour',
+          dnd_4h: '4 hours',
+          dnd_8h: '8 hours',
+          dnd_1d: '1 day',
+          digest: 'Email digest',
+          digest_description: 'A daily agenda and weekly review of your reminders in one email',
+          digest_daily: 'Daily agenda',
+          digest_weekly: 'Weekly review',
+          digest_day: 'Send on',
+          digest_time: 'Send at',
+          digest_priorities_help: 'While the daily agenda is on, these priorities are emailed only in the digest',
+          inbound: 'Email to reminder',
+          inbound_description: 'Forward emails to this address to turn them into reminders',
+          inbound_help: 'The date and time are read from the subject or the body',
+          inbound_create: 'Create address',
+          inbound_rotate: 'New address',
+          inbound_rotate_confirmation: 'Your current address will stop working. Continue?',
+          inbound_delete: 'Turn off',
+          inbound_delete_confirmation: 'Emails sent to this address will no longer create reminders. Continue?',
+          inbound_copy: 'Copy address',
+          inbound_copied: 'Address copied',
+          feed: 'Calendar subscription',
+          feed_description: 'Follow your pending reminders in your calendar app',
+          feed_help: 'Anyone with this address can see your reminders',
+          feed_tags: 'Only these tags',
+          feed_create: 'Create address',
+          feed_rotate: 'New address',
+          feed_rotate_confirmation: 'Calendars subscribed to the current address will stop updating. Continue?',
+          feed_delete: 'Revoke',
+          feed_delete_confirmation: 'Calendars subscribed to this address will stop updating. Continue?',
+          feed_copied: 'Feed address copied',
+          caldav: 'CalDAV sync',
+          caldav_description: 'See and edit your reminders in Thunderbird, DAVx⁵ or Apple Reminders',
+          caldav_server: 'Server address',
+          caldav_username: 'Username',
+          caldav_password: 'App password',
+          caldav_help: 'The app password is only shown once',
+          caldav_create: 'Create app password',
+          caldav_rotate: 'New password',
+          caldav_rotate_confirmation: 'Apps using the current password will be signed out. Continue?',
+          caldav_delete: 'Remove password',
+          caldav_delete_confirmation: 'Apps using this password will be signed out. Continue?',
+          caldav_copied: 'Password copied',
+          weekdays: {
+            sun: 'Sun',
+            mon: 'Mon',
+            tue: 'Tue',
+            wed: 'Wed',
+            thu: 'Thu',
+            fri: 'Fri',
+            sat: 'Sat'
+          }
+        },
+
+        // Sharing
+        sharing: {
+          shared_with: 'Shared with',
+          role_viewer: 'Shared (view only)',
+          role_editor: 'Shared (editor)',
+          assigned_to_you: 'Assigned to you',
+          links_title: 'Share links',
+          expires_in: 'Valid for (hours)',
+          max_views: 'Maximum views',
+          password: 'Password (optional)',
+          allow_import: 'Let visitors add it to their reminders',
+          create_link: 'Create link',
+          no_links: 'No active links',
+          views: 'views',
+          expires: 'Expires',
+          copy_link: 'Copy link',
+          link_copied: 'Link copied',
+          revoke: 'Revoke link',
+          revoke_confirm: 'Revoke this link? It will stop working right away.',
+          revoked: 'Link revoked'
+        },
+
+        // Workspaces
+        workspaces: {
+          label: 'Workspace',
+          personal: 'Personal reminders',
+          invite: 'Invite',
+          leave: 'Leave',
+          name_prompt: 'Workspace name',
+          created: 'Workspace created',
+          invite_prompt: 'Email address to invite',
+          invited: 'Invitation sent',
+          invite_link: 'Share this invitation link',
+          leave_confirm: 'Leave this workspace? Its reminders stay with the team.',
+          left: 'You left the workspace'
         },
 
         // Calendar
@@ -594,7 +935,26 @@ class I18n {
           not_connected: 'Calendar not connected',
           connect_description: 'Connect to Google Calendar to sync your reminders',
           connected: 'Calendar connected',
-          sync_success: 'Sync successful'
+          sync_success: 'Sync successful',
+          syncing: 'Syncing with calendar...',
+          sync_now: 'Sync now',
+          last_sync: 'Last sync',
+          never_synced: 'Never',
+          sync_created: 'Created',
+          sync_updated: 'Updated',
+          sync_deleted: 'Deleted',
+          sync_pushed: 'Sent',
+          sync_conflicts: 'Conflicts',
+          sync_error: 'Last sync failed',
+          conflict_policy: 'When both sides changed',
+          policy_newest: 'Newest change wins',
+          policy_reminder: 'Reminder wins',
+          policy_calendar: 'Calendar wins',
+          settings_saved: 'Calendar settings saved',
+          sync_description: 'Your reminders are synced with your calendar',
+          push_description: 'Your reminders are sent to this calendar',
+          connect_to: 'Connect',
+          disconnected: 'Calendar disconnected'
         },
 
         // Analytics
@@ -683,6 +1043,8 @@ class I18n {
         // Shared
         shared: {
           badge: 'Shared Reminder',
+          password_prompt: 'This link is protected. Enter the password:',
+          wrong_password: 'Incorrect password. Try again:',
           shared_by: 'Shared by',
           shared_on: 'Shared on',
           import: 'Add to Reminders',
@@ -1,5 +1,8 @@
 // NOTIFAREF - Notification System
 
+// Weekday keys in Date#getDay() order, used for quiet hour windows
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
 class NotificationManager {
   constructor() {
     this.vapidPublicKey = null;
@@ -123,9 +126,11 @@ class NotificationManager {
       this.subscription = subscription;
       
       // Send subscription to server
-      const response = await api.subscribeToNotifications(subscription);
+      const response = await api.subscribeToNotifications(subscription, this.getDeviceName());
       
       if (response.success) {
+        this.rememberDevice(response.data?.device);
+        
         Utils.showNotification(
           window.i18n?.t('notifications.subscribed') || 'Successfully subscribed to notifications',
           'success'
@@ -133,6 +138,7 @@ class NotificationManager {
         
         // Update UI
         this.updateNotificationUI();
+        await this.loadDevices();
         return true;
       }
       
@@ -147,13 +153,16 @@ class NotificationManager {
     if (!this.subscription) return true;
 
     try {
+      const { endpoint } = this.subscription;
+
       // Unsubscribe from browser
       await this.subscription.unsubscribe();
       
-      // Remove subscription from server
-      await api.unsubscribeFromNotifications();
+      // Remove this device's subscription from server
+      await api.unsubscribeFromNotifications(endpoint);
       
       this.subscription = null;
+      Utils.removeStorage('push_device_id');
       
       Utils.showNotification(
         window.i18n?.t('notifications.unsubscribed') || 'Unsubscribed from notifications',
@@ -162,6 +171,7 @@ class NotificationManager {
       
       // Update UI
       this.updateNotificationUI();
+      await this.loadDevices();
       return true;
       
     } catch (error) {
@@ -175,7 +185,10 @@ class NotificationManager {
     if (!this.subscription) return;
 
     try {
-      await api.subscribeToNotifications(this.subscription);
+      const response = await api.subscribeToNotifications(this.subscription, this.getDeviceName());
+      if (response?.success) {
+        this.rememberDevice(response.data?.device);
+      }
     } catch (error) {
       console.error('Error syncing subscription with server:', error);
       // If sync fails, the subscription might be invalid
@@ -183,6 +196,125 @@ class NotificationManager {
     }
   }
 
+  // Describe this browser, e.g. "Chrome on Android"
+  getDeviceName() {
+    const ua = navigator.userAgent;
+    const browser = /Edg\//.test(ua) ? 'Edge' :
+      /OPR\//.test(ua) ? 'Opera' :
+      /Firefox\//.test(ua) ? 'Firefox' :
+      /Chrome\//.test(ua) ? 'Chrome' :
+      /Safari\//.test(ua) ? 'Safari' : 'Browser';
+    const os = /Android/.test(ua) ? 'Android' :
+      /iPhone|iPad|iPod/.test(ua) ? 'iOS' :
+      /Windows/.test(ua) ? 'Windows' :
+      /Mac OS X/.test(ua) ? 'macOS' :
+      /Linux/.test(ua) ? 'Linux' : '';
+
+    return os ? `${browser} on ${os}` : browser;
+  }
+
+  rememberDevice(device) {
+    if (device?.id) {
+      Utils.setStorage('push_device_id', device.id);
+    }
+  }
+
+  async loadDevices() {
+    const list = Utils.$('#push-devices-list');
+    if (!list) return;
+
+    try {
+      const response = await api.getNotificationDevices();
+      if (response.success) {
+        this.renderDevices(response.data.devices);
+      }
+    } catch (error) {
+      console.error('Error loading push devices:', error);
+    }
+  }
+
+  renderDevices(devices = []) {
+    const list = Utils.$('#push-devices-list');
+    if (!list) return;
+
+    if (devices.length === 0) {
+      list.innerHTML = `<li class="device-item empty">${window.i18n?.t('notifications.no_devices') || 'No devices registered'}</li>`;
+      return;
+    }
+
+    const currentId = Utils.getStorage('push_device_id');
+    const calendar = Utils.getCalendar();
+    const formatDate = (date) => date
+      ? Utils.formatDateTime(date, calendar)
+      : (window.i18n?.t('notifications.device_never') || 'Never');
+
+    list.innerHTML = devices.map(device => `
+      <li class="device-item" data-device-id="${device.id}">
+        <div class="device-info">
+          <strong>${Utils.escapeHtml(device.deviceName || device.userAgent || 'Unknown device')}</strong>
+          ${device.id === currentId ? `<span class="tag">${window.i18n?.t('notifications.this_device') || 'This device'}</span>` : ''}
+          <small>
+            ${window.i18n?.t('notifications.device_added') || 'Added'}: ${formatDate(device.createdAt)}
+            · ${window.i18n?.t('notifications.device_last_success') || 'Last delivered'}: ${formatDate(device.lastSuccessAt)}
+          </small>
+        </div>
+        <div class="device-actions">
+          <label class="toggle">
+            <input type="checkbox" class="device-toggle" data-id="${device.id}" ${device.enabled ? 'checked' : ''}>
+            <span class="toggle-slider"></span>
+          </label>
+          <button class="btn btn-ghost btn-icon device-revoke-btn" data-id="${device.id}" title="${window.i18n?.t('notifications.device_revoke') || 'Remove device'}">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </li>
+    `).join('');
+  }
+
+  async toggleDevice(id, enabled) {
+    try {
+      const response = await api.updateNotificationDevice(id, { enabled });
+      if (response.success) {
+        Utils.showNotification(
+          window.i18n?.t('notifications.device_updated') || 'Device settings updated',
+          'success'
+        );
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Update Push Device');
+      await this.loadDevices();
+    }
+  }
+
+  async revokeDevice(id) {
+    const confirmed = await Utils.confirm(
+      window.i18n?.t('notifications.device_revoke_confirmation') || 'This device will stop receiving notifications. Continue?',
+      window.i18n?.t('notifications.device_revoke') || 'Remove device'
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await api.deleteNotificationDevice(id);
+      if (response.success) {
+        // Revoking this browser also drops its local subscription
+        if (id === Utils.getStorage('push_device_id') && this.subscription) {
+          await this.subscription.unsubscribe();
+          this.subscription = null;
+          Utils.removeStorage('push_device_id');
+          this.updateNotificationUI();
+        }
+
+        Utils.showNotification(
+          window.i18n?.t('notifications.device_revoked') || 'Device removed',
+          'success'
+        );
+        await this.loadDevices();
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Remove Push Device');
+    }
+  }
+
   setupEventListeners() {
     // Web push toggle
     const webPushToggle = Utils.$('#web-push-toggle');
@@ -217,6 +349,61 @@ class NotificationManager {
       emailFallbackToggle.addEventListener('change', () => this.updateEmailSettings());
     }
 
+    // Device list actions
+    const devicesList = Utils.$('#push-devices-list');
+    if (devicesList) {
+      Utils.delegate(devicesList, '.device-toggle', 'change', (e) => {
+        this.toggleDevice(e.target.getAttribute('data-id'), e.target.checked);
+      });
+      Utils.delegate(devicesList, '.device-revoke-btn, .device-revoke-btn *', 'click', (e) => {
+        const btn = e.target.closest('.device-revoke-btn');
+        this.revokeDevice(btn.getAttribute('data-id'));
+      });
+    }
+
+    // Quiet hours and do-not-disturb
+    Utils.on('#quiet-add-window-btn', 'click', () => this.addQuietWindowRow());
+    Utils.on('#quiet-hours-save-btn', 'click', () => this.saveQuietHours());
+    Utils.on('#quiet-hours-toggle', 'change', () => this.saveQuietHours());
+    Utils.on('#dnd-toggle', 'change', (e) => this.updateDoNotDisturb(e.target.checked));
+    Utils.delegate('#quiet-windows-list', '.quiet-remove-btn, .quiet-remove-btn *', 'click', (e) => {
+      e.target.closest('.quiet-window')?.remove();
+    });
+
+    // Digest emails
+    Utils.on('#digest-save-btn', 'click', () => this.saveDigest());
+
+    // Inbound email address
+    Utils.on('#inbound-create-btn', 'click', () => this.createInboundAddress());
+    Utils.on('#inbound-delete-btn', 'click', () => this.deleteInboundAddress());
+    Utils.on('#inbound-copy-btn', 'click', async () => {
+      if (await Utils.copyToClipboard(Utils.$('#inbound-address')?.textContent || '')) {
+        Utils.showNotification(window.i18n?.t('notifications.inbound_copied') || 'Address copied', 'success');
+      }
+    });
+
+    // Private calendar feed
+    Utils.on('#ical-feed-create-btn', 'click', () => this.createIcalFeed());
+    Utils.on('#ical-feed-delete-btn', 'click', () => this.deleteIcalFeed());
+    Utils.on('#ical-feed-tags', 'input', () => this.updateIcalFeedUrl());
+    Utils.$$('input[name="ical-feed-priority"]').forEach(input => {
+      input.addEventListener('change', () => this.updateIcalFeedUrl());
+    });
+    Utils.on('#ical-feed-copy-btn', 'click', async () => {
+      if (await Utils.copyToClipboard(Utils.$('#ical-feed-url')?.textContent || '')) {
+        Utils.showNotification(window.i18n?.t('notifications.feed_copied') || 'Feed address copied', 'success');
+      }
+    });
+
+    // CalDAV app password
+    Utils.on('#caldav-create-btn', 'click', () => this.createCaldavPassword());
+    Utils.on('#caldav-delete-btn', 'click', () => this.deleteCaldavPassword());
+    Utils.on('#caldav-copy-btn', 'click', async () => {
+      if (await Utils.copyToClipboard(Utils.$('#caldav-password')?.textContent || '')) {
+        Utils.showNotification(window.i18n?.t('notifications.caldav_copied') || 'Password copied', 'success');
+      }
+    });
+
     // Listen for service worker messages
     if ('serviceWorker' in navigator) {
       navigator.serviceWorker.addEventListener('message', (event) => {
@@ -254,6 +441,389 @@ class NotificationManager {
     }
   }
 
+  renderQuietWindows(windows = []) {
+    const list = Utils.$('#quiet-windows-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    windows.forEach(quietWindow => this.addQuietWindowRow(quietWindow));
+  }
+
+  addQuietWindowRow(quietWindow = { days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '07:00' }) {
+    const list = Utils.$('#quiet-windows-list');
+    if (!list) return;
+
+    const t = (key, fallback) => window.i18n?.t(key) || fallback;
+    const row = Utils.createElement('div', 'quiet-window');
+    row.innerHTML = `
+      <div class="quiet-days">
+        ${WEEKDAYS.map((day, index) => `
+          <label class="quiet-day">
+            <input type="checkbox" value="${index}" ${quietWindow.days.includes(index) ? 'checked' : ''}>
+            <span>${t(`notifications.weekdays.${day}`, day)}</span>
+          </label>
+        `).join('')}
+      </div>
+      <input type="time" class="quiet-start" value="${quietWindow.start}">
+      <span>–</span>
+      <input type="time" class="quiet-end" value="${quietWindow.end}">
+      <button type="button" class="btn btn-ghost btn-icon quiet-remove-btn" title="${t('notifications.quiet_remove_window', 'Remove window')}">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    list.appendChild(row);
+  }
+
+  getQuietWindows() {
+    return [...Utils.$$('#quiet-windows-list .quiet-window')].map(row => ({
+      days: [...row.querySelectorAll('.quiet-day input:checked')].map(input => parseInt(input.value, 10)),
+      start: row.querySelector('.quiet-start').value,
+      end: row.querySelector('.quiet-end').value
+    }));
+  }
+
+  async saveQuietHours() {
+    const windows = this.getQuietWindows();
+
+    if (windows.some(quietWindow => quietWindow.days.length === 0 || !quietWindow.start || !quietWindow.end)) {
+      Utils.showNotification(
+        window.i18n?.t('notifications.quiet_invalid_window') || 'Each window needs at least one day and a start and end time',
+        'error'
+      );
+      return;
+    }
+
+    await this.updateSettings({
+      quietHours: {
+        enabled: Utils.$('#quiet-hours-toggle')?.checked || false,
+        windows,
+        action: Utils.$('#quiet-hours-action')?.value || 'defer',
+        allowUrgent: Utils.$('#quiet-hours-urgent')?.checked || false
+      }
+    });
+  }
+
+  async updateDoNotDisturb(enabled) {
+    const minutes = parseInt(Utils.$('#dnd-duration')?.value, 10) || 60;
+    const success = await this.updateSettings({
+      doNotDisturb: enabled ? { minutes } : { until: null }
+    });
+
+    if (success) {
+      await this.loadSettings();
+    } else {
+      const toggle = Utils.$('#dnd-toggle');
+      if (toggle) toggle.checked = !enabled;
+    }
+  }
+
+  renderDoNotDisturb(doNotDisturb) {
+    const toggle = Utils.$('#dnd-toggle');
+    const status = Utils.$('#dnd-status');
+
+    if (toggle) {
+      toggle.checked = doNotDisturb.enabled;
+    }
+
+    if (status) {
+      status.textContent = doNotDisturb.enabled
+        ? `${window.i18n?.t('notifications.dnd_until') || 'On until'} ${Utils.formatDateTime(doNotDisturb.until, Utils.getCalendar())}`
+        : (window.i18n?.t('notifications.dnd_description') || 'Pause all notifications for a while');
+    }
+  }
+
+  renderDigest(digest) {
+    const daySelect = Utils.$('#digest-weekly-day');
+    if (daySelect) {
+      daySelect.innerHTML = WEEKDAYS.map((day, index) => `
+        <option value="${index}">${window.i18n?.t(`notifications.weekdays.${day}`) || day}</option>
+      `).join('');
+      daySelect.value = String(digest.weekly.day);
+    }
+
+    const fields = {
+      '#digest-daily-toggle': ['checked', digest.daily.enabled],
+      '#digest-daily-time': ['value', digest.daily.time],
+      '#digest-weekly-toggle': ['checked', digest.weekly.enabled],
+      '#digest-weekly-time': ['value', digest.weekly.time]
+    };
+    Object.entries(fields).forEach(([selector, [property, value]]) => {
+      const element = Utils.$(selector);
+      if (element) element[property] = value;
+    });
+
+    Utils.$$('input[name="digest-priority"]').forEach(input => {
+      input.checked = digest.priorities.includes(input.value);
+    });
+  }
+
+  async saveDigest() {
+    await this.updateSettings({
+      digest: {
+        daily: {
+          enabled: Utils.$('#digest-daily-toggle')?.checked || false,
+          time: Utils.$('#digest-daily-time')?.value || '07:00'
+        },
+        weekly: {
+          enabled: Utils.$('#digest-weekly-toggle')?.checked || false,
+          day: parseInt(Utils.$('#digest-weekly-day')?.value, 10) || 0,
+          time: Utils.$('#digest-weekly-time')?.value || '08:00'
+        },
+        priorities: [...Utils.$$('input[name="digest-priority"]:checked')].map(input => input.value)
+      }
+    });
+  }
+
+  async loadInboundAddress() {
+    if (!Utils.$('#inbound-email-card')) return;
+
+    try {
+      const response = await api.getInboundAddress();
+      if (response.success) {
+        this.renderInboundAddress(response.data);
+      }
+    } catch (error) {
+      console.error('Error loading inbound address:', error);
+    }
+  }
+
+  renderInboundAddress(inbound) {
+    const card = Utils.$('#inbound-email-card');
+    if (!card) return;
+
+    // Nothing to offer when the server does not receive email
+    card.classList.toggle('hidden', !inbound.configured);
+
+    Utils.$('#inbound-address-row')?.classList.toggle('hidden', !inbound.address);
+    Utils.$('#inbound-delete-btn')?.classList.toggle('hidden', !inbound.address);
+
+    const address = Utils.$('#inbound-address');
+    if (address) {
+      address.textContent = inbound.address || '';
+    }
+
+    const createBtn = Utils.$('#inbound-create-btn');
+    if (createBtn) {
+      createBtn.textContent = inbound.address
+        ? (window.i18n?.t('notifications.inbound_rotate') || 'New address')
+        : (window.i18n?.t('notifications.inbound_create') || 'Create address');
+    }
+  }
+
+  async createInboundAddress() {
+    // A new address replaces the old one, which stops working
+    if (Utils.$('#inbound-address')?.textContent) {
+      const confirmed = await Utils.confirm(
+        window.i18n?.t('notifications.inbound_rotate_confirmation') || 'Your current address will stop working. Continue?',
+        window.i18n?.t('notifications.inbound_rotate') || 'New address'
+      );
+      if (!confirmed) return;
+    }
+
+    try {
+      const response = await api.createInboundAddress();
+      if (response.success) {
+        this.renderInboundAddress(response.data);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Create Inbound Address');
+    }
+  }
+
+  async deleteInboundAddress() {
+    const confirmed = await Utils.confirm(
+      window.i18n?.t('notifications.inbound_delete_confirmation') || 'Emails sent to this address will no longer create reminders. Continue?',
+      window.i18n?.t('notifications.inbound_delete') || 'Turn off'
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await api.deleteInboundAddress();
+      if (response.success) {
+        this.renderInboundAddress(response.data);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Delete Inbound Address');
+    }
+  }
+
+  async loadIcalFeed() {
+    if (!Utils.$('#ical-feed-card')) return;
+
+    try {
+      const response = await api.getIcalFeed();
+      if (response.success) {
+        this.renderIcalFeed(response.data);
+      }
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+    }
+  }
+
+  renderIcalFeed(feed) {
+    this.icalFeed = feed;
+
+    Utils.$('#ical-feed-row')?.classList.toggle('hidden', !feed.enabled);
+    Utils.$('#ical-feed-filters')?.classList.toggle('hidden', !feed.enabled);
+    Utils.$('#ical-feed-delete-btn')?.classList.toggle('hidden', !feed.enabled);
+
+    const createBtn = Utils.$('#ical-feed-create-btn');
+    if (createBtn) {
+      createBtn.textContent = feed.enabled
+        ? (window.i18n?.t('notifications.feed_rotate') || 'New address')
+        : (window.i18n?.t('notifications.feed_create') || 'Create address');
+    }
+
+    this.updateIcalFeedUrl();
+  }
+
+  // Show the feed address with the chosen tag and priority filters
+  updateIcalFeedUrl() {
+    if (!this.icalFeed?.url) return;
+
+    const params = new URLSearchParams();
+    const tags = (Utils.$('#ical-feed-tags')?.value || '')
+      .split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+    const priorities = [...Utils.$$('input[name="ical-feed-priority"]:checked')].map(input => input.value);
+
+    if (tags.length) params.set('tags', tags.join(','));
+    if (priorities.length) params.set('priority', priorities.join(','));
+
+    const query = params.toString();
+    const url = query ? `${this.icalFeed.url}?${query}` : this.icalFeed.url;
+
+    const code = Utils.$('#ical-feed-url');
+    if (code) {
+      code.textContent = url;
+    }
+
+    // Calendar apps open webcal:// links as a subscription
+    const subscribe = Utils.$('#ical-feed-subscribe');
+    if (subscribe) {
+      subscribe.href = url.replace(/^https?:/, 'webcal:');
+    }
+  }
+
+  async createIcalFeed() {
+    // A new address replaces the old one, and subscribed calendars stop updating
+    if (this.icalFeed?.enabled) {
+      const confirmed = await Utils.confirm(
+        window.i18n?.t('notifications.feed_rotate_confirmation') || 'Calendars subscribed to the current address will stop updating. Continue?',
+        window.i18n?.t('notifications.feed_rotate') || 'New address'
+      );
+      if (!confirmed) return;
+    }
+
+    try {
+      const response = await api.createIcalFeed();
+      if (response.success) {
+        this.renderIcalFeed(response.data);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Create Calendar Feed');
+    }
+  }
+
+  async deleteIcalFeed() {
+    const confirmed = await Utils.confirm(
+      window.i18n?.t('notifications.feed_delete_confirmation') || 'Calendars subscribed to this address will stop updating. Continue?',
+      window.i18n?.t('notifications.feed_delete') || 'Revoke'
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await api.deleteIcalFeed();
+      if (response.success) {
+        this.renderIcalFeed(response.data);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Delete Calendar Feed');
+    }
+  }
+
+  async loadCaldav() {
+    if (!Utils.$('#caldav-card')) return;
+
+    try {
+      const response = await api.getCaldav();
+      if (response.success) {
+        this.renderCaldav(response.data);
+      }
+    } catch (error) {
+      console.error('Error loading CalDAV access:', error);
+    }
+  }
+
+  renderCaldav(caldav) {
+    this.caldav = caldav;
+
+    const url = Utils.$('#caldav-url');
+    if (url) {
+      url.textContent = caldav.url;
+    }
+
+    const username = Utils.$('#caldav-username');
+    if (username) {
+      username.textContent = caldav.username;
+    }
+
+    // The password is only known right after it was created
+    Utils.$('#caldav-password-row')?.classList.toggle('hidden', !caldav.password);
+    const password = Utils.$('#caldav-password');
+    if (password) {
+      password.textContent = caldav.password || '';
+    }
+
+    Utils.$('#caldav-delete-btn')?.classList.toggle('hidden', !caldav.enabled);
+
+    const createBtn = Utils.$('#caldav-create-btn');
+    if (createBtn) {
+      createBtn.textContent = caldav.enabled
+        ? (window.i18n?.t('notifications.caldav_rotate') || 'New password')
+        : (window.i18n?.t('notifications.caldav_create') || 'Create app password');
+    }
+  }
+
+  async createCaldavPassword() {
+    // A new password replaces the old one, signing out connected apps
+    if (this.caldav?.enabled) {
+      const confirmed = await Utils.confirm(
+        window.i18n?.t('notifications.caldav_rotate_confirmation') || 'Apps using the current password will be signed out. Continue?',
+        window.i18n?.t('notifications.caldav_rotate') || 'New password'
+      );
+      if (!confirmed) return;
+    }
+
+    try {
+      const response = await api.createCaldavPassword();
+      if (response.success) {
+        this.renderCaldav(response.data);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Create CalDAV Password');
+    }
+  }
+
+  async deleteCaldavPassword() {
+    const confirmed = await Utils.confirm(
+      window.i18n?.t('notifications.caldav_delete_confirmation') || 'Apps using this password will be signed out. Continue?',
+      window.i18n?.t('notifications.caldav_delete') || 'Remove password'
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await api.deleteCaldavPassword();
+      if (response.success) {
+        this.renderCaldav(response.data);
+      }
+    } catch (error) {
+      Utils.handleError(error, 'Delete CalDAV Password');
+    }
+  }
+
   async sendTestNotification() {
     try {
       const response = await api.testNotification();
@@ -453,6 +1023,31 @@ class NotificationManager {
     if (emailFallbackToggle) {
       emailFallbackToggle.checked = settings.email.fallback;
     }
+
+    this.renderDevices(settings.webPush.devices);
+
+    const quietToggle = Utils.$('#quiet-hours-toggle');
+    const quietAction = Utils.$('#quiet-hours-action');
+    const quietUrgent = Utils.$('#quiet-hours-urgent');
+
+    if (quietToggle) {
+      quietToggle.checked = settings.quietHours.enabled;
+    }
+
+    if (quietAction) {
+      quietAction.value = settings.quietHours.action;
+    }
+
+    if (quietUrgent) {
+      quietUrgent.checked = settings.quietHours.allowUrgent;
+    }
+
+    this.renderQuietWindows(settings.quietHours.windows);
+    this.renderDoNotDisturb(settings.doNotDisturb);
+    this.renderDigest(settings.digest);
+    await this.loadInboundAddress();
+    await this.loadIcalFeed();
+    await this.loadCaldav();
   }
 
   // Check if notifications are properly configured
@@ -543,7 +1138,14 @@ class NotificationManager {
           await this.snoozeReminderFromNotification(data.reminderId, 15);
         }
         break;
-        
+
+      case 'check-item':
+        // The service worker already checked the item; show the new progress
+        if (window.dashboard) {
+          window.dashboard.loadPageData(window.dashboard.currentPage);
+        }
+        break;
+
       case 'view':
         if (data.url) {
           window.location.href = data.url;
@@ -177,11 +177,12 @@ class Utils {
   }
 
   // Date Utilities
-  static formatDate(date, format = 'YYYY-MM-DD') {
+  static formatDate(date, format = 'YYYY-MM-DD', calendar = 'gregorian') {
     const d = new Date(date);
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
+    const jalali = calendar === 'jalali' ? this.toJalali(d) : null;
+    const year = jalali ? jalali.jy : d.getFullYear();
+    const month = String(jalali ? jalali.jm : d.getMonth() + 1).padStart(2, '0');
+    const day = String(jalali ? jalali.jd : d.getDate()).padStart(2, '0');
     const hours = String(d.getHours()).padStart(2, '0');
     const minutes = String(d.getMinutes()).padStart(2, '0');
     const seconds = String(d.getSeconds()).padStart(2, '0');
@@ -199,8 +200,117 @@ class Utils {
     return this.formatDate(date, 'HH:mm');
   }
 
-  static formatDateTime(date) {
-    return this.formatDate(date, 'YYYY-MM-DD HH:mm');
+  static formatDateTime(date, calendar = 'gregorian') {
+    return this.formatDate(date, calendar === 'jalali' ? 'YYYY/MM/DD HH:mm' : 'YYYY-MM-DD HH:mm', calendar);
+  }
+
+  // Parse a date typed by the user into a Gregorian 'YYYY-MM-DD' string
+  static parseDate(value, calendar = 'gregorian') {
+    const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(this.toEnglishDigits(String(value || '').trim()));
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    let date;
+
+    if (calendar === 'jalali') {
+      if (month < 1 || month > 12 || day < 1 || day > this.jalaliMonthLength(year, month)) return null;
+      date = this.toGregorian(year, month, day);
+    } else {
+      date = new Date(year, month - 1, day);
+      if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    }
+
+    return this.formatDate(date, 'YYYY-MM-DD');
+  }
+
+  static getTimeUntil(date) {
+    const remaining = this.getTimeRemaining(date);
+    const isFa = window.i18n?.getLanguage() === 'fa';
+
+    if (remaining.overdue) return window.i18n?.t('status.overdue') || (isFa ? 'گذشته' : 'Overdue');
+
+    const units = isFa ? { d: 'روز', h: 'ساعت', m: 'دقیقه' } : { d: 'd', h: 'h', m: 'm' };
+    const sep = isFa ? ' ' : '';
+    const parts = [];
+
+    if (remaining.days > 0) parts.push(`${remaining.days}${sep}${units.d}`);
+    if (remaining.hours > 0 && parts.length < 2) parts.push(`${remaining.hours}${sep}${units.h}`);
+    if (parts.length === 0) parts.push(`${remaining.minutes}${sep}${units.m}`);
+
+    const text = parts.join(' ');
+    return isFa ? this.toPersianDigits(text) : text;
+  }
+
+  // Jalali (Solar Hijri) Calendar Utilities
+  static getCalendar() {
+    return window.i18n?.getLanguage() === 'fa' ? 'jalali' : 'gregorian';
+  }
+
+  // Leap status and the March day of Nowruz for a Jalali year (jalaali-js algorithm)
+  static jalaliCalendar(jy) {
+    const breaks = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
+      1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+    const div = (a, b) => Math.trunc(a / b);
+    const mod = (a, b) => a - Math.trunc(a / b) * b;
+
+    const gy = jy + 621;
+    let leapJ = -14;
+    let jp = breaks[0];
+    let jump = 0;
+
+    for (let i = 1; i < breaks.length; i++) {
+      const jm = breaks[i];
+      jump = jm - jp;
+      if (jy < jm) break;
+      leapJ += div(jump, 33) * 8 + div(mod(jump, 33), 4);
+      jp = jm;
+    }
+
+    let n = jy - jp;
+    leapJ += div(n, 33) * 8 + div(mod(n, 33) + 3, 4);
+    if (mod(jump, 33) === 4 && jump - n === 4) leapJ += 1;
+
+    const leapG = div(gy, 4) - div((div(gy, 100) + 1) * 3, 4) - 150;
+    if (jump - n < 6) n = n - jump + div(jump + 4, 33) * 33;
+    let leap = mod(mod(n + 1, 33) - 1, 4);
+    if (leap === -1) leap = 4;
+
+    return { leap, gy, march: 20 + leapJ - leapG };
+  }
+
+  static jalaliMonthLength(jy, jm) {
+    if (jm <= 6) return 31;
+    if (jm <= 11) return 30;
+    return this.jalaliCalendar(jy).leap === 0 ? 30 : 29;
+  }
+
+  // Convert a local date to { jy, jm, jd }
+  static toJalali(date) {
+    const d = new Date(date);
+    const dayMs = 24 * 60 * 60 * 1000;
+    const day = Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+    const nowruz = (jy) => {
+      const { gy, march } = this.jalaliCalendar(jy);
+      return Date.UTC(gy, 2, march);
+    };
+
+    let jy = d.getFullYear() - 621;
+    if (day < nowruz(jy)) jy -= 1;
+
+    const dayOfYear = Math.round((day - nowruz(jy)) / dayMs);
+    if (dayOfYear < 186) {
+      return { jy, jm: 1 + Math.floor(dayOfYear / 31), jd: 1 + (dayOfYear % 31) };
+    }
+
+    const rest = dayOfYear - 186;
+    return { jy, jm: 7 + Math.floor(rest / 30), jd: 1 + (rest % 30) };
+  }
+
+  // Convert a Jalali date to a local Date at midnight
+  static toGregorian(jy, jm, jd) {
+    const { gy, march } = this.jalaliCalendar(jy);
+    const dayOfYear = (jm <= 7 ? (jm - 1) * 31 : 186 + (jm - 7) * 30) + jd - 1;
+    return new Date(gy, 2, march + dayOfYear);
   }
 
   static getDateTimeLocal(date = new Date()) {
@@ -529,6 +639,10 @@ class Utils {
     }
   }
 
+  static async confirm(message, title = '') {
+    return window.confirm(title ? `${title}\n\n${message}` : message);
+  }
+
   static setupModalClose(modalId) {
     const modal = this.$(modalId);
     if (!modal) return;
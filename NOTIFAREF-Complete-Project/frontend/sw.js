@@ -300,10 +300,7 @@ async function handleNotificationClick(action, data) {
     try {
       await fetch(`/api/reminders/${data.reminderId}/status`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await getStoredToken()}`
-        },
+        headers: await getReminderHeaders(data),
         body: JSON.stringify({ status: 'completed' })
       });
     } catch (error) {
@@ -313,6 +310,11 @@ async function handleNotificationClick(action, data) {
     return;
   }
   
+  if (action === 'check-item' && data.reminderId && data.checklistItemId) {
+    await checkChecklistItem(data);
+    return;
+  }
+
   if (action === 'snooze' && data.reminderId) {
     // Send message to client to snooze reminder
     sendMessageToClients({
@@ -325,10 +327,7 @@ async function handleNotificationClick(action, data) {
     try {
       await fetch(`/api/reminders/${data.reminderId}/snooze`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${await getStoredToken()}`
-        },
+        headers: await getReminderHeaders(data),
         body: JSON.stringify({ minutes: 15 })
       });
     } catch (error) {
@@ -358,6 +357,53 @@ async function handleNotificationClick(action, data) {
   await self.clients.openWindow(targetUrl);
 }
 
+// Check a reminder's checklist item from its notification, then show the
+// notification again for the next open item, if any
+async function checkChecklistItem(data) {
+  try {
+    const response = await fetch(`/api/reminders/${data.reminderId}/checklist/${data.checklistItemId}`, {
+      method: 'PATCH',
+      headers: await getReminderHeaders(data),
+      body: JSON.stringify({ done: true })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) return;
+
+    const reminder = result.data;
+    sendMessageToClients({
+      type: 'notification-action',
+      action: 'check-item',
+      data: { reminderId: data.reminderId, checklistItemId: data.checklistItemId }
+    });
+
+    const nextItem = reminder.status !== 'completed' && reminder.checklist.find(item => !item.done);
+    if (!nextItem) return;
+
+    const done = reminder.checklist.filter(item => item.done).length;
+    await self.registration.showNotification(reminder.title, {
+      body: `${done}/${reminder.checklist.length} ✓`,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/badge-72x72.png',
+      tag: `reminder-${data.reminderId}`,
+      data: { ...data, checklistItemId: nextItem._id },
+      actions: [
+        {
+          action: 'check-item',
+          title: `✓ ${nextItem.text}`,
+          icon: '/icons/check.png'
+        },
+        {
+          action: 'complete',
+          title: 'Mark Complete',
+          icon: '/icons/check.png'
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('Error checking checklist item from notification:', error);
+  }
+}
+
 // Notification close event
 self.addEventListener('notificationclose', (event) => {
   console.log('Service Worker: Notification closed');
@@ -450,6 +496,20 @@ function sendMessageToClients(message) {
   });
 }
 
+// Headers for reminder API calls; workspace reminders need their workspace
+async function getReminderHeaders(data) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${await getStoredToken()}`
+  };
+
+  if (data.workspaceId) {
+    headers['X-Workspace-Id'] = data.workspaceId;
+  }
+
+  return headers;
+}
+
 async function getStoredToken() {
   // Try to get token from cache or IndexedDB
   try {